@@ -37,6 +37,10 @@ contract RewardPoolV2 is ERC20WrapperUpgradeable, OwnableUpgradeable {
 
     IRewardPoolV3 rewardPoolV3;
 
+    bool public isContractStopped;
+    address public maintainer;
+
+    event MaintainerChanged(address maintainer);
     event Migrated(
         address account,
         IRewardPoolV3 rewardPoolV3,
@@ -45,6 +49,7 @@ contract RewardPoolV2 is ERC20WrapperUpgradeable, OwnableUpgradeable {
     );
     event RewardPoolV3Changed(IRewardPoolV3 newRewardPoolV3);
     event StakingIncentiveUpdated(uint128 reward, uint32 incentiveEndsAt);
+    event Stopped();
     event WithdrawalDelayChanged(uint256 newWithdrawalDelay);
     event WithdrawalRequested(
         address indexed requester,
@@ -58,9 +63,12 @@ contract RewardPoolV2 is ERC20WrapperUpgradeable, OwnableUpgradeable {
         address indexed to
     );
 
+    error ContractIsNotStopped();
+    error ContractIsStopped();
     error InsufficientDeposit(uint256 amount);
     error InvalidIncentiveDuration(uint32 minDuration, uint32 maxDuration);
     error NoReward();
+    error OnlyMaintainer();
     error OnlyRequesterCanWithdrawToAnotherAddress(address requester);
     error RequestDoesNotExist(uint256 requestId);
     error RewardPoolV3NotSet();
@@ -76,6 +84,11 @@ contract RewardPoolV2 is ERC20WrapperUpgradeable, OwnableUpgradeable {
         _;
     }
 
+    modifier isNotStopped() {
+        if (isContractStopped) revert ContractIsStopped();
+        _;
+    }
+
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -93,6 +106,14 @@ contract RewardPoolV2 is ERC20WrapperUpgradeable, OwnableUpgradeable {
         withdrawalDelay = withdrawalDelay_;
     }
 
+    /**
+     * @notice Owner's function that is used to change the address of the maintainer.
+     */
+    function changeMaintainer(address maintainer_) external onlyOwner {
+        maintainer = maintainer_;
+        emit MaintainerChanged(maintainer_);
+    }
+
     /**
      * @notice Owner's function that is used to change the address of V3 staking contract to migrate.
      */
@@ -114,6 +135,19 @@ contract RewardPoolV2 is ERC20WrapperUpgradeable, OwnableUpgradeable {
         emit WithdrawalDelayChanged(newWithdrawalDelay);
     }
 
+    /**
+     * @dev Owner: Stops the contract (deposits and incentive updates are not allowed). The current incentive program
+     * ends, so the exchange rate is fixed for the force migration to RewardPoolV3 and the unallocated reward can be
+     * recovered.
+     */
+    function stop() external onlyOwner isNotStopped updateExchangeRate {
+        isContractStopped = true;
+        if (incentiveEndsAt > block.timestamp)
+            incentiveEndsAt = uint32(block.timestamp);
+
+        emit Stopped();
+    }
+
     /**
      * @dev Owner: Recover underlying tokens that would have been transferred by mistake.
      * @param account The address to receive the tokens.
@@ -139,7 +173,7 @@ contract RewardPoolV2 is ERC20WrapperUpgradeable, OwnableUpgradeable {
     function updateStakingIncentive(
         uint128 extraReward,
         uint32 incentiveDuration
-    ) external onlyOwner updateExchangeRate {
+    ) external onlyOwner isNotStopped updateExchangeRate {
         if (
             incentiveDuration < MIN_INCENTIVE_DURATION ||
             incentiveDuration > MAX_INCENTIVE_DURATION
@@ -231,7 +265,7 @@ contract RewardPoolV2 is ERC20WrapperUpgradeable, OwnableUpgradeable {
     function depositFor(
         address account,
         uint256 amount
-    ) public override updateExchangeRate returns (bool) {
+    ) public override isNotStopped updateExchangeRate returns (bool) {
         if (account == address(this)) revert ERC20InvalidReceiver(account);
 
         underlying().transferFrom(msg.sender, address(this), amount);
@@ -277,6 +311,36 @@ contract RewardPoolV2 is ERC20WrapperUpgradeable, OwnableUpgradeable {
         emit Migrated(msg.sender, rewardPoolV3_, redeemAmount, stakeAmount);
     }
 
+    /**
+     * @dev Maintainer: Migrates whole balances of the accounts to RewardPoolV3 stakes after the contract is stopped.
+     * Accounts with balances worth less than one underlying token unit are skipped.
+     * @param accounts The addresses of holders to migrate.
+     */
+    function forceMigrateToV3(
+        address[] calldata accounts
+    ) external updateExchangeRate {
+        if (!isContractStopped) revert ContractIsNotStopped();
+        if (msg.sender != maintainer) revert OnlyMaintainer();
+
+        IRewardPoolV3 rewardPoolV3_ = rewardPoolV3;
+        if (address(rewardPoolV3_) == address(0)) revert RewardPoolV3NotSet();
+
+        uint256 numAccounts = accounts.length;
+        for (uint256 i; i < numAccounts; ++i) {
+            address account = accounts[i];
+            uint256 redeemAmount = balanceOf(account);
+            uint256 stakeAmount = calculateWithdrawalAmount(redeemAmount);
+            if (stakeAmount == 0) continue;
+
+            _burn(account, redeemAmount);
+
+            underlying().approve(address(rewardPoolV3_), stakeAmount);
+            rewardPoolV3_.stakeFor(account, uint96(stakeAmount));
+
+            emit Migrated(account, rewardPoolV3_, redeemAmount, stakeAmount);
+        }
+    }
+
     /**
      * @dev Calculates the amount of underlying tokens that can be redeemed for a given staking token amount.
      */
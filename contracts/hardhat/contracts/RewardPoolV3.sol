@@ -9,6 +9,9 @@ import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
 contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
     uint256 internal constant MIN_INCENTIVE_DURATION = 1;
     uint256 internal constant MAX_INCENTIVE_DURATION = 94608000; // 3 years
+    uint32 internal constant MULTIPLIER_BASE = 10000; // 1x
+    uint32 internal constant MAX_MULTIPLIER = 100000; // 10x
+    uint32 internal constant MAX_LOCK_PERIOD = 126144000; // 4 years
 
     IERC20 public stakingToken;
     uint96 public totalStaked;
@@ -29,6 +32,11 @@ contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
 
     mapping(address => uint256) internal _rewards;
 
+    mapping(uint8 => LockTier) public lockTiers;
+    // Weight of boosted stakes above their amounts
+    uint256 internal _totalBoost;
+    mapping(address => uint256) internal _boosts;
+
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -58,7 +66,8 @@ contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
     }
 
     /**
-     * @notice Allows a user or contract to stake tokens on behalf of another address.
+     * @notice Allows a user or contract to stake tokens on behalf of another address. The stake is locked for the
+     * unstake period and earns rewards on its amount.
      * @param account The address to credit the stake to.
      * @param amount The amount of tokens to stake.
      */
@@ -66,21 +75,36 @@ contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
         address account,
         uint96 amount
     ) external updateReward(account) {
-        if (amount == 0) revert ZeroAmount();
-        if (account == address(this)) revert InvalidReceiver(account);
-
-        stakingToken.transferFrom(msg.sender, address(this), amount);
-
-        uint256 stakeId = nextStakeId++;
-        uint32 withdrawAfter = uint32(block.timestamp) + unstakePeriod;
-
-        stakes[stakeId] = Stake({amount: amount, withdrawAfter: withdrawAfter});
-        stakedBy[account] += amount;
-        totalStaked += amount;
-
-        _mint(account, stakeId);
+        _stake(
+            account,
+            amount,
+            uint32(block.timestamp) + unstakePeriod,
+            MULTIPLIER_BASE
+        );
+    }
 
-        emit Staked(stakeId, account, amount, withdrawAfter);
+    /**
+     * @notice Stakes tokens on behalf of another address with a lock tier. The stake is locked for the lock period
+     * of the tier and earns rewards on its amount boosted by the multiplier of the tier.
+     * @param account The address to credit the stake to.
+     * @param amount The amount of tokens to stake.
+     * @param tierId The ID of the lock tier.
+     */
+    function stakeForWithLockTier(
+        address account,
+        uint96 amount,
+        uint8 tierId
+    ) external updateReward(account) {
+        LockTier memory tier = _lockTier(tierId);
+        uint32 withdrawAfter = uint32(block.timestamp) + tier.lockPeriod;
+        uint256 stakeId = _stake(
+            account,
+            amount,
+            withdrawAfter,
+            tier.multiplier
+        );
+
+        emit LockTierApplied(stakeId, tierId, tier.multiplier, withdrawAfter);
     }
 
     /**
@@ -108,11 +132,111 @@ contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
     ) external updateReward(msg.sender) {
         uint256 totalAmount;
         for (uint256 i; i < stakeIds.length; ++i) {
-            totalAmount += _processUnstake(stakeIds[i]);
+            uint256 stakeId = stakeIds[i];
+            totalAmount += _processUnstake(stakeId, stakes[stakeId].amount);
         }
         stakingToken.transfer(to, totalAmount);
     }
 
+    /**
+     * @notice Withdraws a part of a stake after the unstake period. The stake keeps the remainder, withdrawing the
+     * whole amount unstakes it.
+     * @param to The address to receive unstaked tokens.
+     * @param stakeId The ID of the stake to withdraw from.
+     * @param amount The amount of tokens to withdraw.
+     */
+    function unstakePartially(
+        address to,
+        uint256 stakeId,
+        uint96 amount
+    ) external updateReward(msg.sender) {
+        if (amount == 0) revert ZeroAmount();
+
+        stakingToken.transfer(to, _processUnstake(stakeId, amount));
+    }
+
+    /**
+     * @notice Splits new stakes of the given amounts off a stake. New stakes have the same unlock time and
+     * multiplier, the stake keeps the remainder. The boosted weight of the parts is rounded down separately.
+     * @param stakeId The ID of the stake to split.
+     * @param amounts The amounts of the new stakes.
+     * @return newStakeIds The IDs of the new stakes.
+     */
+    function splitStake(
+        uint256 stakeId,
+        uint96[] calldata amounts
+    ) external updateReward(msg.sender) returns (uint256[] memory newStakeIds) {
+        address stakeOwner = ownerOf(stakeId);
+        if (msg.sender != stakeOwner)
+            revert OnlyStakeOwner(stakeId, stakeOwner);
+
+        Stake storage stake = stakes[stakeId];
+        uint96 remainder = stake.amount;
+        uint32 withdrawAfter = stake.withdrawAfter;
+        uint32 multiplier = stake.multiplier;
+        uint256 boost = _boostOf(remainder, multiplier);
+
+        uint256 numStakes = amounts.length;
+        newStakeIds = new uint256[](numStakes);
+        for (uint256 i; i < numStakes; ++i) {
+            uint96 amount = amounts[i];
+            if (amount == 0) revert ZeroAmount();
+            if (amount >= remainder)
+                revert InsufficientStake(stakeId, remainder);
+            remainder -= amount;
+            boost -= _boostOf(amount, multiplier);
+
+            uint256 newStakeId = nextStakeId++;
+            stakes[newStakeId] = Stake({
+                amount: amount,
+                withdrawAfter: withdrawAfter,
+                multiplier: multiplier
+            });
+            _mint(msg.sender, newStakeId);
+            newStakeIds[i] = newStakeId;
+
+            emit StakeSplit(stakeId, newStakeId, amount);
+        }
+        stake.amount = remainder;
+        _decreaseBoost(msg.sender, boost - _boostOf(remainder, multiplier));
+    }
+
+    /**
+     * @notice Moves a stake to a lock tier with the same or a higher multiplier. The stake is locked for the lock
+     * period of the tier from now, a longer remaining lock is kept.
+     * @param stakeId The ID of the stake to relock.
+     * @param tierId The ID of the lock tier.
+     */
+    function relock(
+        uint256 stakeId,
+        uint8 tierId
+    ) external updateReward(msg.sender) {
+        address stakeOwner = ownerOf(stakeId);
+        if (msg.sender != stakeOwner)
+            revert OnlyStakeOwner(stakeId, stakeOwner);
+
+        LockTier memory tier = _lockTier(tierId);
+        Stake storage stake = stakes[stakeId];
+        uint32 multiplier = stake.multiplier;
+        if (tier.multiplier < multiplier)
+            revert LockTierDowngrade(stakeId, multiplier);
+
+        uint32 withdrawAfter = uint32(block.timestamp) + tier.lockPeriod;
+        if (withdrawAfter < stake.withdrawAfter)
+            withdrawAfter = stake.withdrawAfter;
+
+        uint96 amount = stake.amount;
+        uint256 boost = _boostOf(amount, tier.multiplier) -
+            _boostOf(amount, multiplier);
+        _boosts[msg.sender] += boost;
+        _totalBoost += boost;
+
+        stake.withdrawAfter = withdrawAfter;
+        stake.multiplier = tier.multiplier;
+
+        emit LockTierApplied(stakeId, tierId, tier.multiplier, withdrawAfter);
+    }
+
     /**
      * @notice Owner: Updates the unstake period duration.
      * @param newUnstakePeriod The new unstake period duration in seconds.
@@ -122,6 +246,33 @@ contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
         emit UnstakePeriodChanged(newUnstakePeriod);
     }
 
+    /**
+     * @notice Owner: Sets the lock period and the reward multiplier of a lock tier, the zero multiplier disables
+     * the tier. Existing stakes keep their unlock times and multipliers.
+     * @param tierId The ID of the lock tier.
+     * @param lockPeriod The lock period of new stakes of the tier in seconds, at most 4 years so that unlock
+     * times fit uint32.
+     * @param multiplier The reward multiplier in basis points, 10000 is 1x.
+     */
+    function changeLockTier(
+        uint8 tierId,
+        uint32 lockPeriod,
+        uint32 multiplier
+    ) external onlyOwner {
+        if (
+            multiplier != 0 &&
+            (multiplier < MULTIPLIER_BASE || multiplier > MAX_MULTIPLIER)
+        ) revert InvalidMultiplier(MULTIPLIER_BASE, MAX_MULTIPLIER);
+        if (lockPeriod > MAX_LOCK_PERIOD)
+            revert InvalidLockPeriod(MAX_LOCK_PERIOD);
+
+        lockTiers[tierId] = LockTier({
+            lockPeriod: lockPeriod,
+            multiplier: multiplier
+        });
+        emit LockTierChanged(tierId, lockPeriod, multiplier);
+    }
+
     /**
      * @notice Owner: Starts or updates a staking incentive program.
      * @param extraReward Additional reward tokens to add to the program.
@@ -184,15 +335,16 @@ contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
     }
 
     /**
-     * @notice Returns the current reward per token value.
+     * @notice Returns the current reward per token of the weighted stake.
      * @return The accumulated reward per token.
      */
     function rewardPerToken() public view returns (uint256) {
-        if (totalStaked == 0) return rewardPerTokenStored;
+        uint256 totalWeight = totalWeightedStake();
+        if (totalWeight == 0) return rewardPerTokenStored;
         return
             rewardPerTokenStored +
             ((uint256(rewardRate) * (_lastTimeRewardApplicable() - updatedAt)) /
-                totalStaked);
+                totalWeight);
     }
 
     /**
@@ -202,17 +354,73 @@ contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
      */
     function earnedReward(address account) public view returns (uint256) {
         return
-            ((stakedBy[account] *
+            ((weightedStakeOf(account) *
                 (rewardPerToken() - userRewardPerTokenPaid[account])) / 1e18) +
             _rewards[account];
     }
 
     /**
-     * @dev Processes unstake for a given stake ID.
+     * @notice Returns the total stake weighted by the multipliers of stakes.
+     */
+    function totalWeightedStake() public view returns (uint256) {
+        return totalStaked + _totalBoost;
+    }
+
+    /**
+     * @notice Returns the stake of an account weighted by the multipliers of its stakes.
+     * @param account The address of the staker.
+     */
+    function weightedStakeOf(address account) public view returns (uint256) {
+        return stakedBy[account] + _boosts[account];
+    }
+
+    /**
+     * @dev Creates a stake and mints its token.
+     * @param account The address to credit the stake to.
+     * @param amount The amount of tokens to stake.
+     * @param withdrawAfter The unlock time of the stake.
+     * @param multiplier The reward multiplier of the stake in basis points.
+     * @return stakeId The ID of the new stake.
+     */
+    function _stake(
+        address account,
+        uint96 amount,
+        uint32 withdrawAfter,
+        uint32 multiplier
+    ) internal returns (uint256 stakeId) {
+        if (amount == 0) revert ZeroAmount();
+        if (account == address(this)) revert InvalidReceiver(account);
+
+        stakingToken.transferFrom(msg.sender, address(this), amount);
+
+        stakeId = nextStakeId++;
+        stakes[stakeId] = Stake({
+            amount: amount,
+            withdrawAfter: withdrawAfter,
+            multiplier: multiplier
+        });
+        stakedBy[account] += amount;
+        totalStaked += amount;
+
+        uint256 boost = _boostOf(amount, multiplier);
+        _boosts[account] += boost;
+        _totalBoost += boost;
+
+        _mint(account, stakeId);
+
+        emit Staked(stakeId, account, amount, withdrawAfter);
+    }
+
+    /**
+     * @dev Processes unstake of an amount from a given stake ID, the stake is burnt when nothing remains.
      * @param stakeId The ID of the stake to withdraw.
+     * @param amount The amount of tokens to withdraw.
      * @return The amount of tokens unstaked.
      */
-    function _processUnstake(uint256 stakeId) internal returns (uint256) {
+    function _processUnstake(
+        uint256 stakeId,
+        uint96 amount
+    ) internal returns (uint256) {
         address stakeOwner = ownerOf(stakeId);
         if (msg.sender != stakeOwner)
             revert OnlyStakeOwner(stakeId, stakeOwner);
@@ -221,18 +429,41 @@ contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
         if (block.timestamp < stake.withdrawAfter)
             revert StakeLocked(stakeId, stake.withdrawAfter - block.timestamp);
 
-        uint96 amount = stake.amount;
+        uint96 stakeAmount = stake.amount;
+        if (amount > stakeAmount)
+            revert InsufficientStake(stakeId, stakeAmount);
+
         stakedBy[msg.sender] -= amount;
         totalStaked -= amount;
-
-        delete stakes[stakeId];
-        _burn(stakeId);
+        uint32 multiplier = stake.multiplier;
+        _decreaseBoost(
+            msg.sender,
+            _boostOf(stakeAmount, multiplier) -
+                _boostOf(stakeAmount - amount, multiplier)
+        );
+
+        if (amount == stakeAmount) {
+            delete stakes[stakeId];
+            _burn(stakeId);
+        } else {
+            stake.amount = stakeAmount - amount;
+        }
 
         emit Unstaked(stakeId, amount);
 
         return amount;
     }
 
+    /**
+     * @dev Decreases the boosted weight of an account.
+     * @param account The address of the staker.
+     * @param boost The weight to subtract.
+     */
+    function _decreaseBoost(address account, uint256 boost) internal {
+        _boosts[account] -= boost;
+        _totalBoost -= boost;
+    }
+
     /**
      * @dev Updates the reward accounting for an account.
      * @param account The account to update rewards for.
@@ -246,6 +477,32 @@ contract RewardPoolV3 is OwnableUpgradeable, ERC721Upgradeable, IRewardPoolV3 {
         }
     }
 
+    /**
+     * @dev Returns an enabled lock tier.
+     * @param tierId The ID of the lock tier.
+     */
+    function _lockTier(uint8 tierId) internal view returns (LockTier memory) {
+        LockTier memory tier = lockTiers[tierId];
+        if (tier.multiplier == 0) revert InvalidLockTier(tierId);
+        return tier;
+    }
+
+    /**
+     * @dev Calculates the weight of a stake above its amount. Stakes made before lock tiers have no multiplier.
+     * @param amount The amount of the stake.
+     * @param multiplier The reward multiplier of the stake in basis points.
+     * @return The boosted weight.
+     */
+    function _boostOf(
+        uint96 amount,
+        uint32 multiplier
+    ) internal pure returns (uint256) {
+        if (multiplier <= MULTIPLIER_BASE) return 0;
+        return
+            (uint256(amount) * (multiplier - MULTIPLIER_BASE)) /
+            MULTIPLIER_BASE;
+    }
+
     /**
      * @dev Calculates the remaining reward to be distributed.
      * @return The amount of reward remaining.
@@ -7,8 +7,25 @@ interface IRewardPoolV3 {
     struct Stake {
         uint96 amount;
         uint32 withdrawAfter;
+        uint32 multiplier;
     }
 
+    struct LockTier {
+        uint32 lockPeriod;
+        uint32 multiplier;
+    }
+
+    event LockTierApplied(
+        uint256 indexed stakeId,
+        uint8 indexed tierId,
+        uint32 multiplier,
+        uint32 withdrawAfter
+    );
+    event LockTierChanged(
+        uint8 indexed tierId,
+        uint32 lockPeriod,
+        uint32 multiplier
+    );
     event RewardClaimed(address indexed account, uint256 amount);
     event Staked(
         uint256 indexed stakeId,
@@ -16,12 +33,22 @@ interface IRewardPoolV3 {
         uint96 amount,
         uint32 withdrawAfter
     );
+    event StakeSplit(
+        uint256 indexed stakeId,
+        uint256 indexed newStakeId,
+        uint96 amount
+    );
     event StakingIncentiveUpdated(uint256 reward, uint32 incentiveEndsAt);
     event Unstaked(uint256 indexed stakeId, uint256 amount);
     event UnstakePeriodChanged(uint256 newUnstakePeriod);
 
+    error InsufficientStake(uint256 stakeId, uint96 stakeAmount);
     error InvalidIncentiveDuration(uint256 min, uint256 max);
+    error InvalidLockPeriod(uint256 max);
+    error InvalidLockTier(uint8 tierId);
+    error InvalidMultiplier(uint256 min, uint256 max);
     error InvalidReceiver(address account);
+    error LockTierDowngrade(uint256 stakeId, uint32 multiplier);
     error NoAvailableBalance(address token);
     error NoReward();
     error NoUnclaimedReward(address account);
@@ -33,12 +60,37 @@ interface IRewardPoolV3 {
 
     function stakeFor(address account, uint96 amount) external;
 
+    function stakeForWithLockTier(
+        address account,
+        uint96 amount,
+        uint8 tierId
+    ) external;
+
     function claimReward(address account) external;
 
     function unstake(address to, uint256[] calldata stakeIds) external;
 
+    function unstakePartially(
+        address to,
+        uint256 stakeId,
+        uint96 amount
+    ) external;
+
+    function splitStake(
+        uint256 stakeId,
+        uint96[] calldata amounts
+    ) external returns (uint256[] memory newStakeIds);
+
+    function relock(uint256 stakeId, uint8 tierId) external;
+
     function changeUnstakePeriod(uint32 newUnstakePeriod) external;
 
+    function changeLockTier(
+        uint8 tierId,
+        uint32 lockPeriod,
+        uint32 multiplier
+    ) external;
+
     function updateStakingIncentive(
         uint256 extraReward,
         uint256 incentiveDuration
@@ -50,7 +102,18 @@ interface IRewardPoolV3 {
 
     function earnedReward(address account) external view returns (uint256);
 
+    function totalWeightedStake() external view returns (uint256);
+
+    function weightedStakeOf(address account) external view returns (uint256);
+
     function stakes(
         uint256 stakeId
-    ) external view returns (uint96 amount, uint32 withdrawAfter);
+    )
+        external
+        view
+        returns (uint96 amount, uint32 withdrawAfter, uint32 multiplier);
+
+    function lockTiers(
+        uint8 tierId
+    ) external view returns (uint32 lockPeriod, uint32 multiplier);
 }
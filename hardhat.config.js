@@ -4,6 +4,14 @@ require("hardhat-contract-sizer");
 require("hardhat-gas-reporter");
 require("dotenv").config();
 
+require("./tasks/analytics");
+require("./tasks/benchmark");
+require("./tasks/indexer");
+require("./tasks/migration");
+require("./tasks/owner");
+require("./tasks/pool");
+require("./tasks/simulation");
+
 const MAINNET_PRIVATE_KEY = process.env.MAINNET_PRIVATE_KEY || "";
 const MUMBAI_PRIVATE_KEY = process.env.MUMBAI_PRIVATE_KEY || "";
 const POLYGON_PRIVATE_KEY = process.env.POLYGON_PRIVATE_KEY || "";
@@ -23,6 +31,7 @@ if (MUMBAI_PRIVATE_KEY != "") {
   exportNetworks["mumbai"] = {
     url: "https://polygon-testnet-rpc.allthatnode.com:8545",
     accounts: [`${MUMBAI_PRIVATE_KEY}`],
+    confirmations: 2,
   };
 }
 
@@ -30,13 +39,15 @@ if (POLYGON_PRIVATE_KEY != "") {
   exportNetworks["polygon"] = {
     url: "https://polygon-rpc.com",
     accounts: [`${POLYGON_PRIVATE_KEY}`],
+    confirmations: 5,
   };
 }
 
 if (MAINNET_PRIVATE_KEY != "") {
   exportNetworks["mainnet"] = {
     url: `https://mainnet.infura.io/v3/${INFURA_API_KEY}`,
-    accounts: [`${MAINNET_PRIVATE_KEY}`]
+    accounts: [`${MAINNET_PRIVATE_KEY}`],
+    confirmations: 2,
   }
 }
 
@@ -54,7 +65,7 @@ module.exports = {
       },
     ],
   },
-  paths: {sources: "./contracts/hardhat/contracts"},
+  paths: {sources: "./contracts/hardhat/contracts", deployments: "./deployments"},
   defaultNetwork: "hardhat",
   networks: exportNetworks,
   etherscan: {
@@ -75,6 +86,9 @@ module.exports = {
   },
   sourcify: {
     enabled: true
+  },
+  mocha: {
+    rootHooks: require("./test/helpers/taskLogger").mochaHooks,
   }
 
 };
@@ -0,0 +1,224 @@
+const { task, types } = require("hardhat/config");
+const { poolAddressValue, taskLog, taskTable } = require("./params");
+
+const formatPercent = (value) => (value === null ? "-" : `${(value * 100).toFixed(4)}%`);
+
+const formatTime = (timestamp) => new Date(Number(timestamp) * 1000).toISOString();
+
+task("pool:apr", "Prints current and historical APR/APY of a RewardPoolV2 or RewardPoolV3 incentive program")
+  .addParam("pool", "Pool version: v2 or v3")
+  .addOptionalParam("address", "Pool proxy address (defaults to the deployments manifest, then the pool address env)")
+  .addOptionalParam("stakingTokenPrice", "V3: staking token price in the quote currency", 1, types.float)
+  .addOptionalParam("rewardTokenPrice", "V3: reward token price in the quote currency", 1, types.float)
+  .addOptionalParam("fromBlock", "The first block to look for incentive updates from", 0, types.int)
+  .setAction(async ({ pool: version, address, stakingTokenPrice, rewardTokenPrice, fromBlock }, hre) => {
+    const analytics = require("../utils/analytics");
+    const { loadConfig } = require("../utils/config");
+    const { ethers } = hre;
+
+    if (version !== "v2" && version !== "v3") throw new Error(`Unknown pool version "${version}", expected v2 or v3`);
+    ({ address } = await loadConfig(ethers.provider, {
+      address: poolAddressValue(hre, version, address, "--address"),
+    }));
+
+    if (version === "v3") {
+      const pool = await ethers.getContractAt("RewardPoolV3", address);
+      const prices = { stakingTokenPrice, rewardTokenPrice };
+
+      const history = await analytics.getRewardPoolV3AprHistory(pool, prices, fromBlock);
+      taskTable(
+        history.map((row) => ({
+          block: row.blockNumber,
+          time: formatTime(row.timestamp),
+          reward: ethers.formatUnits(row.reward, row.decimals.rewardDecimals),
+          endsAt: formatTime(row.incentiveEndsAt),
+          totalStaked: ethers.formatUnits(row.totalStaked, row.decimals.stakingDecimals),
+          apr: formatPercent(row.apr),
+        })),
+      );
+
+      taskLog("Current APR:", formatPercent(await analytics.getRewardPoolV3Apr(pool, prices)));
+      if (history.length > 0) {
+        const timeWeightedApr = await analytics.getRewardPoolV3TimeWeightedApr(pool, prices, history[0].blockNumber);
+        taskLog("Time-weighted APR since the first incentive:", formatPercent(timeWeightedApr));
+      }
+    } else {
+      const pool = await ethers.getContractAt("RewardPoolV2", address);
+
+      const history = await analytics.getRewardPoolV2AprHistory(pool, fromBlock);
+      taskTable(
+        history.map((row) => ({
+          block: row.blockNumber,
+          time: formatTime(row.timestamp),
+          reward: ethers.formatEther(row.reward),
+          endsAt: formatTime(row.incentiveEndsAt),
+          exchangeRate: ethers.formatEther(row.exchangeRate),
+          apr: formatPercent(row.apr),
+        })),
+      );
+
+      const { apr, apy } = await analytics.getRewardPoolV2Apy(pool);
+      taskLog("Current APR:", formatPercent(apr), "APY:", formatPercent(apy));
+      if (history.length > 0) {
+        const trailingApy = await analytics.getRewardPoolV2TrailingApy(pool, history[0].blockNumber);
+        taskLog("Realized APY since the first incentive:", formatPercent(trailingApy));
+      }
+    }
+  });
+
+task("pool:plan-incentive", "Plans a RewardPoolV2 (v2) or RewardPoolV3 (v3) incentive update for a target APR or end")
+  .addParam("pool", "Pool version: v2 or v3")
+  .addOptionalParam("address", "Pool proxy address (defaults to the deployments manifest, then the pool address env)")
+  .addOptionalParam("reward", "Extra reward in token base units (planned if not set)")
+  .addOptionalParam("apr", "Target APR in percent (the current rate is kept if neither it nor the end is set)")
+  .addOptionalParam("duration", "Incentive duration in seconds", undefined, types.int)
+  .addOptionalParam("endsAt", "Incentive end: a unix timestamp or a date, e.g. 2025-01-31T12:00:00Z")
+  .addOptionalParam("delay", "Seconds between the latest block and the expected execution of the update", 0, types.int)
+  .addOptionalParam("stakingTokenPrice", "V3: staking token price in the quote currency", 1, types.float)
+  .addOptionalParam("rewardTokenPrice", "V3: reward token price in the quote currency", 1, types.float)
+  .addFlag("send", "Send the planned update with pool:update-incentive")
+  .addOptionalParam(
+    "safeBatch",
+    "Append the planned update to this Safe Transaction Builder batch file of the pool owner",
+  )
+  .setAction(async (args, hre) => {
+    const { readIncentiveState, planIncentive } = require("../utils/incentivePlanner");
+    const config = require("../utils/config");
+    const { ethers } = hre;
+
+    if (args.pool !== "v2" && args.pool !== "v3") {
+      throw new Error(`Unknown pool version "${args.pool}", expected v2 or v3`);
+    }
+    const { address, reward, apr, duration, endsAt } = await config.loadConfig(
+      ethers.provider,
+      {
+        address: poolAddressValue(hre, args.pool, args.address, "--address"),
+        reward: config.amountValue({
+          value: args.reward,
+          param: "--reward",
+          max: args.pool === "v2" ? config.MAX_UINT128 : undefined,
+          optional: true,
+        }),
+        apr: {
+          value: args.apr,
+          param: "--apr",
+          optional: true,
+          parse: (raw) => {
+            const value = Number(raw);
+            if (!(value > 0)) throw new Error(`${raw} is not a positive number`);
+            return value / 100;
+          },
+        },
+        duration: config.integerValue({
+          value: args.duration,
+          param: "--duration",
+          min: config.MIN_INCENTIVE_DURATION,
+          max: config.MAX_INCENTIVE_DURATION,
+          optional: true,
+        }),
+        endsAt: config.timestampValue({ value: args.endsAt, param: "--ends-at", optional: true }),
+      },
+      [
+        (values) =>
+          values.duration !== undefined && values.endsAt !== undefined
+            ? "Set either --duration or --ends-at"
+            : undefined,
+      ],
+    );
+
+    const prices = { stakingTokenPrice: args.stakingTokenPrice, rewardTokenPrice: args.rewardTokenPrice };
+    const state = await readIncentiveState(address, args.pool, ethers.provider, { prices });
+    const plan = planIncentive(state, {
+      extraReward: reward,
+      apr,
+      duration,
+      endsAt,
+      executedAt: state.timestamp + BigInt(args.delay),
+    });
+
+    const { rewardDecimals } = state.decimals;
+    const row = ({ rewardRate, incentiveEndsAt, apr }, reward) => ({
+      rewardRate: `${ethers.formatUnits(rewardRate, rewardDecimals + 18)} / s`,
+      incentiveEndsAt: incentiveEndsAt === 0n ? "-" : formatTime(incentiveEndsAt),
+      reward: ethers.formatUnits(reward, rewardDecimals),
+      apr: formatPercent(apr),
+    });
+    taskLog(`Planned for ${formatTime(plan.executedAt)} (block ${state.blockNumber} + ${args.delay} seconds)`);
+    taskTable({
+      before: row(plan.before, plan.before.remainingReward),
+      after: row(plan.after, plan.after.reward),
+    });
+    taskLog(`updateStakingIncentive(${plan.extraReward}, ${plan.duration})`);
+
+    if (args.send || args.safeBatch !== undefined) {
+      await hre.run("pool:update-incentive", {
+        pool: args.pool,
+        address,
+        reward: plan.extraReward.toString(),
+        duration: Number(plan.duration),
+        safeBatch: args.safeBatch,
+      });
+    }
+    return plan;
+  });
+
+task("pool:replay", "Replays RewardPool (V1) events and prints the reward breakdown of stakes")
+  .addOptionalParam(
+    "rewardPool",
+    "RewardPool (V1) proxy address (defaults to the deployments manifest, then REWARD_POOL_ADDRESS env)",
+  )
+  .addOptionalParam("fromBlock", "The RewardPool deployment block", 0, types.int)
+  .addOptionalParam("stakeId", "The stake to print (all stakes if not set)")
+  .setAction(async ({ rewardPool: address, fromBlock, stakeId }, hre) => {
+    const { fetchRewardPoolEvents, replayRewardPool } = require("../utils/rewardPoolReplay");
+    const { loadConfig } = require("../utils/config");
+    const { ethers } = hre;
+
+    const config = await loadConfig(ethers.provider, {
+      rewardPool: poolAddressValue(hre, "v1", address, "--reward-pool"),
+    });
+    const rewardPool = await ethers.getContractAt("RewardPool", config.rewardPool);
+    const toBlock = await ethers.provider.getBlockNumber();
+    const events = await fetchRewardPoolEvents(rewardPool, fromBlock, toBlock);
+    const { time: initializedAt } = await rewardPool.distributions(0);
+    const replay = replayRewardPool(events, initializedAt);
+    if (stakeId !== undefined && !replay.stakes.has(BigInt(stakeId))) {
+      throw new Error(`Stake ${stakeId} not found between blocks ${fromBlock} and ${toBlock}`);
+    }
+
+    taskLog("Replayed events:", events.length);
+    taskTable(
+      replay.distributions.slice(1).map((distribution) => ({
+        distributionId: distribution.distributionId,
+        time: formatTime(distribution.time),
+        reward: ethers.formatEther(distribution.reward),
+        rewardForFullPower: ethers.formatEther(distribution.reward - distribution.rewardForPartialPower),
+        rewardForPartialPower: ethers.formatEther(distribution.rewardForPartialPower),
+      })),
+    );
+
+    const stakeIds = stakeId !== undefined ? [BigInt(stakeId)] : [...replay.stakes.keys()];
+    for (const stakeId of stakeIds) {
+      const stake = replay.stakes.get(stakeId);
+      taskLog(`Stake #${stakeId} of ${stake.owner}, amount ${ethers.formatEther(stake.amount)}`);
+      taskTable(
+        replay.rewardBreakdownOf(stakeId).map((row) => ({
+          distributionId: row.distributionId,
+          power: row.power,
+          reward: ethers.formatEther(row.partialReward + row.fullReward),
+          rewardOfAfterDistribution: ethers.formatEther(replay.rewardOf(stakeId, row.distributionId)),
+        })),
+      );
+
+      if (stake.removedAfterDistributionId === undefined) {
+        const rewardOf = await rewardPool.rewardOf(stakeId, { blockTag: toBlock });
+        if (rewardOf !== replay.rewardOf(stakeId)) {
+          taskLog(`Current reward mismatch: contract ${rewardOf}, replay ${replay.rewardOf(stakeId)}`);
+        }
+      }
+    }
+
+    for (const mismatch of replay.mismatches) {
+      taskLog("Withdrawn reward mismatch:", mismatch);
+    }
+  });
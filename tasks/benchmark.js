@@ -0,0 +1,57 @@
+const { task, types } = require("hardhat/config");
+const { splitList, taskLog, taskTable } = require("./params");
+
+const parseIntegers = (value, name) =>
+  splitList(value).map((item) => {
+    const number = Number(item);
+    if (!Number.isSafeInteger(number) || number < 1) throw new Error(`${name}: ${item} is not a positive integer`);
+    return number;
+  });
+
+task("bench:batches", "Measures gas of the batch entry points of the pools by batch size on the hardhat network")
+  .addOptionalParam("sizes", "Comma-separated batch sizes to measure")
+  .addOptionalParam("gasLimits", "Comma-separated gas limits to report the maximum safe batch sizes for")
+  .addOptionalParam("margin", "Share of a gas limit a batch may use", undefined, types.float)
+  .addOptionalParam("entries", "Comma-separated entry points to measure, e.g. RewardPool.forceMigrateToV2")
+  .addOptionalParam("out", "JSON report file")
+  .addOptionalParam("markdown", "Markdown report file")
+  .setAction(async (args, hre) => {
+    const fs = require("fs");
+    const {
+      DEFAULT_SIZES,
+      DEFAULT_GAS_LIMITS,
+      DEFAULT_MARGIN,
+      BATCH_BENCHMARKS,
+      runBatchBenchmarks,
+      formatBenchmarkMarkdown,
+    } = require("../utils/batchBenchmark");
+
+    const report = await runBatchBenchmarks(hre, {
+      sizes: args.sizes === undefined ? DEFAULT_SIZES : parseIntegers(args.sizes, "--sizes"),
+      gasLimits: args.gasLimits === undefined ? DEFAULT_GAS_LIMITS : parseIntegers(args.gasLimits, "--gas-limits"),
+      margin: args.margin ?? DEFAULT_MARGIN,
+      entries: args.entries === undefined ? Object.keys(BATCH_BENCHMARKS) : splitList(args.entries),
+      log: taskLog,
+    });
+
+    taskTable(
+      report.entries.map(({ name, model, maxBatchSize }) => ({
+        entryPoint: name,
+        gasPerItem: model?.perItem ?? "-",
+        baseGas: model?.base ?? "-",
+        ...Object.fromEntries(
+          report.gasLimits.map((limit) => [`max@${limit}`, maxBatchSize === null ? "-" : maxBatchSize[limit]]),
+        ),
+      })),
+    );
+
+    if (args.out !== undefined) {
+      fs.writeFileSync(args.out, JSON.stringify(report, null, 2) + "\n");
+      taskLog(`Report written to ${args.out}`);
+    }
+    if (args.markdown !== undefined) {
+      fs.writeFileSync(args.markdown, formatBenchmarkMarkdown(report));
+      taskLog(`Markdown report written to ${args.markdown}`);
+    }
+    return report;
+  });
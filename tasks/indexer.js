@@ -0,0 +1,88 @@
+const { task, types } = require("hardhat/config");
+const { poolAddressValue, taskLog, taskTable } = require("./params");
+
+const formatTime = (timestamp) => new Date(Number(timestamp) * 1000).toISOString();
+
+task("pool:index", "Syncs the local event index of the pools and prints positions of an account")
+  .addOptionalParam(
+    "rewardPool",
+    "RewardPool (V1) proxy address (defaults to the deployments manifest, then REWARD_POOL_ADDRESS env)",
+  )
+  .addOptionalParam(
+    "rewardPoolV2",
+    "RewardPoolV2 proxy address (defaults to the deployments manifest, then REWARD_POOL_V2_ADDRESS env)",
+  )
+  .addOptionalParam(
+    "rewardPoolV3",
+    "RewardPoolV3 proxy address (defaults to the deployments manifest, then REWARD_POOL_V3_ADDRESS env)",
+  )
+  .addOptionalParam("fromBlock", "The earliest pool deployment block", 0, types.int)
+  .addOptionalParam("confirmations", "The number of blocks to stay behind the chain head", 0, types.int)
+  .addOptionalParam("owner", "The account to print positions of")
+  .setAction(async ({ rewardPool, rewardPoolV2, rewardPoolV3, fromBlock, confirmations, owner }, hre) => {
+    const path = require("path");
+    const { createIndexer } = require("../utils/indexer");
+    const { loadConfig } = require("../utils/config");
+    const { ethers, network } = hre;
+
+    const addresses = await loadConfig(ethers.provider, {
+      rewardPool: poolAddressValue(hre, "v1", rewardPool, "--reward-pool", { optional: true }),
+      rewardPoolV2: poolAddressValue(hre, "v2", rewardPoolV2, "--reward-pool-v2", { optional: true }),
+      rewardPoolV3: poolAddressValue(hre, "v3", rewardPoolV3, "--reward-pool-v3", { optional: true }),
+    });
+    const indexer = createIndexer({
+      provider: ethers.provider,
+      addresses,
+      fromBlock,
+      confirmations,
+      storePath: path.join(hre.config.paths.root, "indexer", `${network.name}.json`),
+    });
+    const { numEvents } = await indexer.sync();
+    taskLog(`Indexed ${numEvents} new events up to block ${indexer.lastIndexedBlock()}`);
+
+    if (owner === undefined) return;
+
+    const { rewardPool: stakes, rewardPoolV3: stakesV3 } = indexer.stakesOf(owner);
+    taskLog("RewardPool stakes:");
+    taskTable(
+      stakes.map((stake) => ({
+        stakeId: stake.stakeId,
+        amount: ethers.formatEther(stake.amount),
+      })),
+    );
+    taskLog("RewardPoolV3 stakes:");
+    taskTable(
+      stakesV3.map((stake) => ({
+        stakeId: stake.stakeId,
+        amount: ethers.formatEther(stake.amount),
+      })),
+    );
+
+    taskLog("Unlock times:");
+    taskTable(
+      indexer.unlockTimesOf(owner).map((unlock) => ({
+        pool: unlock.pool,
+        stakeId: unlock.stakeId,
+        amount: ethers.formatEther(unlock.amount),
+        unlockAt: formatTime(unlock.unlockAt),
+      })),
+    );
+
+    taskLog("Pending withdrawal requests:");
+    taskTable(
+      indexer.pendingWithdrawalRequests(owner).map((request) => ({
+        requestId: request.requestId,
+        withdrawalAmount: ethers.formatEther(request.withdrawalAmount),
+        withdrawAfter: formatTime(request.withdrawAfter),
+      })),
+    );
+
+    const status = indexer.migrationStatusOf(owner);
+    taskLog("Migration status:", {
+      rewardPoolStakes: status.rewardPoolStakes.length,
+      forceMigratedToV2: ethers.formatEther(status.forceMigratedToV2),
+      migrationsToV2: status.migrationsToV2.length,
+      rewardPoolV2Balance: ethers.formatEther(status.rewardPoolV2Balance),
+      migrationsToV3: status.migrationsToV3.length,
+    });
+  });
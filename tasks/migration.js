@@ -0,0 +1,163 @@
+const { task, types } = require("hardhat/config");
+const { poolAddressValue, getWaitOptions, taskLog, taskTable } = require("./params");
+
+task("pool:active-stakes", "Builds active-stakes.csv for the force migration from the RewardPool state")
+  .addOptionalParam(
+    "rewardPool",
+    "RewardPool (V1) proxy address (defaults to the deployments manifest, then REWARD_POOL_ADDRESS env)",
+  )
+  .addOptionalParam("fromBlock", "The RewardPool deployment block", 0, types.int)
+  .addOptionalParam("csv", "Active stakes CSV to write", "scripts/RewardPool/active-stakes.csv")
+  .addFlag("includeRewards", "Add unclaimed rewards of the stakes to migrated amounts")
+  .setAction(async ({ rewardPool: address, fromBlock, csv, includeRewards }, hre) => {
+    const fs = require("fs");
+    const { collectActiveStakes, formatActiveStakesCsv } = require("../utils/activeStakes");
+    const { loadConfig } = require("../utils/config");
+    const { ethers } = hre;
+
+    const config = await loadConfig(ethers.provider, {
+      rewardPool: poolAddressValue(hre, "v1", address, "--reward-pool"),
+    });
+    const rewardPool = await ethers.getContractAt("RewardPool", config.rewardPool);
+    if (!(await rewardPool.isContractStopped())) {
+      taskLog("Warning: the pool is not stopped, active stakes can still change");
+    }
+
+    const { blockNumber, totalStaked, totalReward, totalAmount, wallets } = await collectActiveStakes(rewardPool, {
+      fromBlock,
+      includeRewards,
+    });
+    fs.writeFileSync(csv, formatActiveStakesCsv(wallets));
+
+    taskLog("Active stakes collected at block:", blockNumber);
+    taskLog("Wallets:", wallets.length);
+    taskLog("Total staked:", ethers.formatEther(totalStaked));
+    taskLog("Total unclaimed reward:", ethers.formatEther(totalReward));
+    taskLog("Total amount to migrate:", ethers.formatEther(totalAmount));
+  });
+
+task(
+  "pool:force-migrate-to-v2",
+  "Migrates wallets listed in active-stakes.csv from a stopped RewardPool to RewardPoolV2",
+)
+  .addOptionalParam(
+    "rewardPool",
+    "RewardPool (V1) proxy address (defaults to the deployments manifest, then REWARD_POOL_ADDRESS env)",
+  )
+  .addOptionalParam("csv", "Active stakes CSV", "scripts/RewardPool/active-stakes.csv")
+  .addOptionalParam("checkpoint", "Checkpoint file of sent batches", "scripts/RewardPool/force-migration.json")
+  .addOptionalParam("batchSize", "The number of wallets per transaction", undefined, types.int)
+  .addOptionalParam(
+    "maxGas",
+    "Gas limit per transaction to size batches by if --batch-size is not set",
+    10000000,
+    types.int,
+  )
+  .addOptionalParam("benchmark", "bench:batches JSON report to size batches by instead of gas estimates")
+  .addFlag("dryRun", "Check the remaining batches by static calls without sending transactions")
+  .setAction(
+    async ({ rewardPool: address, csv, checkpoint: checkpointPath, batchSize, maxGas, benchmark, dryRun }, hre) => {
+      const {
+        readActiveStakesCsv,
+        estimateBatchSize,
+        forceMigrateToV2,
+        reconcileForceMigration,
+      } = require("../utils/forceMigration");
+      const { readBenchmarkReport, maxBatchSizeFromReport } = require("../utils/batchBenchmark");
+      const { loadConfig } = require("../utils/config");
+      const fs = require("fs");
+      const { ethers } = hre;
+
+      const config = await loadConfig(ethers.provider, {
+        rewardPool: poolAddressValue(hre, "v1", address, "--reward-pool"),
+      });
+      const [maintainer] = await ethers.getSigners();
+      taskLog("Maintainer wallet:", maintainer.address);
+
+      const rewardPool = await ethers.getContractAt("RewardPool", config.rewardPool, maintainer);
+      const rows = readActiveStakesCsv(csv);
+      if (batchSize === undefined && !fs.existsSync(checkpointPath)) {
+        batchSize =
+          benchmark === undefined
+            ? await estimateBatchSize(rewardPool, rows, maxGas)
+            : maxBatchSizeFromReport(readBenchmarkReport(benchmark), "RewardPool.forceMigrateToV2", maxGas);
+        taskLog(`Batch size fitting ${maxGas} gas:`, batchSize);
+      }
+
+      const checkpoint = await forceMigrateToV2(rewardPool, rows, {
+        batchSize,
+        checkpointPath,
+        dryRun,
+        waitOptions: getWaitOptions(hre, maintainer),
+        log: taskLog,
+      });
+      if (dryRun) return;
+
+      const discrepancies = await reconcileForceMigration(rewardPool, rows, checkpoint);
+      if (discrepancies.length === 0) {
+        taskLog(`All ${rows.length} wallets are reconciled`);
+      } else {
+        taskLog("RewardPoolV2 balance discrepancies:");
+        taskTable(
+          discrepancies.map(({ wallet, expected, minted, balance }) => ({
+            wallet,
+            expected: ethers.formatEther(expected),
+            minted: ethers.formatEther(minted),
+            balance: ethers.formatEther(balance),
+          })),
+        );
+      }
+    },
+  );
+
+task("pool:force-migrate-to-v3", "Migrates remaining holders of a stopped RewardPoolV2 to RewardPoolV3")
+  .addOptionalParam(
+    "rewardPoolV2",
+    "RewardPoolV2 proxy address (defaults to the deployments manifest, then REWARD_POOL_V2_ADDRESS env)",
+  )
+  .addOptionalParam("fromBlock", "The RewardPoolV2 deployment block", 0, types.int)
+  .addOptionalParam(
+    "batchSize",
+    "The number of holders per transaction (defaults to the --benchmark size, then 100)",
+    undefined,
+    types.int,
+  )
+  .addOptionalParam("benchmark", "bench:batches JSON report to size batches by")
+  .addOptionalParam(
+    "maxGas",
+    "Gas limit per transaction to size batches by the --benchmark report",
+    10000000,
+    types.int,
+  )
+  .addFlag("dryRun", "Check the batches by static calls without sending transactions")
+  .setAction(async ({ rewardPoolV2: address, fromBlock, batchSize, benchmark, maxGas, dryRun }, hre) => {
+    const { collectRewardPoolV2Holders, forceMigrateToV3 } = require("../utils/forceMigration");
+    const { readBenchmarkReport, maxBatchSizeFromReport } = require("../utils/batchBenchmark");
+    const { loadConfig } = require("../utils/config");
+    const { ethers } = hre;
+
+    const config = await loadConfig(ethers.provider, {
+      rewardPoolV2: poolAddressValue(hre, "v2", address, "--reward-pool-v2"),
+    });
+    const [maintainer] = await ethers.getSigners();
+    taskLog("Maintainer wallet:", maintainer.address);
+
+    const rewardPoolV2 = await ethers.getContractAt("RewardPoolV2", config.rewardPoolV2, maintainer);
+    const holders = await collectRewardPoolV2Holders(rewardPoolV2, { fromBlock });
+    const totalBalance = holders.reduce((total, holder) => total + holder.balance, 0n);
+    taskLog(`Remaining holders: ${holders.length}, total balance ${ethers.formatEther(totalBalance)}`);
+    if (batchSize === undefined && benchmark !== undefined) {
+      batchSize = maxBatchSizeFromReport(readBenchmarkReport(benchmark), "RewardPoolV2.forceMigrateToV3", maxGas);
+      taskLog(`Batch size fitting ${maxGas} gas:`, batchSize);
+    }
+
+    await forceMigrateToV3(
+      rewardPoolV2,
+      holders.map((holder) => holder.account),
+      { batchSize: batchSize ?? 100, dryRun, waitOptions: getWaitOptions(hre, maintainer), log: taskLog },
+    );
+    if (dryRun) return;
+
+    const remaining = await collectRewardPoolV2Holders(rewardPoolV2, { fromBlock });
+    taskLog("Holders left after the migration:", remaining.length);
+  });
@@ -0,0 +1,266 @@
+const { task, types } = require("hardhat/config");
+const { getPoolConfig, getDeploymentsDir, poolAddressValue, executeOwnerCalls, taskLog } = require("./params");
+
+const ADDRESS_PARAM = "Pool proxy address (defaults to the deployments manifest, then the pool address env)";
+const SAFE_BATCH_PARAM =
+  "Append the calls to this Safe Transaction Builder batch file of the pool owner instead of sending them";
+
+const checkVersion = (version, versions, action) => {
+  getPoolConfig(version);
+  if (!versions.includes(version))
+    throw new Error(`Pool ${version} has no ${action}, expected ${versions.join(" or ")}`);
+};
+
+/**
+ * Returns the pool contract, the owner signer and, for a Safe batch, the Safe owning the pool.
+ */
+const connectPoolOwner = async (hre, contract, address, safeBatch) => {
+  const { ethers } = hre;
+  const pool = await ethers.getContractAt(contract, address);
+  const [signer] = await ethers.getSigners();
+  const safe = safeBatch === undefined ? undefined : await pool.owner();
+  taskLog(safe === undefined ? `Owner wallet: ${signer.address}` : `Safe: ${safe}`);
+  return { pool, signer, safe, safeBatch };
+};
+
+task("pool:update-incentive", "Starts or updates the staking incentive of RewardPoolV2 (v2) or RewardPoolV3 (v3)")
+  .addParam("pool", "Pool version: v2 or v3")
+  .addOptionalParam("address", ADDRESS_PARAM)
+  .addOptionalParam("reward", "Extra reward in token base units, approved to the pool by the owner", "0")
+  .addParam("duration", "Incentive duration in seconds", undefined, types.int)
+  .addOptionalParam("safeBatch", SAFE_BATCH_PARAM)
+  .setAction(async (args, hre) => {
+    const config = require("../utils/config");
+    const { ethers } = hre;
+
+    checkVersion(args.pool, ["v2", "v3"], "staking incentive");
+    const { contract } = getPoolConfig(args.pool);
+    const { address, reward, duration } = await config.loadConfig(ethers.provider, {
+      address: poolAddressValue(hre, args.pool, args.address, "--address"),
+      reward: config.amountValue({
+        value: args.reward,
+        param: "--reward",
+        max: args.pool === "v2" ? config.MAX_UINT128 : undefined,
+      }),
+      duration: config.integerValue({
+        value: args.duration,
+        param: "--duration",
+        min: config.MIN_INCENTIVE_DURATION,
+        max: config.MAX_INCENTIVE_DURATION,
+      }),
+    });
+
+    const owner = await connectPoolOwner(hre, contract, address, args.safeBatch);
+    const { pool } = owner;
+    const rewardToken = await ethers.getContractAt(
+      "IERC20Metadata",
+      args.pool === "v2" ? await pool.underlying() : await pool.rewardToken(),
+    );
+    const symbol = await rewardToken.symbol();
+    const payer = owner.safe ?? owner.signer.address;
+    const balance = await rewardToken.balanceOf(payer);
+    if (balance < reward) throw new Error(`The ${symbol} balance of ${payer} is ${balance}, lower than the reward`);
+
+    const calls = [];
+    if (reward > 0n) {
+      calls.push({
+        contract: rewardToken,
+        method: "approve",
+        args: [address, reward],
+        description: `Approve ${ethers.formatUnits(reward, await rewardToken.decimals())} ${symbol} to ${contract}`,
+      });
+    }
+    calls.push({
+      contract: pool,
+      method: "updateStakingIncentive",
+      args: [reward, duration],
+      description: `${contract} incentive update: extra reward ${reward}, duration ${duration} seconds`,
+    });
+    await executeOwnerCalls(hre, calls, owner);
+  });
+
+task("pool:change-unstake-period", "Changes the unstake period of a pool (the withdrawal delay of RewardPoolV2)")
+  .addParam("pool", "Pool version: v1, v2 or v3")
+  .addOptionalParam("address", ADDRESS_PARAM)
+  .addParam("period", "Unstake (withdrawal delay) period in seconds", undefined, types.int)
+  .addOptionalParam("safeBatch", SAFE_BATCH_PARAM)
+  .setAction(async (args, hre) => {
+    const config = require("../utils/config");
+    const { ethers } = hre;
+
+    const { contract } = getPoolConfig(args.pool);
+    const { address, period } = await config.loadConfig(ethers.provider, {
+      address: poolAddressValue(hre, args.pool, args.address, "--address"),
+      period: config.integerValue({
+        value: args.period,
+        param: "--period",
+        min: 1,
+        max: args.pool === "v1" ? config.MAX_UNSTAKE_PERIOD : config.MAX_UINT32,
+      }),
+    });
+
+    const owner = await connectPoolOwner(hre, contract, address, args.safeBatch);
+    const method = args.pool === "v2" ? "changeWithdrawalDelay" : "changeUnstakePeriod";
+    await executeOwnerCalls(
+      hre,
+      [{ contract: owner.pool, method, args: [period], description: `${contract} ${method}: ${period} seconds` }],
+      owner,
+    );
+  });
+
+task("pool:change-lock-tier", "Sets the lock period and the reward multiplier of a RewardPoolV3 lock tier")
+  .addOptionalParam("address", ADDRESS_PARAM)
+  .addParam("tier", "Lock tier ID from 0 to 255", undefined, types.int)
+  .addParam("lockPeriod", "Lock period of new stakes of the tier in seconds", undefined, types.int)
+  .addParam("multiplier", "Reward multiplier in basis points (10000 is 1x), 0 disables the tier", undefined, types.int)
+  .addOptionalParam("safeBatch", SAFE_BATCH_PARAM)
+  .setAction(async (args, hre) => {
+    const config = require("../utils/config");
+    const { ethers } = hre;
+
+    const { contract } = getPoolConfig("v3");
+    const { address, tier, lockPeriod, multiplier } = await config.loadConfig(ethers.provider, {
+      address: poolAddressValue(hre, "v3", args.address, "--address"),
+      tier: config.integerValue({ value: args.tier, param: "--tier", max: 255 }),
+      lockPeriod: config.integerValue({ value: args.lockPeriod, param: "--lock-period", max: config.MAX_LOCK_PERIOD }),
+      multiplier: config.multiplierValue({ value: args.multiplier, param: "--multiplier" }),
+    });
+
+    const owner = await connectPoolOwner(hre, contract, address, args.safeBatch);
+    const description =
+      multiplier === 0
+        ? `${contract} lock tier ${tier}: disabled`
+        : `${contract} lock tier ${tier}: lock period ${lockPeriod} seconds, multiplier ${multiplier / config.MULTIPLIER_BASE}x`;
+    await executeOwnerCalls(
+      hre,
+      [{ contract: owner.pool, method: "changeLockTier", args: [tier, lockPeriod, multiplier], description }],
+      owner,
+    );
+  });
+
+task("pool:change-maintainer", "Changes the maintainer forcing the migration of RewardPool (v1) or RewardPoolV2 (v2)")
+  .addParam("pool", "Pool version: v1 or v2")
+  .addOptionalParam("address", ADDRESS_PARAM)
+  .addParam("maintainer", "The new maintainer")
+  .addOptionalParam("safeBatch", SAFE_BATCH_PARAM)
+  .setAction(async (args, hre) => {
+    const config = require("../utils/config");
+    const { ethers } = hre;
+
+    checkVersion(args.pool, ["v1", "v2"], "maintainer");
+    const { contract } = getPoolConfig(args.pool);
+    const { address, maintainer } = await config.loadConfig(ethers.provider, {
+      address: poolAddressValue(hre, args.pool, args.address, "--address"),
+      maintainer: config.addressValue({ value: args.maintainer, param: "--maintainer", hasCode: false }),
+    });
+
+    const owner = await connectPoolOwner(hre, contract, address, args.safeBatch);
+    await executeOwnerCalls(
+      hre,
+      [
+        {
+          contract: owner.pool,
+          method: "changeMaintainer",
+          args: [maintainer],
+          description: `${contract} maintainer change to ${maintainer}`,
+        },
+      ],
+      owner,
+    );
+  });
+
+task("pool:stop", "Stops RewardPool (v1) or RewardPoolV2 (v2) before the forced migration, this cannot be undone")
+  .addParam("pool", "Pool version: v1 or v2")
+  .addOptionalParam("address", ADDRESS_PARAM)
+  .addOptionalParam("safeBatch", SAFE_BATCH_PARAM)
+  .setAction(async (args, hre) => {
+    const config = require("../utils/config");
+    const { ethers } = hre;
+
+    checkVersion(args.pool, ["v1", "v2"], "stop");
+    const { contract } = getPoolConfig(args.pool);
+    const { address } = await config.loadConfig(ethers.provider, {
+      address: poolAddressValue(hre, args.pool, args.address, "--address"),
+    });
+
+    const owner = await connectPoolOwner(hre, contract, address, args.safeBatch);
+    if (await owner.pool.isContractStopped()) throw new Error(`${contract} ${address} is already stopped`);
+    // The stopped pool can only be left by the forced migration of its maintainer
+    if ((await owner.pool.maintainer()) === ethers.ZeroAddress)
+      taskLog(`Warning: ${contract} ${address} has no maintainer to force the migration`);
+    await executeOwnerCalls(
+      hre,
+      [{ contract: owner.pool, method: "stop", args: [], description: `${contract} stop` }],
+      owner,
+    );
+  });
+
+task("pool:recover", "Recovers tokens sent to RewardPoolV2 (v2) or RewardPoolV3 (v3) by mistake")
+  .addParam("pool", "Pool version: v2 or v3")
+  .addOptionalParam("address", ADDRESS_PARAM)
+  .addParam("to", "The recipient of the recovered tokens")
+  .addOptionalParam("token", "v3: the token to recover")
+  .addOptionalParam("safeBatch", SAFE_BATCH_PARAM)
+  .setAction(async (args, hre) => {
+    const config = require("../utils/config");
+    const { ethers } = hre;
+
+    checkVersion(args.pool, ["v2", "v3"], "recover");
+    const { contract } = getPoolConfig(args.pool);
+    const values = {
+      address: poolAddressValue(hre, args.pool, args.address, "--address"),
+      to: config.addressValue({ value: args.to, param: "--to", hasCode: false }),
+    };
+    if (args.pool === "v3") values.token = config.addressValue({ value: args.token, param: "--token" });
+    const { address, to, token } = await config.loadConfig(ethers.provider, values);
+
+    const owner = await connectPoolOwner(hre, contract, address, args.safeBatch);
+    const recoverArgs = args.pool === "v2" ? [to] : [token, to];
+    await executeOwnerCalls(
+      hre,
+      [{ contract: owner.pool, method: "recover", args: recoverArgs, description: `${contract} recover to ${to}` }],
+      owner,
+    );
+  });
+
+task("safe:decode", "Prints the transactions of a Safe Transaction Builder batch for review")
+  .addPositionalParam("file", "The batch JSON file")
+  .setAction(async ({ file }, hre) => {
+    const fs = require("fs");
+    const { decodeSafeBatch, formatSafeBatch } = require("../utils/safeBatch");
+    const { readDeployments } = require("../utils/deployments");
+    const { ethers, upgrades, network } = hre;
+
+    const batch = JSON.parse(fs.readFileSync(file));
+    const poolInterfaces = {};
+    for (const contract of ["RewardPool", "RewardPoolV2", "RewardPoolV3"]) {
+      poolInterfaces[contract] = new ethers.Interface((await hre.artifacts.readArtifact(contract)).abi);
+    }
+
+    // Known addresses are labeled by the manifest and on-chain reads of the batch network only
+    const labels = {};
+    const contracts = {};
+    const { chainId } = await ethers.provider.getNetwork();
+    if (batch.chainId === chainId.toString()) {
+      const { contracts: deployments } = readDeployments(getDeploymentsDir(hre), network.name);
+      for (const [contract, { proxy }] of Object.entries(deployments)) {
+        labels[proxy.toLowerCase()] = contract;
+        contracts[proxy.toLowerCase()] = poolInterfaces[contract];
+        const admin = await upgrades.erc1967.getAdminAddress(proxy).catch(() => undefined);
+        if (admin !== undefined) labels[admin.toLowerCase()] = `${contract} ProxyAdmin`;
+      }
+      for (const { to } of batch.transactions) {
+        if (labels[to.toLowerCase()] !== undefined) continue;
+        const token = await ethers.getContractAt("IERC20Metadata", to);
+        const symbol = await token.symbol().catch(() => undefined);
+        if (symbol !== undefined) labels[to.toLowerCase()] = symbol;
+      }
+    } else {
+      taskLog(`Warning: the batch is for chain ${batch.chainId}, not ${network.name} (${chainId})`);
+    }
+
+    const decoded = decodeSafeBatch(batch, { contracts, interfaces: Object.values(poolInterfaces) });
+    taskLog(`"${decoded.name}": ${decoded.description}`);
+    taskLog(formatSafeBatch(decoded, labels));
+    return decoded;
+  });
@@ -0,0 +1,133 @@
+const path = require("path");
+const { getDeploymentsPath, getDeployment } = require("../utils/deployments");
+const { addressValue } = require("../utils/config");
+const { waitForTransaction } = require("../utils/transactions");
+const { appendToSafeBatch } = require("../utils/safeBatch");
+
+const POOLS = {
+  v1: { contract: "RewardPool", addressEnv: "REWARD_POOL_ADDRESS" },
+  v2: { contract: "RewardPoolV2", addressEnv: "REWARD_POOL_V2_ADDRESS" },
+  v3: { contract: "RewardPoolV3", addressEnv: "REWARD_POOL_V3_ADDRESS" },
+};
+
+/** Logger swallowing the task output, for tests */
+const SILENT_LOGGER = { log: () => {}, table: () => {} };
+
+let taskLogger = console;
+
+/**
+ * Replaces the `console`-like logger (`log` and `table`) the tasks write their output to, e.g. with `SILENT_LOGGER`
+ * in tests. Returns the previous one.
+ */
+const setTaskLogger = (logger) => {
+  const previous = taskLogger;
+  taskLogger = logger;
+  return previous;
+};
+
+/** Writes task output lines to the task logger */
+const taskLog = (...args) => taskLogger.log(...args);
+
+/** Writes task output tables to the task logger */
+const taskTable = (...args) => taskLogger.table(...args);
+
+/**
+ * Returns the contract name and the address env variable of a pool version.
+ */
+const getPoolConfig = (version) => {
+  const config = POOLS[version];
+  if (config === undefined) throw new Error(`Unknown pool version "${version}", expected v1, v2 or v3`);
+  return config;
+};
+
+/**
+ * Returns the directory of the per-network deployments manifests.
+ */
+const getDeploymentsDir = (hre) => path.resolve(hre.config.paths.root, hre.config.paths.deployments ?? "deployments");
+
+/**
+ * Returns the pool proxy address from the task param, the deployments manifest of the network or the env variable,
+ * in that order. Returns undefined if none is set.
+ * @param networkName the manifest to look in, the current network by default
+ */
+const findPoolAddress = (hre, version, value, networkName = hre.network.name) => {
+  if (value !== undefined) return value;
+  const { contract, addressEnv } = getPoolConfig(version);
+  const deployment = getDeployment(getDeploymentsDir(hre), networkName, contract);
+  if (deployment !== undefined) return deployment.proxy;
+  return process.env[addressEnv] || undefined;
+};
+
+/**
+ * Describes the pool proxy address for `loadConfig`, see `findPoolAddress`.
+ */
+const poolAddressValue = (hre, version, value, param, { networkName = hre.network.name, optional = false } = {}) => {
+  const { contract, addressEnv } = getPoolConfig(version);
+  const manifestPath = path.relative(hre.config.paths.root, getDeploymentsPath(getDeploymentsDir(hre), networkName));
+  return addressValue({
+    value: findPoolAddress(hre, version, value, networkName),
+    param,
+    optional,
+    missing: `${param} is not set, ${contract} is not in ${manifestPath} and ${addressEnv} env is empty`,
+  });
+};
+
+/**
+ * Returns the `waitForTransaction` options of the network: `confirmations`, `bumpAfter`, `gasBumpPercent` and
+ * `maxBumps` set in its hardhat config override the defaults.
+ * @param signer the signer to resend stuck and dropped transactions with
+ */
+const getWaitOptions = (hre, signer) => {
+  const { confirmations, bumpAfter, gasBumpPercent, maxBumps } = hre.network.config;
+  const options = { signer, confirmations, bumpAfter, gasBumpPercent, maxBumps, log: taskLog };
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Sends owner calls one by one, or appends them to a Safe Transaction Builder batch file instead of broadcasting.
+ * @param calls `[{ contract, method, args, description }]`, contracts are ethers v6 contracts.
+ * @param signer The owner sending the calls.
+ * @param safeBatch The batch file to write the calls to.
+ * @param safe The Safe owning the called contracts.
+ * @param log The output of the calls, the task logger by default.
+ */
+const executeOwnerCalls = async (hre, calls, { signer, safeBatch, safe, log = taskLog }) => {
+  const { ethers } = hre;
+
+  if (safeBatch === undefined) {
+    for (const { contract, method, args, description } of calls) {
+      const tx = await contract.connect(signer)[method](...args);
+      await waitForTransaction(tx, { ...getWaitOptions(hre, signer), description, log });
+    }
+    return;
+  }
+
+  if ((await ethers.provider.getCode(safe)) === "0x") log(`Warning: the owner ${safe} is not a contract`);
+  const { chainId } = await ethers.provider.getNetwork();
+  const batch = await appendToSafeBatch(safeBatch, { chainId, safe, calls });
+  for (const { description } of calls) log(`Added to the Safe batch: ${description}`);
+  log(`${safeBatch}: ${batch.transactions.length} transactions of Safe ${safe}`);
+};
+
+/**
+ * Splits a comma-separated task param into its trimmed non-empty items.
+ */
+const splitList = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+
+module.exports = {
+  POOLS,
+  SILENT_LOGGER,
+  setTaskLogger,
+  taskLog,
+  taskTable,
+  getPoolConfig,
+  getDeploymentsDir,
+  poolAddressValue,
+  getWaitOptions,
+  executeOwnerCalls,
+  splitList,
+};
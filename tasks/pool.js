@@ -0,0 +1,391 @@
+const { task, types } = require("hardhat/config");
+const {
+  POOLS,
+  getPoolConfig,
+  getDeploymentsDir,
+  poolAddressValue,
+  getWaitOptions,
+  executeOwnerCalls,
+  splitList,
+  taskLog,
+  taskTable,
+} = require("./params");
+
+/**
+ * Resolves the addresses of tasks reading several pools: the `--pool` version only, or all pool versions found in the
+ * deployments manifest or the pool address envs.
+ * @return `{ [version]: address }`
+ */
+const resolvePoolAddresses = async (hre, { pool, address }) => {
+  const { loadConfig } = require("../utils/config");
+
+  if (address !== undefined && pool === undefined) throw new Error("--address needs --pool");
+  const versions = pool === undefined ? Object.keys(POOLS) : [pool];
+  const values = Object.fromEntries(
+    versions.map((version) => [
+      version,
+      poolAddressValue(hre, version, address, "--address", { optional: pool === undefined }),
+    ]),
+  );
+  const addresses = await loadConfig(hre.ethers.provider, values);
+  if (Object.keys(addresses).length === 0) {
+    throw new Error(`No pool is found in the deployments manifest or the pool address envs of ${hre.network.name}`);
+  }
+  return addresses;
+};
+
+task("pool:deploy", "Deploys a RewardPool (v1), RewardPoolV2 (v2) or RewardPoolV3 (v3) proxy")
+  .addParam("pool", "Pool version: v1, v2 or v3")
+  .addOptionalParam("token", "Staking token address (defaults to AZUR env)")
+  .addOptionalParam("rewardToken", "v3: reward token address (defaults to REWARD_TOKEN env)")
+  .addOptionalParam(
+    "unstakePeriod",
+    "Unstake (withdrawal delay) period in seconds (defaults to UNSTAKEPERIOD env)",
+    undefined,
+    types.int,
+  )
+  .addOptionalParam("name", "v2: token name (defaults to NAME env)")
+  .addOptionalParam("symbol", "v2: token symbol (defaults to SYMBOL env)")
+  .setAction(async (args, hre) => {
+    const { deployRewardPool, deployRewardPoolV2, deployRewardPoolV3 } = require("../utils/utils");
+    const { recordDeployment, getDeploymentsPath } = require("../utils/deployments");
+    const { waitForTransaction } = require("../utils/transactions");
+    const config = require("../utils/config");
+    const { ethers, upgrades, network } = hre;
+
+    const { contract } = getPoolConfig(args.pool);
+    const values = {
+      token: config.addressValue({ value: args.token, param: "--token", env: "AZUR" }),
+      unstakePeriod: config.integerValue({
+        value: args.unstakePeriod,
+        param: "--unstake-period",
+        env: "UNSTAKEPERIOD",
+        min: 1,
+        max: args.pool === "v1" ? config.MAX_UNSTAKE_PERIOD : config.MAX_UINT32,
+      }),
+    };
+    const checks = [];
+    if (args.pool === "v2") {
+      values.name = config.stringValue({ value: args.name, param: "--name", env: "NAME" });
+      values.symbol = config.stringValue({ value: args.symbol, param: "--symbol", env: "SYMBOL" });
+    } else if (args.pool === "v3") {
+      values.rewardToken = config.addressValue({
+        value: args.rewardToken,
+        param: "--reward-token",
+        env: "REWARD_TOKEN",
+      });
+      checks.push(config.distinctAddresses(["token", "rewardToken"], "The staking and reward tokens are the same"));
+    }
+    const { token, unstakePeriod, name, symbol, rewardToken } = await config.loadConfig(
+      ethers.provider,
+      values,
+      checks,
+    );
+
+    const [deployer] = await ethers.getSigners();
+    taskLog("Deployer wallet:", deployer.address);
+
+    let pool, initializerArgs;
+    if (args.pool === "v1") {
+      initializerArgs = [token, unstakePeriod];
+      pool = await deployRewardPool(token, deployer, unstakePeriod);
+    } else if (args.pool === "v2") {
+      initializerArgs = [token, name, symbol, unstakePeriod];
+      pool = await deployRewardPoolV2(token, deployer, name, symbol, unstakePeriod);
+    } else {
+      initializerArgs = [token, rewardToken, unstakePeriod];
+      pool = await deployRewardPoolV3(token, rewardToken, unstakePeriod);
+    }
+    const receipt = await waitForTransaction(pool.deploymentTransaction(), {
+      ...getWaitOptions(hre, deployer),
+      description: `${contract} proxy deployment`,
+    });
+    const chainId = await network.provider.send("eth_chainId");
+
+    const dir = getDeploymentsDir(hre);
+    const { proxy, implementations } = await recordDeployment(dir, {
+      network: network.name,
+      chainId: Number(chainId),
+      contract,
+      pool,
+      initializerArgs,
+      upgrades,
+      receipt,
+    });
+    taskLog(`${contract}:`, proxy);
+    taskLog(`${contract} implementation:`, implementations[0].address);
+    taskLog("Recorded in", getDeploymentsPath(dir, network.name));
+    return pool;
+  });
+
+task("pool:upgrade", "Upgrades a pool proxy to the current implementation")
+  .addParam("pool", "Pool version: v1, v2 or v3")
+  .addOptionalParam("address", "Pool proxy address (defaults to the deployments manifest, then the pool address env)")
+  .addOptionalParam("allowChanges", "pool:check-upgrade: comma-separated getters expected to change")
+  .addFlag("skipCheck", "Upgrade without running pool:check-upgrade first")
+  .addOptionalParam(
+    "safeBatch",
+    "Deploy the implementation and append the upgrade to this Safe Transaction Builder batch file of the proxy admin owner",
+  )
+  .setAction(async (args, hre) => {
+    const { recordUpgrade, getDeployment } = require("../utils/deployments");
+    const { waitForTransaction } = require("../utils/transactions");
+    const { loadConfig } = require("../utils/config");
+    const { ethers, upgrades, network } = hre;
+
+    const { contract } = getPoolConfig(args.pool);
+    const { address } = await loadConfig(ethers.provider, {
+      address: poolAddressValue(hre, args.pool, args.address, "--address"),
+    });
+    const dir = getDeploymentsDir(hre);
+    const deployment = getDeployment(dir, network.name, contract);
+
+    const [deployer] = await ethers.getSigners();
+    taskLog("Deployer wallet:", deployer.address);
+    taskLog(`Upgrading ${contract}:`, address);
+
+    if (!args.skipCheck) {
+      const checkArgs = { pool: args.pool, address, allowChanges: args.allowChanges };
+      if (network.name === "hardhat") {
+        await hre.run("pool:check-upgrade", checkArgs);
+      } else {
+        // The state of live networks is checked on a fork in a separate hardhat process
+        const { spawnSync } = require("child_process");
+        const params = Object.entries({ ...checkArgs, fork: network.name })
+          .filter(([, value]) => value !== undefined)
+          .flatMap(([name, value]) => [`--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`, value]);
+        const { status } = spawnSync("npx", ["hardhat", "pool:check-upgrade", ...params], {
+          cwd: hre.config.paths.root,
+          stdio: "inherit",
+        });
+        if (status !== 0) throw new Error("pool:check-upgrade failed, the upgrade is not sent");
+      }
+    }
+
+    const Pool = await ethers.getContractFactory(contract);
+    if (args.safeBatch !== undefined) {
+      const { getUpgradeInterfaceVersion } = require("@openzeppelin/upgrades-core");
+      const { PROXY_ADMIN_ABI } = require("../utils/safeBatch");
+      const implementation = await upgrades.prepareUpgrade(address, Pool);
+      taskLog(`${contract} new implementation address:`, implementation);
+
+      const adminAddress = await upgrades.erc1967.getAdminAddress(address);
+      const admin = await ethers.getContractAt(PROXY_ADMIN_ABI, adminAddress);
+      // ProxyAdmin 5 has upgradeAndCall only
+      const call =
+        (await getUpgradeInterfaceVersion(network.provider, adminAddress)) === "5.0.0"
+          ? { method: "upgradeAndCall", args: [address, implementation, "0x"] }
+          : { method: "upgrade", args: [address, implementation] };
+      const description = `Upgrade ${contract} ${address} to ${implementation}`;
+      await executeOwnerCalls(hre, [{ contract: admin, ...call, description }], {
+        safeBatch: args.safeBatch,
+        safe: await admin.owner(),
+      });
+      return;
+    }
+
+    const pool = await upgrades.upgradeProxy(address, Pool);
+    const receipt = await waitForTransaction(pool.deployTransaction, {
+      ...getWaitOptions(hre, deployer),
+      description: `${contract} upgrade`,
+    });
+    const chainId = await network.provider.send("eth_chainId");
+
+    taskLog(`${contract} new implementation address:`, await upgrades.erc1967.getImplementationAddress(address));
+    if (deployment !== undefined && deployment.proxy !== address) {
+      taskLog(`Warning: the manifest records ${contract} at ${deployment.proxy}, the upgrade is not recorded`);
+      return;
+    }
+    await recordUpgrade(dir, { network: network.name, chainId: Number(chainId), contract, pool, upgrades, receipt });
+  });
+
+task("pool:check-upgrade", "Checks that the upgrade of a pool proxy to the current implementation is safe")
+  .addParam("pool", "Pool version: v1, v2 or v3")
+  .addOptionalParam("address", "Pool proxy address (defaults to the deployments manifest, then the pool address env)")
+  .addOptionalParam("fork", "Network to fork the state of, the check itself runs on the hardhat network")
+  .addOptionalParam("forkBlock", "The block to fork at (the latest by default)", undefined, types.int)
+  .addOptionalParam("samples", "The number of stakes or withdrawal requests to compare", 10, types.int)
+  .addOptionalParam("accounts", "Comma-separated accounts to compare the balances of", "")
+  .addOptionalParam("allowChanges", "Comma-separated getters expected to change, e.g. rewardRate,stakes", "")
+  .setAction(async (args, hre) => {
+    const { checkUpgrade } = require("../utils/upgradeSafety");
+    const { loadConfig } = require("../utils/config");
+    const { ethers, network } = hre;
+
+    const { contract } = getPoolConfig(args.pool);
+    if (args.fork !== undefined) {
+      if (network.name !== "hardhat") throw new Error(`--fork needs the hardhat network, not ${network.name}`);
+      const jsonRpcUrl = hre.config.networks[args.fork]?.url;
+      if (jsonRpcUrl === undefined) throw new Error(`Network ${args.fork} has no url to fork`);
+      await network.provider.request({
+        method: "hardhat_reset",
+        params: [{ forking: { jsonRpcUrl, blockNumber: args.forkBlock } }],
+      });
+      taskLog(`Forked ${args.fork} at block`, await ethers.provider.getBlockNumber());
+    }
+    const { address } = await loadConfig(ethers.provider, {
+      address: poolAddressValue(hre, args.pool, args.address, "--address", { networkName: args.fork ?? network.name }),
+    });
+
+    await checkUpgrade(hre, {
+      contract,
+      proxy: address,
+      samples: args.samples,
+      accounts: splitList(args.accounts),
+      allowedChanges: splitList(args.allowChanges),
+      log: taskLog,
+    });
+    taskLog(`The upgrade of ${contract} ${address} is safe`);
+  });
+
+task("pool:migrate", "Sets the pool the stakes are migrated to: RewardPoolV2 for v1, RewardPoolV3 for v2")
+  .addParam("pool", "Pool version to migrate from: v1 or v2")
+  .addOptionalParam("address", "Pool proxy address (defaults to the deployments manifest, then the pool address env)")
+  .addOptionalParam(
+    "target",
+    "Next pool proxy address (defaults to the deployments manifest, then the pool address env)",
+  )
+  .addOptionalParam("safeBatch", "Append the call to this Safe Transaction Builder batch file of the pool owner")
+  .setAction(async (args, hre) => {
+    const { loadConfig, distinctAddresses } = require("../utils/config");
+    const { ethers } = hre;
+
+    if (args.pool !== "v1" && args.pool !== "v2")
+      throw new Error(`Pool ${args.pool} has no migration, expected v1 or v2`);
+    const nextVersion = args.pool === "v1" ? "v2" : "v3";
+    const { contract } = getPoolConfig(args.pool);
+    const next = getPoolConfig(nextVersion);
+    const { address, target } = await loadConfig(
+      ethers.provider,
+      {
+        address: poolAddressValue(hre, args.pool, args.address, "--address"),
+        target: poolAddressValue(hre, nextVersion, args.target, "--target"),
+      },
+      [distinctAddresses(["address", "target"], `The ${contract} and ${next.contract} addresses are the same`)],
+    );
+
+    const [signer] = await ethers.getSigners();
+    const pool = await ethers.getContractAt(contract, address);
+    const safe = args.safeBatch === undefined ? undefined : await pool.owner();
+    const method = args.pool === "v1" ? "changeRewardPoolV2" : "changeRewardPoolV3";
+    await executeOwnerCalls(
+      hre,
+      [{ contract: pool, method, args: [target], description: `${contract} migration target change` }],
+      { signer, safeBatch: args.safeBatch, safe },
+    );
+
+    if (safe === undefined) taskLog(`${contract} ${address} migrates to ${next.contract} ${target}`);
+  });
+
+task("pool:status", "Prints the status of RewardPool (v1), RewardPoolV2 (v2) and RewardPoolV3 (v3) proxies")
+  .addOptionalParam(
+    "pool",
+    "Pool version: v1, v2 or v3 (all pools of the manifest or the pool address envs by default)",
+  )
+  .addOptionalParam("address", "Pool proxy address (defaults to the deployments manifest, then the pool address env)")
+  .addOptionalParam("block", "The block to read the status at (the latest by default)", undefined, types.int)
+  .addFlag("json", "Print JSON instead of a table")
+  .setAction(async (args, hre) => {
+    const { getPoolStatus, formatPoolStatus } = require("../utils/poolStatus");
+    const { ethers } = hre;
+
+    const addresses = await resolvePoolAddresses(hre, args);
+    const statuses = {};
+    for (const [version, address] of Object.entries(addresses)) {
+      statuses[getPoolConfig(version).contract] = await getPoolStatus(version, address, ethers.provider, args.block);
+    }
+
+    if (args.json) {
+      taskLog(JSON.stringify(statuses, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+      return statuses;
+    }
+    const [{ blockNumber, timestamp }] = Object.values(statuses);
+    taskLog(`${hre.network.name} block ${blockNumber}, ${new Date(Number(timestamp) * 1000).toISOString()}`);
+    const columns = Object.entries(statuses).map(([contract, status]) => [contract, formatPoolStatus(status)]);
+    taskTable(
+      Object.fromEntries(
+        Object.keys(columns[0][1]).map((field) => [
+          field,
+          Object.fromEntries(columns.map(([contract, formatted]) => [contract, formatted[field]])),
+        ]),
+      ),
+    );
+    return statuses;
+  });
+
+task("pool:check-solvency", "Checks that the token balances of pools cover their obligations to stakers")
+  .addOptionalParam(
+    "pool",
+    "Pool version: v1, v2 or v3 (all pools of the manifest or the pool address envs by default)",
+  )
+  .addOptionalParam("address", "Pool proxy address (defaults to the deployments manifest, then the pool address env)")
+  .addOptionalParam(
+    "fromBlock",
+    "The first block to enumerate stakers from (defaults to the deployment block of the manifest, then 0)",
+    undefined,
+    types.int,
+  )
+  .addFlag("watch", "Check repeatedly until a violation is found")
+  .addOptionalParam("interval", "Seconds between the checks in the watch mode", 60, types.int)
+  .addFlag("json", "Print JSON reports instead of tables")
+  .setAction(async (args, hre) => {
+    const { checkSolvency, watchSolvency } = require("../utils/solvency");
+    const { getDeployment } = require("../utils/deployments");
+    const { ethers, network } = hre;
+
+    const addresses = await resolvePoolAddresses(hre, args);
+    const fromBlocks = Object.fromEntries(
+      Object.entries(addresses).map(([version, address]) => {
+        const deployment = getDeployment(getDeploymentsDir(hre), network.name, getPoolConfig(version).contract);
+        return [version, args.fromBlock ?? (deployment?.proxy === address ? deployment.blockNumber : 0)];
+      }),
+    );
+
+    const check = async () => {
+      const reports = [];
+      for (const [version, address] of Object.entries(addresses)) {
+        reports.push(await checkSolvency(version, address, ethers.provider, { fromBlock: fromBlocks[version] }));
+      }
+      return reports;
+    };
+    const printReports = (reports) => {
+      if (args.json) {
+        taskLog(JSON.stringify(reports, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+        return;
+      }
+      taskLog(`${network.name} block ${reports[0].blockNumber}, ${new Date().toISOString()}`);
+      taskTable(
+        reports.flatMap(({ version, tokens }) =>
+          tokens.map(({ symbol, decimals, balance, obligations, required, surplus, isSolvent }) => ({
+            pool: getPoolConfig(version).contract,
+            token: symbol,
+            balance: ethers.formatUnits(balance, decimals),
+            required: ethers.formatUnits(required, decimals),
+            obligations: Object.entries(obligations)
+              .map(([name, amount]) => `${name} ${ethers.formatUnits(amount, decimals)}`)
+              .join(", "),
+            surplus: ethers.formatUnits(surplus, decimals),
+            status: isSolvent ? "ok" : "DEFICIT",
+          })),
+        ),
+      );
+    };
+
+    const reports = await watchSolvency(check, {
+      interval: args.interval * 1000,
+      rounds: args.watch ? Infinity : 1,
+      onReports: printReports,
+      onError: args.watch ? (error) => taskLog(`Check failed, retrying: ${error.message}`) : undefined,
+    });
+
+    const violations = reports.flatMap(({ version, tokens }) =>
+      tokens
+        .filter((token) => !token.isSolvent)
+        .map(
+          ({ symbol, decimals, surplus }) =>
+            `${getPoolConfig(version).contract} ${symbol} deficit ${ethers.formatUnits(-surplus, decimals)}`,
+        ),
+    );
+    if (violations.length > 0) throw new Error(`Solvency violations: ${violations.join(", ")}`);
+    return reports;
+  });
@@ -0,0 +1,71 @@
+const { task, types } = require("hardhat/config");
+const { taskLog, taskTable } = require("./params");
+
+const formatPercent = (value) => (value === null ? "-" : `${(value * 100).toFixed(4)}%`);
+
+task("sim:run", "Simulates stakers of a RewardPoolV3 or RewardPoolV2 incentive program on the hardhat network")
+  .addOptionalParam("scenario", "JSON file of the simulation config, merged over the defaults")
+  .addOptionalParam("pool", "Pool version: v2 or v3")
+  .addOptionalParam("stakers", "Number of simulated stakers", undefined, types.int)
+  .addOptionalParam("days", "Simulated days", undefined, types.int)
+  .addOptionalParam("seed", "Seed of the simulated behaviour", undefined, types.int)
+  .addOptionalParam("out", "JSON file to write the full report to")
+  .setAction(async (args, hre) => {
+    const fs = require("fs");
+    const { runSimulation } = require("../utils/simulation");
+    const { formatEther } = hre.ethers;
+
+    const config = args.scenario === undefined ? {} : JSON.parse(fs.readFileSync(args.scenario));
+    for (const key of ["pool", "stakers", "days", "seed"]) {
+      if (args[key] !== undefined) config[key] = args[key];
+    }
+
+    const report = await runSimulation(hre, config, { log: taskLog });
+    const { totals, fairness, dust } = report;
+
+    taskLog(
+      `${report.config.pool.toUpperCase()} pool ${report.pool.address}: ${report.accounts.length} stakers, ` +
+        `${report.config.days} days, ${totals.transactions} transactions`,
+    );
+    taskTable(
+      report.profiles.map((profile) => ({
+        profile: profile.profile,
+        stakers: profile.stakers,
+        deposited: formatEther(profile.deposited),
+        reward: formatEther(profile.reward),
+        medianApr: formatPercent(profile.aprMedian),
+        gasUsed: profile.gasUsed.toString(),
+      })),
+    );
+    taskTable({
+      funded: formatEther(totals.funded),
+      distributed: formatEther(totals.distributed),
+      remainingReward: formatEther(dust.remainingReward),
+      undistributed: formatEther(dust.undistributed),
+      roundingDust: `${dust.rounding} wei`,
+    });
+    taskTable({
+      aprMin: formatPercent(fairness.aprMin),
+      aprMedian: formatPercent(fairness.aprMedian),
+      aprMax: formatPercent(fairness.aprMax),
+      aprGini: fairness.gini.toFixed(6),
+      maxDeviationFromIdeal: `${fairness.maxDeviation} wei (${formatPercent(fairness.maxRelativeDeviation)})`,
+    });
+    taskTable(
+      Object.entries(report.gas).map(([method, { count, total, average }]) => ({
+        method,
+        count,
+        total: total.toString(),
+        average: average.toString(),
+      })),
+    );
+
+    if (args.out !== undefined) {
+      fs.writeFileSync(
+        args.out,
+        JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n",
+      );
+      taskLog(`Report written to ${args.out}`);
+    }
+    return report;
+  });
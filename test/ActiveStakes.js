@@ -0,0 +1,122 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { parse } = require("csv-parse/sync");
+
+const {
+  tokens,
+  timeShiftBy,
+  deployRewardPool,
+  deployRewardPoolV2,
+  makeStake,
+  makeRequestUnstake,
+  makeDistributeReward,
+  makeWithdrawReward,
+  makeMigrationToV2,
+} = require("../utils/utils");
+const { collectActiveStakes, formatActiveStakesCsv } = require("../utils/activeStakes");
+const { ethers } = require("hardhat");
+
+const INIT_MINT = tokens("100000000");
+const BASE_STAKE = tokens("100");
+const BASE_REWARD = tokens("100");
+const ONE_DAY = 60 * 60 * 24;
+
+describe("RewardPool active stakes", function () {
+  async function deployFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+    const users = [user1, user2, user3];
+
+    const AZUR = await ethers.getContractFactory("TestERC20", { signer: owner });
+    const azur = await AZUR.deploy("AZUR", "AZUR", INIT_MINT);
+    azur.address = await azur.getAddress();
+
+    const rewardPool = await deployRewardPool(azur.address, owner, ONE_DAY);
+    const stAzur = await deployRewardPoolV2(azur.address, owner, "Staked $AZUR", "stAZUR", ONE_DAY);
+    await rewardPool.connect(owner).changeRewardPoolV2(await stAzur.getAddress());
+    await rewardPool.connect(owner).changeMaintainer(owner.address);
+
+    await azur.connect(owner).approve(await rewardPool.getAddress(), INIT_MINT);
+    for (const user of users) {
+      await azur.connect(owner).transfer(user.address, BASE_STAKE * 10n);
+      await azur.connect(user).approve(await rewardPool.getAddress(), BASE_STAKE * 10n);
+    }
+
+    const stake1 = await makeStake(rewardPool, user1, BASE_STAKE);
+    const stake2 = await makeStake(rewardPool, user1, BASE_STAKE * 2n);
+    const stake3 = await makeStake(rewardPool, user2, BASE_STAKE);
+    const stake4 = await makeStake(rewardPool, user2, BASE_STAKE * 3n);
+    const stake5 = await makeStake(rewardPool, user3, BASE_STAKE);
+    await timeShiftBy(ethers, ONE_DAY);
+    await makeDistributeReward(rewardPool, owner, BASE_REWARD);
+    await makeWithdrawReward(rewardPool, user1, stake2.stakeId);
+    await makeRequestUnstake(rewardPool, user2, stake3.stakeId);
+    await makeMigrationToV2(rewardPool, user3, [stake5.stakeId]);
+
+    return { rewardPool, stAzur, owner, users, stakes: [stake1, stake2, stake3, stake4, stake5] };
+  }
+
+  it("Should aggregate active stakes per wallet", async function () {
+    const { rewardPool, users, stakes } = await loadFixture(deployFixture);
+    const [user1, user2] = users;
+
+    const { totalStaked, totalReward, totalAmount, wallets } = await collectActiveStakes(rewardPool);
+    expect(totalStaked).to.equal(BASE_STAKE * 6n);
+    expect(totalReward).to.equal(0n);
+    expect(totalAmount).to.equal(totalStaked);
+    expect(wallets).to.deep.equal([
+      {
+        wallet: user1.address,
+        stakeIds: [stakes[0].stakeId, stakes[1].stakeId],
+        staked: BASE_STAKE * 3n,
+        reward: 0n,
+        amount: BASE_STAKE * 3n,
+      },
+      {
+        wallet: user2.address,
+        stakeIds: [stakes[3].stakeId],
+        staked: BASE_STAKE * 3n,
+        reward: 0n,
+        amount: BASE_STAKE * 3n,
+      },
+    ]);
+  });
+
+  it("Should include unclaimed rewards", async function () {
+    const { rewardPool, stakes } = await loadFixture(deployFixture);
+
+    const { totalReward, wallets } = await collectActiveStakes(rewardPool, { includeRewards: true });
+    const rewards = [stakes[0], stakes[1], stakes[3]].map((stake) => rewardPool.rewardOf(stake.stakeId));
+    const [reward1, reward2, reward4] = await Promise.all(rewards);
+
+    expect(reward1).to.be.gt(0n);
+    expect(reward2).to.equal(0n);
+    expect(wallets.map((wallet) => wallet.reward)).to.deep.equal([reward1 + reward2, reward4]);
+    expect(totalReward).to.equal(reward1 + reward4);
+  });
+
+  it("Should build CSV for the force migration", async function () {
+    const { rewardPool, stAzur, owner } = await loadFixture(deployFixture);
+
+    await rewardPool.connect(owner).stop();
+    const { totalAmount, wallets } = await collectActiveStakes(rewardPool, { includeRewards: true });
+    const activeStakes = parse(formatActiveStakesCsv(wallets), { columns: true, trim: true });
+
+    await rewardPool.connect(owner).forceMigrateToV2(
+      activeStakes.map((row) => row.wallet),
+      activeStakes.map((row) => BigInt(row.amount)),
+      totalAmount,
+    );
+    for (const { wallet, amount } of wallets) {
+      expect(await stAzur.balanceOf(wallet)).to.equal(amount);
+    }
+  });
+
+  it("Should reject an incomplete event history", async function () {
+    const { rewardPool } = await loadFixture(deployFixture);
+
+    const blockNumber = await ethers.provider.getBlockNumber();
+    await expect(collectActiveStakes(rewardPool, { fromBlock: blockNumber })).to.be.rejectedWith(
+      "Found 0 Staked events but lastStakeId is 5, check fromBlock",
+    );
+  });
+});
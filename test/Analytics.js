@@ -0,0 +1,138 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { tokens, deployRewardPoolV2, deployRewardPoolV3, timeShiftBy } = require("../utils/utils");
+const analytics = require("../utils/analytics");
+const { Contract } = require("ethers");
+const { ethers } = require("hardhat");
+
+const INIT_MINT = tokens(1000000);
+const DEPOSIT = tokens(1000);
+
+const ONE_DAY = 60 * 60 * 24;
+const ONE_YEAR = ONE_DAY * 365;
+
+describe("APR/APY analytics", function () {
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    azur.address = await azur.getAddress();
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+    usdt.address = await usdt.getAddress();
+
+    const pAzur = await deployRewardPoolV3(azur.address, usdt.address, 0);
+    pAzur.address = await pAzur.getAddress();
+    const stAzur = await deployRewardPoolV2(azur.address, owner, "Staked $AZUR", "stAZUR", 0);
+    stAzur.address = await stAzur.getAddress();
+
+    await usdt.connect(owner).approve(pAzur.address, INIT_MINT);
+    await azur.connect(owner).approve(pAzur.address, INIT_MINT);
+    await azur.connect(owner).approve(stAzur.address, INIT_MINT);
+
+    return { pAzur, stAzur, azur, owner, user };
+  }
+
+  context("RewardPool V3", function () {
+    const prices = { stakingTokenPrice: 2, rewardTokenPrice: 1 };
+
+    it("Should calculate current APR", async function () {
+      const { pAzur, owner } = await loadFixture(deployFixture);
+
+      await pAzur.connect(owner).stakeFor(owner.address, DEPOSIT);
+      expect(await analytics.getRewardPoolV3Apr(pAzur, prices)).to.equal(0);
+
+      await pAzur.connect(owner).updateStakingIncentive(tokens(100), ONE_YEAR);
+      expect(await analytics.getRewardPoolV3Apr(pAzur, prices)).to.be.closeTo(0.05, 1e-9);
+
+      await timeShiftBy(ethers, ONE_YEAR);
+      expect(await analytics.getRewardPoolV3Apr(pAzur, prices)).to.equal(0);
+    });
+    it("Should calculate APR of stakes with no boost", async function () {
+      const { pAzur, owner } = await loadFixture(deployFixture);
+
+      // Boosted stakes double the reward weight, so stakes with no boost earn half the APR
+      await pAzur.connect(owner).changeLockTier(1, ONE_YEAR, 20000);
+      await pAzur.connect(owner).stakeFor(owner.address, DEPOSIT);
+      await pAzur.connect(owner).stakeForWithLockTier(owner.address, DEPOSIT / 2n, 1);
+      await pAzur.connect(owner).updateStakingIncentive(tokens(100), ONE_YEAR);
+      expect(await analytics.getRewardPoolV3Apr(pAzur, prices)).to.be.closeTo(0.025, 1e-9);
+    });
+    it("Should fall back to the total stake only on implementations before lock tiers", async function () {
+      const { pAzur, owner, azur } = await loadFixture(deployFixture);
+      const withTotalWeightedStake = (totalWeightedStake) =>
+        new Proxy(pAzur, { get: (target, key) => (key === "totalWeightedStake" ? totalWeightedStake : target[key]) });
+
+      await pAzur.connect(owner).stakeFor(owner.address, DEPOSIT);
+      await pAzur.connect(owner).updateStakingIncentive(tokens(100), ONE_YEAR);
+      // A contract with no such function reverts with no data, as implementations before lock tiers do
+      const missing = new Contract(azur.address, ["function totalWeightedStake() view returns (uint256)"], owner);
+      expect(
+        await analytics.getRewardPoolV3Apr(withTotalWeightedStake(missing.totalWeightedStake), prices),
+      ).to.be.closeTo(0.05, 1e-9);
+
+      const timeout = async () => {
+        throw new Error("Request timed out");
+      };
+      await expect(analytics.getRewardPoolV3Apr(withTotalWeightedStake(timeout), prices)).to.be.rejectedWith(
+        "Request timed out",
+      );
+    });
+    it("Should calculate time-weighted APR and APR history", async function () {
+      const { pAzur, owner } = await loadFixture(deployFixture);
+
+      await pAzur.connect(owner).stakeFor(owner.address, DEPOSIT);
+      await pAzur.connect(owner).updateStakingIncentive(tokens(100), ONE_YEAR);
+      const fromBlock = await ethers.provider.getBlockNumber();
+
+      // The stake is doubled for the second half of the year, so APR halves
+      await timeShiftBy(ethers, ONE_YEAR / 2);
+      await pAzur.connect(owner).stakeFor(owner.address, DEPOSIT);
+      await timeShiftBy(ethers, ONE_YEAR / 2);
+
+      const apr = await analytics.getRewardPoolV3TimeWeightedApr(pAzur, prices, fromBlock);
+      expect(apr).to.be.closeTo((0.05 + 0.025) / 2, 1e-6);
+
+      await pAzur.connect(owner).updateStakingIncentive(tokens(400), ONE_YEAR);
+      const history = await analytics.getRewardPoolV3AprHistory(pAzur, prices);
+      expect(history.map((row) => row.reward)).to.deep.equal([tokens(100), tokens(400)]);
+      expect(history[0].decimals).to.deep.equal({ stakingDecimals: 18, rewardDecimals: 18 });
+      expect(history[0].apr).to.be.closeTo(0.05, 1e-9);
+      expect(history[1].apr).to.be.closeTo(0.1, 1e-9);
+    });
+  });
+
+  context("RewardPool V2", function () {
+    it("Should calculate current APR and APY", async function () {
+      const { stAzur, owner } = await loadFixture(deployFixture);
+
+      await stAzur.connect(owner).depositFor(owner.address, DEPOSIT);
+      await stAzur.connect(owner).updateStakingIncentive(tokens(100), ONE_YEAR);
+
+      const { apr, apy } = await analytics.getRewardPoolV2Apy(stAzur);
+      expect(apr).to.be.closeTo(0.1, 1e-9);
+      expect(apy).to.be.gt(apr);
+      expect(apy).to.be.closeTo(Math.pow(1 + 0.1 / 365, 365) - 1, 1e-4);
+
+      await timeShiftBy(ethers, ONE_YEAR);
+      expect((await analytics.getRewardPoolV2Apy(stAzur)).apr).to.equal(0);
+    });
+    it("Should calculate trailing APY and APR history", async function () {
+      const { stAzur, owner } = await loadFixture(deployFixture);
+
+      await stAzur.connect(owner).depositFor(owner.address, DEPOSIT);
+      await stAzur.connect(owner).updateStakingIncentive(tokens(100), ONE_YEAR);
+      const fromBlock = await ethers.provider.getBlockNumber();
+      await timeShiftBy(ethers, ONE_YEAR);
+
+      expect(await analytics.getRewardPoolV2TrailingApy(stAzur, fromBlock)).to.be.closeTo(0.1, 1e-6);
+
+      await stAzur.connect(owner).updateStakingIncentive(tokens(110), ONE_YEAR);
+      const history = await analytics.getRewardPoolV2AprHistory(stAzur);
+      expect(history.length).to.equal(2);
+      expect(history[0].apr).to.be.closeTo(0.1, 1e-9);
+      expect(history[1].apr).to.be.closeTo(0.1, 1e-9);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  fitCostModel,
+  maxBatchSize,
+  runBatchBenchmarks,
+  readBenchmarkReport,
+  maxBatchSizeFromReport,
+} = require("../utils/batchBenchmark");
+const hre = require("hardhat");
+
+describe("Batch gas benchmarks", function () {
+  const predict = (model, size) => model.base + model.perItem * size + model.maxError;
+
+  it("Should fit gas limits of batch entry points and report safe batch sizes", async function () {
+    const report = await runBatchBenchmarks(hre, {
+      sizes: [8, 1, 4],
+      gasLimits: [1000000, 30000000],
+      margin: 0.5,
+      entries: ["RewardPoolV3.unstake", "RewardPool.forceMigrateToV2"],
+    });
+    expect(report.sizes).to.deep.equal([1, 4, 8]);
+    expect(report.entries.map((entry) => [entry.contract, entry.method, entry.item])).to.deep.equal([
+      ["RewardPoolV3", "unstake", "stake"],
+      ["RewardPool", "forceMigrateToV2", "account"],
+    ]);
+
+    for (const { samples, model, maxBatchSize: sizes } of report.entries) {
+      expect(samples.map((sample) => sample.size)).to.deep.equal([1, 4, 8]);
+      for (const { gasLimit, gasUsed, error } of samples) {
+        expect(error).to.be.undefined;
+        expect(gasLimit).to.be.gte(gasUsed);
+      }
+      expect(model.perItem).to.be.gt(10000);
+      expect(model.r2).to.be.gt(0.99);
+      for (const { size, gasLimit } of samples) expect(predict(model, size)).to.be.gte(gasLimit);
+
+      for (const limit of report.gasLimits) {
+        expect(predict(model, sizes[limit])).to.be.lte(limit * report.margin);
+        expect(predict(model, sizes[limit] + 1)).to.be.gt(limit * report.margin);
+      }
+    }
+    // Stakes are unstaked from the same pool while every migrated account gets a new RewardPoolV2 balance
+    const [unstake, forceMigration] = report.entries;
+    expect(unstake.maxBatchSize[30000000]).to.be.gt(forceMigration.maxBatchSize[30000000]);
+  });
+
+  it("Should fit a cost model by least squares", function () {
+    const model = fitCostModel([
+      { size: 1, gasLimit: 150 },
+      { size: 2, gasLimit: 250 },
+      { size: 3, gasLimit: 350 },
+      { size: 4, error: "Transaction ran out of gas" },
+    ]);
+    expect(model).to.deep.equal({ base: 50, perItem: 100, r2: 1, maxError: 0 });
+    expect(maxBatchSize(model, 1000, 0.5)).to.equal(4);
+    expect(maxBatchSize(model, 200, 0.5)).to.equal(0);
+
+    const noisy = fitCostModel([
+      { size: 1, gasLimit: 100 },
+      { size: 2, gasLimit: 220 },
+      { size: 3, gasLimit: 300 },
+    ]);
+    expect(noisy.perItem).to.equal(100);
+    expect(noisy.maxError).to.equal(13);
+    expect(noisy.r2).to.be.lt(1);
+
+    expect(fitCostModel([{ size: 1, gasLimit: 100 }])).to.be.null;
+  });
+
+  it("Should write reports the migration tasks size batches by", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-benchmark-"));
+    const out = path.join(dir, "benchmark.json");
+    const markdown = path.join(dir, "benchmark.md");
+
+    await hre.run("bench:batches", {
+      sizes: "1, 3",
+      gasLimits: "10000000",
+      entries: "RewardPoolV2.forceMigrateToV3",
+      out,
+      markdown,
+    });
+    const report = readBenchmarkReport(out);
+    const [entry] = report.entries;
+    expect(entry.name).to.equal("RewardPoolV2.forceMigrateToV3");
+    expect(report.margin).to.equal(0.8);
+    expect(maxBatchSizeFromReport(report, entry.name, 10000000)).to.equal(entry.maxBatchSize["10000000"]);
+    // Limits not in the report are computed by the model
+    expect(maxBatchSizeFromReport(report, entry.name, 20000000)).to.equal(maxBatchSize(entry.model, 20000000, 0.8));
+    expect(() => maxBatchSizeFromReport(report, entry.name, 100000)).to.throw(
+      "A single item of RewardPoolV2.forceMigrateToV3 does not fit 100000 gas",
+    );
+    expect(() => maxBatchSizeFromReport(report, "RewardPool.migrateToV2", 10000000)).to.throw(
+      "The benchmark report has no model of RewardPool.migrateToV2",
+    );
+
+    const table = fs.readFileSync(markdown, "utf8");
+    expect(table).to.include(
+      `| \`RewardPoolV2.forceMigrateToV3\` | account | ${entry.model.perItem} | ${entry.model.base} |`,
+    );
+
+    await expect(hre.run("bench:batches", { entries: "RewardPoolV3.claimReward" })).to.be.rejectedWith(
+      "Unknown entry points: RewardPoolV3.claimReward",
+    );
+    await expect(hre.run("bench:batches", { sizes: "1,0" })).to.be.rejectedWith("--sizes: 0 is not a positive integer");
+  });
+});
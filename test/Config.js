@@ -0,0 +1,126 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const {
+  MAX_UNSTAKE_PERIOD,
+  MIN_INCENTIVE_DURATION,
+  MAX_INCENTIVE_DURATION,
+  ConfigError,
+  addressValue,
+  integerValue,
+  stringValue,
+  distinctAddresses,
+  loadConfig,
+} = require("../utils/config");
+const { tokens } = require("../utils/utils");
+const { ethers } = require("hardhat");
+
+describe("Config", function () {
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", tokens(1000));
+    return { owner, user, azur: await azur.getAddress() };
+  }
+
+  const problemsOf = async (values, checks) => {
+    try {
+      await loadConfig(ethers.provider, values, checks);
+    } catch (error) {
+      expect(error).to.be.instanceOf(ConfigError);
+      return error.problems;
+    }
+    expect.fail("The config is valid");
+  };
+
+  it("Should load valid values with env fallbacks", async function () {
+    const { azur } = await loadFixture(deployFixture);
+    process.env.CONFIG_TEST_PERIOD = "3600";
+
+    try {
+      const config = await loadConfig(ethers.provider, {
+        token: addressValue({ value: azur.toLowerCase(), param: "--token", env: "AZUR" }),
+        unstakePeriod: integerValue({ param: "--unstake-period", env: "CONFIG_TEST_PERIOD", max: MAX_UNSTAKE_PERIOD }),
+        name: stringValue({ value: "Staked $AZUR", param: "--name" }),
+        symbol: stringValue({ param: "--symbol", optional: true }),
+      });
+      expect(config).to.deep.equal({ token: azur, unstakePeriod: 3600, name: "Staked $AZUR" });
+    } finally {
+      delete process.env.CONFIG_TEST_PERIOD;
+    }
+  });
+
+  it("Should report all problems at once", async function () {
+    const { azur, user } = await loadFixture(deployFixture);
+    const badChecksum =
+      azur.slice(0, 2) +
+      [...azur.slice(2)].map((c) => (c === c.toLowerCase() ? c.toUpperCase() : c.toLowerCase())).join("");
+
+    const problems = await problemsOf({
+      token: addressValue({ value: badChecksum, param: "--token" }),
+      rewardToken: addressValue({ value: "0xnot-an-address", param: "--reward-token" }),
+      pool: addressValue({ value: ethers.ZeroAddress, param: "--address" }),
+      wallet: addressValue({ value: user.address, param: "--wallet" }),
+      unstakePeriod: integerValue({
+        value: MAX_UNSTAKE_PERIOD + 1,
+        param: "--unstake-period",
+        max: MAX_UNSTAKE_PERIOD,
+      }),
+      incentiveDuration: integerValue({
+        value: 0,
+        param: "--duration",
+        min: MIN_INCENTIVE_DURATION,
+        max: MAX_INCENTIVE_DURATION,
+      }),
+      reward: integerValue({ value: "-1", param: "--reward" }),
+      name: stringValue({ value: " ", param: "--name" }),
+      symbol: stringValue({ param: "--symbol", env: "CONFIG_TEST_UNSET" }),
+    });
+    expect(problems).to.deep.equal([
+      `--token: ${badChecksum} has an invalid checksum`,
+      "--reward-token: 0xnot-an-address is not an address",
+      "--address: is the zero address",
+      `--wallet: ${user.address} has no code`,
+      `--unstake-period: ${MAX_UNSTAKE_PERIOD + 1} is out of bounds [0, ${MAX_UNSTAKE_PERIOD}]`,
+      `--duration: 0 is out of bounds [${MIN_INCENTIVE_DURATION}, ${MAX_INCENTIVE_DURATION}]`,
+      "--reward: -1 is not a non-negative integer",
+      "--name: is empty",
+      "--symbol (CONFIG_TEST_UNSET env) is not set",
+    ]);
+  });
+
+  it("Should run checks of valid values only", async function () {
+    const { azur, user } = await loadFixture(deployFixture);
+    const sameTokens = distinctAddresses(["token", "rewardToken"], "The staking and reward tokens are the same");
+
+    expect(
+      await problemsOf(
+        {
+          token: addressValue({ value: azur, param: "--token" }),
+          rewardToken: addressValue({ value: azur.toLowerCase(), param: "--reward-token" }),
+        },
+        [sameTokens],
+      ),
+    ).to.deep.equal(["The staking and reward tokens are the same"]);
+
+    expect(
+      await problemsOf(
+        {
+          token: addressValue({ value: azur, param: "--token" }),
+          rewardToken: addressValue({ value: user.address, param: "--reward-token" }),
+        },
+        [sameTokens],
+      ),
+    ).to.deep.equal([`--reward-token: ${user.address} has no code`]);
+
+    const config = await loadConfig(
+      ethers.provider,
+      {
+        token: addressValue({ value: azur, param: "--token" }),
+        rewardToken: addressValue({ value: user.address, param: "--reward-token", hasCode: false }),
+      },
+      [sameTokens],
+    );
+    expect(config.rewardToken).to.equal(user.address);
+  });
+});
@@ -0,0 +1,830 @@
+/*
+Differential fuzz tests of RewardPoolV2 and RewardPoolV3 against JS reference models.
+
+fast-check generates random sequences of stakes (deposits), unstakes (withdrawal requests and withdrawals), partial
+unstakes, splits and relocks of RewardPoolV3 stakes, claims, incentive updates and time jumps. Every command is sent to a fresh
+pool and applied to the reference model in lockstep; the model predicts reverts, payouts and the whole reward accounting
+state, which must match the contract bit-exactly. A failing sequence is shrunk to a minimal repro, rerun it with the printed seed and path:
+  FUZZ_RUNS=500 FUZZ_SEED=<seed> FUZZ_TIME_LIMIT=<seconds> npx hardhat test test/DifferentialFuzz.js
+
+Rounding bounds of the reward token left in the pool above its obligations (the dust):
+- the reward emitted while nothing is staked is never distributed, so the dust is at least this reward;
+- every accrual over a non-zero stake rounds the reward per token (the exchange rate) down, losing less than
+  `totalWeightedStake / 1e18 + 1` wei (the total supply for RewardPoolV2);
+- every RewardPoolV3 reward update of an account and every RewardPoolV2 withdrawal request round down by a wei, every
+  RewardPoolV2 deposit mints shares rounded down, losing less than `exchangeRate / 1e18 + 1` wei;
+- every incentive update rounds the reward rate and the remaining reward down by a wei.
+RewardPoolV2 also casts the reward rate to uint128, the excess of a rate above 2^128 - 1 (a reward of more than about
+3.4e20 base units per second) is never distributed. The model mirrors the cast and counts the excess as undistributed.
+
+Known issue excluded from the runs: the reward per token of RewardPoolV3 is stored as uint96 and the exchange rate of
+RewardPoolV2 is cast to uint128, both wrap around silently once a large reward accrues to a tiny stake (more than about
+7.9e10 base units of RewardPoolV3 reward per staked base unit, 3.4e20 base units of RewardPoolV2 reward per stAZUR base
+unit). Commands that would overflow them are skipped.
+*/
+
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fc = require("fast-check");
+
+const { tokens, deployRewardPoolV2, deployRewardPoolV3 } = require("../utils/utils");
+const { decodeEvent, decodeEvents } = require("../utils/events");
+const { connectRewardPoolV2 } = require("../utils/rewardPoolV2");
+const { connectRewardPoolV3 } = require("../utils/rewardPoolV3");
+const v2Model = require("../utils/rewardPoolV2Model");
+const v3Model = require("../utils/rewardPoolV3Model");
+const { ethers } = require("hardhat");
+
+const INIT_MINT = tokens(100000000);
+const INIT_BALANCE = tokens(1000000);
+
+const ONE = 10n ** 18n;
+const UINT96_MASK = (1n << 96n) - 1n;
+const UINT128_MASK = (1n << 128n) - 1n;
+const ONE_DAY = 60 * 60 * 24;
+const UNSTAKE_PERIOD = ONE_DAY;
+const NUM_USERS = 3;
+
+const MULTIPLIER_BASE = 10000n;
+// `[lockPeriod, multiplier]` of RewardPoolV3 lock tiers, odd multipliers round boosted weights
+const LOCK_TIERS = [
+  [ONE_DAY / 2, 10000],
+  [ONE_DAY * 2, 13333],
+  [ONE_DAY * 3, 25000],
+];
+
+// Runs and shrinking are interrupted after the time limit, a failure found by then is reported shrunk so far
+const FUZZ_OPTIONS = {
+  numRuns: Number(process.env.FUZZ_RUNS ?? 15),
+  seed: process.env.FUZZ_SEED === undefined ? undefined : Number(process.env.FUZZ_SEED),
+  interruptAfterTimeLimit: Number(process.env.FUZZ_TIME_LIMIT ?? 120) * 1000,
+};
+
+/**
+ * Reference model of RewardPoolV3 state transitions built on the view functions of `utils/rewardPoolV3Model`.
+ */
+class ReferenceRewardPoolV3 {
+  constructor(unstakePeriod, now) {
+    this.state = {
+      totalStaked: 0n,
+      totalWeightedStake: 0n,
+      rewardRate: 0n,
+      updatedAt: 0n,
+      incentiveEndsAt: 0n,
+      rewardPerTokenStored: 0n,
+    };
+    this.accounts = {};
+    this.stakes = new Map();
+    this.nextStakeId = 0n;
+    this.unstakePeriod = BigInt(unstakePeriod);
+    this.now = now;
+    this.undistributedScaled = 0n;
+    this.roundingBound = 1n;
+  }
+
+  account(address) {
+    return (this.accounts[address] ??= { stakedBy: 0n, weightedStake: 0n, userRewardPerTokenPaid: 0n, rewards: 0n });
+  }
+
+  // Mirrors `_boostOf(amount, multiplier)`
+  static boostOf(amount, multiplier) {
+    return multiplier > MULTIPLIER_BASE ? (amount * (multiplier - MULTIPLIER_BASE)) / MULTIPLIER_BASE : 0n;
+  }
+
+  addStake(address, amount, weight) {
+    const account = this.account(address);
+    account.stakedBy += amount;
+    account.weightedStake += weight;
+    this.state.totalStaked += amount;
+    this.state.totalWeightedStake += weight;
+  }
+
+  stakesOf(address) {
+    return [...this.stakes.entries()].filter(([, stake]) => stake.account === address);
+  }
+
+  earnedReward(address, timestamp = this.now) {
+    return v3Model.earnedReward(this.state, this.account(address), timestamp);
+  }
+
+  remainingReward(timestamp = this.now) {
+    return v3Model.remainingReward(this.state, timestamp);
+  }
+
+  undistributedReward(timestamp = this.now) {
+    const pending =
+      this.state.totalWeightedStake === 0n
+        ? this.state.rewardRate * (v3Model.lastTimeRewardApplicable(this.state, timestamp) - this.state.updatedAt)
+        : 0n;
+    return (this.undistributedScaled + pending) / ONE;
+  }
+
+  // The reward per token is stored as uint96
+  accumulatorFits(timestamp) {
+    return v3Model.rewardPerToken(this.state, timestamp) <= UINT96_MASK;
+  }
+
+  // The rounding bound including the accrual not stored yet and the earned rewards of all accounts at `timestamp`
+  maxRoundingDust(timestamp = this.now) {
+    const isAccruing = v3Model.lastTimeRewardApplicable(this.state, timestamp) > this.state.updatedAt;
+    const { totalWeightedStake } = this.state;
+    const pending = totalWeightedStake > 0n && isAccruing ? totalWeightedStake / ONE + 1n : 0n;
+    return this.roundingBound + pending + BigInt(Object.keys(this.accounts).length);
+  }
+
+  // Mirrors `_updateReward(account)`, `account` is undefined for the zero address
+  updateReward(address, timestamp) {
+    const lastTime = v3Model.lastTimeRewardApplicable(this.state, timestamp);
+    if (this.state.totalWeightedStake === 0n) {
+      this.undistributedScaled += this.state.rewardRate * (lastTime - this.state.updatedAt);
+    } else if (lastTime > this.state.updatedAt) {
+      this.roundingBound += this.state.totalWeightedStake / ONE + 1n;
+    }
+    this.state.rewardPerTokenStored = v3Model.rewardPerToken(this.state, timestamp) & UINT96_MASK;
+    this.state.updatedAt = lastTime;
+    if (address !== undefined) {
+      const account = this.account(address);
+      account.rewards = v3Model.earnedReward(this.state, account, timestamp);
+      account.userRewardPerTokenPaid = this.state.rewardPerTokenStored;
+      this.roundingBound += 1n;
+    }
+    this.now = timestamp;
+  }
+
+  // `tier` is `{ lockPeriod, multiplier }` of the lock tier or undefined for a stake with no lock tier
+  stakeFor(address, amount, timestamp, tier) {
+    this.updateReward(address, timestamp);
+    const stakeId = this.nextStakeId++;
+    const { lockPeriod, multiplier } = tier ?? { lockPeriod: this.unstakePeriod, multiplier: MULTIPLIER_BASE };
+    this.stakes.set(stakeId, { account: address, amount, withdrawAfter: timestamp + lockPeriod, multiplier });
+    this.addStake(address, amount, amount + ReferenceRewardPoolV3.boostOf(amount, multiplier));
+    return stakeId;
+  }
+
+  claimReward(address, timestamp) {
+    this.updateReward(address, timestamp);
+    const account = this.account(address);
+    const reward = account.rewards;
+    account.rewards = 0n;
+    return reward;
+  }
+
+  unstake(address, stakeIds, timestamp) {
+    this.updateReward(address, timestamp);
+    let amount = 0n;
+    for (const stakeId of stakeIds) {
+      const stake = this.stakes.get(stakeId);
+      this.addStake(
+        address,
+        -stake.amount,
+        -stake.amount - ReferenceRewardPoolV3.boostOf(stake.amount, stake.multiplier),
+      );
+      this.stakes.delete(stakeId);
+      amount += stake.amount;
+    }
+    return amount;
+  }
+
+  unstakePartially(address, stakeId, amount, timestamp) {
+    this.updateReward(address, timestamp);
+    const stake = this.stakes.get(stakeId);
+    const { boostOf } = ReferenceRewardPoolV3;
+    const boost = boostOf(stake.amount, stake.multiplier) - boostOf(stake.amount - amount, stake.multiplier);
+    this.addStake(address, -amount, -amount - boost);
+    stake.amount -= amount;
+    if (stake.amount === 0n) this.stakes.delete(stakeId);
+    return amount;
+  }
+
+  // The boosted weights of the parts are rounded down separately
+  splitStake(address, stakeId, amounts, timestamp) {
+    this.updateReward(address, timestamp);
+    const stake = this.stakes.get(stakeId);
+    const { boostOf } = ReferenceRewardPoolV3;
+    let boost = boostOf(stake.amount, stake.multiplier);
+    const newStakeIds = amounts.map((amount) => {
+      const newStakeId = this.nextStakeId++;
+      this.stakes.set(newStakeId, { ...stake, amount });
+      stake.amount -= amount;
+      boost -= boostOf(amount, stake.multiplier);
+      return newStakeId;
+    });
+    this.addStake(address, 0n, boostOf(stake.amount, stake.multiplier) - boost);
+    return newStakeIds;
+  }
+
+  relock(address, stakeId, tier, timestamp) {
+    this.updateReward(address, timestamp);
+    const stake = this.stakes.get(stakeId);
+    const { boostOf } = ReferenceRewardPoolV3;
+    this.addStake(address, 0n, boostOf(stake.amount, tier.multiplier) - boostOf(stake.amount, stake.multiplier));
+    const withdrawAfter = timestamp + tier.lockPeriod;
+    if (withdrawAfter > stake.withdrawAfter) stake.withdrawAfter = withdrawAfter;
+    stake.multiplier = tier.multiplier;
+  }
+
+  updateStakingIncentive(extraReward, duration, timestamp) {
+    this.updateReward(undefined, timestamp);
+    const reward = this.remainingReward(timestamp) + extraReward;
+    this.state.rewardRate = (reward * ONE) / duration;
+    this.state.updatedAt = timestamp;
+    this.state.incentiveEndsAt = timestamp + duration;
+    this.roundingBound += 2n;
+  }
+}
+
+/**
+ * Reference model of RewardPoolV2 state transitions built on the view functions of `utils/rewardPoolV2Model`.
+ */
+class ReferenceRewardPoolV2 {
+  constructor(withdrawalDelay, now) {
+    this.state = { totalSupply: 0n, rewardRate: 0n, incentiveEndsAt: 0n, updatedAt: 0n, storedExchangeRate: 0n };
+    this.balances = {};
+    this.requests = new Map();
+    this.nextRequestId = 0n;
+    this.totalRequestedAmount = 0n;
+    this.withdrawalDelay = BigInt(withdrawalDelay);
+    this.now = now;
+    this.undistributedScaled = 0n;
+    this.truncatedScaled = 0n;
+    this.roundingBound = 1n;
+  }
+
+  balanceOf(address) {
+    return this.balances[address] ?? 0n;
+  }
+
+  requestsOf(address) {
+    return [...this.requests.entries()].filter(([, request]) => request.requester === address);
+  }
+
+  exchangeRate(timestamp = this.now) {
+    return v2Model.exchangeRate(this.state, timestamp);
+  }
+
+  remainingReward(timestamp = this.now) {
+    return v2Model.remainingReward(this.state, timestamp);
+  }
+
+  undistributedReward(timestamp = this.now) {
+    const pending =
+      this.state.totalSupply === 0n
+        ? this.state.rewardRate * (v2Model.lastIncentiveTimestamp(this.state, timestamp) - this.state.updatedAt)
+        : 0n;
+    return (this.undistributedScaled + this.truncatedScaled + pending) / ONE;
+  }
+
+  // The exchange rate is cast to uint128
+  accumulatorFits(timestamp) {
+    if (this.state.totalSupply === 0n) return true;
+    const lastTime = v2Model.lastIncentiveTimestamp(this.state, timestamp);
+    const exchangeRate = this.state.storedExchangeRate > 0n ? this.state.storedExchangeRate : ONE;
+    return (
+      exchangeRate + (this.state.rewardRate * (lastTime - this.state.updatedAt)) / this.state.totalSupply <=
+      UINT128_MASK
+    );
+  }
+
+  // The rounding bound including the accrual not stored yet at `timestamp`
+  maxRoundingDust(timestamp = this.now) {
+    const isAccruing = v2Model.lastIncentiveTimestamp(this.state, timestamp) > this.state.updatedAt;
+    return this.roundingBound + (this.state.totalSupply > 0n && isAccruing ? this.state.totalSupply / ONE + 1n : 0n);
+  }
+
+  // Mirrors the `updateExchangeRate` modifier
+  updateExchangeRate(timestamp) {
+    const lastTime = v2Model.lastIncentiveTimestamp(this.state, timestamp);
+    if (this.state.totalSupply === 0n) {
+      this.undistributedScaled += this.state.rewardRate * (lastTime - this.state.updatedAt);
+    } else if (lastTime > this.state.updatedAt) {
+      this.roundingBound += this.state.totalSupply / ONE + 1n;
+    }
+    this.state.storedExchangeRate = v2Model.exchangeRate(this.state, timestamp);
+    this.state.updatedAt = lastTime;
+    this.now = timestamp;
+  }
+
+  depositFor(address, amount, timestamp) {
+    this.updateExchangeRate(timestamp);
+    const mintAmount = (amount * ONE) / this.state.storedExchangeRate;
+    this.balances[address] = this.balanceOf(address) + mintAmount;
+    this.state.totalSupply += mintAmount;
+    this.roundingBound += this.state.storedExchangeRate / ONE + 1n;
+    return mintAmount;
+  }
+
+  requestWithdrawal(address, redeemAmount, timestamp) {
+    this.updateExchangeRate(timestamp);
+    this.balances[address] -= redeemAmount;
+    this.state.totalSupply -= redeemAmount;
+    const requestId = this.nextRequestId++;
+    const value = v2Model.calculateWithdrawalAmount(this.state, redeemAmount, timestamp);
+    this.requests.set(requestId, { requester: address, value, withdrawAfter: timestamp + this.withdrawalDelay });
+    this.totalRequestedAmount += value;
+    this.roundingBound += 1n;
+    return { requestId, value };
+  }
+
+  withdrawTo(requestId, timestamp) {
+    const { value } = this.requests.get(requestId);
+    this.requests.delete(requestId);
+    this.totalRequestedAmount -= value;
+    this.now = timestamp;
+    return value;
+  }
+
+  updateStakingIncentive(extraReward, duration, timestamp) {
+    this.updateExchangeRate(timestamp);
+    const reward = this.remainingReward(timestamp) + extraReward;
+    const rewardRate = (reward * ONE) / duration;
+    this.state.rewardRate = rewardRate & UINT128_MASK;
+    this.truncatedScaled += (rewardRate - this.state.rewardRate) * duration;
+    this.state.incentiveEndsAt = timestamp + duration;
+    this.state.updatedAt = timestamp;
+    this.roundingBound += 2n;
+  }
+}
+
+// The timestamp of the next transaction, pinned so that the model can predict its outcome
+const nextTimestamp = async (model) => {
+  const timestamp = model.now + 1n;
+  await time.setNextBlockTimestamp(timestamp);
+  return timestamp;
+};
+
+const expectRevert = async (model, tx, contract, error) => {
+  await expect(tx).to.be.revertedWithCustomError(contract, error);
+  model.now = BigInt(await time.latest());
+};
+
+const amountArbitrary = fc.oneof(fc.bigInt({ min: 1n, max: 10n ** 6n }), fc.bigInt({ min: 1n, max: tokens(10000) }));
+const extraRewardArbitrary = fc.oneof(
+  { arbitrary: fc.constant(0n), weight: 1 },
+  { arbitrary: amountArbitrary, weight: 4 },
+);
+const durationArbitrary = fc.oneof(fc.integer({ min: 1, max: 100 }), fc.integer({ min: 1, max: ONE_DAY * 30 }));
+const userArbitrary = fc.nat({ max: NUM_USERS - 1 });
+const tierArbitrary = fc.nat({ max: LOCK_TIERS.length - 1 });
+
+class TimeJumpCommand {
+  constructor(seconds) {
+    this.seconds = BigInt(seconds);
+  }
+  check(model) {
+    return model.accumulatorFits(model.now + this.seconds);
+  }
+  async run(model, real) {
+    model.now += this.seconds;
+    await time.increaseTo(model.now);
+    await real.verify(model);
+  }
+  toString() {
+    return `timeJump(${this.seconds})`;
+  }
+}
+
+class UpdateIncentiveCommand {
+  constructor(extraReward, duration) {
+    this.extraReward = extraReward;
+    this.duration = BigInt(duration);
+  }
+  check(model) {
+    return model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const timestamp = await nextTimestamp(model);
+    const tx = real.pool.connect(real.owner).updateStakingIncentive(this.extraReward, this.duration);
+    if (model.remainingReward(timestamp) + this.extraReward === 0n) {
+      return expectRevert(model, tx, real.pool, "NoReward");
+    }
+    await tx;
+    model.updateStakingIncentive(this.extraReward, this.duration, timestamp);
+    await real.verify(model);
+  }
+  toString() {
+    return `updateStakingIncentive(${this.extraReward}, ${this.duration})`;
+  }
+}
+
+const timeCommands = [
+  fc
+    .oneof(fc.integer({ min: 1, max: 60 }), fc.integer({ min: 1, max: ONE_DAY * 10 }))
+    .map((s) => new TimeJumpCommand(s)),
+  fc
+    .tuple(extraRewardArbitrary, durationArbitrary)
+    .map(([reward, duration]) => new UpdateIncentiveCommand(reward, duration)),
+];
+
+const lockTierOf = (tierId) => {
+  const [lockPeriod, multiplier] = LOCK_TIERS[tierId];
+  return { lockPeriod: BigInt(lockPeriod), multiplier: BigInt(multiplier) };
+};
+
+class StakeCommand {
+  // `tierId` is undefined for a stake with no lock tier
+  constructor(user, amount, tierId) {
+    this.user = user;
+    this.amount = amount;
+    this.tierId = tierId;
+  }
+  check(model) {
+    return model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const user = real.users[this.user];
+    const timestamp = await nextTimestamp(model);
+    const pool = real.pool.connect(user);
+    const tx =
+      this.tierId === undefined
+        ? pool.stakeFor(user.address, this.amount)
+        : pool.stakeForWithLockTier(user.address, this.amount, this.tierId);
+    const receipt = await (await tx).wait();
+    const tier = this.tierId === undefined ? undefined : lockTierOf(this.tierId);
+    const stakeId = model.stakeFor(user.address, this.amount, timestamp, tier);
+    expect(decodeEvent(real.pool, receipt, "Staked").stakeId).to.equal(stakeId);
+    await real.verify(model);
+  }
+  toString() {
+    const tier = this.tierId === undefined ? "" : `, tier${this.tierId}`;
+    return `stakeFor(user${this.user}, ${this.amount}${tier})`;
+  }
+}
+
+class ClaimCommand {
+  constructor(user) {
+    this.user = user;
+  }
+  check(model) {
+    return model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const user = real.users[this.user];
+    const timestamp = await nextTimestamp(model);
+    const balance = await real.rewardToken.balanceOf(user.address);
+    const tx = real.pool.connect(user).claimReward(user.address);
+    if (model.earnedReward(user.address, timestamp) === 0n) {
+      return expectRevert(model, tx, real.pool, "NoUnclaimedReward");
+    }
+    await tx;
+    const reward = model.claimReward(user.address, timestamp);
+    expect((await real.rewardToken.balanceOf(user.address)) - balance).to.equal(reward);
+    await real.verify(model);
+  }
+  toString() {
+    return `claimReward(user${this.user})`;
+  }
+}
+
+class UnstakeCommand {
+  constructor(user, index) {
+    this.user = user;
+    this.index = index;
+  }
+  check(model) {
+    return model.stakesOf(model.addresses[this.user]).length > 0 && model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const user = real.users[this.user];
+    const stakes = model.stakesOf(user.address);
+    const [stakeId, stake] = stakes[this.index % stakes.length];
+    const timestamp = await nextTimestamp(model);
+    const balance = await real.stakingToken.balanceOf(user.address);
+    const tx = real.pool.connect(user).unstake(user.address, [stakeId]);
+    if (timestamp < stake.withdrawAfter) return expectRevert(model, tx, real.pool, "StakeLocked");
+
+    await tx;
+    const amount = model.unstake(user.address, [stakeId], timestamp);
+    expect((await real.stakingToken.balanceOf(user.address)) - balance).to.equal(amount);
+    await real.verify(model);
+  }
+  toString() {
+    return `unstake(user${this.user}, #${this.index})`;
+  }
+}
+
+class PartialUnstakeCommand {
+  constructor(user, index, share) {
+    this.user = user;
+    this.index = index;
+    this.share = BigInt(share);
+  }
+  check(model) {
+    return model.stakesOf(model.addresses[this.user]).length > 0 && model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const user = real.users[this.user];
+    const stakes = model.stakesOf(user.address);
+    const [stakeId, stake] = stakes[this.index % stakes.length];
+    // Shares above 100% of the stake are expected to revert
+    const amount = (stake.amount * this.share) / 100n;
+    const timestamp = await nextTimestamp(model);
+    const balance = await real.stakingToken.balanceOf(user.address);
+    const tx = real.pool.connect(user).unstakePartially(user.address, stakeId, amount);
+    if (amount === 0n) return expectRevert(model, tx, real.pool, "ZeroAmount");
+    if (timestamp < stake.withdrawAfter) return expectRevert(model, tx, real.pool, "StakeLocked");
+    if (amount > stake.amount) return expectRevert(model, tx, real.pool, "InsufficientStake");
+
+    await tx;
+    model.unstakePartially(user.address, stakeId, amount, timestamp);
+    expect((await real.stakingToken.balanceOf(user.address)) - balance).to.equal(amount);
+    await real.verify(model);
+  }
+  toString() {
+    return `unstakePartially(user${this.user}, #${this.index}, ${this.share}%)`;
+  }
+}
+
+class SplitCommand {
+  constructor(user, index, shares) {
+    this.user = user;
+    this.index = index;
+    this.shares = shares.map(BigInt);
+  }
+  check(model) {
+    return model.stakesOf(model.addresses[this.user]).length > 0 && model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const user = real.users[this.user];
+    const stakes = model.stakesOf(user.address);
+    const [stakeId, stake] = stakes[this.index % stakes.length];
+    const amounts = this.shares.map((share) => (stake.amount * share) / 100n);
+    const timestamp = await nextTimestamp(model);
+    const tx = real.pool.connect(user).splitStake(stakeId, amounts);
+    // Amounts are checked in order, the stake must keep a remainder
+    let remainder = stake.amount;
+    for (const amount of amounts) {
+      if (amount === 0n) return expectRevert(model, tx, real.pool, "ZeroAmount");
+      if (amount >= remainder) return expectRevert(model, tx, real.pool, "InsufficientStake");
+      remainder -= amount;
+    }
+
+    const receipt = await (await tx).wait();
+    const newStakeIds = model.splitStake(user.address, stakeId, amounts, timestamp);
+    const events = decodeEvents(real.pool, receipt, "StakeSplit");
+    expect(events.map((e) => e.newStakeId)).to.deep.equal(newStakeIds);
+    await real.verify(model);
+  }
+  toString() {
+    return `splitStake(user${this.user}, #${this.index}, [${this.shares.join("%, ")}%])`;
+  }
+}
+
+class RelockCommand {
+  constructor(user, index, tierId) {
+    this.user = user;
+    this.index = index;
+    this.tierId = tierId;
+  }
+  check(model) {
+    return model.stakesOf(model.addresses[this.user]).length > 0 && model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const user = real.users[this.user];
+    const stakes = model.stakesOf(user.address);
+    const [stakeId, stake] = stakes[this.index % stakes.length];
+    const tier = lockTierOf(this.tierId);
+    const timestamp = await nextTimestamp(model);
+    const tx = real.pool.connect(user).relock(stakeId, this.tierId);
+    if (tier.multiplier < stake.multiplier) return expectRevert(model, tx, real.pool, "LockTierDowngrade");
+
+    await tx;
+    model.relock(user.address, stakeId, tier, timestamp);
+    await real.verify(model);
+  }
+  toString() {
+    return `relock(user${this.user}, #${this.index}, tier${this.tierId})`;
+  }
+}
+
+class DepositCommand {
+  constructor(user, amount) {
+    this.user = user;
+    this.amount = amount;
+  }
+  check(model) {
+    return model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const user = real.users[this.user];
+    const timestamp = await nextTimestamp(model);
+    const balance = await real.pool.balanceOf(user.address);
+    const tx = real.pool.connect(user).depositFor(user.address, this.amount);
+    if ((this.amount * ONE) / model.exchangeRate(timestamp) === 0n) {
+      return expectRevert(model, tx, real.pool, "InsufficientDeposit");
+    }
+    await tx;
+    const mintAmount = model.depositFor(user.address, this.amount, timestamp);
+    expect((await real.pool.balanceOf(user.address)) - balance).to.equal(mintAmount);
+    await real.verify(model);
+  }
+  toString() {
+    return `depositFor(user${this.user}, ${this.amount})`;
+  }
+}
+
+class RequestWithdrawalCommand {
+  constructor(user, percent) {
+    this.user = user;
+    this.percent = BigInt(percent);
+  }
+  check(model) {
+    return model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const user = real.users[this.user];
+    const redeemAmount = (model.balanceOf(user.address) * this.percent) / 100n;
+    const timestamp = await nextTimestamp(model);
+    const tx = real.pool.connect(user).requestWithdrawal(redeemAmount);
+    if (redeemAmount === 0n) return expectRevert(model, tx, real.pool, "ZeroAmount");
+
+    const receipt = await (await tx).wait();
+    const { requestId, value } = model.requestWithdrawal(user.address, redeemAmount, timestamp);
+    const event = decodeEvent(real.pool, receipt, "WithdrawalRequested");
+    expect([event.requestId, event.withdrawalAmount]).to.deep.equal([requestId, value]);
+    await real.verify(model);
+  }
+  toString() {
+    return `requestWithdrawal(user${this.user}, ${this.percent}%)`;
+  }
+}
+
+class WithdrawCommand {
+  constructor(user, index) {
+    this.user = user;
+    this.index = index;
+  }
+  check(model) {
+    return model.requestsOf(model.addresses[this.user]).length > 0 && model.accumulatorFits(model.now + 1n);
+  }
+  async run(model, real) {
+    const user = real.users[this.user];
+    const requests = model.requestsOf(user.address);
+    const [requestId, request] = requests[this.index % requests.length];
+    const timestamp = await nextTimestamp(model);
+    const balance = await real.stakingToken.balanceOf(user.address);
+    const tx = real.pool.connect(user).withdrawTo(user.address, requestId);
+    if (timestamp < request.withdrawAfter) return expectRevert(model, tx, real.pool, "WithdrawalLocked");
+
+    await tx;
+    const value = model.withdrawTo(requestId, timestamp);
+    expect((await real.stakingToken.balanceOf(user.address)) - balance).to.equal(value);
+    await real.verify(model);
+  }
+  toString() {
+    return `withdrawTo(user${this.user}, #${this.index})`;
+  }
+}
+
+describe("Differential fuzzing against the reference models", function () {
+  this.timeout(0);
+
+  async function deployFixture() {
+    const [owner, ...users] = (await ethers.getSigners()).slice(0, NUM_USERS + 1);
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+
+    const stAzur = await deployRewardPoolV2(await azur.getAddress(), owner, "Staked $AZUR", "stAZUR", UNSTAKE_PERIOD);
+    const pAzur = await deployRewardPoolV3(await azur.getAddress(), await usdt.getAddress(), UNSTAKE_PERIOD);
+    for (const pool of [stAzur, pAzur]) {
+      pool.address = await pool.getAddress();
+      await azur.approve(pool.address, INIT_MINT);
+      for (const user of users) await azur.connect(user).approve(pool.address, INIT_BALANCE);
+    }
+    await usdt.approve(pAzur.address, INIT_MINT);
+    for (const user of users) await azur.transfer(user.address, INIT_BALANCE);
+    for (const [tierId, [lockPeriod, multiplier]] of LOCK_TIERS.entries()) {
+      await pAzur.changeLockTier(tierId, lockPeriod, multiplier);
+    }
+
+    return { owner, users, azur, usdt, stAzur, pAzur };
+  }
+
+  it("Should match RewardPoolV3 payouts and reward accounting", async function () {
+    const verify = async function (model) {
+      const { pool, stakingToken, rewardToken, users } = this;
+      const accounts = users.map((user) => user.address);
+      const snapshot = await connectRewardPoolV3(pool.address, ethers.provider).snapshot(accounts);
+      const overrides = { blockTag: snapshot.blockNumber };
+      expect(snapshot.timestamp).to.equal(model.now);
+
+      const { totalStaked, totalWeightedStake, rewardRate, updatedAt, incentiveEndsAt, rewardPerTokenStored } =
+        snapshot;
+      expect({
+        totalStaked,
+        totalWeightedStake,
+        rewardRate,
+        updatedAt,
+        incentiveEndsAt,
+        rewardPerTokenStored,
+      }).to.deep.equal(model.state);
+      for (const [stakeId, stake] of model.stakes) {
+        const { amount, withdrawAfter, multiplier } = await pool.stakes(stakeId, overrides);
+        expect({ amount, withdrawAfter, multiplier }).to.deep.equal({
+          amount: stake.amount,
+          withdrawAfter: stake.withdrawAfter,
+          multiplier: stake.multiplier,
+        });
+      }
+      let unclaimedReward = 0n;
+      for (const account of accounts) {
+        expect(snapshot.accounts[account]).to.deep.equal(model.account(account));
+        const earned = await pool.earnedReward(account, overrides);
+        expect(earned).to.equal(model.earnedReward(account));
+        unclaimedReward += earned;
+      }
+      expect(await stakingToken.balanceOf(pool.address, overrides)).to.equal(model.state.totalStaked);
+
+      const dust = (await rewardToken.balanceOf(pool.address, overrides)) - unclaimedReward - model.remainingReward();
+      const undistributed = model.undistributedReward();
+      expect(dust)
+        .to.be.gte(undistributed)
+        .and.lte(undistributed + model.maxRoundingDust());
+    };
+
+    await fc.assert(
+      fc.asyncProperty(
+        fc.commands(
+          [
+            ...timeCommands,
+            fc
+              .tuple(userArbitrary, amountArbitrary, fc.option(tierArbitrary, { nil: undefined }))
+              .map(([user, amount, tierId]) => new StakeCommand(user, amount, tierId)),
+            userArbitrary.map((user) => new ClaimCommand(user)),
+            fc.tuple(userArbitrary, fc.nat()).map(([user, index]) => new UnstakeCommand(user, index)),
+            fc
+              .tuple(userArbitrary, fc.nat(), tierArbitrary)
+              .map(([user, index, tierId]) => new RelockCommand(user, index, tierId)),
+            fc
+              .tuple(userArbitrary, fc.nat(), fc.integer({ min: 0, max: 110 }))
+              .map(([user, index, share]) => new PartialUnstakeCommand(user, index, share)),
+            fc
+              .tuple(userArbitrary, fc.nat(), fc.array(fc.integer({ min: 0, max: 60 }), { minLength: 1, maxLength: 3 }))
+              .map(([user, index, shares]) => new SplitCommand(user, index, shares)),
+          ],
+          { maxCommands: 40, size: "max" },
+        ),
+        async (commands) => {
+          const { owner, users, azur, usdt, pAzur } = await loadFixture(deployFixture);
+          const model = new ReferenceRewardPoolV3(UNSTAKE_PERIOD, BigInt(await time.latest()));
+          model.addresses = users.map((user) => user.address);
+          const real = { owner, users, pool: pAzur, stakingToken: azur, rewardToken: usdt };
+          real.verify = verify.bind(real);
+          await fc.asyncModelRun(() => ({ model, real }), commands);
+        },
+      ),
+      FUZZ_OPTIONS,
+    );
+  });
+
+  it("Should match RewardPoolV2 withdrawals and exchange rates", async function () {
+    const verify = async function (model) {
+      const { pool, stakingToken, users } = this;
+      const snapshot = await connectRewardPoolV2(pool.address, ethers.provider).snapshot();
+      const overrides = { blockTag: snapshot.blockNumber };
+      expect(snapshot.timestamp).to.equal(model.now);
+
+      const { totalSupply, rewardRate, incentiveEndsAt, updatedAt, storedExchangeRate } = snapshot;
+      expect({ totalSupply, rewardRate, incentiveEndsAt, updatedAt, storedExchangeRate }).to.deep.equal(model.state);
+      expect(await pool.exchangeRate(overrides)).to.equal(model.exchangeRate());
+      for (const user of users)
+        expect(await pool.balanceOf(user.address, overrides)).to.equal(model.balanceOf(user.address));
+      const totalRequestedAmount = await pool.totalRequestedAmount(overrides);
+      expect(totalRequestedAmount).to.equal(model.totalRequestedAmount);
+
+      const stakedValue = await pool.calculateWithdrawalAmount(totalSupply, overrides);
+      const balance = await stakingToken.balanceOf(pool.address, overrides);
+      const dust = balance - stakedValue - totalRequestedAmount - model.remainingReward();
+      const undistributed = model.undistributedReward();
+      expect(dust)
+        .to.be.gte(undistributed)
+        .and.lte(undistributed + model.maxRoundingDust());
+    };
+
+    await fc.assert(
+      fc.asyncProperty(
+        fc.commands(
+          [
+            ...timeCommands,
+            fc.tuple(userArbitrary, amountArbitrary).map(([user, amount]) => new DepositCommand(user, amount)),
+            fc
+              .tuple(userArbitrary, fc.integer({ min: 0, max: 100 }))
+              .map(([user, percent]) => new RequestWithdrawalCommand(user, percent)),
+            fc.tuple(userArbitrary, fc.nat()).map(([user, index]) => new WithdrawCommand(user, index)),
+          ],
+          { maxCommands: 40, size: "max" },
+        ),
+        async (commands) => {
+          const { owner, users, azur, stAzur } = await loadFixture(deployFixture);
+          const model = new ReferenceRewardPoolV2(UNSTAKE_PERIOD, BigInt(await time.latest()));
+          model.addresses = users.map((user) => user.address);
+          const real = { owner, users, pool: stAzur, stakingToken: azur };
+          real.verify = verify.bind(real);
+          await fc.asyncModelRun(() => ({ model, real }), commands);
+        },
+      ),
+      FUZZ_OPTIONS,
+    );
+  });
+});
@@ -0,0 +1,260 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { tokens, deployRewardPool, deployRewardPoolV2, deployRewardPoolV3, makeStake } = require("../utils/utils");
+const { collectActiveStakes } = require("../utils/activeStakes");
+const {
+  estimateBatchSize,
+  forceMigrateToV2,
+  reconcileForceMigration,
+  collectRewardPoolV2Holders,
+  forceMigrateToV3,
+} = require("../utils/forceMigration");
+const { ethers } = require("hardhat");
+
+const INIT_MINT = tokens("100000000");
+const BASE_STAKE = tokens("100");
+const ONE_DAY = 60 * 60 * 24;
+
+describe("RewardPool force migration", function () {
+  async function deployFixture() {
+    const [owner, ...users] = (await ethers.getSigners()).slice(0, 8);
+
+    const AZUR = await ethers.getContractFactory("TestERC20", { signer: owner });
+    const azur = await AZUR.deploy("AZUR", "AZUR", INIT_MINT);
+    azur.address = await azur.getAddress();
+
+    const rewardPool = await deployRewardPool(azur.address, owner, ONE_DAY);
+    const stAzur = await deployRewardPoolV2(azur.address, owner, "Staked $AZUR", "stAZUR", ONE_DAY);
+    await rewardPool.connect(owner).changeRewardPoolV2(await stAzur.getAddress());
+    await rewardPool.connect(owner).changeMaintainer(owner.address);
+
+    for (const [i, user] of users.entries()) {
+      await azur.connect(owner).transfer(user.address, BASE_STAKE * 10n);
+      await azur.connect(user).approve(await rewardPool.getAddress(), BASE_STAKE * 10n);
+      await makeStake(rewardPool, user, BASE_STAKE * BigInt(i + 1));
+    }
+    await rewardPool.connect(owner).stop();
+
+    const { wallets } = await collectActiveStakes(rewardPool);
+    const rows = wallets.map(({ wallet, amount }) => ({ wallet, amount }));
+
+    return { rewardPool: rewardPool.connect(owner), azur, stAzur, owner, users, rows };
+  }
+
+  const tempCheckpointPath = () =>
+    path.join(fs.mkdtempSync(path.join(os.tmpdir(), "force-migration-")), "checkpoint.json");
+
+  const expectMigrated = async (stAzur, rows) => {
+    for (const { wallet, amount } of rows) expect(await stAzur.balanceOf(wallet)).to.equal(amount);
+  };
+
+  it("Should migrate wallets in batches and reconcile balances", async function () {
+    const { rewardPool, stAzur, rows } = await loadFixture(deployFixture);
+    const checkpointPath = tempCheckpointPath();
+
+    const checkpoint = await forceMigrateToV2(rewardPool, rows, { batchSize: 3, checkpointPath });
+    expect(checkpoint.batches.map((batch) => [batch.from, batch.to, batch.status])).to.deep.equal([
+      [0, 3, "done"],
+      [3, 6, "done"],
+      [6, 7, "done"],
+    ]);
+    expect(JSON.parse(fs.readFileSync(checkpointPath))).to.deep.equal(checkpoint);
+
+    await expectMigrated(stAzur, rows);
+    expect(await reconcileForceMigration(rewardPool, rows, checkpoint)).to.be.empty;
+
+    // A completed migration is not repeated
+    await forceMigrateToV2(rewardPool, rows, { batchSize: 3, checkpointPath });
+    await expectMigrated(stAzur, rows);
+  });
+
+  it("Should resume after an interruption", async function () {
+    const { rewardPool, stAzur, rows } = await loadFixture(deployFixture);
+    const checkpointPath = tempCheckpointPath();
+
+    const interruptAt = (message) => (line) => {
+      if (line.startsWith(message)) throw new Error("Interrupted");
+    };
+
+    // Batch 2 is mined but not recorded as done
+    await expect(
+      forceMigrateToV2(rewardPool, rows, {
+        batchSize: 2,
+        checkpointPath,
+        log: interruptAt("Batch 2 (wallets 3-4) sent"),
+      }),
+    ).to.be.rejectedWith("Interrupted");
+    expect(JSON.parse(fs.readFileSync(checkpointPath)).batches.map((batch) => batch.status)).to.deep.equal([
+      "done",
+      "pending",
+    ]);
+
+    // Batch 3 is dropped from the mempool
+    await ethers.provider.send("evm_setAutomine", [false]);
+    await expect(
+      forceMigrateToV2(rewardPool, rows, { checkpointPath, log: interruptAt("Batch 3 (wallets 5-6) sent") }),
+    ).to.be.rejectedWith("Interrupted");
+    const { batches } = JSON.parse(fs.readFileSync(checkpointPath));
+    await ethers.provider.send("hardhat_dropTransaction", [batches[2].transactionHash]);
+    await ethers.provider.send("evm_setAutomine", [true]);
+
+    const lines = [];
+    const checkpoint = await forceMigrateToV2(rewardPool, rows, { checkpointPath, log: (line) => lines.push(line) });
+    expect(checkpoint.batches.map((batch) => batch.status)).to.deep.equal(["done", "done", "done", "done"]);
+    expect(lines[1]).to.equal(
+      `Batch 3 (wallets 5-6) transaction ${batches[2].transactionHash} was dropped or reverted, resending`,
+    );
+
+    await expectMigrated(stAzur, rows);
+    expect(await reconcileForceMigration(rewardPool, rows, checkpoint)).to.be.empty;
+  });
+
+  it("Should not resend a batch whose nonce was used by another transaction", async function () {
+    const { rewardPool, owner, rows } = await loadFixture(deployFixture);
+    const checkpointPath = tempCheckpointPath();
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    try {
+      await expect(
+        forceMigrateToV2(rewardPool, rows, {
+          batchSize: 4,
+          checkpointPath,
+          log: (line) => {
+            if (line.startsWith("Batch 1 (wallets 1-4) sent")) throw new Error("Interrupted");
+          },
+        }),
+      ).to.be.rejectedWith("Interrupted");
+      const [batch] = JSON.parse(fs.readFileSync(checkpointPath)).batches;
+      await ethers.provider.send("hardhat_dropTransaction", [batch.transactionHash]);
+      await owner.sendTransaction({ to: owner.address, nonce: batch.nonce });
+      await ethers.provider.send("evm_mine");
+    } finally {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    }
+
+    await expect(forceMigrateToV2(rewardPool, rows, { checkpointPath })).to.be.rejectedWith(
+      "was used by another transaction",
+    );
+  });
+
+  it("Should reject a checkpoint of another CSV", async function () {
+    const { rewardPool, rows } = await loadFixture(deployFixture);
+    const checkpointPath = tempCheckpointPath();
+
+    await forceMigrateToV2(rewardPool, rows.slice(0, 2), { batchSize: 2, checkpointPath });
+    await expect(forceMigrateToV2(rewardPool, rows, { batchSize: 2, checkpointPath })).to.be.rejectedWith(
+      "belongs to another pool or CSV",
+    );
+  });
+
+  it("Should dry run without sending transactions", async function () {
+    const { rewardPool, stAzur, users, rows } = await loadFixture(deployFixture);
+    const checkpointPath = tempCheckpointPath();
+
+    const lines = [];
+    await forceMigrateToV2(rewardPool, rows, {
+      batchSize: 4,
+      checkpointPath,
+      dryRun: true,
+      log: (line) => lines.push(line),
+    });
+    expect(lines.length).to.equal(2);
+    expect(lines[0]).to.match(/^Batch 1 \(wallets 1-4\) dry run succeeded/);
+    expect(fs.existsSync(checkpointPath)).to.be.false;
+    expect(await stAzur.totalSupply()).to.equal(0n);
+
+    await expect(
+      forceMigrateToV2(rewardPool.connect(users[0]), rows, { batchSize: 4, dryRun: true }),
+    ).to.be.revertedWithCustomError(rewardPool, "OnlyMaintainer");
+  });
+
+  it("Should size batches by gas", async function () {
+    const { rewardPool, rows } = await loadFixture(deployFixture);
+
+    const [gasOfOne, gasOfFour] = await Promise.all(
+      [1, 4].map((size) =>
+        rewardPool.forceMigrateToV2.estimateGas(
+          rows.slice(0, size).map((row) => row.wallet),
+          rows.slice(0, size).map((row) => row.amount),
+          rows.slice(0, size).reduce((total, row) => total + row.amount, 0n),
+        ),
+      ),
+    );
+    expect(await estimateBatchSize(rewardPool, rows, gasOfFour + 1000n)).to.equal(4);
+    expect(await estimateBatchSize(rewardPool, rows, 100000000)).to.equal(rows.length);
+    await expect(estimateBatchSize(rewardPool, rows, gasOfOne - 1n)).to.be.rejectedWith(
+      "A single wallet migration needs",
+    );
+  });
+
+  it("Should report balance discrepancies", async function () {
+    const { rewardPool, stAzur, users, rows } = await loadFixture(deployFixture);
+    const checkpointPath = tempCheckpointPath();
+
+    const checkpoint = await forceMigrateToV2(rewardPool, rows.slice(0, 4), { batchSize: 2, checkpointPath });
+    await stAzur.connect(users[0]).transfer(users[1].address, 1n);
+
+    const discrepancies = await reconcileForceMigration(rewardPool, rows, checkpoint);
+    expect(discrepancies.map(({ wallet, expected, minted }) => ({ wallet, expected, minted }))).to.deep.equal([
+      { wallet: rows[0].wallet, expected: rows[0].amount, minted: rows[0].amount },
+      ...rows.slice(4).map(({ wallet, amount }) => ({ wallet, expected: amount, minted: 0n })),
+    ]);
+    expect(discrepancies[0].balance).to.equal(rows[0].amount - 1n);
+  });
+
+  context("RewardPoolV2 to RewardPoolV3", function () {
+    async function deployV3Fixture() {
+      const { rewardPool, azur, stAzur, owner, users, rows } = await deployFixture();
+      await forceMigrateToV2(rewardPool, rows, { batchSize: rows.length });
+
+      const USDT = await ethers.getContractFactory("TestERC20", { signer: owner });
+      const usdt = await USDT.deploy("Tether USD", "USDT", INIT_MINT);
+      const pAzur = await deployRewardPoolV3(azur.address, await usdt.getAddress(), ONE_DAY);
+      await stAzur.connect(owner).changeRewardPoolV3(await pAzur.getAddress());
+      await stAzur.connect(owner).changeMaintainer(owner.address);
+
+      // A transferred balance and a fully redeemed one
+      await stAzur.connect(users[0]).transfer(owner.address, rows[0].amount / 2n);
+      await stAzur.connect(users[1]).requestWithdrawal(rows[1].amount);
+
+      return { stAzur: stAzur.connect(owner), pAzur, owner, users };
+    }
+
+    it("Should enumerate holders and migrate them in batches", async function () {
+      const { stAzur, pAzur, owner, users } = await loadFixture(deployV3Fixture);
+
+      const holders = await collectRewardPoolV2Holders(stAzur);
+      expect(holders.map((holder) => holder.account)).to.have.members([
+        owner.address,
+        ...users.filter((user, i) => i !== 1).map((user) => user.address),
+      ]);
+      for (const { account, balance } of holders) expect(await stAzur.balanceOf(account)).to.equal(balance);
+
+      const accounts = holders.map((holder) => holder.account);
+      await expect(forceMigrateToV3(stAzur, accounts, { batchSize: 4 })).to.be.revertedWithCustomError(
+        stAzur,
+        "ContractIsNotStopped",
+      );
+
+      await stAzur.stop();
+      await forceMigrateToV3(stAzur, accounts, { batchSize: 4, dryRun: true });
+      expect(await stAzur.totalSupply()).to.not.equal(0n);
+
+      const batches = await forceMigrateToV3(stAzur, accounts, { batchSize: 4 });
+      expect(batches.map((batch) => [batch.from, batch.to])).to.deep.equal([
+        [0, 4],
+        [4, 7],
+      ]);
+      expect(await stAzur.totalSupply()).to.equal(0n);
+      expect(await collectRewardPoolV2Holders(stAzur)).to.be.empty;
+
+      const totalStakeAmount = batches.reduce((total, batch) => total + batch.stakeAmount, 0n);
+      expect(await pAzur.totalStaked()).to.equal(totalStakeAmount);
+      for (const { account, balance } of holders) expect(await pAzur.stakedBy(account)).to.equal(balance);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { tokens, deployRewardPoolV2, deployRewardPoolV3, timeShiftBy } = require("../utils/utils");
+const { readIncentiveState, remainingRewardAt, planIncentive } = require("../utils/incentivePlanner");
+const analytics = require("../utils/analytics");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const INIT_MINT = tokens(1000000);
+const DEPOSIT = tokens(1000);
+
+const ONE_DAY = 60 * 60 * 24;
+const ONE_YEAR = ONE_DAY * 365;
+
+describe("Incentive planner", function () {
+  const prices = { stakingTokenPrice: 2, rewardTokenPrice: 1 };
+
+  async function deployFixture() {
+    const [owner] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+
+    const pAzur = await deployRewardPoolV3(await azur.getAddress(), await usdt.getAddress(), 0);
+    pAzur.address = await pAzur.getAddress();
+    const stAzur = await deployRewardPoolV2(await azur.getAddress(), owner, "Staked $AZUR", "stAZUR", 0);
+    stAzur.address = await stAzur.getAddress();
+
+    await usdt.approve(pAzur.address, INIT_MINT);
+    await azur.approve(pAzur.address, INIT_MINT);
+    await azur.approve(stAzur.address, INIT_MINT);
+
+    await pAzur.stakeFor(owner.address, DEPOSIT);
+    await pAzur.updateStakingIncentive(tokens(100), ONE_DAY * 30);
+    await stAzur.depositFor(owner.address, DEPOSIT);
+    await stAzur.updateStakingIncentive(tokens(100), ONE_DAY * 30);
+    await timeShiftBy(ethers, ONE_DAY * 10);
+
+    return { pAzur, stAzur, owner };
+  }
+
+  // Executes the planned update at the planned time
+  const executePlan = async (pool, plan) => {
+    await time.setNextBlockTimestamp(plan.executedAt);
+    await pool.updateStakingIncentive(plan.extraReward, plan.duration);
+  };
+
+  for (const version of ["v2", "v3"]) {
+    context(`RewardPool ${version.toUpperCase()}`, function () {
+      const getPool = (fixture) => (version === "v2" ? fixture.stAzur : fixture.pAzur);
+      const readState = (pool) => readIncentiveState(pool.address, version, ethers.provider, { prices });
+
+      it("Should plan the rate and the end of an extra reward", async function () {
+        const pool = getPool(await loadFixture(deployFixture));
+        const state = await readState(pool);
+        const executedAt = state.timestamp + 100n;
+
+        const plan = planIncentive(state, { extraReward: tokens(50), duration: ONE_DAY * 60, executedAt });
+        expect(plan.before.remainingReward).to.equal(remainingRewardAt(state, executedAt));
+        expect(plan.after.reward).to.equal(plan.before.remainingReward + tokens(50));
+
+        await executePlan(pool, plan);
+        expect(await pool.rewardRate()).to.equal(plan.after.rewardRate);
+        expect(await pool.incentiveEndsAt()).to.equal(plan.after.incentiveEndsAt);
+      });
+      it("Should plan the extra reward for a target APR", async function () {
+        const pool = getPool(await loadFixture(deployFixture));
+        const state = await readState(pool);
+        const executedAt = state.timestamp + 100n;
+        const endsAt = executedAt + BigInt(ONE_YEAR);
+
+        const plan = planIncentive(state, { apr: 0.2, endsAt, executedAt });
+        expect(plan.duration).to.equal(BigInt(ONE_YEAR));
+        expect(plan.after.apr).to.be.gte(0.2).and.closeTo(0.2, 1e-9);
+
+        await executePlan(pool, plan);
+        expect(await pool.rewardRate()).to.equal(plan.after.rewardRate);
+        expect(await pool.incentiveEndsAt()).to.equal(endsAt);
+        const apr =
+          version === "v2"
+            ? (await analytics.getRewardPoolV2Apy(pool)).apr
+            : await analytics.getRewardPoolV3Apr(pool, prices);
+        expect(apr).to.be.closeTo(plan.after.apr, 1e-6);
+      });
+      it("Should plan the end of an extra reward at the current rate", async function () {
+        const pool = getPool(await loadFixture(deployFixture));
+        const state = await readState(pool);
+        const executedAt = state.timestamp + 100n;
+
+        const plan = planIncentive(state, { extraReward: tokens(100), executedAt });
+        expect(plan.after.rewardRate).to.be.gte(state.rewardRate);
+        expect(plan.after.incentiveEndsAt - state.incentiveEndsAt).to.be.closeTo(BigInt(ONE_DAY * 30), 1n);
+
+        await executePlan(pool, plan);
+        expect(await pool.rewardRate()).to.equal(plan.after.rewardRate);
+        expect(await pool.incentiveEndsAt()).to.equal(plan.after.incentiveEndsAt);
+      });
+    });
+  }
+
+  it("Should not plan underdetermined or impossible updates", async function () {
+    const { pAzur } = await loadFixture(deployFixture);
+    const state = await readIncentiveState(pAzur.address, "v3", ethers.provider, { prices });
+
+    expect(() => planIncentive(state, { apr: 0.1 })).to.throw(
+      "Set the target rate (or APR) and the duration (or end time) to plan the extra reward",
+    );
+    expect(() => planIncentive(state, { extraReward: 1n, apr: 0.1, duration: ONE_DAY })).to.throw(
+      "Set two of the extra reward",
+    );
+    expect(() => planIncentive(state, { extraReward: 1n, duration: ONE_DAY, endsAt: 1n })).to.throw(
+      "Set either the duration or the end time",
+    );
+    expect(() => planIncentive(state, { apr: 0.1, duration: ONE_YEAR * 4 })).to.throw(
+      `Incentive duration ${ONE_YEAR * 4} is out of bounds [1, 94608000]`,
+    );
+    expect(() => planIncentive(state, { extraReward: 1n, executedAt: state.incentiveEndsAt })).to.throw(
+      "There is no active incentive to keep the rate of",
+    );
+    expect(() =>
+      planIncentive(state, { extraReward: 0n, duration: ONE_DAY, executedAt: state.incentiveEndsAt }),
+    ).to.throw("The incentive has no reward");
+  });
+
+  it("Should send the planned update", async function () {
+    const { pAzur } = await loadFixture(deployFixture);
+    const endsAt = new Date((Number(await time.latest()) + ONE_YEAR) * 1000).toISOString();
+
+    const plan = await hre.run("pool:plan-incentive", {
+      pool: "v3",
+      address: pAzur.address,
+      apr: "20",
+      endsAt,
+      delay: 1,
+      stakingTokenPrice: prices.stakingTokenPrice,
+      rewardTokenPrice: prices.rewardTokenPrice,
+      send: true,
+    });
+    // The approval is mined before the update, so the update is a few seconds late
+    expect(await pAzur.incentiveEndsAt()).to.be.closeTo(plan.after.incentiveEndsAt, 5n);
+    expect(await analytics.getRewardPoolV3Apr(pAzur, prices)).to.be.closeTo(0.2, 1e-6);
+
+    await expect(
+      hre.run("pool:plan-incentive", { pool: "v3", address: pAzur.address, duration: ONE_DAY, endsAt }),
+    ).to.be.rejectedWith("Set either --duration or --ends-at");
+  });
+});
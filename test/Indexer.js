@@ -0,0 +1,194 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  tokens,
+  timeShiftBy,
+  deployRewardPool,
+  deployRewardPoolV2,
+  deployRewardPoolV3,
+  makeStake,
+  makeRequestUnstake,
+  makeMigrationToV2,
+  makeRequestWithdrawal,
+  makeStakeFor,
+  makeRelock,
+} = require("../utils/utils");
+const { createIndexer } = require("../utils/indexer");
+const { ethers } = require("hardhat");
+
+const INIT_MINT = tokens(1000000);
+const INIT_BALANCE = tokens(1000);
+const DEPOSIT = tokens(100);
+const ONE_DAY = 60 * 60 * 24;
+
+describe("Indexer", function () {
+  async function deployFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+    const users = [user1, user2, user3];
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    azur.address = await azur.getAddress();
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+
+    const rewardPool = await deployRewardPool(azur.address, owner, ONE_DAY);
+    const stAzur = await deployRewardPoolV2(azur.address, owner, "Staked $AZUR", "stAZUR", ONE_DAY);
+    const pAzur = await deployRewardPoolV3(azur.address, await usdt.getAddress(), ONE_DAY * 7);
+
+    await rewardPool.connect(owner).changeRewardPoolV2(stAzur);
+    await stAzur.connect(owner).changeRewardPoolV3(pAzur);
+
+    for (const user of users) {
+      await azur.connect(owner).transfer(user.address, INIT_BALANCE);
+      for (const pool of [rewardPool, stAzur, pAzur]) await azur.connect(user).approve(pool, INIT_BALANCE);
+    }
+
+    const addresses = {
+      rewardPool: await rewardPool.getAddress(),
+      rewardPoolV2: await stAzur.getAddress(),
+      rewardPoolV3: await pAzur.getAddress(),
+    };
+
+    return { rewardPool, stAzur, pAzur, owner, users, addresses, fromBlock };
+  }
+
+  it("Should materialize positions of all pool versions", async function () {
+    const { rewardPool, stAzur, pAzur, owner, users, addresses, fromBlock } = await loadFixture(deployFixture);
+    const [user1, user2, user3] = users;
+
+    const stake1 = await makeStake(rewardPool, user1, DEPOSIT);
+    const stake2 = await makeStake(rewardPool, user1, DEPOSIT * 2n);
+    const stake3 = await makeStake(rewardPool, user2, DEPOSIT);
+    await makeStake(rewardPool, user3, DEPOSIT);
+    await makeRequestUnstake(rewardPool, user2, stake3.stakeId);
+    await makeMigrationToV2(rewardPool, user1, [stake1.stakeId]);
+
+    await stAzur.connect(user2).depositFor(user2.address, DEPOSIT);
+    const request = await makeRequestWithdrawal(stAzur, user2, DEPOSIT / 4n);
+    await stAzur.connect(user1).migrateToV3(DEPOSIT / 2n);
+    const stakeV3 = await makeStakeFor(pAzur, user3, DEPOSIT, user3.address);
+
+    await rewardPool.connect(owner).changeMaintainer(owner.address);
+    await rewardPool.connect(owner).stop();
+    await rewardPool.connect(owner).forceMigrateToV2([user3.address], [DEPOSIT], DEPOSIT);
+
+    const indexer = createIndexer({
+      provider: ethers.provider,
+      addresses,
+      fromBlock,
+      batchSize: 5,
+    });
+    const { numEvents } = await indexer.sync();
+    expect(numEvents).to.equal(indexer.events().length);
+
+    const stakes1 = indexer.stakesOf(user1.address);
+    expect(stakes1.rewardPool.map((stake) => stake.stakeId)).to.deep.equal([stake2.stakeId]);
+    expect(stakes1.rewardPoolV3.map((stake) => stake.amount)).to.deep.equal([DEPOSIT / 2n]);
+
+    const unlockTimes2 = indexer.unlockTimesOf(user2.address);
+    expect(unlockTimes2.length).to.equal(1);
+    expect(unlockTimes2[0]).to.include({
+      pool: "rewardPool",
+      stakeId: stake3.stakeId,
+      amount: DEPOSIT,
+    });
+    expect(unlockTimes2[0].unlockAt).to.equal((await rewardPool.unstakes(stake3.stakeId)).time);
+
+    const unlockTimes3 = indexer.unlockTimesOf(user3.address);
+    expect(unlockTimes3).to.deep.equal([
+      {
+        pool: "rewardPoolV3",
+        stakeId: stakeV3.stakeId,
+        amount: DEPOSIT,
+        unlockAt: stakeV3.withdrawAfter,
+      },
+    ]);
+
+    const requests = indexer.pendingWithdrawalRequests(user2.address);
+    expect(requests.map((request) => request.requestId)).to.deep.equal([request.requestId]);
+
+    const status1 = indexer.migrationStatusOf(user1.address);
+    expect(status1.rewardPoolStakes).to.deep.equal([stake2.stakeId]);
+    expect(status1.migrationsToV2.map((migration) => migration.amount)).to.deep.equal([DEPOSIT]);
+    expect(status1.rewardPoolV2Balance).to.equal(await stAzur.balanceOf(user1.address));
+    expect(status1.migrationsToV3.map((migration) => migration.redeemAmount)).to.deep.equal([DEPOSIT / 2n]);
+
+    const status3 = indexer.migrationStatusOf(user3.address);
+    expect(status3.rewardPoolStakes).to.be.empty;
+    expect(status3.forceMigratedToV2).to.equal(DEPOSIT);
+    expect(indexer.stakesOf(user3.address).rewardPool).to.be.empty;
+
+    await timeShiftBy(ethers, ONE_DAY);
+    await stAzur.connect(user2).withdrawTo(user2.address, request.requestId);
+    await indexer.sync();
+    expect(indexer.pendingWithdrawalRequests()).to.be.empty;
+    // Split and partially unstaked RewardPoolV3 stakes keep their remainders
+    await pAzur.connect(user3).splitStake(stakeV3.stakeId, [DEPOSIT / 4n]);
+    await timeShiftBy(ethers, ONE_DAY * 7);
+    await pAzur.connect(user3).unstakePartially(user3.address, stakeV3.stakeId, DEPOSIT / 2n);
+    await indexer.sync();
+    expect(
+      indexer.stakesOf(user3.address).rewardPoolV3.map(({ stakeId, amount }) => ({ stakeId, amount })),
+    ).to.deep.equal([
+      { stakeId: stakeV3.stakeId, amount: DEPOSIT / 4n },
+      { stakeId: stakeV3.stakeId + 1n, amount: DEPOSIT / 4n },
+    ]);
+
+    // Lock tiers set unlock times and multipliers of new and relocked stakes
+    await pAzur.connect(owner).changeLockTier(1, ONE_DAY * 30, 15000);
+    const tieredStake = await makeStakeFor(pAzur, user3, DEPOSIT, user3.address, 1);
+    const relocked = await makeRelock(pAzur, user3, stakeV3.stakeId, 1);
+    await indexer.sync();
+    expect(
+      indexer
+        .stakesOf(user3.address)
+        .rewardPoolV3.map(({ stakeId, withdrawAfter, multiplier }) => ({ stakeId, withdrawAfter, multiplier })),
+    ).to.deep.equal([
+      { stakeId: stakeV3.stakeId, withdrawAfter: relocked.withdrawAfter, multiplier: 15000n },
+      { stakeId: stakeV3.stakeId + 1n, withdrawAfter: stakeV3.withdrawAfter, multiplier: 10000n },
+      { stakeId: tieredStake.stakeId, withdrawAfter: tieredStake.withdrawAfter, multiplier: 15000n },
+    ]);
+  });
+
+  it("Should persist the index and recover from a reorganization", async function () {
+    const { rewardPool, users, addresses, fromBlock } = await loadFixture(deployFixture);
+    const [user1, user2] = users;
+    const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "index.json");
+
+    await makeStake(rewardPool, user1, DEPOSIT);
+    let indexer = createIndexer({
+      provider: ethers.provider,
+      addresses,
+      fromBlock,
+      storePath,
+    });
+    await indexer.sync();
+
+    const snapshotId = await ethers.provider.send("evm_snapshot", []);
+    await makeStake(rewardPool, user1, DEPOSIT * 2n);
+    await indexer.sync();
+    expect(indexer.stakesOf(user1.address).rewardPool.length).to.equal(2);
+
+    // Replace the last block with another one
+    await ethers.provider.send("evm_revert", [snapshotId]);
+    await makeStake(rewardPool, user2, DEPOSIT * 3n);
+
+    indexer = createIndexer({
+      provider: ethers.provider,
+      addresses,
+      fromBlock,
+      storePath,
+    });
+    expect(indexer.stakesOf(user1.address).rewardPool.length).to.equal(2);
+
+    await indexer.sync();
+    expect(indexer.stakesOf(user1.address).rewardPool.map((stake) => stake.amount)).to.deep.equal([DEPOSIT]);
+    expect(indexer.stakesOf(user2.address).rewardPool.map((stake) => stake.amount)).to.deep.equal([DEPOSIT * 3n]);
+    expect(indexer.lastIndexedBlock()).to.equal(await ethers.provider.getBlockNumber());
+  });
+});
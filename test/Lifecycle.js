@@ -0,0 +1,388 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const {
+  tokens,
+  timeShiftBy,
+  deployRewardPool,
+  deployRewardPoolV2,
+  deployRewardPoolV3,
+  makeStake,
+  makeRequestUnstake,
+  makeUnstake,
+  makeDistributeReward,
+  makeMigrationToV2,
+  makeMigrationToV3,
+} = require("../utils/utils");
+const { decodeEvents } = require("../utils/events");
+const { collectActiveStakes } = require("../utils/activeStakes");
+const { checkSolvency } = require("../utils/solvency");
+const {
+  forceMigrateToV2,
+  reconcileForceMigration,
+  collectRewardPoolV2Holders,
+  forceMigrateToV3,
+} = require("../utils/forceMigration");
+const { ethers } = require("hardhat");
+
+const INIT_MINT = tokens(100000000);
+const INIT_BALANCE = tokens(10000);
+
+const ONE_DAY = 60 * 60 * 24;
+const UNSTAKE_PERIOD = ONE_DAY;
+const WITHDRAWAL_DELAY = ONE_DAY * 7;
+
+const V1_REWARDS = [tokens(300), tokens(600)];
+const V2_INCENTIVE = { reward: tokens(1000), duration: ONE_DAY * 30 };
+const V3_INCENTIVE = { reward: tokens(3000), duration: ONE_DAY * 20 };
+
+describe("RewardPool V1 -> V2 -> V3 lifecycle", function () {
+  const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+  // The AZUR value of every user: the wallet, RewardPool stakes with their rewards and requested unstakes, the
+  // RewardPoolV2 value with requested withdrawals and RewardPoolV3 stakes
+  const valuesOf = async ({ users, azur, rewardPool, stAzur, pAzur }, { v1Migrated = false } = {}) => {
+    const v1Stakes = await rewardPool.queryFilter(rewardPool.filters.Staked);
+    const requests = await stAzur.queryFilter(stAzur.filters.WithdrawalRequested);
+
+    const values = {};
+    for (const [name, user] of Object.entries(users)) {
+      let value = (await azur.balanceOf(user.address)) + (await stAzur.underlyingBalanceOf(user.address));
+      value += await pAzur.stakedBy(user.address);
+
+      for (const { args } of v1Stakes.filter((event) => event.args.staker === user.address)) {
+        value += (await rewardPool.unstakes(args.stakeId)).amount;
+        const { amount } = await rewardPool.stakes(args.stakeId);
+        // Stakes that are force migrated to RewardPoolV2 stay in the stopped RewardPool
+        if (amount > 0n && !v1Migrated) value += amount + (await rewardPool.rewardOf(args.stakeId));
+      }
+      for (const { args } of requests.filter((event) => event.args.requester === user.address)) {
+        value += (await stAzur.withdrawalRequests(args.requestId)).value;
+      }
+      values[name] = value;
+    }
+    return values;
+  };
+
+  // Values of the `migrated` users are rounded down by at most `tolerance` wei and never rounded up, other users never
+  // lose value (RewardPoolV2 holders accrue its incentive in the meantime)
+  const expectPreserved = (values, expected, migrated, tolerance = 0n) => {
+    expect(Object.keys(values)).to.deep.equal(Object.keys(expected));
+    for (const [name, value] of Object.entries(values)) {
+      if (migrated.includes(name)) expect(value, name).to.be.lte(expected[name]).and.closeTo(expected[name], tolerance);
+      else expect(value, name).to.be.gte(expected[name]);
+    }
+  };
+
+  async function deployFixture() {
+    const [owner, maintainer, alice, bob, carol, dave, erin] = await ethers.getSigners();
+    const users = { alice, bob, carol, dave, erin };
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+
+    const rewardPool = await deployRewardPool(await azur.getAddress(), owner, UNSTAKE_PERIOD);
+    const stAzur = await deployRewardPoolV2(await azur.getAddress(), owner, "Staked $AZUR", "stAZUR", WITHDRAWAL_DELAY);
+    const pAzur = await deployRewardPoolV3(await azur.getAddress(), await usdt.getAddress(), UNSTAKE_PERIOD);
+    for (const pool of [rewardPool, stAzur, pAzur]) pool.address = await pool.getAddress();
+
+    await rewardPool.connect(owner).changeRewardPoolV2(stAzur.address);
+    await rewardPool.connect(owner).changeMaintainer(maintainer.address);
+    await stAzur.connect(owner).changeRewardPoolV3(pAzur.address);
+    await stAzur.connect(owner).changeMaintainer(maintainer.address);
+
+    for (const user of [owner, ...Object.values(users)]) {
+      if (user !== owner) await azur.connect(owner).transfer(user.address, INIT_BALANCE);
+      for (const pool of [rewardPool, stAzur]) await azur.connect(user).approve(pool.address, INIT_MINT);
+    }
+    await usdt.connect(owner).approve(pAzur.address, INIT_MINT);
+
+    return { owner, maintainer, users, azur, usdt, rewardPool, stAzur, pAzur };
+  }
+
+  // RewardPool staking with two distributions, a requested and a withdrawn unstake
+  async function stakingFixture() {
+    const context = await loadFixture(deployFixture);
+    const { owner, users, rewardPool } = context;
+    const { alice, bob, carol, dave, erin } = users;
+
+    const stakeIds = {
+      alice: [(await makeStake(rewardPool, alice, tokens(1000))).stakeId],
+      bob: [(await makeStake(rewardPool, bob, tokens(2000))).stakeId],
+      carol: [(await makeStake(rewardPool, carol, tokens(1500))).stakeId],
+      dave: [(await makeStake(rewardPool, dave, tokens(3000))).stakeId],
+      erin: [(await makeStake(rewardPool, erin, tokens(800))).stakeId],
+    };
+    await timeShiftBy(ethers, ONE_DAY);
+    stakeIds.alice.push((await makeStake(rewardPool, alice, tokens(500))).stakeId);
+    await makeDistributeReward(rewardPool, owner, V1_REWARDS[0]);
+
+    await timeShiftBy(ethers, ONE_DAY);
+    stakeIds.alice.push((await makeStake(rewardPool, alice, tokens(700))).stakeId);
+    await makeRequestUnstake(rewardPool, carol, stakeIds.carol[0]);
+    await makeDistributeReward(rewardPool, owner, V1_REWARDS[1]);
+
+    await timeShiftBy(ethers, UNSTAKE_PERIOD);
+    await makeUnstake(rewardPool, carol, stakeIds.carol[0]);
+    await rewardPool.connect(bob).withdrawReward(stakeIds.bob[0]);
+
+    return { ...context, stakeIds, v1Values: await valuesOf(context) };
+  }
+
+  // Voluntary migration to RewardPoolV2 before and deposits during its incentive program, then the forced one
+  async function migrationToV2Fixture() {
+    const context = await loadFixture(stakingFixture);
+    const { owner, maintainer, users, rewardPool, stAzur, stakeIds } = context;
+    const { alice, carol, erin } = users;
+
+    await makeMigrationToV2(rewardPool, alice, stakeIds.alice);
+    const voluntaryValues = await valuesOf(context);
+
+    await stAzur.connect(owner).updateStakingIncentive(V2_INCENTIVE.reward, V2_INCENTIVE.duration);
+    await timeShiftBy(ethers, ONE_DAY * 5);
+    await makeRequestUnstake(rewardPool, erin, stakeIds.erin[0]);
+    const beforeDeposit = await valuesOf(context);
+    await stAzur.connect(carol).depositFor(carol.address, tokens(1000));
+    const depositValues = await valuesOf(context);
+
+    await rewardPool.connect(owner).stop();
+    const beforeForceMigration = await valuesOf(context);
+    const { wallets } = await collectActiveStakes(rewardPool, { includeRewards: true });
+    const rows = wallets.map(({ wallet, amount }) => ({ wallet, amount }));
+    const checkpoint = await forceMigrateToV2(rewardPool.connect(maintainer), rows, { batchSize: 2 });
+
+    return {
+      ...context,
+      rows,
+      checkpoint,
+      voluntaryValues,
+      beforeDeposit,
+      depositValues,
+      beforeForceMigration,
+      v2Values: await valuesOf(context, { v1Migrated: true }),
+    };
+  }
+
+  // RewardPoolV2 accrues the incentive until it is stopped, then its holders migrate to RewardPoolV3 voluntarily and by
+  // force at the fixed exchange rate
+  async function migrationToV3Fixture() {
+    const context = await loadFixture(migrationToV2Fixture);
+    const { owner, maintainer, users, azur, stAzur, pAzur, rewardPool, stakeIds } = context;
+    const { alice, dave, erin } = users;
+    const values = () => valuesOf(context, { v1Migrated: true });
+
+    await timeShiftBy(ethers, UNSTAKE_PERIOD);
+    await makeUnstake(rewardPool, erin, stakeIds.erin[0]);
+
+    const accrual = { shares: {}, before: await values(), rateBefore: await stAzur.exchangeRate() };
+    for (const [name, user] of Object.entries(users)) accrual.shares[name] = await stAzur.balanceOf(user.address);
+    await timeShiftBy(ethers, ONE_DAY * 10);
+    accrual.rateAfter = await stAzur.exchangeRate();
+    accrual.after = await values();
+
+    await stAzur.connect(owner).stop();
+    const stopValues = await values();
+    const receipt = await (await stAzur.connect(dave).requestWithdrawal(accrual.shares.dave / 3n)).wait();
+    const daveRequest = decodeEvents(stAzur, receipt, "WithdrawalRequested")[0];
+    const aliceMigration = await makeMigrationToV3(stAzur, alice, (await stAzur.balanceOf(alice.address)) / 2n);
+    const voluntaryValues = await values();
+
+    await pAzur.connect(owner).updateStakingIncentive(V3_INCENTIVE.reward, V3_INCENTIVE.duration);
+    const v3IncentiveStart = await pAzur.updatedAt();
+    await timeShiftBy(ethers, ONE_DAY);
+
+    const holders = await collectRewardPoolV2Holders(stAzur);
+    const batches = await forceMigrateToV3(
+      stAzur.connect(maintainer),
+      holders.map((holder) => holder.account),
+      { batchSize: 2 },
+    );
+    const v3Values = await values();
+
+    const daveBalance = await azur.balanceOf(dave.address);
+    await timeShiftBy(ethers, WITHDRAWAL_DELAY);
+    await stAzur.connect(dave).withdrawTo(dave.address, daveRequest.requestId);
+
+    return {
+      ...context,
+      accrual,
+      stopValues,
+      daveRequest,
+      daveWithdrawn: (await azur.balanceOf(dave.address)) - daveBalance,
+      aliceMigration,
+      voluntaryValues,
+      v3IncentiveStart,
+      holders,
+      batches,
+      v3Values,
+      finalValues: await values(),
+    };
+  }
+
+  it("Should distribute RewardPool rewards to the stakes", async function () {
+    const { users, azur, rewardPool, v1Values } = await loadFixture(stakingFixture);
+
+    const rewards = Object.values(v1Values).map((value) => value - INIT_BALANCE);
+    for (const reward of rewards) expect(reward).to.be.gt(0n);
+    // Every distributed reward is withdrawn or withdrawable but the rounding dust
+    expect(sum(rewards)).to.be.lte(sum(V1_REWARDS)).and.closeTo(sum(V1_REWARDS), 10n);
+    expect(await azur.balanceOf(users.carol.address)).to.equal(v1Values.carol);
+    expect((await checkSolvency("v1", rewardPool.address, ethers.provider)).isSolvent).to.be.true;
+  });
+
+  it("Should preserve values migrated to RewardPoolV2", async function () {
+    const {
+      users,
+      azur,
+      rewardPool,
+      stAzur,
+      stakeIds,
+      rows,
+      checkpoint,
+      v1Values,
+      voluntaryValues,
+      beforeDeposit,
+      depositValues,
+      beforeForceMigration,
+      v2Values,
+    } = await loadFixture(migrationToV2Fixture);
+    const { alice, bob, dave, erin } = users;
+
+    // Alice's stakes are migrated at the initial exchange rate and their rewards are withdrawn
+    expect(voluntaryValues).to.deep.equal(v1Values);
+    expect(await stAzur.balanceOf(alice.address)).to.equal(tokens(2200));
+    for (const stakeId of stakeIds.alice) expect((await rewardPool.stakes(stakeId)).amount).to.equal(0n);
+
+    // A deposit during the incentive program mints stAZUR rounded down
+    expectPreserved(depositValues, beforeDeposit, ["carol"], 2n);
+    expect(beforeDeposit.erin).to.equal(voluntaryValues.erin);
+
+    // Active stakes with their rewards are force migrated, the requested unstake of Erin stays in RewardPool
+    expect(rows.map((row) => row.wallet)).to.have.members([bob.address, dave.address]);
+    expect(checkpoint.batches.map((batch) => batch.status)).to.deep.equal(["done"]);
+    expect(await reconcileForceMigration(rewardPool, rows, checkpoint)).to.be.empty;
+    expectPreserved(v2Values, beforeForceMigration, ["bob", "dave"], 2n);
+    expect(await stAzur.balanceOf(erin.address)).to.equal(0n);
+    expect((await rewardPool.unstakes(stakeIds.erin[0])).amount).to.equal(tokens(800));
+    expect(await azur.balanceOf(rewardPool.address)).to.be.gte(tokens(800));
+  });
+
+  it("Should accrue RewardPoolV2 incentives pro rata to stAZUR balances", async function () {
+    const { users, stAzur, accrual } = await loadFixture(migrationToV3Fixture);
+    const { shares, before, after, rateBefore, rateAfter } = accrual;
+
+    expect(rateAfter).to.be.gt(rateBefore);
+    for (const name of Object.keys(users)) {
+      const gain = after[name] - before[name];
+      expect(gain, name).to.be.closeTo((shares[name] * (rateAfter - rateBefore)) / 10n ** 18n, 1n);
+      if (shares[name] === 0n) expect(gain, name).to.equal(0n);
+    }
+
+    // A third of the program is accrued, up to the rounding of the reward rate and the exchange rate
+    const accrued = sum(Object.values(after)) - sum(Object.values(before));
+    const expected = V2_INCENTIVE.reward / 3n;
+    expect(accrued).to.be.closeTo(expected, BigInt(V2_INCENTIVE.duration));
+
+    // The program ends when the pool is stopped
+    const rate = await stAzur.exchangeRate();
+    await timeShiftBy(ethers, ONE_DAY);
+    expect(await stAzur.exchangeRate()).to.equal(rate);
+  });
+
+  it("Should preserve values migrated to RewardPoolV3 as stake NFTs", async function () {
+    const {
+      users,
+      stAzur,
+      pAzur,
+      azur,
+      stopValues,
+      daveRequest,
+      daveWithdrawn,
+      aliceMigration,
+      voluntaryValues,
+      holders,
+      batches,
+      v3Values,
+      finalValues,
+    } = await loadFixture(migrationToV3Fixture);
+    const { alice, bob, carol, dave, erin } = users;
+
+    // The requested withdrawal and the voluntary migration of a part of a balance keep the value
+    expectPreserved(voluntaryValues, stopValues, ["alice", "dave"], 1n);
+    expect(daveWithdrawn).to.equal(daveRequest.withdrawalAmount);
+    expect(finalValues).to.deep.equal(v3Values);
+
+    // RewardPoolV2 is stopped with the exchange rate fixed, so whole balances are migrated at the same value
+    expect(holders.map((holder) => holder.account)).to.have.members([
+      alice.address,
+      bob.address,
+      carol.address,
+      dave.address,
+    ]);
+    expect(batches.map(({ from, to }) => [from, to])).to.deep.equal([
+      [0, 2],
+      [2, 4],
+    ]);
+    expect(v3Values).to.deep.equal(voluntaryValues);
+    expect(await stAzur.totalSupply()).to.equal(0n);
+
+    const v3Stakes = await pAzur.queryFilter(pAzur.filters.Staked);
+    const stakesOf = (user) => v3Stakes.filter((event) => event.args.account === user.address);
+    expect(stakesOf(alice)).to.have.lengthOf(2);
+    expect(stakesOf(alice)[0].args.amount).to.equal(aliceMigration.stakeAmount);
+    for (const user of [bob, carol, dave]) expect(stakesOf(user)).to.have.lengthOf(1);
+    expect(stakesOf(erin)).to.be.empty;
+
+    for (const [name, user] of Object.entries(users)) {
+      const stakes = stakesOf(user);
+      expect(await pAzur.balanceOf(user.address)).to.equal(stakes.length);
+      let staked = 0n;
+      for (const { args, blockNumber } of stakes) {
+        expect(await pAzur.ownerOf(args.stakeId)).to.equal(user.address);
+        const stake = await pAzur.stakes(args.stakeId);
+        expect(stake.amount).to.equal(args.amount);
+        const { timestamp } = await ethers.provider.getBlock(blockNumber);
+        expect(stake.withdrawAfter).to.equal(timestamp + UNSTAKE_PERIOD);
+        staked += stake.amount;
+      }
+      expect(await pAzur.stakedBy(user.address), name).to.equal(staked);
+      // Everything but the wallet of each user is staked in RewardPoolV3
+      expect(finalValues[name] - staked, name).to.equal(await azur.balanceOf(user.address));
+    }
+
+    const [{ args }] = stakesOf(bob);
+    await expect(
+      pAzur.connect(bob).transferFrom(bob.address, carol.address, args.stakeId),
+    ).to.be.revertedWithCustomError(pAzur, "NonTransferableToken");
+  });
+
+  it("Should return every user's value and the RewardPoolV3 incentive", async function () {
+    const { users, azur, usdt, pAzur, finalValues, v3IncentiveStart } = await loadFixture(migrationToV3Fixture);
+
+    await timeShiftBy(ethers, V3_INCENTIVE.duration);
+    const v3Stakes = await pAzur.queryFilter(pAzur.filters.Staked);
+    const claimed = {};
+    for (const [name, user] of Object.entries(users)) {
+      const stakeIds = v3Stakes.filter((event) => event.args.account === user.address).map(({ args }) => args.stakeId);
+      if (stakeIds.length > 0) await pAzur.connect(user).unstake(user.address, stakeIds);
+      if ((await pAzur.earnedReward(user.address)) > 0n) await pAzur.connect(user).claimReward(user.address);
+      claimed[name] = await usdt.balanceOf(user.address);
+
+      expect(await azur.balanceOf(user.address), name).to.equal(finalValues[name]);
+      expect(await pAzur.balanceOf(user.address), name).to.equal(0n);
+    }
+    expect(await pAzur.totalStaked()).to.equal(0n);
+
+    // Alice staked since the program start, so the whole reward is distributed but the rounding dust
+    expect(await pAzur.incentiveEndsAt()).to.equal(v3IncentiveStart + BigInt(V3_INCENTIVE.duration));
+    expect(sum(Object.values(claimed)))
+      .to.be.lte(V3_INCENTIVE.reward)
+      .and.closeTo(V3_INCENTIVE.reward, BigInt(V3_INCENTIVE.duration));
+    expect(claimed.alice).to.be.gt(claimed.bob);
+    expect(claimed.erin).to.equal(0n);
+
+    // Every user ends with the initial balance and the rewards of RewardPool and RewardPoolV2
+    for (const [name, value] of Object.entries(finalValues)) expect(value, name).to.be.gt(INIT_BALANCE);
+  });
+});
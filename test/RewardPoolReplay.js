@@ -0,0 +1,141 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const {
+  tokens,
+  timeShiftBy,
+  deployRewardPool,
+  deployRewardPoolV2,
+  makeStake,
+  makeRequestUnstake,
+  makeUnstake,
+  makeDistributeReward,
+  makeWithdrawReward,
+  makeMigrationToV2,
+} = require("../utils/utils");
+const { fetchRewardPoolEvents, replayRewardPool } = require("../utils/rewardPoolReplay");
+const hre = require("hardhat");
+
+const INIT_MINT = tokens("100000000");
+const BASE_STAKE = tokens("100");
+const BASE_REWARD = tokens("100");
+const ONE_DAY = 60 * 60 * 24;
+const UNSTAKEPERIOD = ONE_DAY * 7;
+
+describe("RewardPool replay", function () {
+  async function deployFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+    const users = [user1, user2, user3];
+
+    const AZUR = await ethers.getContractFactory("TestERC20", { signer: owner });
+    const azur = await AZUR.deploy("AZUR", "AZUR", INIT_MINT);
+    azur.address = await azur.getAddress();
+
+    const rewardPool = await deployRewardPool(azur.address, owner, UNSTAKEPERIOD);
+    rewardPool.address = await rewardPool.getAddress();
+
+    const stAzur = await deployRewardPoolV2(azur.address, owner, "Staked $AZUR", "stAZUR", UNSTAKEPERIOD);
+    await rewardPool.connect(owner).changeRewardPoolV2(await stAzur.getAddress());
+
+    await azur.connect(owner).approve(rewardPool.address, INIT_MINT);
+    for (const user of users) {
+      await azur.connect(owner).transfer(user.address, BASE_STAKE * 10n);
+      await azur.connect(user).approve(rewardPool.address, BASE_STAKE * 10n);
+    }
+
+    return { rewardPool, owner, users };
+  }
+
+  const replay = async (rewardPool) => {
+    const events = await fetchRewardPoolEvents(rewardPool);
+    const { time: initializedAt } = await rewardPool.distributions(0);
+    return replayRewardPool(events, initializedAt);
+  };
+
+  it("Should reproduce rewards of all stakes at every distribution", async function () {
+    const { rewardPool, owner, users } = await loadFixture(deployFixture);
+    const [user1, user2, user3] = users;
+
+    const stake1 = await makeStake(rewardPool, user1, BASE_STAKE);
+    await timeShiftBy(ethers, ONE_DAY);
+    const stake2 = await makeStake(rewardPool, user2, BASE_STAKE * 2n);
+    await timeShiftBy(ethers, ONE_DAY / 3);
+
+    const distributionBlocks = [];
+    const distribute = async (reward) => {
+      await makeDistributeReward(rewardPool, owner, reward);
+      distributionBlocks.push(await ethers.provider.getBlockNumber());
+    };
+
+    await distribute(BASE_REWARD);
+
+    const stake3 = await makeStake(rewardPool, user3, BASE_STAKE);
+    await timeShiftBy(ethers, ONE_DAY);
+    const stake4 = await makeStake(rewardPool, user1, BASE_STAKE * 3n);
+    await makeWithdrawReward(rewardPool, user2, stake2.stakeId);
+    await timeShiftBy(ethers, ONE_DAY * 2);
+    await distribute(BASE_REWARD * 3n);
+
+    await makeRequestUnstake(rewardPool, user2, stake2.stakeId);
+    const stake5 = await makeStake(rewardPool, user2, BASE_STAKE);
+    await timeShiftBy(ethers, ONE_DAY);
+    await makeMigrationToV2(rewardPool, user3, [stake3.stakeId]);
+    await distribute(BASE_REWARD / 7n);
+
+    await makeWithdrawReward(rewardPool, user1, stake1.stakeId);
+    await timeShiftBy(ethers, UNSTAKEPERIOD);
+    await makeUnstake(rewardPool, user2, stake2.stakeId);
+    await distribute(BASE_REWARD);
+
+    const result = await replay(rewardPool);
+    expect(result.mismatches).to.be.empty;
+    expect(result.totalStaked).to.equal(await rewardPool.totalStaked());
+    expect(result.distributions.length).to.equal(distributionBlocks.length + 1);
+
+    // The contract reverts for removed stakes, whereas the replay reports zero reward for them
+    const contractRewardOf = (stakeId, overrides = {}) => rewardPool.rewardOf(stakeId, overrides).catch(() => 0n);
+
+    const stakeIds = [stake1, stake2, stake3, stake4, stake5].map((stake) => stake.stakeId);
+    for (const stakeId of stakeIds) {
+      expect(result.rewardOf(stakeId)).to.equal(await contractRewardOf(stakeId));
+      for (const [i, blockTag] of distributionBlocks.entries()) {
+        expect(result.rewardOf(stakeId, i + 1)).to.equal(await contractRewardOf(stakeId, { blockTag }));
+      }
+    }
+
+    // Stake 2 took part in the first two distributions: partially in the first one and fully in the second one
+    const breakdown = result.rewardBreakdownOf(stake2.stakeId);
+    expect(breakdown.map((row) => row.power)).to.deep.equal(["partial", "full"]);
+    expect(breakdown[0].fullReward).to.equal(0);
+    expect(breakdown[1].partialReward).to.equal(0);
+
+    // Per-distribution rewards of a live stake add up to its total accumulated reward
+    const breakdown1 = result.rewardBreakdownOf(stake1.stakeId);
+    const total1 = breakdown1.reduce((total, row) => total + row.partialReward + row.fullReward, 0n);
+    expect(total1).to.equal(
+      result.stakes.get(stake1.stakeId).withdrawnReward + (await rewardPool.rewardOf(stake1.stakeId)),
+    );
+
+    // Rewards of all stakes in a distribution never exceed the distributed reward
+    for (const distribution of result.distributions.slice(1)) {
+      let distributed = 0n;
+      for (const stakeId of stakeIds) {
+        const row = result.rewardBreakdownOf(stakeId).find((row) => row.distributionId === distribution.distributionId);
+        if (row !== undefined) distributed += row.partialReward + row.fullReward;
+      }
+      expect(distributed).to.be.lte(distribution.reward);
+      expect(distributed).to.be.closeTo(distribution.reward, 10n);
+    }
+  });
+
+  it("Should reject replaying a stake not found with pool:replay", async function () {
+    const { rewardPool, users } = await loadFixture(deployFixture);
+    const { stakeId } = await makeStake(rewardPool, users[0], BASE_STAKE);
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    await hre.run("pool:replay", { rewardPool: rewardPool.address, stakeId: stakeId.toString() });
+    await expect(
+      hre.run("pool:replay", { rewardPool: rewardPool.address, stakeId: (stakeId + 1n).toString() }),
+    ).to.be.rejectedWith(`Stake ${stakeId + 1n} not found between blocks 0 and ${toBlock}`);
+  });
+});
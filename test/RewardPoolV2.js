@@ -9,6 +9,8 @@ const {
   timeShift,
   timeShiftBy,
   getTransactionTime,
+  makeRequestWithdrawal,
+  makeMigrationToV3,
 } = require("../utils/utils");
 const { ethers } = require("hardhat");
 const { ZeroAddress } = require("ethers");
@@ -76,9 +78,7 @@ describe("RewardPool V2", function () {
   };
 
   const requestWithdrawal = async (account, value) => {
-    const tx = await stAzur.connect(account).requestWithdrawal(value);
-    const result = await tx.wait();
-    return result.logs[1].args;
+    return await makeRequestWithdrawal(stAzur, account, value);
   };
 
   const updateStakingIncentive = async (reward, duration) => {
@@ -276,11 +276,46 @@ describe("RewardPool V2", function () {
       await updateStakingIncentive(INCENTIVE_REWARD, INCENTIVE_DURATION);
       await timeShiftBy(ethers, INCENTIVE_DURATION);
 
-      await stAzur.connect(user).migrateToV3(DEPOSIT);
+      const { stakeAmount } = await makeMigrationToV3(stAzur, user, DEPOSIT);
       expect(await stAzur.balanceOf(user)).to.equal(0);
+      expect(await pAzur.stakedBy(user)).to.equal(stakeAmount);
       expect(await azur.balanceOf(pAzur)).to.closeToRelative(DEPOSIT + INCENTIVE_REWARD);
       expect(await pAzur.totalStaked()).to.closeToRelative(DEPOSIT + INCENTIVE_REWARD);
     });
+    it("Should force migrate to V3 after the contract is stopped", async function () {
+      await depositFor(user, DEPOSIT);
+      await depositFor(user2, DEPOSIT * 2n);
+      const { requestId } = await requestWithdrawal(user2, WITHDRAWAL);
+
+      await updateStakingIncentive(INCENTIVE_REWARD, INCENTIVE_DURATION);
+      await timeShiftBy(ethers, INCENTIVE_DURATION / 2);
+      await stAzur.connect(owner).stop();
+      const exchangeRate = await stAzur.exchangeRate();
+
+      // The incentive program ends with the stop, so the exchange rate is fixed
+      await timeShiftBy(ethers, INCENTIVE_DURATION);
+      expect(await stAzur.exchangeRate()).to.equal(exchangeRate);
+
+      const userUnderlyingBalance = await calculateAzurBalance(user);
+      const user2UnderlyingBalance = await calculateAzurBalance(user2);
+
+      await stAzur.connect(owner).changeMaintainer(owner.address);
+      await expect(stAzur.connect(owner).forceMigrateToV3([user.address, user2.address, user3.address]))
+        .to.emit(stAzur, "Migrated")
+        .withArgs(user.address, pAzur.address, DEPOSIT, userUnderlyingBalance)
+        .and.to.emit(stAzur, "Migrated")
+        .withArgs(user2.address, pAzur.address, DEPOSIT * 2n - WITHDRAWAL, user2UnderlyingBalance);
+
+      expect(await stAzur.totalSupply()).to.equal(0);
+      expect(await pAzur.stakedBy(user)).to.equal(userUnderlyingBalance);
+      expect(await pAzur.stakedBy(user2)).to.equal(user2UnderlyingBalance);
+      expect(await pAzur.stakedBy(user3)).to.equal(0);
+
+      // Withdrawal requests are still processed and the unallocated reward is recoverable
+      await stAzur.connect(user2).withdrawTo(user2.address, requestId);
+      const recovered = await stAzur.connect(owner).recover.staticCall(owner.address);
+      expect(recovered).to.be.closeTo(INCENTIVE_REWARD / 2n, tokens(1) / 1000n);
+    });
   });
 
   context("Incentive program", function () {
@@ -700,6 +735,44 @@ describe("RewardPool V2", function () {
         "RewardPoolV3NotSet",
       );
     });
+    it("Deposit and incentive updates after the contract is stopped", async function () {
+      await stAzur.connect(owner).stop();
+
+      await expect(stAzur.connect(user).depositFor(user.address, DEPOSIT)).to.be.revertedWithCustomError(
+        stAzur,
+        "ContractIsStopped",
+      );
+      await expect(
+        stAzur.connect(owner).updateStakingIncentive(INCENTIVE_REWARD, INCENTIVE_DURATION),
+      ).to.be.revertedWithCustomError(stAzur, "ContractIsStopped");
+      await expect(stAzur.connect(owner).stop()).to.be.revertedWithCustomError(stAzur, "ContractIsStopped");
+    });
+    it("Force migration to V3 if the contract is not stopped", async function () {
+      await stAzur.connect(owner).changeMaintainer(owner.address);
+
+      await expect(stAzur.connect(owner).forceMigrateToV3([user.address])).to.be.revertedWithCustomError(
+        stAzur,
+        "ContractIsNotStopped",
+      );
+    });
+    it("Force migration to V3 by a non-maintainer", async function () {
+      await stAzur.connect(owner).stop();
+
+      await expect(stAzur.connect(owner).forceMigrateToV3([user.address])).to.be.revertedWithCustomError(
+        stAzur,
+        "OnlyMaintainer",
+      );
+    });
+    it("Force migration to V3 if the contract is not set", async function () {
+      await stAzur.connect(owner).changeRewardPoolV3(ZeroAddress);
+      await stAzur.connect(owner).changeMaintainer(owner.address);
+      await stAzur.connect(owner).stop();
+
+      await expect(stAzur.connect(owner).forceMigrateToV3([user.address])).to.be.revertedWithCustomError(
+        stAzur,
+        "RewardPoolV3NotSet",
+      );
+    });
     it("Incentive reward to be equal zero", async function () {
       await expect(stAzur.updateStakingIncentive(0, ONE_YEAR)).to.be.revertedWithCustomError(stAzur, "NoReward");
     });
@@ -741,6 +814,11 @@ describe("RewardPool V2", function () {
         stAzur,
         "OwnableUnauthorizedAccount",
       );
+      await expect(stAzur.connect(user).changeMaintainer(user.address)).to.be.revertedWithCustomError(
+        stAzur,
+        "OwnableUnauthorizedAccount",
+      );
+      await expect(stAzur.connect(user).stop()).to.be.revertedWithCustomError(stAzur, "OwnableUnauthorizedAccount");
     });
   });
 });
@@ -0,0 +1,117 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { tokens, deployRewardPoolV2, timeShift, timeShiftBy, makeRequestWithdrawal } = require("../utils/utils");
+const { connectRewardPoolV2 } = require("../utils/rewardPoolV2");
+const model = require("../utils/rewardPoolV2Model");
+const { createRandom } = require("./helpers/random");
+const { ethers } = require("hardhat");
+
+const INIT_MINT = tokens(1000000);
+const INIT_BALANCE = tokens(10000);
+
+const ONE_DAY = 60 * 60 * 24;
+const WITHDRAWAL_DELAY = ONE_DAY * 7;
+const NUM_STEPS = 60;
+
+describe("RewardPool V2 exchange rate model", function () {
+  async function deployFixture() {
+    const [owner, ...users] = (await ethers.getSigners()).slice(0, 5);
+
+    const AZUR = await ethers.getContractFactory("TestERC20", { signer: owner });
+    const azur = await AZUR.deploy("AZUR", "AZUR", INIT_MINT);
+    azur.address = await azur.getAddress();
+
+    const stAzur = await deployRewardPoolV2(azur.address, owner, "Staked $AZUR", "stAZUR", WITHDRAWAL_DELAY);
+    stAzur.address = await stAzur.getAddress();
+
+    await azur.connect(owner).approve(stAzur.address, INIT_MINT);
+    for (const user of users) {
+      await azur.connect(owner).transfer(user.address, INIT_BALANCE);
+      await azur.connect(user).approve(stAzur.address, INIT_BALANCE);
+    }
+
+    return { stAzur, owner, users };
+  }
+
+  const checkProjection = async (client, stAzur, timeDelta) => {
+    const state = await client.snapshot();
+    const redeemAmount = state.totalSupply / 3n + 1n;
+
+    expect(model.exchangeRate(state, state.timestamp)).to.equal(await stAzur.exchangeRate());
+
+    await timeShiftBy(ethers, timeDelta);
+    const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+
+    expect(model.exchangeRate(state, timestamp)).to.equal(await stAzur.exchangeRate());
+    expect(model.calculateWithdrawalAmount(state, redeemAmount, timestamp)).to.equal(
+      await stAzur.calculateWithdrawalAmount(redeemAmount),
+    );
+  };
+
+  for (const seed of [1, 2, 3]) {
+    it(`Should match the contract across a random deposit/withdrawal/incentive sequence (seed ${seed})`, async function () {
+      const { stAzur, owner, users } = await loadFixture(deployFixture);
+      const client = connectRewardPoolV2(stAzur.address, ethers.provider);
+      const random = createRandom(seed);
+      const pick = (items) => items[Math.floor(random() * items.length)];
+
+      for (let step = 0; step < NUM_STEPS; ++step) {
+        const user = pick(users);
+        const action = random();
+
+        if (action < 0.4) {
+          const amount = BigInt(Math.floor(random() * 1e6) + 1) * 10n ** 14n;
+          await stAzur.connect(user).depositFor(user.address, amount);
+        } else if (action < 0.7) {
+          const balance = await stAzur.balanceOf(user.address);
+          const redeemAmount = (balance * BigInt(Math.floor(random() * 100) + 1)) / 100n;
+          if (redeemAmount > 0n) await stAzur.connect(user).requestWithdrawal(redeemAmount);
+        } else if (action < 0.85) {
+          const reward = BigInt(Math.floor(random() * 1e6) + 1) * 10n ** 12n;
+          const duration = Math.floor(random() * ONE_DAY * 30) + 1;
+          await stAzur.connect(owner).updateStakingIncentive(reward, duration);
+        }
+
+        await checkProjection(client, stAzur, Math.floor(random() * ONE_DAY * 5) + 1);
+      }
+    });
+  }
+
+  it("Should quote a future withdrawal", async function () {
+    const { stAzur, owner, users } = await loadFixture(deployFixture);
+    const client = connectRewardPoolV2(stAzur.address, ethers.provider);
+
+    await stAzur.connect(users[0]).depositFor(users[0].address, tokens(100));
+    await stAzur.connect(users[1]).depositFor(users[1].address, tokens(300));
+    await stAzur.connect(owner).updateStakingIncentive(tokens(10), ONE_DAY * 30);
+
+    const state = await client.snapshot();
+    const withdrawAt = state.timestamp + BigInt(ONE_DAY * 12);
+    const quote = model.calculateWithdrawalAmount(state, tokens(100), withdrawAt);
+
+    await timeShift(Number(withdrawAt) - 1);
+    const { withdrawalAmount } = await makeRequestWithdrawal(stAzur, users[0], tokens(100));
+    expect(withdrawalAmount).to.equal(quote);
+  });
+
+  it("Should build the exchange rate curve of the incentive program", async function () {
+    const { stAzur, owner, users } = await loadFixture(deployFixture);
+    const client = connectRewardPoolV2(stAzur.address, ethers.provider);
+
+    await stAzur.connect(users[0]).depositFor(users[0].address, tokens(100));
+    await stAzur.connect(owner).updateStakingIncentive(tokens(10), ONE_DAY * 10);
+
+    const state = await client.snapshot();
+    const curve = model.exchangeRateCurve(state, state.timestamp, undefined, ONE_DAY);
+
+    expect(curve.length).to.equal(11);
+    expect(curve[0].exchangeRate).to.equal(tokens(1));
+    expect(curve[10].timestamp).to.equal(state.incentiveEndsAt);
+    expect(curve[10].exchangeRate).to.be.closeTo(tokens(11) / 10n, 10n ** 6n);
+    for (let i = 1; i < curve.length; ++i) {
+      expect(curve[i].exchangeRate).to.be.gt(curve[i - 1].exchangeRate);
+    }
+    expect(model.remainingReward(state, state.incentiveEndsAt)).to.equal(0);
+  });
+});
@@ -1,8 +1,18 @@
 const chai = require("chai");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 
-const { tokens, deployRewardPoolV3, timeShift, timeShiftBy, getTransactionTime } = require("../utils/utils");
+const {
+  tokens,
+  deployRewardPoolV3,
+  timeShift,
+  timeShiftBy,
+  getTransactionTime,
+  makeStakeFor,
+  makeUnstakePartially,
+  makeSplitStake,
+  makeRelock,
+} = require("../utils/utils");
 const { ethers } = require("hardhat");
 
 const INIT_MINT = tokens(1000000);
@@ -17,6 +27,11 @@ const UNSTAKE_PERIOD = ONE_YEAR * 2;
 const INCENTIVE_DURATION = ONE_YEAR;
 const INCENTIVE_REWARD = tokens(1000);
 
+const MULTIPLIER_BASE = 10000;
+const LOCK_TIER = 1;
+const LOCK_PERIOD = ONE_DAY * 90;
+const LOCK_MULTIPLIER = 20000;
+
 chai.Assertion.addMethod("closeToRelative", function (expected, threshold = 1) {
   expected = BigInt(expected);
   const actual = BigInt(this._obj);
@@ -48,9 +63,13 @@ describe("RewardPool V3", function () {
   let azur, pAzur, usdt, owner, user, user2, user3, user4, ownerUsdtBalanceBefore;
 
   const stakeFor = async (account, value, to = account) => {
-    const tx = await pAzur.connect(account).stakeFor(to, value);
-    const result = await tx.wait();
-    return result.logs[2].args.stakeId;
+    const { stakeId } = await makeStakeFor(pAzur, account, value, to);
+    return stakeId;
+  };
+
+  const stakeWithLockTier = async (account, value, tierId = LOCK_TIER) => {
+    const { stakeId } = await makeStakeFor(pAzur, account, value, account, tierId);
+    return stakeId;
   };
 
   const claimReward = async (account) => {
@@ -65,6 +84,22 @@ describe("RewardPool V3", function () {
     return (await azur.balanceOf(account)) - balanceBefore;
   };
 
+  const unstakePartially = async (account, stakeId, amount, to = account) => {
+    const balanceBefore = await azur.balanceOf(account);
+    await makeUnstakePartially(pAzur, account, stakeId, amount, to);
+    return (await azur.balanceOf(account)) - balanceBefore;
+  };
+
+  const splitStake = async (account, stakeId, amounts) => {
+    const splits = await makeSplitStake(pAzur, account, stakeId, amounts);
+    return splits.map(({ newStakeId }) => newStakeId);
+  };
+
+  const relock = async (account, stakeId, tierId = LOCK_TIER) => {
+    const { withdrawAfter } = await makeRelock(pAzur, account, stakeId, tierId);
+    return withdrawAfter;
+  };
+
   const updateStakingIncentive = async (reward, duration) => {
     const tx = await pAzur.connect(owner).updateStakingIncentive(reward, duration);
     return await getTransactionTime(ethers, tx);
@@ -318,6 +353,173 @@ describe("RewardPool V3", function () {
     });
   });
 
+  context("Partial unstake and split", function () {
+    it("Unstake a part of a stake", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      const { withdrawAfter } = await pAzur.stakes(stakeId);
+
+      expect(await unstakePartially(user, stakeId, DEPOSIT / 4n)).to.equal(DEPOSIT / 4n);
+      expect(await pAzur.ownerOf(stakeId)).to.equal(user);
+      expect(await pAzur.stakes(stakeId)).to.deep.equal([(DEPOSIT * 3n) / 4n, withdrawAfter, MULTIPLIER_BASE]);
+      expect(await pAzur.stakedBy(user)).to.equal((DEPOSIT * 3n) / 4n);
+      expect(await pAzur.totalStaked()).to.equal((DEPOSIT * 3n) / 4n);
+
+      expect(await unstakePartially(user, stakeId, (DEPOSIT * 3n) / 4n)).to.equal((DEPOSIT * 3n) / 4n);
+      await expect(pAzur.ownerOf(stakeId)).to.revertedWithCustomError(pAzur, "ERC721NonexistentToken");
+      expect(await pAzur.stakedBy(user)).to.equal(0);
+      expect(await pAzur.totalStaked()).to.equal(0);
+    });
+    it("Unstake a part of a stake during the incentive program", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await stakeFor(user2, DEPOSIT);
+
+      const distributionStartedAt = await updateStakingIncentive(INCENTIVE_REWARD, INCENTIVE_DURATION);
+
+      await timeShift(distributionStartedAt + INCENTIVE_DURATION / 2 - 1);
+      await unstakePartially(user, stakeId, DEPOSIT / 2n);
+
+      await timeShift(distributionStartedAt + INCENTIVE_DURATION);
+      expect(await claimReward(user)).to.be.closeToRelative(INCENTIVE_REWARD / 4n + INCENTIVE_REWARD / 6n);
+      expect(await claimReward(user2)).to.be.closeToRelative(INCENTIVE_REWARD / 4n + INCENTIVE_REWARD / 3n);
+    });
+    it("Split a stake", async function () {
+      await pAzur.connect(owner).changeUnstakePeriod(UNSTAKE_PERIOD);
+      const stakeId = await stakeFor(user, DEPOSIT);
+      const { withdrawAfter } = await pAzur.stakes(stakeId);
+
+      const [stakeId2, stakeId3] = await splitStake(user, stakeId, [DEPOSIT / 2n, DEPOSIT / 5n]);
+      expect(stakeId2).to.equal(stakeId + 1n);
+      expect(stakeId3).to.equal(stakeId + 2n);
+      expect(await pAzur.stakes(stakeId)).to.deep.equal([(DEPOSIT * 3n) / 10n, withdrawAfter, MULTIPLIER_BASE]);
+      expect(await pAzur.stakes(stakeId2)).to.deep.equal([DEPOSIT / 2n, withdrawAfter, MULTIPLIER_BASE]);
+      expect(await pAzur.stakes(stakeId3)).to.deep.equal([DEPOSIT / 5n, withdrawAfter, MULTIPLIER_BASE]);
+      for (const id of [stakeId, stakeId2, stakeId3]) expect(await pAzur.ownerOf(id)).to.equal(user);
+      expect(await pAzur.balanceOf(user)).to.equal(3);
+      expect(await pAzur.stakedBy(user)).to.equal(DEPOSIT);
+      expect(await pAzur.totalStaked()).to.equal(DEPOSIT);
+
+      await expect(unstake(user, [stakeId2])).to.be.revertedWithCustomError(pAzur, "StakeLocked");
+      await timeShiftBy(ethers, UNSTAKE_PERIOD);
+      expect(await unstake(user, [stakeId, stakeId2, stakeId3])).to.equal(DEPOSIT);
+    });
+    it("Split a stake during the incentive program", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await stakeFor(user2, DEPOSIT);
+
+      const distributionStartedAt = await updateStakingIncentive(INCENTIVE_REWARD, INCENTIVE_DURATION);
+
+      await timeShift(distributionStartedAt + INCENTIVE_DURATION / 2 - 2);
+      const [newStakeId] = await splitStake(user, stakeId, [DEPOSIT / 2n]);
+      await unstake(user, [newStakeId]);
+
+      await timeShift(distributionStartedAt + INCENTIVE_DURATION);
+      expect(await claimReward(user)).to.be.closeToRelative(INCENTIVE_REWARD / 4n + INCENTIVE_REWARD / 6n);
+      expect(await claimReward(user2)).to.be.closeToRelative(INCENTIVE_REWARD / 4n + INCENTIVE_REWARD / 3n);
+    });
+  });
+
+  context("Lock tiers", function () {
+    beforeEach(async function () {
+      await pAzur.connect(owner).changeLockTier(LOCK_TIER, LOCK_PERIOD, LOCK_MULTIPLIER);
+    });
+
+    it("Stake with a lock tier", async function () {
+      const stakeId = await stakeWithLockTier(user, DEPOSIT);
+      const stakedAt = await time.latest();
+      await stakeFor(user2, DEPOSIT);
+
+      expect(await pAzur.stakes(stakeId)).to.deep.equal([DEPOSIT, stakedAt + LOCK_PERIOD, LOCK_MULTIPLIER]);
+      // The tiered entry point does not overload stakeFor, so integrators still look stakeFor up by name
+      expect(pAzur.interface.getFunction("stakeFor").format()).to.equal("stakeFor(address,uint96)");
+      expect(await pAzur.stakedBy(user)).to.equal(DEPOSIT);
+      expect(await pAzur.weightedStakeOf(user)).to.equal(DEPOSIT * 2n);
+      expect(await pAzur.weightedStakeOf(user2)).to.equal(DEPOSIT);
+      expect(await pAzur.totalStaked()).to.equal(DEPOSIT * 2n);
+      expect(await pAzur.totalWeightedStake()).to.equal(DEPOSIT * 3n);
+
+      await updateStakingIncentive(INCENTIVE_REWARD, INCENTIVE_DURATION);
+      await timeShiftBy(ethers, INCENTIVE_DURATION);
+
+      expect(await claimReward(user)).to.be.closeToRelative((INCENTIVE_REWARD * 2n) / 3n);
+      expect(await claimReward(user2)).to.be.closeToRelative(INCENTIVE_REWARD / 3n);
+      expect(await unstake(user, [stakeId])).to.equal(DEPOSIT);
+      expect(await pAzur.totalWeightedStake()).to.equal(DEPOSIT);
+    });
+    it("Unstake a stake of a lock tier before its lock period has passed", async function () {
+      const stakeId = await stakeWithLockTier(user, DEPOSIT);
+
+      await timeShiftBy(ethers, LOCK_PERIOD - 10);
+      await expect(unstake(user, [stakeId])).to.be.revertedWithCustomError(pAzur, "StakeLocked");
+      await timeShiftBy(ethers, 10);
+      expect(await unstake(user, [stakeId])).to.equal(DEPOSIT);
+    });
+    it("Relock a stake to a lock tier during the incentive program", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await stakeFor(user2, DEPOSIT);
+
+      const distributionStartedAt = await updateStakingIncentive(INCENTIVE_REWARD, INCENTIVE_DURATION);
+
+      await timeShift(distributionStartedAt + INCENTIVE_DURATION / 2 - 1);
+      const withdrawAfter = await relock(user, stakeId);
+      expect(withdrawAfter).to.equal((await time.latest()) + LOCK_PERIOD);
+      expect(await pAzur.stakes(stakeId)).to.deep.equal([DEPOSIT, withdrawAfter, LOCK_MULTIPLIER]);
+      expect(await pAzur.weightedStakeOf(user)).to.equal(DEPOSIT * 2n);
+
+      await timeShift(distributionStartedAt + INCENTIVE_DURATION);
+      expect(await claimReward(user)).to.be.closeToRelative(INCENTIVE_REWARD / 4n + INCENTIVE_REWARD / 3n);
+      expect(await claimReward(user2)).to.be.closeToRelative(INCENTIVE_REWARD / 4n + INCENTIVE_REWARD / 6n);
+    });
+    it("Relock a stake with a longer remaining lock", async function () {
+      await pAzur.connect(owner).changeUnstakePeriod(UNSTAKE_PERIOD);
+      const stakeId = await stakeFor(user, DEPOSIT);
+      const { withdrawAfter } = await pAzur.stakes(stakeId);
+
+      expect(await relock(user, stakeId)).to.equal(withdrawAfter);
+      expect(await pAzur.stakes(stakeId)).to.deep.equal([DEPOSIT, withdrawAfter, LOCK_MULTIPLIER]);
+    });
+    it("Relock a stake to a lock tier with the same multiplier", async function () {
+      const stakeId = await stakeWithLockTier(user, DEPOSIT);
+      await timeShiftBy(ethers, LOCK_PERIOD);
+
+      const withdrawAfter = await relock(user, stakeId);
+      expect(withdrawAfter).to.equal((await time.latest()) + LOCK_PERIOD);
+      expect(await pAzur.weightedStakeOf(user)).to.equal(DEPOSIT * 2n);
+      await expect(unstake(user, [stakeId])).to.be.revertedWithCustomError(pAzur, "StakeLocked");
+    });
+    it("Change a lock tier of existing stakes", async function () {
+      const stakeId = await stakeWithLockTier(user, DEPOSIT);
+      const stake = await pAzur.stakes(stakeId);
+
+      await pAzur.connect(owner).changeLockTier(LOCK_TIER, LOCK_PERIOD * 2, LOCK_MULTIPLIER * 2);
+      expect(await pAzur.lockTiers(LOCK_TIER)).to.deep.equal([LOCK_PERIOD * 2, LOCK_MULTIPLIER * 2]);
+      expect(await pAzur.stakes(stakeId)).to.deep.equal(stake);
+      expect(await pAzur.weightedStakeOf(user)).to.equal(DEPOSIT * 2n);
+
+      await pAzur.connect(owner).changeLockTier(LOCK_TIER, LOCK_PERIOD, 0);
+      await expect(stakeWithLockTier(user, DEPOSIT))
+        .to.be.revertedWithCustomError(pAzur, "InvalidLockTier")
+        .withArgs(LOCK_TIER);
+      await timeShiftBy(ethers, LOCK_PERIOD);
+      expect(await unstake(user, [stakeId])).to.equal(DEPOSIT);
+    });
+    it("Split and unstake parts of a stake of a lock tier", async function () {
+      // The boosted weight of every part is rounded down: 1.5 * 7 wei -> 10 wei, 1.5 * 3 wei -> 4 wei
+      await pAzur.connect(owner).changeLockTier(LOCK_TIER, 0, 15000);
+      const stakeId = await stakeWithLockTier(user, 10n);
+      expect(await pAzur.weightedStakeOf(user)).to.equal(15n);
+
+      const [newStakeId] = await splitStake(user, stakeId, [3n]);
+      expect(await pAzur.stakes(newStakeId)).to.deep.equal([3n, (await pAzur.stakes(stakeId)).withdrawAfter, 15000]);
+      expect(await pAzur.weightedStakeOf(user)).to.equal(14n);
+
+      await unstakePartially(user, stakeId, 2n);
+      expect(await pAzur.weightedStakeOf(user)).to.equal(11n);
+      await unstake(user, [stakeId, newStakeId]);
+      expect(await pAzur.weightedStakeOf(user)).to.equal(0);
+      expect(await pAzur.totalWeightedStake()).to.equal(0);
+    });
+  });
+
   context("Not allowed", function () {
     it("The same staking and reward token", async function () {
       await expect(deployRewardPoolV3(azur.address, azur.address, 0)).to.revertedWithCustomError(
@@ -363,6 +565,78 @@ describe("RewardPool V3", function () {
       await timeShiftBy(ethers, UNSTAKE_PERIOD - 10);
       await expect(unstake(user, [stakeId])).to.be.revertedWithCustomError(pAzur, "StakeLocked");
     });
+    it("Unstake a part of a stake by a non-staker", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await expect(unstakePartially(owner, stakeId, 1n)).to.be.revertedWithCustomError(pAzur, "OnlyStakeOwner");
+    });
+    it("Unstake a part of a stake exceeding its amount", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await expect(unstakePartially(user, stakeId, DEPOSIT + 1n))
+        .to.be.revertedWithCustomError(pAzur, "InsufficientStake")
+        .withArgs(stakeId, DEPOSIT);
+    });
+    it("Unstake a zero part of a stake", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await expect(unstakePartially(user, stakeId, 0n)).to.be.revertedWithCustomError(pAzur, "ZeroAmount");
+    });
+    it("Unstake a part of a stake before the lock period has passed", async function () {
+      await pAzur.connect(owner).changeUnstakePeriod(UNSTAKE_PERIOD);
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await expect(unstakePartially(user, stakeId, 1n)).to.be.revertedWithCustomError(pAzur, "StakeLocked");
+    });
+    it("Split a stake by a non-staker", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await expect(splitStake(owner, stakeId, [1n])).to.be.revertedWithCustomError(pAzur, "OnlyStakeOwner");
+    });
+    it("Split a stake into amounts not leaving a remainder", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await expect(splitStake(user, stakeId, [DEPOSIT]))
+        .to.be.revertedWithCustomError(pAzur, "InsufficientStake")
+        .withArgs(stakeId, DEPOSIT);
+      await expect(splitStake(user, stakeId, [DEPOSIT / 2n, DEPOSIT / 2n]))
+        .to.be.revertedWithCustomError(pAzur, "InsufficientStake")
+        .withArgs(stakeId, DEPOSIT / 2n);
+    });
+    it("Split a zero amount off a stake", async function () {
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await expect(splitStake(user, stakeId, [1n, 0n])).to.be.revertedWithCustomError(pAzur, "ZeroAmount");
+    });
+    it("Stake with a disabled lock tier", async function () {
+      await expect(stakeWithLockTier(user, DEPOSIT))
+        .to.be.revertedWithCustomError(pAzur, "InvalidLockTier")
+        .withArgs(LOCK_TIER);
+    });
+    it("Lock tier multiplier to be out of the allowed range", async function () {
+      for (const multiplier of [MULTIPLIER_BASE - 1, MULTIPLIER_BASE * 10 + 1]) {
+        await expect(pAzur.connect(owner).changeLockTier(LOCK_TIER, LOCK_PERIOD, multiplier))
+          .to.be.revertedWithCustomError(pAzur, "InvalidMultiplier")
+          .withArgs(MULTIPLIER_BASE, MULTIPLIER_BASE * 10);
+      }
+    });
+    it("Lock tier lock period to exceed the maximum", async function () {
+      const MAX_LOCK_PERIOD = ONE_DAY * 365 * 4;
+      await expect(pAzur.connect(owner).changeLockTier(LOCK_TIER, MAX_LOCK_PERIOD + 1, LOCK_MULTIPLIER))
+        .to.be.revertedWithCustomError(pAzur, "InvalidLockPeriod")
+        .withArgs(MAX_LOCK_PERIOD);
+      await pAzur.connect(owner).changeLockTier(LOCK_TIER, MAX_LOCK_PERIOD, LOCK_MULTIPLIER);
+      await stakeWithLockTier(user, DEPOSIT);
+    });
+    it("Relock a stake by a non-staker", async function () {
+      await pAzur.connect(owner).changeLockTier(LOCK_TIER, LOCK_PERIOD, LOCK_MULTIPLIER);
+      const stakeId = await stakeFor(user, DEPOSIT);
+      await expect(relock(owner, stakeId)).to.be.revertedWithCustomError(pAzur, "OnlyStakeOwner");
+    });
+    it("Relock a stake to a lock tier with a lower multiplier", async function () {
+      await pAzur.connect(owner).changeLockTier(LOCK_TIER, LOCK_PERIOD, LOCK_MULTIPLIER);
+      await pAzur.connect(owner).changeLockTier(LOCK_TIER + 1, LOCK_PERIOD * 2, MULTIPLIER_BASE);
+      const stakeId = await stakeWithLockTier(user, DEPOSIT);
+      await expect(relock(user, stakeId, LOCK_TIER + 1))
+        .to.be.revertedWithCustomError(pAzur, "LockTierDowngrade")
+        .withArgs(stakeId, LOCK_MULTIPLIER);
+      await expect(relock(user, stakeId, LOCK_TIER + 2))
+        .to.be.revertedWithCustomError(pAzur, "InvalidLockTier")
+        .withArgs(LOCK_TIER + 2);
+    });
     it("Stake zero amount", async function () {
       await expect(stakeFor(user, 0n)).to.be.revertedWithCustomError(pAzur, "ZeroAmount");
     });
@@ -412,6 +686,9 @@ describe("RewardPool V3", function () {
         pAzur,
         "OwnableUnauthorizedAccount",
       );
+      await expect(
+        pAzur.connect(user).changeLockTier(LOCK_TIER, LOCK_PERIOD, LOCK_MULTIPLIER),
+      ).to.be.revertedWithCustomError(pAzur, "OwnableUnauthorizedAccount");
     });
   });
 
@@ -0,0 +1,144 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { tokens, deployRewardPoolV3, timeShiftBy } = require("../utils/utils");
+const { connectRewardPoolV3 } = require("../utils/rewardPoolV3");
+const { ethers } = require("hardhat");
+
+const INIT_MINT = tokens(1000000);
+const INIT_BALANCE = tokens(1000);
+const DEPOSIT = tokens(100);
+
+const ONE_DAY = 60 * 60 * 24;
+const UNSTAKE_PERIOD = ONE_DAY * 7;
+const INCENTIVE_DURATION = ONE_DAY * 30;
+const INCENTIVE_REWARD = tokens(1000);
+
+describe("RewardPool V3 client", function () {
+  async function deployFixture() {
+    const [owner, user, user2] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+
+    const pAzur = await deployRewardPoolV3(await azur.getAddress(), await usdt.getAddress(), UNSTAKE_PERIOD);
+    pAzur.address = await pAzur.getAddress();
+
+    await usdt.connect(owner).approve(pAzur.address, INIT_MINT);
+    await azur.connect(owner).transfer(user.address, INIT_BALANCE);
+
+    return { azur, usdt, pAzur, owner, user, user2 };
+  }
+
+  it("Should approve and stake, returning the decoded Staked event", async function () {
+    const { azur, pAzur, user, user2 } = await loadFixture(deployFixture);
+    const client = connectRewardPoolV3(pAzur.address, user);
+
+    const res1 = await client.stakeFor(user.address, DEPOSIT);
+    const res2 = await client.stakeFor(user2.address, DEPOSIT * 2n);
+
+    expect(res1.stakeId).to.equal(0);
+    expect(res2.stakeId).to.equal(1);
+    expect(res2.account).to.equal(user2.address);
+    expect(await pAzur.ownerOf(res2.stakeId)).to.equal(user2.address);
+    expect(await azur.balanceOf(pAzur.address)).to.equal(DEPOSIT * 3n);
+
+    expect(await client.stakes(res2.stakeId)).to.deep.equal({
+      amount: DEPOSIT * 2n,
+      withdrawAfter: res2.withdrawAfter,
+      multiplier: 10000n,
+    });
+  });
+
+  it("Should claim reward and unstake several stakes, returning decoded events", async function () {
+    const { azur, usdt, pAzur, owner, user } = await loadFixture(deployFixture);
+    const client = connectRewardPoolV3(pAzur.address, user);
+
+    const { stakeId: stakeId1 } = await client.stakeFor(user.address, DEPOSIT);
+    const { stakeId: stakeId2 } = await client.stakeFor(user.address, DEPOSIT);
+
+    await pAzur.connect(owner).updateStakingIncentive(INCENTIVE_REWARD, INCENTIVE_DURATION);
+    await timeShiftBy(ethers, INCENTIVE_DURATION);
+
+    const earned = await client.earnedReward(user.address);
+    const claim = await client.claimReward(user.address);
+    expect(claim.amount).to.equal(earned);
+    expect(await usdt.balanceOf(user.address)).to.equal(earned);
+
+    const res = await client.unstake(user.address, [stakeId1, stakeId2]);
+    expect(res.unstakes).to.deep.equal([
+      { stakeId: stakeId1, amount: DEPOSIT },
+      { stakeId: stakeId2, amount: DEPOSIT },
+    ]);
+    expect(res.amount).to.equal(DEPOSIT * 2n);
+    expect(await azur.balanceOf(user.address)).to.equal(INIT_BALANCE);
+  });
+
+  it("Should split a stake and unstake a part of it, returning the remainders", async function () {
+    const { azur, pAzur, user } = await loadFixture(deployFixture);
+    const client = connectRewardPoolV3(pAzur.address, user);
+    const { stakeId, withdrawAfter } = await client.stakeFor(user.address, DEPOSIT);
+
+    const split = await client.splitStake(stakeId, [DEPOSIT / 4n, DEPOSIT / 4n]);
+    expect(split.newStakes).to.deep.equal([
+      { stakeId: stakeId + 1n, amount: DEPOSIT / 4n },
+      { stakeId: stakeId + 2n, amount: DEPOSIT / 4n },
+    ]);
+    expect(split.remainder).to.equal(DEPOSIT / 2n);
+    expect(await client.stakes(stakeId + 2n)).to.deep.equal({
+      amount: DEPOSIT / 4n,
+      withdrawAfter,
+      multiplier: 10000n,
+    });
+
+    await timeShiftBy(ethers, UNSTAKE_PERIOD);
+    const res = await client.unstakePartially(user.address, stakeId, DEPOSIT / 8n);
+    expect(res.amount).to.equal(DEPOSIT / 8n);
+    expect(res.remainder).to.equal((DEPOSIT * 3n) / 8n);
+    expect(await azur.balanceOf(user.address)).to.equal(INIT_BALANCE - DEPOSIT + DEPOSIT / 8n);
+  });
+
+  it("Should stake with a lock tier and relock, returning multipliers", async function () {
+    const { pAzur, owner, user } = await loadFixture(deployFixture);
+    await pAzur.connect(owner).changeLockTier(1, UNSTAKE_PERIOD * 2, 15000);
+    await pAzur.connect(owner).changeLockTier(2, UNSTAKE_PERIOD * 4, 30000);
+    const client = connectRewardPoolV3(pAzur.address, user);
+
+    expect(await client.lockTier(1)).to.deep.equal({
+      tierId: 1,
+      lockPeriod: BigInt(UNSTAKE_PERIOD * 2),
+      multiplier: 15000n,
+    });
+    expect(await client.lockTier(3)).to.be.null;
+
+    const stake1 = await client.stakeFor(user.address, DEPOSIT);
+    const stake2 = await client.stakeFor(user.address, DEPOSIT, 1);
+    expect(stake1.multiplier).to.equal(10000n);
+    expect(stake2.multiplier).to.equal(15000n);
+    expect(stake2.withdrawAfter).to.equal((await time.latest()) + UNSTAKE_PERIOD * 2);
+
+    const res = await client.relock(stake2.stakeId, 2);
+    expect(res.multiplier).to.equal(30000n);
+    expect(await client.stakes(stake2.stakeId)).to.deep.equal({
+      amount: DEPOSIT,
+      withdrawAfter: res.withdrawAfter,
+      multiplier: 30000n,
+    });
+    expect((await client.incentive()).totalWeightedStake).to.equal(DEPOSIT * 4n);
+  });
+
+  it("Should read incentive state through a provider", async function () {
+    const { pAzur, owner, user } = await loadFixture(deployFixture);
+    await connectRewardPoolV3(pAzur.address, user).stakeFor(user.address, DEPOSIT);
+    await pAzur.connect(owner).updateStakingIncentive(INCENTIVE_REWARD, INCENTIVE_DURATION);
+
+    const client = connectRewardPoolV3(pAzur.address, ethers.provider);
+    const incentive = await client.incentive();
+    expect(incentive.rewardRate).to.equal(await pAzur.rewardRate());
+    expect(incentive.incentiveEndsAt).to.equal(await pAzur.incentiveEndsAt());
+    expect(incentive.totalStaked).to.equal(DEPOSIT);
+
+    await expect(client.stakeFor(user.address, DEPOSIT)).to.be.rejectedWith("RewardPoolV3: a signer is required");
+  });
+});
@@ -0,0 +1,114 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { tokens, deployRewardPoolV3, timeShiftBy, makeStakeFor } = require("../utils/utils");
+const { connectRewardPoolV3 } = require("../utils/rewardPoolV3");
+const model = require("../utils/rewardPoolV3Model");
+const { createRandom } = require("./helpers/random");
+const { ethers } = require("hardhat");
+
+const INIT_MINT = tokens(1000000);
+const INIT_BALANCE = tokens(10000);
+
+const ONE_DAY = 60 * 60 * 24;
+const UNSTAKE_PERIOD = ONE_DAY * 3;
+const NUM_STEPS = 60;
+// Multipliers of lock tiers 0, 1 and 2, odd ones round boosted weights
+const LOCK_MULTIPLIERS = [10000, 13333, 25000];
+
+describe("RewardPool V3 reward model", function () {
+  async function deployFixture() {
+    const [owner, ...users] = (await ethers.getSigners()).slice(0, 5);
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+
+    const pAzur = await deployRewardPoolV3(await azur.getAddress(), await usdt.getAddress(), UNSTAKE_PERIOD);
+    pAzur.address = await pAzur.getAddress();
+
+    await usdt.connect(owner).approve(pAzur.address, INIT_MINT);
+    for (const [tierId, multiplier] of LOCK_MULTIPLIERS.entries()) {
+      await pAzur.connect(owner).changeLockTier(tierId, UNSTAKE_PERIOD * (tierId + 1), multiplier);
+    }
+    for (const user of users) {
+      await azur.connect(owner).transfer(user.address, INIT_BALANCE);
+      await azur.connect(user).approve(pAzur.address, INIT_BALANCE);
+    }
+
+    return { pAzur, owner, users };
+  }
+
+  const checkProjection = async (client, pAzur, users, timeDelta) => {
+    const accounts = users.map((user) => user.address);
+    const state = await client.snapshot(accounts);
+
+    expect(model.rewardPerToken(state, state.timestamp)).to.equal(await pAzur.rewardPerToken());
+    for (const account of accounts) {
+      expect(model.earnedReward(state, state.accounts[account], state.timestamp)).to.equal(
+        await pAzur.earnedReward(account),
+      );
+    }
+
+    await timeShiftBy(ethers, timeDelta);
+    const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+
+    expect(model.rewardPerToken(state, timestamp)).to.equal(await pAzur.rewardPerToken());
+    for (const account of accounts) {
+      expect(model.earnedReward(state, state.accounts[account], timestamp)).to.equal(await pAzur.earnedReward(account));
+    }
+  };
+
+  for (const seed of [1, 2, 3]) {
+    it(`Should match the contract across a random stake/claim/unstake sequence (seed ${seed})`, async function () {
+      const { pAzur, owner, users } = await loadFixture(deployFixture);
+      const client = connectRewardPoolV3(pAzur.address, ethers.provider);
+      const random = createRandom(seed);
+      const pick = (items) => items[Math.floor(random() * items.length)];
+
+      const stakes = [];
+      for (let step = 0; step < NUM_STEPS; ++step) {
+        const user = pick(users);
+        const action = random();
+
+        if (action < 0.35) {
+          const amount = BigInt(Math.floor(random() * 1e6) + 1) * 10n ** 14n;
+          // A stake with no lock tier or of a random one
+          const tierId = random() < 0.5 ? undefined : Math.floor(random() * LOCK_MULTIPLIERS.length);
+          const { stakeId, withdrawAfter } = await makeStakeFor(pAzur, user, amount, user.address, tierId);
+          stakes.push({ stakeId, withdrawAfter, user });
+        } else if (action < 0.55) {
+          if ((await pAzur.earnedReward(user.address)) > 0n) await pAzur.connect(user).claimReward(user.address);
+        } else if (action < 0.75) {
+          const timestamp = (await ethers.provider.getBlock("latest")).timestamp + 1;
+          const unlocked = stakes.filter((stake) => stake.user === user && stake.withdrawAfter <= timestamp);
+          if (unlocked.length > 0) {
+            const stake = pick(unlocked);
+            await pAzur.connect(user).unstake(user.address, [stake.stakeId]);
+            stakes.splice(stakes.indexOf(stake), 1);
+          }
+        } else if (action < 0.85) {
+          const reward = BigInt(Math.floor(random() * 1e6) + 1) * 10n ** 12n;
+          const duration = Math.floor(random() * ONE_DAY * 30) + 1;
+          await pAzur.connect(owner).updateStakingIncentive(reward, duration);
+        }
+
+        await checkProjection(client, pAzur, users, Math.floor(random() * ONE_DAY * 5) + 1);
+      }
+    });
+  }
+
+  it("Should project remaining reward of the incentive program", async function () {
+    const { pAzur, owner, users } = await loadFixture(deployFixture);
+    const client = connectRewardPoolV3(pAzur.address, ethers.provider);
+
+    await makeStakeFor(pAzur, users[0], tokens(100), users[0].address);
+    await pAzur.connect(owner).updateStakingIncentive(tokens(1000), ONE_DAY * 10);
+
+    const state = await client.snapshot();
+    expect(model.remainingReward(state, state.timestamp)).to.be.closeTo(tokens(1000), tokens(1) / 1000n);
+    expect(model.remainingReward(state, state.incentiveEndsAt)).to.equal(0);
+    expect(model.remainingReward(state, state.incentiveEndsAt + 1n)).to.equal(0);
+    expect(model.lastTimeRewardApplicable(state, state.incentiveEndsAt + 1n)).to.equal(state.incentiveEndsAt);
+  });
+});
@@ -0,0 +1,247 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { tokens, deployRewardPoolV2, deployRewardPoolV3 } = require("../utils/utils");
+const { calculateChecksum, appendToSafeBatch, decodeSafeBatch, formatSafeBatch } = require("../utils/safeBatch");
+const { SILENT_LOGGER, setTaskLogger } = require("../tasks/params");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+
+const INIT_MINT = tokens(1000000);
+const ONE_DAY = 60 * 60 * 24;
+
+describe("Safe batches", function () {
+  let batchPath;
+
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+    azur.address = await azur.getAddress();
+    usdt.address = await usdt.getAddress();
+    const pAzur = await deployRewardPoolV3(azur.address, usdt.address, ONE_DAY);
+    return { owner, user, azur, usdt, pAzur, address: await pAzur.getAddress() };
+  }
+
+  const savedDeploymentsDir = hre.config.paths.deployments;
+  beforeEach(function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-batch-"));
+    hre.config.paths.deployments = dir;
+    batchPath = path.join(dir, "batch.json");
+  });
+  after(function () {
+    hre.config.paths.deployments = savedDeploymentsDir;
+  });
+
+  const readBatch = () => JSON.parse(fs.readFileSync(batchPath));
+
+  // Sends the batch transactions from the owner as the Safe would
+  const executeBatch = async (owner) => {
+    for (const { to, value, data } of decodeSafeBatch(readBatch()).transactions) {
+      await (await owner.sendTransaction({ to, value, data })).wait();
+    }
+  };
+
+  it("Should export an incentive update with the reward approval", async function () {
+    const { owner, usdt, pAzur, address } = await loadFixture(deployFixture);
+
+    const lines = [];
+    const taskLogger = setTaskLogger({ ...SILENT_LOGGER, log: (...args) => lines.push(args.join(" ")) });
+    try {
+      await hre.run("pool:update-incentive", {
+        pool: "v3",
+        address,
+        reward: tokens(1000).toString(),
+        duration: ONE_DAY * 30,
+        safeBatch: batchPath,
+      });
+    } finally {
+      setTaskLogger(taskLogger);
+    }
+    expect(await pAzur.incentiveEndsAt()).to.equal(0n);
+    expect(lines).to.include(`Warning: the owner ${owner.address} is not a contract`);
+    expect(lines.at(-1)).to.equal(`${batchPath}: 2 transactions of Safe ${owner.address}`);
+
+    const batch = readBatch();
+    expect(batch.chainId).to.equal("31337");
+    expect(batch.meta.createdFromSafeAddress).to.equal(owner.address);
+    expect(batch.meta.checksum).to.equal(calculateChecksum(batch));
+    expect(batch.transactions).to.deep.equal([
+      {
+        to: usdt.address,
+        value: "0",
+        data: null,
+        contractMethod: {
+          inputs: [
+            { internalType: "address", name: "spender", type: "address" },
+            { internalType: "uint256", name: "value", type: "uint256" },
+          ],
+          name: "approve",
+          payable: false,
+        },
+        contractInputsValues: { spender: address, value: tokens(1000).toString() },
+      },
+      {
+        to: address,
+        value: "0",
+        data: null,
+        contractMethod: {
+          inputs: [
+            { internalType: "uint256", name: "extraReward", type: "uint256" },
+            { internalType: "uint256", name: "incentiveDuration", type: "uint256" },
+          ],
+          name: "updateStakingIncentive",
+          payable: false,
+        },
+        contractInputsValues: { extraReward: tokens(1000).toString(), incentiveDuration: String(ONE_DAY * 30) },
+      },
+    ]);
+
+    const decoded = await hre.run("safe:decode", { file: batchPath });
+    expect(decoded.checksum).to.equal("valid");
+    expect(formatSafeBatch(decoded, { [address.toLowerCase()]: "RewardPoolV3" }).split("\n")).to.deep.equal([
+      `Safe ${owner.address} on chain 31337, checksum valid`,
+      `1. ${usdt.address} approve(spender: ${address} (RewardPoolV3), value: ${tokens(1000)})`,
+      `2. ${address} (RewardPoolV3) updateStakingIncentive(extraReward: ${tokens(1000)}, incentiveDuration: 2592000)`,
+    ]);
+
+    await executeBatch(owner);
+    expect(await pAzur.incentiveEndsAt()).to.be.gt(0n);
+    expect(await usdt.balanceOf(address)).to.equal(tokens(1000));
+  });
+
+  it("Should append an upgrade and a migration to one batch", async function () {
+    const { owner, azur, address } = await loadFixture(deployFixture);
+    const OldRewardPoolV2 = await ethers.getContractFactory("OldRewardPoolV2");
+    const stAzur = await upgrades.deployProxy(OldRewardPoolV2, [azur.address, "Staked $AZUR", "stAZUR", ONE_DAY]);
+    const addressV2 = await stAzur.getAddress();
+    const implementation = await upgrades.erc1967.getImplementationAddress(addressV2);
+
+    await hre.run("pool:upgrade", { pool: "v2", address: addressV2, skipCheck: true, safeBatch: batchPath });
+    await hre.run("pool:migrate", { pool: "v2", address: addressV2, target: address, safeBatch: batchPath });
+    expect(await upgrades.erc1967.getImplementationAddress(addressV2)).to.equal(implementation);
+
+    const batch = readBatch();
+    const admin = await upgrades.erc1967.getAdminAddress(addressV2);
+    expect(batch.transactions.map((tx) => [tx.to, tx.contractMethod.name])).to.deep.equal([
+      [admin, "upgradeAndCall"],
+      [addressV2, "changeRewardPoolV3"],
+    ]);
+    expect(batch.meta.description).to.match(/^Upgrade RewardPoolV2 .+; RewardPoolV2 migration target change$/);
+    expect(batch.meta.checksum).to.equal(calculateChecksum(batch));
+
+    await executeBatch(owner);
+    const newImplementation = await upgrades.erc1967.getImplementationAddress(addressV2);
+    expect(newImplementation).to.not.equal(implementation);
+    expect(batch.transactions[0].contractInputsValues).to.deep.equal({
+      proxy: addressV2,
+      implementation: newImplementation,
+      data: "0x",
+    });
+    const rewardPoolV2 = await ethers.getContractAt("RewardPoolV2", addressV2);
+    const [event] = await rewardPoolV2.queryFilter(rewardPoolV2.filters.RewardPoolV3Changed);
+    expect(event.args[0]).to.equal(address);
+  });
+
+  it("Should flag modified batches and decode raw data", async function () {
+    const { user, usdt, pAzur, address } = await loadFixture(deployFixture);
+    await appendToSafeBatch(batchPath, {
+      chainId: 31337,
+      safe: user.address,
+      calls: [{ contract: pAzur, method: "changeUnstakePeriod", args: [ONE_DAY], description: "Change" }],
+    });
+    await expect(appendToSafeBatch(batchPath, { chainId: 1, safe: user.address, calls: [] })).to.be.rejectedWith(
+      `is a batch of Safe ${user.address} on chain 31337, not of Safe ${user.address} on chain 1`,
+    );
+
+    const batch = readBatch();
+    batch.transactions[0].contractInputsValues.newUnstakePeriod = "1";
+    batch.transactions[0].data = pAzur.interface.encodeFunctionData("changeUnstakePeriod", [ONE_DAY]);
+    batch.transactions.push({
+      to: usdt.address,
+      value: "0",
+      data: usdt.interface.encodeFunctionData("approve", [address, 5n]),
+    });
+    batch.transactions.push({ to: address, value: "0", data: "0x12345678" });
+
+    const decoded = decodeSafeBatch(batch, { contracts: { [address.toLowerCase()]: pAzur.interface } });
+    expect(decoded.checksum).to.equal("invalid");
+    expect(formatSafeBatch(decoded).split("\n").slice(1)).to.deep.equal([
+      `1. ${address} changeUnstakePeriod(newUnstakePeriod: 1)  <- the data does not match the method inputs`,
+      `2. ${usdt.address} approve(spender: ${address}, amount: 5)`,
+      `3. ${address} data 0x12345678  <- unknown method`,
+    ]);
+  });
+
+  it("Should send owner calls without a Safe batch", async function () {
+    const { owner, user, pAzur, address } = await loadFixture(deployFixture);
+    const stAzur = await deployRewardPoolV2(await pAzur.stakingToken(), owner, "Staked $AZUR", "stAZUR", ONE_DAY);
+
+    await hre.run("pool:change-unstake-period", { pool: "v3", address, period: ONE_DAY * 2 });
+    await hre.run("pool:change-unstake-period", {
+      pool: "v2",
+      address: await stAzur.getAddress(),
+      period: ONE_DAY * 3,
+    });
+    expect(await pAzur.unstakePeriod()).to.equal(ONE_DAY * 2);
+    expect(await stAzur.withdrawalDelay()).to.equal(ONE_DAY * 3);
+    expect(fs.existsSync(batchPath)).to.be.false;
+
+    await expect(hre.run("pool:recover", { pool: "v1", to: user.address })).to.be.rejectedWith(
+      "Pool v1 has no recover, expected v2 or v3",
+    );
+  });
+
+  it("Should change lock tiers of RewardPoolV3", async function () {
+    const { pAzur, address } = await loadFixture(deployFixture);
+
+    await hre.run("pool:change-lock-tier", { address, tier: 1, lockPeriod: ONE_DAY * 30, multiplier: 15000 });
+    expect(await pAzur.lockTiers(1)).to.deep.equal([ONE_DAY * 30, 15000]);
+    await hre.run("pool:change-lock-tier", { address, tier: 1, lockPeriod: 0, multiplier: 0 });
+    expect(await pAzur.lockTiers(1)).to.deep.equal([0, 0]);
+
+    await expect(
+      hre.run("pool:change-lock-tier", { address, tier: 256, lockPeriod: 2 ** 32 - 1, multiplier: 5000 }),
+    ).to.be.rejectedWith(
+      "Invalid configuration:\n" +
+        "  - --tier: 256 is out of bounds [0, 255]\n" +
+        "  - --lock-period: 4294967295 is out of bounds [0, 126144000]\n" +
+        "  - --multiplier: 5000 is out of bounds [10000, 100000] and is not 0",
+    );
+  });
+
+  it("Should change maintainers and stop pools before the forced migration", async function () {
+    const { owner, user, pAzur, address } = await loadFixture(deployFixture);
+    const stAzur = await deployRewardPoolV2(await pAzur.stakingToken(), owner, "Staked $AZUR", "stAZUR", ONE_DAY);
+    const addressV2 = await stAzur.getAddress();
+
+    await hre.run("pool:change-maintainer", {
+      pool: "v2",
+      address: addressV2,
+      maintainer: user.address,
+      safeBatch: batchPath,
+    });
+    await hre.run("pool:stop", { pool: "v2", address: addressV2, safeBatch: batchPath });
+    expect(await stAzur.isContractStopped()).to.be.false;
+    const decoded = await hre.run("safe:decode", { file: batchPath });
+    expect(decoded.transactions.map((tx) => [tx.method, tx.args.map(([, value]) => value)])).to.deep.equal([
+      ["changeMaintainer", [user.address]],
+      ["stop", []],
+    ]);
+
+    await executeBatch(owner);
+    expect(await stAzur.maintainer()).to.equal(user.address);
+    expect(await stAzur.isContractStopped()).to.be.true;
+
+    await expect(hre.run("pool:stop", { pool: "v2", address: addressV2 })).to.be.rejectedWith(
+      `RewardPoolV2 ${addressV2} is already stopped`,
+    );
+    await expect(hre.run("pool:stop", { pool: "v3", address })).to.be.rejectedWith(
+      "Pool v3 has no stop, expected v1 or v2",
+    );
+  });
+});
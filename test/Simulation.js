@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { DEFAULT_SIMULATION, createRandom, resolveSimulationConfig, runSimulation } = require("../utils/simulation");
+const hre = require("hardhat");
+
+const ONE_DAY = 60 * 60 * 24;
+
+describe("Staking simulation", function () {
+  const config = {
+    seed: 42,
+    stakers: 12,
+    days: 20,
+    unstakePeriod: ONE_DAY * 3,
+    profiles: [
+      { name: "holder", weight: 2, stake: [100, 1000], joinDays: [0, 3], claimEveryDays: 5 },
+      { name: "farmer", weight: 1, stake: [100, 1000], joinDays: [2, 8], topUpProbability: 0.2, unstakeAfterDays: 4 },
+    ],
+    incentives: [
+      { day: 0, reward: 1000, duration: 10 },
+      { day: 8, reward: 2000, duration: 10 },
+    ],
+  };
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+  it("Should distribute the RewardPoolV3 reward pro rata to stakes", async function () {
+    const report = await runSimulation(hre, { ...config, pool: "v3" });
+    const { accounts, dust, gas, totals } = report;
+
+    expect(accounts).to.have.lengthOf(12);
+    expect(totals.funded).to.equal(hre.ethers.parseEther("3000"));
+    expect(totals.distributed).to.equal(sum(accounts.map((account) => account.reward)));
+    // Nothing is lost: the reward is distributed, remains for the rest of the program or stays in the pool as dust
+    expect(totals.funded).to.equal(totals.distributed + dust.remainingReward + dust.surplus);
+    expect(dust.stakingTokenSurplus).to.equal(0n);
+    expect(dust.undistributed).to.be.gt(0n);
+    expect(dust.rounding)
+      .to.be.gte(0n)
+      .and.lt(BigInt(ONE_DAY * 20));
+
+    expect(report.fairness.maxDeviation).to.be.lt(BigInt(ONE_DAY));
+    expect(report.fairness.maxRelativeDeviation).to.be.lt(1e-9);
+    expect(report.fairness.aprMin).to.be.gt(0);
+
+    expect(Object.keys(gas)).to.include.members(["updateStakingIncentive", "stakeFor", "claimReward", "unstake"]);
+    expect(gas.updateStakingIncentive.count).to.equal(2);
+    expect(totals.transactions).to.equal(2 + accounts.reduce((total, account) => total + account.transactions, 0));
+    expect(sum(accounts.map((account) => account.gasUsed))).to.equal(
+      sum(Object.entries(gas).map(([method, { total }]) => (method === "updateStakingIncentive" ? 0n : total))),
+    );
+  });
+
+  it("Should account RewardPoolV2 rewards by the stAZUR value", async function () {
+    const report = await runSimulation(hre, { ...config, pool: "v2" });
+    const { accounts, dust, gas, totals } = report;
+
+    // The stAZUR value of every staker is rounded down
+    expect(totals.distributed + dust.remainingReward + dust.surplus).to.be.closeTo(totals.funded, 12n);
+    expect(dust.rounding)
+      .to.be.gte(0n)
+      .and.lt(BigInt(ONE_DAY * 20));
+    expect(Object.keys(gas)).to.include.members(["depositFor", "requestWithdrawal", "withdrawTo"]);
+    expect(sum(accounts.map((account) => account.reward))).to.equal(totals.distributed);
+    // The exchange rate compounds the reward, so earlier stakes get more than their pro rata share
+    expect(report.fairness.maxRelativeDeviation).to.be.gt(1e-6);
+  });
+
+  it("Should run the simulation task with a scenario file", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "simulation-"));
+    const scenario = path.join(dir, "scenario.json");
+    const out = path.join(dir, "report.json");
+    fs.writeFileSync(scenario, JSON.stringify({ ...config, stakers: 3 }));
+
+    const report = await hre.run("sim:run", { scenario, days: 4, out });
+    expect(report.config.stakers).to.equal(3);
+    expect(report.config.days).to.equal(4);
+    const written = JSON.parse(fs.readFileSync(out));
+    expect(written.totals.funded).to.equal(report.totals.funded.toString());
+    expect(written.accounts).to.have.lengthOf(3);
+  });
+
+  it("Should be deterministic and validate the config", async function () {
+    const [first, second] = [createRandom(7), createRandom(7)];
+    const values = Array.from({ length: 5 }, () => first.next());
+    expect(values).to.deep.equal(Array.from({ length: 5 }, () => second.next()));
+    expect(values.every((value) => value >= 0 && value < 1)).to.be.true;
+
+    expect(resolveSimulationConfig({}).profiles.map((profile) => profile.name)).to.deep.equal(
+      DEFAULT_SIMULATION.profiles.map((profile) => profile.name),
+    );
+    expect(() =>
+      resolveSimulationConfig({ pool: "v1", stakers: 0, profiles: [{ stake: [10, 1] }], incentives: [] }),
+    ).to.throw(
+      "Invalid simulation config:\n" +
+        "  - pool v1 is not v2 or v3\n" +
+        "  - stakers must be at least 1\n" +
+        "  - profile profile0: stake must be [min, max] with 1 <= min <= max",
+    );
+    await expect(hre.run("sim:run", { pool: "v1" })).to.be.rejectedWith("pool v1 is not v2 or v3");
+  });
+});
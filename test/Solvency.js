@@ -0,0 +1,182 @@
+const { loadFixture, setBalance } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const {
+  tokens,
+  timeShiftBy,
+  deployRewardPool,
+  deployRewardPoolV2,
+  deployRewardPoolV3,
+  makeStake,
+  makeRequestUnstake,
+  makeDistributeReward,
+} = require("../utils/utils");
+const { checkSolvency, watchSolvency } = require("../utils/solvency");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const INIT_MINT = tokens(1000000);
+const ONE_DAY = 60 * 60 * 24;
+
+describe("Solvency monitor", function () {
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+    for (const user of [user1, user2]) await azur.transfer(user.address, tokens(10000));
+
+    const rewardPool = await deployRewardPool(await azur.getAddress(), owner, ONE_DAY);
+    const stAzur = await deployRewardPoolV2(await azur.getAddress(), owner, "Staked $AZUR", "stAZUR", ONE_DAY);
+    const pAzur = await deployRewardPoolV3(await azur.getAddress(), await usdt.getAddress(), ONE_DAY);
+    for (const pool of [rewardPool, stAzur, pAzur]) {
+      pool.address = await pool.getAddress();
+      for (const signer of [owner, user1, user2]) await azur.connect(signer).approve(pool.address, INIT_MINT);
+    }
+    await usdt.approve(pAzur.address, INIT_MINT);
+
+    return { owner, user1, user2, azur, usdt, rewardPool, stAzur, pAzur };
+  }
+
+  // Moves tokens out of a pool bypassing its accounting
+  const drain = async (token, pool, amount) => {
+    await setBalance(pool.address, tokens(1));
+    const poolSigner = await ethers.getImpersonatedSigner(pool.address);
+    const [owner] = await ethers.getSigners();
+    await token.connect(poolSigner).transfer(owner.address, amount);
+  };
+
+  it("Should check RewardPool stakes, rewards and requested unstakes", async function () {
+    const { owner, user1, user2, azur, rewardPool } = await loadFixture(deployFixture);
+    const { stakeId } = await makeStake(rewardPool, user1, tokens(1000));
+    const stake2 = await makeStake(rewardPool, user2, tokens(3000));
+    await timeShiftBy(ethers, ONE_DAY);
+    await makeDistributeReward(rewardPool, owner, tokens(400));
+    await makeRequestUnstake(rewardPool, user1, stakeId);
+
+    const report = await checkSolvency("v1", rewardPool.address, ethers.provider);
+    expect(report.isSolvent).to.be.true;
+    const [token] = report.tokens;
+    expect(token.symbol).to.equal("AZUR");
+    expect(token.obligations).to.deep.equal({
+      totalStaked: tokens(3000),
+      unclaimedReward: await rewardPool.rewardOf(stake2.stakeId),
+      requestedUnstakes: tokens(1000),
+    });
+    expect(token.balance).to.equal(await azur.balanceOf(rewardPool.address));
+    expect(token.surplus)
+      .to.equal(token.balance - token.required)
+      .and.to.be.lt(10n);
+
+    await drain(azur, rewardPool, token.surplus + 1n);
+    const drained = await checkSolvency("v1", rewardPool.address, ethers.provider);
+    expect(drained.isSolvent).to.be.false;
+    expect(drained.tokens[0].surplus).to.equal(-1n);
+  });
+
+  it("Should check RewardPool stakes not force migrated yet between migration batches", async function () {
+    const { owner, user1, user2, azur, rewardPool, stAzur } = await loadFixture(deployFixture);
+    const stake1 = await makeStake(rewardPool, user1, tokens(1000));
+    const stake2 = await makeStake(rewardPool, user2, tokens(3000));
+    await timeShiftBy(ethers, ONE_DAY);
+    await makeDistributeReward(rewardPool, owner, tokens(400));
+    await rewardPool.connect(owner).changeRewardPoolV2(stAzur.address);
+    await rewardPool.connect(owner).changeMaintainer(owner.address);
+    await rewardPool.connect(owner).stop();
+
+    const amount1 = tokens(1000) + (await rewardPool.rewardOf(stake1.stakeId));
+    const reward2 = await rewardPool.rewardOf(stake2.stakeId);
+    await rewardPool.connect(owner).forceMigrateToV2([user1.address], [amount1], amount1);
+
+    const report = await checkSolvency("v1", rewardPool.address, ethers.provider);
+    const [token] = report.tokens;
+    expect(report.isSolvent).to.be.true;
+    expect(token.obligations).to.deep.equal({
+      totalStaked: tokens(3000),
+      unclaimedReward: reward2,
+      requestedUnstakes: 0n,
+    });
+
+    await drain(azur, rewardPool, token.surplus + 1n);
+    expect((await checkSolvency("v1", rewardPool.address, ethers.provider)).isSolvent).to.be.false;
+
+    await azur.connect(owner).transfer(rewardPool.address, 1n);
+    await rewardPool.connect(owner).forceMigrateToV2([user2.address], [tokens(3000) + reward2], tokens(3000) + reward2);
+    const migrated = await checkSolvency("v1", rewardPool.address, ethers.provider);
+    expect(migrated.isSolvent).to.be.true;
+    expect(migrated.tokens[0].required).to.equal(0n);
+  });
+
+  it("Should check RewardPoolV2 stAZUR value, requested withdrawals and the remaining reward", async function () {
+    const { owner, user1, azur, stAzur } = await loadFixture(deployFixture);
+    await stAzur.connect(user1).depositFor(user1.address, tokens(1000));
+    await stAzur.connect(owner).updateStakingIncentive(tokens(100), ONE_DAY * 10);
+    await timeShiftBy(ethers, ONE_DAY * 5);
+    await stAzur.connect(user1).requestWithdrawal(tokens(200));
+
+    const report = await checkSolvency("v2", stAzur.address, ethers.provider);
+    const [token] = report.tokens;
+    expect(report.isSolvent).to.be.true;
+    expect(token.obligations.stakedValue).to.equal(await stAzur.calculateWithdrawalAmount(tokens(800)));
+    expect(token.obligations.totalRequestedAmount).to.equal(await stAzur.totalRequestedAmount());
+    // The reward rate is rounded down, so up to a wei per second of the reward is not distributed
+    expect(token.required).to.be.closeTo(tokens(1100), BigInt(ONE_DAY * 10));
+
+    await drain(azur, stAzur, token.surplus + tokens(1));
+    expect((await checkSolvency("v2", stAzur.address, ethers.provider)).isSolvent).to.be.false;
+  });
+
+  it("Should check RewardPoolV3 stakes and unclaimed rewards of all stakers", async function () {
+    const { owner, user1, user2, usdt, pAzur } = await loadFixture(deployFixture);
+    await pAzur.connect(user1).stakeFor(user1.address, tokens(1000));
+    await pAzur.connect(user2).stakeFor(user2.address, tokens(1000));
+    await pAzur.connect(owner).updateStakingIncentive(tokens(100), ONE_DAY * 10);
+    await timeShiftBy(ethers, ONE_DAY * 2);
+    await pAzur.claimReward(user1.address);
+
+    const report = await checkSolvency("v3", pAzur.address, ethers.provider);
+    expect(report.isSolvent).to.be.true;
+    const [staking, reward] = report.tokens;
+    expect(staking.obligations).to.deep.equal({ totalStaked: tokens(2000) });
+    expect(staking.surplus).to.equal(0n);
+    expect(reward.obligations.unclaimedReward).to.equal(
+      (await pAzur.earnedReward(user1.address)) + (await pAzur.earnedReward(user2.address)),
+    );
+    expect(reward.required).to.be.closeTo(tokens(100) - (await usdt.balanceOf(user1.address)), BigInt(ONE_DAY * 10));
+
+    await drain(usdt, pAzur, reward.surplus + tokens(1));
+    const drained = await checkSolvency("v3", pAzur.address, ethers.provider);
+    expect(drained.tokens.map((token) => token.isSolvent)).to.deep.equal([true, false]);
+
+    const fromBlock = (await ethers.provider.getBlockNumber()) - 1;
+    await expect(checkSolvency("v3", pAzur.address, ethers.provider, { fromBlock })).to.be.rejectedWith(
+      "Found 0 Staked and 0 StakeSplit events but nextStakeId is 2, check fromBlock",
+    );
+  });
+
+  it("Should watch pools until a violation is found", async function () {
+    const { user1, azur, pAzur } = await loadFixture(deployFixture);
+    await pAzur.connect(user1).stakeFor(user1.address, tokens(1000));
+
+    let rounds = 0;
+    const errors = [];
+    const reports = await watchSolvency(
+      async () => {
+        rounds++;
+        if (rounds === 2) throw new Error("RPC is down");
+        if (rounds === 3) await drain(azur, pAzur, 1n);
+        return [await checkSolvency("v3", pAzur.address, ethers.provider)];
+      },
+      { interval: 0, onError: (error) => errors.push(error.message) },
+    );
+    expect(rounds).to.equal(3);
+    expect(errors).to.deep.equal(["RPC is down"]);
+    expect(reports[0].isSolvent).to.be.false;
+
+    await expect(hre.run("pool:check-solvency", { pool: "v3", address: pAzur.address })).to.be.rejectedWith(
+      "Solvency violations: RewardPoolV3 AZUR deficit 0.000000000000000001",
+    );
+    await expect(watchSolvency(async () => [], { interval: 0, rounds: 2 })).to.eventually.deep.equal([]);
+  });
+});
@@ -0,0 +1,237 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { tokens, deployRewardPool } = require("../utils/utils");
+const { readDeployments } = require("../utils/deployments");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+
+const INIT_MINT = tokens(1000000);
+const ONE_DAY = 60 * 60 * 24;
+
+describe("Pool tasks", function () {
+  let deploymentsDir;
+
+  async function deployFixture() {
+    const [owner] = await ethers.getSigners();
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+    return { owner, azur: await azur.getAddress(), usdt: await usdt.getAddress() };
+  }
+
+  const withEnv = async (env, fn) => {
+    const saved = Object.fromEntries(Object.keys(env).map((name) => [name, process.env[name]]));
+    Object.assign(process.env, env);
+    try {
+      return await fn();
+    } finally {
+      for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    }
+  };
+
+  const savedDeploymentsDir = hre.config.paths.deployments;
+  beforeEach(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    hre.config.paths.deployments = deploymentsDir;
+  });
+  after(function () {
+    hre.config.paths.deployments = savedDeploymentsDir;
+  });
+
+  it("Should deploy, link and upgrade pools recorded in the deployments manifest", async function () {
+    const { owner, azur, usdt } = await loadFixture(deployFixture);
+
+    const rewardPool = await hre.run("pool:deploy", { pool: "v1", token: azur, unstakePeriod: ONE_DAY });
+    const rewardPoolV2 = await hre.run("pool:deploy", {
+      pool: "v2",
+      token: azur,
+      unstakePeriod: ONE_DAY,
+      name: "Staked $AZUR",
+      symbol: "stAZUR",
+    });
+    const rewardPoolV3 = await hre.run("pool:deploy", {
+      pool: "v3",
+      token: azur,
+      rewardToken: usdt,
+      unstakePeriod: ONE_DAY,
+    });
+
+    expect(await rewardPool.unstakePeriod()).to.equal(ONE_DAY);
+    expect(await rewardPoolV2.symbol()).to.equal("stAZUR");
+    expect(await rewardPoolV3.rewardToken()).to.equal(usdt);
+
+    const [address, addressV2, addressV3] = await Promise.all(
+      [rewardPool, rewardPoolV2, rewardPoolV3].map((pool) => pool.getAddress()),
+    );
+    const { network, chainId, contracts } = readDeployments(deploymentsDir, "hardhat");
+    expect(network).to.equal("hardhat");
+    expect(chainId).to.equal(31337);
+    expect(Object.keys(contracts)).to.deep.equal(["RewardPool", "RewardPoolV2", "RewardPoolV3"]);
+
+    const deploymentV2 = contracts.RewardPoolV2;
+    const receipt = await rewardPoolV2.deploymentTransaction().wait();
+    expect(deploymentV2).to.deep.equal({
+      proxy: addressV2,
+      deployer: owner.address,
+      initializerArgs: [azur, "Staked $AZUR", "stAZUR", ONE_DAY],
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      implementations: [
+        {
+          address: await upgrades.erc1967.getImplementationAddress(addressV2),
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+        },
+      ],
+    });
+    expect(contracts.RewardPoolV3.initializerArgs).to.deep.equal([azur, usdt, ONE_DAY]);
+
+    // Addresses are read from the manifest
+    await hre.run("pool:migrate", { pool: "v1" });
+    await hre.run("pool:migrate", { pool: "v2" });
+    expect(await rewardPool.rewardPoolV2()).to.equal(addressV2);
+    const [changed] = await rewardPoolV2.queryFilter(rewardPoolV2.filters.RewardPoolV3Changed());
+    expect(changed.args.newRewardPoolV3).to.equal(addressV3);
+
+    await hre.run("pool:upgrade", { pool: "v3" });
+    expect(readDeployments(deploymentsDir, "hardhat").contracts).to.deep.equal(contracts);
+
+    await expect(hre.run("pool:migrate", { pool: "v3", address: addressV3, target: addressV3 })).to.be.rejectedWith(
+      "Pool v3 has no migration, expected v1 or v2",
+    );
+  });
+
+  it("Should fall back to env for pools missing in the manifest", async function () {
+    const { owner, azur } = await loadFixture(deployFixture);
+
+    const rewardPool = await deployRewardPool(azur, owner, ONE_DAY);
+    const address = await rewardPool.getAddress();
+    const rewardPoolV2 = await hre.run("pool:deploy", {
+      pool: "v2",
+      token: azur,
+      unstakePeriod: ONE_DAY,
+      name: "Staked $AZUR",
+      symbol: "stAZUR",
+    });
+
+    await withEnv({ REWARD_POOL_ADDRESS: address, REWARD_POOL_V2_ADDRESS: owner.address }, async () => {
+      await hre.run("pool:migrate", { pool: "v1" });
+      await hre.run("pool:upgrade", { pool: "v1" });
+    });
+    expect(await rewardPool.rewardPoolV2()).to.equal(await rewardPoolV2.getAddress());
+
+    // The upgrade of a pool deployed before the manifest starts its history
+    const { RewardPool: deployment } = readDeployments(deploymentsDir, "hardhat").contracts;
+    expect(deployment.proxy).to.equal(address);
+    expect(deployment.implementations.map((implementation) => implementation.address)).to.deep.equal([
+      await upgrades.erc1967.getImplementationAddress(address),
+    ]);
+
+    await withEnv({ REWARD_POOL_V3_ADDRESS: "" }, async () => {
+      await expect(hre.run("pool:migrate", { pool: "v2" })).to.be.rejectedWith(
+        `--target is not set, RewardPoolV3 is not in ${path.relative(hre.config.paths.root, deploymentsDir)}/hardhat.json and REWARD_POOL_V3_ADDRESS env is empty`,
+      );
+    });
+  });
+
+  it("Should print the status of all deployed pools", async function () {
+    const { owner, azur, usdt } = await loadFixture(deployFixture);
+    const rewardPool = await hre.run("pool:deploy", { pool: "v1", token: azur, unstakePeriod: ONE_DAY });
+    const rewardPoolV2 = await hre.run("pool:deploy", {
+      pool: "v2",
+      token: azur,
+      unstakePeriod: ONE_DAY * 2,
+      name: "Staked $AZUR",
+      symbol: "stAZUR",
+    });
+    const rewardPoolV3 = await hre.run("pool:deploy", {
+      pool: "v3",
+      token: azur,
+      rewardToken: usdt,
+      unstakePeriod: ONE_DAY * 3,
+    });
+    await hre.run("pool:migrate", { pool: "v2" });
+
+    const azurToken = await ethers.getContractAt("TestERC20", azur);
+    await azurToken.approve(await rewardPoolV2.getAddress(), tokens(2000));
+    await rewardPoolV2.depositFor(owner.address, tokens(1000));
+    await rewardPoolV2.updateStakingIncentive(tokens(100), ONE_DAY * 10);
+    await rewardPoolV2.requestWithdrawal(tokens(400));
+
+    const env = { REWARD_POOL_ADDRESS: "", REWARD_POOL_V2_ADDRESS: "", REWARD_POOL_V3_ADDRESS: "" };
+    const statuses = await withEnv(env, () => hre.run("pool:status", { json: true }));
+    expect(Object.keys(statuses)).to.deep.equal(["RewardPool", "RewardPoolV2", "RewardPoolV3"]);
+
+    const { RewardPool: v1, RewardPoolV2: v2, RewardPoolV3: v3 } = statuses;
+    const addressV2 = await rewardPoolV2.getAddress();
+    expect(v1).to.include({
+      address: await rewardPool.getAddress(),
+      owner: owner.address,
+      isContractStopped: false,
+      isStakingProhibited: false,
+      unstakePeriod: BigInt(ONE_DAY),
+      rewardPoolV2: null,
+      rewardPoolV3: null,
+      rewardRate: null,
+    });
+    expect(v2).to.include({
+      address: addressV2,
+      implementation: await upgrades.erc1967.getImplementationAddress(addressV2),
+      proxyAdmin: await upgrades.erc1967.getAdminAddress(addressV2),
+      stakingToken: azur,
+      totalSupply: tokens(600),
+      rewardRate: await rewardPoolV2.rewardRate(),
+      incentiveEndsAt: await rewardPoolV2.incentiveEndsAt(),
+      incentiveTimeLeft: BigInt(ONE_DAY * 10 - 1),
+      remainingReward: ((await rewardPoolV2.rewardRate()) * BigInt(ONE_DAY * 10 - 1)) / 10n ** 18n,
+      unstakePeriod: BigInt(ONE_DAY * 2),
+      totalRequestedAmount: await rewardPoolV2.totalRequestedAmount(),
+      rewardPoolV3: await rewardPoolV3.getAddress(),
+    });
+    expect(v2.totalStaked).to.equal((tokens(600) * (await rewardPoolV2.exchangeRate())) / 10n ** 18n);
+    expect(v3).to.include({
+      rewardToken: usdt,
+      totalStaked: 0n,
+      rewardRate: 0n,
+      incentiveEndsAt: 0n,
+      incentiveTimeLeft: 0n,
+      unstakePeriod: BigInt(ONE_DAY * 3),
+      isContractStopped: null,
+    });
+
+    const [status] = Object.values(await hre.run("pool:status", { pool: "v3", block: v3.blockNumber - 1 }));
+    expect(status.blockNumber).to.equal(v3.blockNumber - 1);
+    await expect(hre.run("pool:status", { address: addressV2 })).to.be.rejectedWith("--address needs --pool");
+  });
+
+  it("Should report invalid params before sending transactions", async function () {
+    const { owner, azur } = await loadFixture(deployFixture);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    await withEnv({ UNSTAKEPERIOD: "", REWARD_TOKEN: "" }, async () => {
+      await expect(hre.run("pool:deploy", { pool: "v3", token: owner.address })).to.be.rejectedWith(
+        "Invalid configuration:\n" +
+          `  - --token (AZUR env): ${owner.address} has no code\n` +
+          "  - --unstake-period (UNSTAKEPERIOD env) is not set\n" +
+          "  - --reward-token (REWARD_TOKEN env) is not set",
+      );
+    });
+    await expect(hre.run("pool:deploy", { pool: "v1", token: azur, unstakePeriod: ONE_DAY * 31 })).to.be.rejectedWith(
+      `--unstake-period (UNSTAKEPERIOD env): ${ONE_DAY * 31} is out of bounds [1, ${ONE_DAY * 30}]`,
+    );
+    await expect(
+      hre.run("pool:deploy", { pool: "v3", token: azur, rewardToken: azur.toLowerCase(), unstakePeriod: ONE_DAY }),
+    ).to.be.rejectedWith("The staking and reward tokens are the same");
+    await expect(hre.run("pool:deploy", { pool: "v4", token: azur, unstakePeriod: ONE_DAY })).to.be.rejectedWith(
+      'Unknown pool version "v4", expected v1, v2 or v3',
+    );
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+});
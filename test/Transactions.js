@@ -0,0 +1,114 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { tokens } = require("../utils/utils");
+const { waitForTransaction } = require("../utils/transactions");
+const { ethers, network } = require("hardhat");
+
+describe("Transactions", function () {
+  async function deployFixture() {
+    const [owner, user] = await ethers.getSigners();
+    const Token = await ethers.getContractFactory("TestERC20");
+    const azur = await Token.deploy("AZUR", "AZUR", tokens(1000));
+    return { owner, user, azur };
+  }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const until = async (predicate) => {
+    while (!predicate()) await sleep(10);
+  };
+
+  const waitOptions = (lines) => ({ pollingInterval: 10, log: (line) => lines.push(line) });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  it("Should wait for confirmations", async function () {
+    const { owner, user, azur } = await loadFixture(deployFixture);
+    const tx = await azur.connect(owner).transfer(user.address, tokens(1));
+
+    const lines = [];
+    const waiting = waitForTransaction(tx, { ...waitOptions(lines), confirmations: 3 });
+    await sleep(50);
+    expect(lines).to.deep.equal([`Transaction sent: ${tx.hash}`]);
+
+    await network.provider.send("hardhat_mine", ["0x2"]);
+    const receipt = await waiting;
+    expect(receipt.hash).to.equal(tx.hash);
+    expect(lines[1]).to.equal(
+      `Transaction confirmed: ${tx.hash}, block ${receipt.blockNumber}, gas used ${receipt.gasUsed}`,
+    );
+  });
+
+  it("Should bump the fees of a stuck transaction", async function () {
+    const { owner, user, azur } = await loadFixture(deployFixture);
+    await network.provider.send("evm_setAutomine", [false]);
+    const { maxFeePerGas, maxPriorityFeePerGas } = await ethers.provider.getFeeData();
+    const tx = await azur.connect(owner).transfer(user.address, tokens(1), { maxFeePerGas, maxPriorityFeePerGas });
+
+    const lines = [];
+    const waiting = waitForTransaction(tx, {
+      ...waitOptions(lines),
+      signer: owner,
+      bumpAfter: 0,
+      maxBumps: 1,
+      description: "Transfer",
+    });
+    await until(() => lines.length === 2);
+    await network.provider.send("evm_mine");
+    const receipt = await waiting;
+
+    expect(receipt.hash).to.not.equal(tx.hash);
+    expect(lines[1]).to.equal(`Transfer ${tx.hash} is stuck, resent with bumped fees: ${receipt.hash}`);
+    const replacement = await ethers.provider.getTransaction(receipt.hash);
+    expect(replacement.nonce).to.equal(tx.nonce);
+    expect(replacement.data).to.equal(tx.data);
+    expect(replacement.maxFeePerGas >= (maxFeePerGas * 120n) / 100n).to.be.true;
+    expect(replacement.maxPriorityFeePerGas >= (maxPriorityFeePerGas * 120n) / 100n).to.be.true;
+    expect(await ethers.provider.getTransaction(tx.hash)).to.be.null;
+    expect(await azur.balanceOf(user.address)).to.equal(tokens(1));
+  });
+
+  it("Should resend a dropped transaction", async function () {
+    const { owner, user, azur } = await loadFixture(deployFixture);
+    await network.provider.send("evm_setAutomine", [false]);
+    const tx = await azur.connect(owner).transfer(user.address, tokens(1));
+    await network.provider.send("hardhat_dropTransaction", [tx.hash]);
+
+    await expect(waitForTransaction(tx, waitOptions([]))).to.be.rejectedWith(`Transaction ${tx.hash} was dropped`);
+
+    const lines = [];
+    const waiting = waitForTransaction(tx, { ...waitOptions(lines), signer: owner });
+    await until(() => lines.length === 2);
+    await network.provider.send("evm_mine");
+    const receipt = await waiting;
+
+    expect(lines[1]).to.equal(`Transaction ${tx.hash} was dropped, resent: ${receipt.hash}`);
+    expect(receipt.status).to.equal(1);
+    expect(await azur.balanceOf(user.address)).to.equal(tokens(1));
+  });
+
+  it("Should reject reverted and replaced transactions", async function () {
+    const { owner, user, azur } = await loadFixture(deployFixture);
+    await network.provider.send("evm_setAutomine", [false]);
+    const reverted = await azur.connect(user).transfer(owner.address, tokens(1), { gasLimit: 100000 });
+    await network.provider.send("evm_mine");
+    await expect(waitForTransaction(reverted, waitOptions([]))).to.be.rejectedWith(
+      `Transaction ${reverted.hash} reverted`,
+    );
+
+    const { maxFeePerGas, maxPriorityFeePerGas } = await ethers.provider.getFeeData();
+    const tx = await azur.connect(owner).transfer(user.address, tokens(1), { maxFeePerGas, maxPriorityFeePerGas });
+    await owner.sendTransaction({
+      to: owner.address,
+      nonce: tx.nonce,
+      maxFeePerGas: maxFeePerGas * 2n,
+      maxPriorityFeePerGas: maxPriorityFeePerGas * 2n,
+    });
+    await network.provider.send("evm_mine");
+    await expect(waitForTransaction(tx, { ...waitOptions([]), signer: owner })).to.be.rejectedWith(
+      `Transaction nonce ${tx.nonce} was used by another transaction`,
+    );
+  });
+});
@@ -0,0 +1,153 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const {
+  tokens,
+  deployRewardPool,
+  deployRewardPoolV3,
+  makeStake,
+  makeStakeFor,
+  makeDistributeReward,
+  timeShiftBy,
+} = require("../utils/utils");
+const { checkUpgrade, diffSnapshots, formatStorageLayoutDiff } = require("../utils/upgradeSafety");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+
+const INIT_MINT = tokens(1000000);
+const DEPOSIT = tokens(100);
+const ONE_DAY = 60 * 60 * 24;
+
+describe("Upgrade safety", function () {
+  async function deployFixture() {
+    const [owner, ...users] = (await ethers.getSigners()).slice(0, 4);
+
+    const Token = await ethers.getContractFactory("TestERC20", { signer: owner });
+    const azur = await Token.deploy("AZUR", "AZUR", INIT_MINT);
+    const usdt = await Token.deploy("Tether USD", "USDT", INIT_MINT);
+    azur.address = await azur.getAddress();
+    usdt.address = await usdt.getAddress();
+
+    return { owner, users, azur, usdt };
+  }
+
+  const approveAll = async (token, owner, users, spender) => {
+    await token.connect(owner).approve(spender, INIT_MINT);
+    for (const user of users) {
+      await token.connect(owner).transfer(user.address, DEPOSIT * 10n);
+      await token.connect(user).approve(spender, INIT_MINT);
+    }
+  };
+
+  it("Should pass the upgrade of RewardPoolV3 with a running incentive", async function () {
+    const { owner, users, azur, usdt } = await loadFixture(deployFixture);
+    const pAzur = await deployRewardPoolV3(azur.address, usdt.address, ONE_DAY);
+    const proxy = await pAzur.getAddress();
+    await approveAll(azur, owner, users, proxy);
+    await usdt.connect(owner).approve(proxy, INIT_MINT);
+
+    for (const [i, user] of users.entries()) await makeStakeFor(pAzur, user, DEPOSIT * BigInt(i + 1), user.address);
+    await pAzur.connect(owner).updateStakingIncentive(tokens(1000), ONE_DAY * 30);
+    await timeShiftBy(ethers, ONE_DAY);
+
+    const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+    const blockNumber = await ethers.provider.getBlockNumber();
+    const lines = [];
+    const { storageLayoutDiff, changes } = await checkUpgrade(hre, {
+      contract: "RewardPoolV3",
+      proxy,
+      log: (line) => lines.push(line),
+    });
+
+    expect(changes).to.be.empty;
+    expect(storageLayoutDiff.every((row) => row.status === "unchanged")).to.be.true;
+    expect(lines[0]).to.equal(`RewardPoolV3 ${proxy}: validateUpgrade passed`);
+    expect(lines[1]).to.equal(`Storage layout diff:\n${storageLayoutDiff.length} variables unchanged`);
+    // 13 getters, 3 stakes of 3 accounts
+    expect(lines[2]).to.equal("Compared 31 getter values before and after the local upgrade");
+
+    // The local upgrade is reverted
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(implementation);
+  });
+
+  it("Should pass the upgrade of RewardPool with distributed rewards", async function () {
+    const { owner, users, azur } = await loadFixture(deployFixture);
+    const rewardPool = await deployRewardPool(azur.address, owner, ONE_DAY);
+    await approveAll(azur, owner, users, await rewardPool.getAddress());
+
+    for (const user of users) await makeStake(rewardPool, user, DEPOSIT);
+    await timeShiftBy(ethers, ONE_DAY);
+    await makeDistributeReward(rewardPool, owner, tokens(10));
+
+    const { changes } = await checkUpgrade(hre, { contract: "RewardPool", proxy: await rewardPool.getAddress() });
+    expect(changes).to.be.empty;
+  });
+
+  it("Should report storage layout and getter changes", async function () {
+    const { owner, users, azur } = await loadFixture(deployFixture);
+    const OldRewardPoolV2 = await ethers.getContractFactory("OldRewardPoolV2", { signer: owner });
+    const stAzur = await upgrades.deployProxy(OldRewardPoolV2, [azur.address, "Staked $AZUR", "stAZUR", ONE_DAY]);
+    const proxy = await stAzur.getAddress();
+    await approveAll(azur, owner, users, proxy);
+
+    await stAzur.connect(users[0]).depositFor(users[0].address, DEPOSIT);
+    await stAzur.connect(users[0]).requestWithdrawal(DEPOSIT / 2n);
+
+    // Getters added by the upgrade revert before it
+    const newGetters = ["exchangeRate", "reward", "rewardRate", "incentiveStartedAt", "incentiveEndsAt"];
+    const stoppable = ["isContractStopped", "maintainer"];
+    await expect(checkUpgrade(hre, { contract: "RewardPoolV2", proxy, allowedChanges: newGetters })).to.be.rejectedWith(
+      "The upgrade changes 2 getter values:\n  isContractStopped:",
+    );
+
+    const lines = [];
+    const { storageLayoutDiff } = await checkUpgrade(hre, {
+      contract: "RewardPoolV2",
+      proxy,
+      allowedChanges: [...newGetters, ...stoppable],
+      log: (line) => lines.push(line),
+    });
+    const added = storageLayoutDiff.filter((row) => row.status === "added").map((row) => row.after.label);
+    expect(added).to.deep.equal([
+      "incentiveEndsAt",
+      "_updatedAt",
+      "incentiveStartedAt",
+      "_exchangeRate",
+      "reward",
+      "rewardRate",
+      "rewardPoolV3",
+      "isContractStopped",
+      "maintainer",
+    ]);
+    expect(storageLayoutDiff.filter((row) => row.status !== "added" && row.status !== "unchanged")).to.be.empty;
+    expect(formatStorageLayoutDiff(storageLayoutDiff).split("\n")[0]).to.equal(
+      "+ slot 2 offset 20  incentiveEndsAt: uint32",
+    );
+    expect(lines[1]).to.include("+ slot 5 offset 0  rewardPoolV3: contract IRewardPoolV3");
+  });
+
+  it("Should reject an incompatible implementation", async function () {
+    const { azur, usdt } = await loadFixture(deployFixture);
+    const pAzur = await deployRewardPoolV3(azur.address, usdt.address, ONE_DAY);
+
+    await expect(checkUpgrade(hre, { contract: "RewardPoolV2", proxy: await pAzur.getAddress() })).to.be.rejectedWith(
+      "New storage layout is incompatible",
+    );
+  });
+
+  it("Should diff snapshots except allowed changes", function () {
+    const before = { totalStaked: "1", "stakes(1)": ["0x01", "1"], "stakes(2)": ["0x02", "2"] };
+    const after = { totalStaked: "2", "stakes(1)": ["0x01", "1"], "stakes(2)": ["0x02", "3"], rewardRate: "5" };
+
+    expect(diffSnapshots(before, after)).to.deep.equal([
+      { key: "totalStaked", before: "1", after: "2" },
+      { key: "stakes(2)", before: ["0x02", "2"], after: ["0x02", "3"] },
+      { key: "rewardRate", before: undefined, after: "5" },
+    ]);
+    expect(diffSnapshots(before, after, ["stakes", "rewardRate"])).to.deep.equal([
+      { key: "totalStaked", before: "1", after: "2" },
+    ]);
+    expect(diffSnapshots(before, after, ["stakes(1)", "totalStaked", "rewardRate"])).to.have.lengthOf(1);
+  });
+});
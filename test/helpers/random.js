@@ -0,0 +1,15 @@
+/**
+ * Returns a deterministic PRNG (mulberry32) of numbers in [0, 1), so that failing random sequences are reproducible.
+ */
+const createRandom = (seed) => {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+module.exports = {
+  createRandom,
+};
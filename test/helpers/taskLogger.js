@@ -0,0 +1,19 @@
+const { SILENT_LOGGER, setTaskLogger } = require("../../tasks/params");
+
+let savedTaskLogger;
+
+/**
+ * Mocha root hooks silencing the output of the tasks run by tests, set as `mocha.rootHooks` in the hardhat config.
+ */
+const mochaHooks = {
+  beforeAll() {
+    savedTaskLogger = setTaskLogger(SILENT_LOGGER);
+  },
+  afterAll() {
+    setTaskLogger(savedTaskLogger);
+  },
+};
+
+module.exports = {
+  mochaHooks,
+};
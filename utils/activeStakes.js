@@ -0,0 +1,84 @@
+/*
+Collector of the legacy RewardPool (V1) active stakes for the forced migration to RewardPoolV2.
+
+Stake IDs are taken from `Staked` events, the stakes removed by `UnstakeRequested`/`StakesMigrated` are skipped and
+the rest is confirmed by `stakes(id)` reads. Stakes requested to unstake are not migrated: their owners can still
+unstake them from the stopped pool. All reads are pinned to one block, so the result is consistent even while the
+pool is not stopped yet.
+*/
+
+/**
+ * Collects active stakes of RewardPool aggregated per wallet.
+ * @param rewardPool An ethers v6 RewardPool contract.
+ * @param fromBlock The first block to fetch events from (the pool deployment block).
+ * @param blockTag The block to collect stakes at.
+ * @param includeRewards Whether to add unclaimed rewards (`rewardOf`) of the stakes to migrated amounts.
+ * @return `{ blockNumber, totalStaked, totalReward, totalAmount, wallets: [{ wallet, stakeIds, staked, reward, amount }] }`.
+ */
+const collectActiveStakes = async (rewardPool, { fromBlock = 0, blockTag = "latest", includeRewards = false } = {}) => {
+  const provider = rewardPool.runner.provider ?? rewardPool.runner;
+  const { number: blockNumber } = await provider.getBlock(blockTag);
+  const overrides = { blockTag: blockNumber };
+
+  const queryStakeIds = async (eventName) => {
+    const events = await rewardPool.queryFilter(rewardPool.filters[eventName], fromBlock, blockNumber);
+    return events.flatMap((event) =>
+      eventName === "StakesMigrated" ? [...event.args.stakeIds] : [event.args.stakeId],
+    );
+  };
+
+  const stakeIds = await queryStakeIds("Staked");
+  const lastStakeId = await rewardPool.lastStakeId(overrides);
+  if (BigInt(stakeIds.length) !== lastStakeId) {
+    throw new Error(`Found ${stakeIds.length} Staked events but lastStakeId is ${lastStakeId}, check fromBlock`);
+  }
+
+  const removedStakeIds = new Set([
+    ...(await queryStakeIds("UnstakeRequested")),
+    ...(await queryStakeIds("StakesMigrated")),
+    ...(await queryStakeIds("Unstaked")),
+  ]);
+
+  const wallets = new Map();
+  for (const stakeId of stakeIds) {
+    if (removedStakeIds.has(stakeId)) continue;
+
+    const stake = await rewardPool.stakes(stakeId, overrides);
+    if (stake.amount === 0n) throw new Error(`Stake #${stakeId} has no removal event but is removed`);
+    const reward = includeRewards ? await rewardPool.rewardOf(stakeId, overrides) : 0n;
+
+    const wallet = wallets.get(stake.owner) ?? {
+      wallet: stake.owner,
+      stakeIds: [],
+      staked: 0n,
+      reward: 0n,
+      amount: 0n,
+    };
+    wallet.stakeIds.push(stakeId);
+    wallet.staked += stake.amount;
+    wallet.reward += reward;
+    wallet.amount += stake.amount + reward;
+    wallets.set(stake.owner, wallet);
+  }
+
+  const result = [...wallets.values()];
+  const sum = (key) => result.reduce((total, wallet) => total + wallet[key], 0n);
+
+  const totalStaked = await rewardPool.totalStaked(overrides);
+  if (sum("staked") !== totalStaked) {
+    throw new Error(`Sum of active stakes ${sum("staked")} does not equal totalStaked ${totalStaked}`);
+  }
+
+  return { blockNumber, totalStaked, totalReward: sum("reward"), totalAmount: sum("amount"), wallets: result };
+};
+
+/**
+ * Formats wallets returned by `collectActiveStakes` as `active-stakes.csv` consumed by the force migration.
+ */
+const formatActiveStakesCsv = (wallets) =>
+  ["wallet,amount", ...wallets.map(({ wallet, amount }) => `${wallet},${amount}`)].join("\n") + "\n";
+
+module.exports = {
+  collectActiveStakes,
+  formatActiveStakesCsv,
+};
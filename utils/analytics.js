@@ -0,0 +1,234 @@
+const { Contract, formatUnits, isError } = require("ethers");
+const { connectRewardPoolV2 } = require("./rewardPoolV2");
+const rewardPoolV2Model = require("./rewardPoolV2Model");
+
+const ONE = 10n ** 18n;
+const ONE_DAY = 86400n;
+const SECONDS_PER_YEAR = 31536000n;
+
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+const toNumber = (value, decimals = 18) => Number(formatUnits(value, decimals));
+
+const getBlock = async (pool, blockTag) => {
+  const provider = pool.runner.provider ?? pool.runner;
+  return await provider.getBlock(blockTag);
+};
+
+const getDecimals = async (pool) => {
+  const [stakingToken, rewardToken] = await Promise.all([pool.stakingToken(), pool.rewardToken()]);
+  const [stakingDecimals, rewardDecimals] = await Promise.all(
+    [stakingToken, rewardToken].map(async (token) =>
+      Number(await new Contract(token, ERC20_DECIMALS_ABI, pool.runner).decimals()),
+    ),
+  );
+  return { stakingDecimals, rewardDecimals };
+};
+
+// Calls of a function the implementation does not have revert with no data: JSON-RPC nodes fail them with
+// CALL_EXCEPTION, the hardhat network (also when forking) with its own error
+const isMissingFunction = (error) =>
+  error.data === "0x" &&
+  (isError(error, "CALL_EXCEPTION") || /function selector was not recognized/.test(error.message));
+
+// Implementations before lock tiers have no weighted stake, all stakes earned on their amounts then. Other errors (of
+// the RPC or the block tag) are not hidden by the fallback.
+const getTotalWeightedStake = async (pool, overrides) => {
+  try {
+    return await pool.totalWeightedStake(overrides);
+  } catch (error) {
+    if (!isMissingFunction(error)) throw error;
+    return await pool.totalStaked(overrides);
+  }
+};
+
+/**
+ * Calculates APR of a RewardPoolV3 incentive program for a stake with no boost, stakes of lock tiers earn APR
+ * multiplied by the multipliers of the tiers.
+ * @param rewardRate The reward rate (reward token units per second magnified by 1e18).
+ * @param totalStaked The total stake weighted by the multipliers of stakes.
+ * @param prices Token prices in the same quote currency: `{ stakingTokenPrice, rewardTokenPrice = 1 }`.
+ * @param decimals Token decimals: `{ stakingDecimals, rewardDecimals }`.
+ * @return APR as a fraction (0.1 for 10%) or `null` if nothing is staked.
+ */
+const calculateRewardPoolV3Apr = (rewardRate, totalStaked, prices, decimals) => {
+  if (totalStaked === 0n) return null;
+  const { stakingTokenPrice, rewardTokenPrice = 1 } = prices;
+  const annualReward = (rewardRate * SECONDS_PER_YEAR) / ONE;
+  return (
+    (toNumber(annualReward, decimals.rewardDecimals) * rewardTokenPrice) /
+    (toNumber(totalStaked, decimals.stakingDecimals) * stakingTokenPrice)
+  );
+};
+
+/**
+ * Returns the current APR of RewardPoolV3 stakers with no boost (zero if there is no active incentive program).
+ * @param pool An ethers v6 RewardPoolV3 contract.
+ * @param prices Token prices, see `calculateRewardPoolV3Apr`.
+ * @param blockTag The block to calculate APR at.
+ */
+const getRewardPoolV3Apr = async (pool, prices, blockTag = "latest") => {
+  const block = await getBlock(pool, blockTag);
+  const overrides = { blockTag: block.number };
+  const [rewardRate, totalStaked, incentiveEndsAt, decimals] = await Promise.all([
+    pool.rewardRate(overrides),
+    getTotalWeightedStake(pool, overrides),
+    pool.incentiveEndsAt(overrides),
+    getDecimals(pool),
+  ]);
+
+  const isActive = BigInt(block.timestamp) < incentiveEndsAt;
+  return calculateRewardPoolV3Apr(isActive ? rewardRate : 0n, totalStaked, prices, decimals);
+};
+
+/**
+ * Returns APR realized by a RewardPoolV3 stake with no boost held through the whole period between two blocks.
+ * It is derived from the growth of `rewardPerToken()`, so changes of the reward rate and of the total stake
+ * are weighted by their duration.
+ */
+const getRewardPoolV3TimeWeightedApr = async (pool, prices, fromBlock, toBlock = "latest") => {
+  const [from, to] = await Promise.all([getBlock(pool, fromBlock), getBlock(pool, toBlock)]);
+  if (to.timestamp <= from.timestamp) throw new Error("The period must be longer than zero seconds");
+
+  const [rewardPerTokenFrom, rewardPerTokenTo, decimals] = await Promise.all([
+    pool.rewardPerToken({ blockTag: from.number }),
+    pool.rewardPerToken({ blockTag: to.number }),
+    getDecimals(pool),
+  ]);
+
+  // Reward per one whole staked token over the period
+  const rewardPerStakedToken =
+    ((rewardPerTokenTo - rewardPerTokenFrom) * 10n ** BigInt(decimals.stakingDecimals)) / ONE;
+  const { stakingTokenPrice, rewardTokenPrice = 1 } = prices;
+  const periodReturn = (toNumber(rewardPerStakedToken, decimals.rewardDecimals) * rewardTokenPrice) / stakingTokenPrice;
+
+  return (periodReturn * Number(SECONDS_PER_YEAR)) / (to.timestamp - from.timestamp);
+};
+
+/**
+ * Reconstructs APR of RewardPoolV3 at every `StakingIncentiveUpdated` event.
+ * @return List of `{ blockNumber, timestamp, reward, incentiveEndsAt, rewardRate, totalStaked, apr, decimals }`,
+ * `totalStaked` is weighted by the multipliers of stakes, `decimals` are `{ stakingDecimals, rewardDecimals }` of the
+ * pool tokens to format `totalStaked` and `reward` with.
+ */
+const getRewardPoolV3AprHistory = async (pool, prices, fromBlock = 0, toBlock = "latest") => {
+  const decimals = await getDecimals(pool);
+  const events = await pool.queryFilter(pool.filters.StakingIncentiveUpdated, fromBlock, toBlock);
+
+  const history = [];
+  for (const event of events) {
+    const overrides = { blockTag: event.blockNumber };
+    const [block, rewardRate, totalStaked] = await Promise.all([
+      getBlock(pool, event.blockNumber),
+      pool.rewardRate(overrides),
+      getTotalWeightedStake(pool, overrides),
+    ]);
+    history.push({
+      blockNumber: event.blockNumber,
+      timestamp: block.timestamp,
+      reward: event.args.reward,
+      incentiveEndsAt: event.args.incentiveEndsAt,
+      rewardRate,
+      totalStaked,
+      apr: calculateRewardPoolV3Apr(rewardRate, totalStaked, prices, decimals),
+      decimals,
+    });
+  }
+  return history;
+};
+
+/**
+ * Calculates APR of a RewardPoolV2 incentive program as annual reward divided by the underlying value of stAZUR.
+ * @return APR as a fraction or `null` if nothing is staked.
+ */
+const calculateRewardPoolV2Apr = (rewardRate, totalSupply, exchangeRate) => {
+  const totalUnderlying = (totalSupply * exchangeRate) / ONE;
+  if (totalUnderlying === 0n) return null;
+  return toNumber((rewardRate * SECONDS_PER_YEAR) / ONE) / toNumber(totalUnderlying);
+};
+
+/**
+ * Annualizes the exchange rate growth `exchangeRateFrom` -> `exchangeRateTo` over `period` seconds.
+ */
+const annualizeExchangeRateGrowth = (exchangeRateFrom, exchangeRateTo, period) => {
+  const growth = toNumber(exchangeRateTo) / toNumber(exchangeRateFrom);
+  return Math.pow(growth, Number(SECONDS_PER_YEAR) / Number(period)) - 1;
+};
+
+/**
+ * Returns the current APR and APY of RewardPoolV2 holders. APY compounds the exchange rate growth projected
+ * for the next day.
+ * @param pool An ethers v6 RewardPoolV2 contract.
+ * @param blockTag The block to calculate APR and APY at.
+ */
+const getRewardPoolV2Apy = async (pool, blockTag = "latest") => {
+  const state = await connectRewardPoolV2(await pool.getAddress(), pool.runner).snapshot(blockTag);
+  const isActive = state.timestamp < state.incentiveEndsAt;
+  const exchangeRate = rewardPoolV2Model.exchangeRate(state, state.timestamp);
+
+  return {
+    exchangeRate,
+    apr: calculateRewardPoolV2Apr(isActive ? state.rewardRate : 0n, state.totalSupply, exchangeRate),
+    apy: annualizeExchangeRateGrowth(
+      exchangeRate,
+      rewardPoolV2Model.exchangeRate(state, state.timestamp + ONE_DAY),
+      ONE_DAY,
+    ),
+  };
+};
+
+/**
+ * Returns APY realized by RewardPoolV2 holders between two blocks from the exchange rate growth.
+ */
+const getRewardPoolV2TrailingApy = async (pool, fromBlock, toBlock = "latest") => {
+  const [from, to] = await Promise.all([getBlock(pool, fromBlock), getBlock(pool, toBlock)]);
+  if (to.timestamp <= from.timestamp) throw new Error("The period must be longer than zero seconds");
+
+  const [exchangeRateFrom, exchangeRateTo] = await Promise.all([
+    pool.exchangeRate({ blockTag: from.number }),
+    pool.exchangeRate({ blockTag: to.number }),
+  ]);
+  return annualizeExchangeRateGrowth(exchangeRateFrom, exchangeRateTo, to.timestamp - from.timestamp);
+};
+
+/**
+ * Reconstructs APR of RewardPoolV2 at every `StakingIncentiveUpdated` event.
+ * @return List of `{ blockNumber, timestamp, reward, incentiveEndsAt, rewardRate, totalSupply, exchangeRate, apr }`.
+ */
+const getRewardPoolV2AprHistory = async (pool, fromBlock = 0, toBlock = "latest") => {
+  const events = await pool.queryFilter(pool.filters.StakingIncentiveUpdated, fromBlock, toBlock);
+
+  const history = [];
+  for (const event of events) {
+    const overrides = { blockTag: event.blockNumber };
+    const [block, rewardRate, totalSupply, exchangeRate] = await Promise.all([
+      getBlock(pool, event.blockNumber),
+      pool.rewardRate(overrides),
+      pool.totalSupply(overrides),
+      pool.exchangeRate(overrides),
+    ]);
+    history.push({
+      blockNumber: event.blockNumber,
+      timestamp: block.timestamp,
+      reward: event.args.reward,
+      incentiveEndsAt: event.args.incentiveEndsAt,
+      rewardRate,
+      totalSupply,
+      exchangeRate,
+      apr: calculateRewardPoolV2Apr(rewardRate, totalSupply, exchangeRate),
+    });
+  }
+  return history;
+};
+
+module.exports = {
+  SECONDS_PER_YEAR,
+  calculateRewardPoolV3Apr,
+  getRewardPoolV3Apr,
+  getRewardPoolV3TimeWeightedApr,
+  getRewardPoolV3AprHistory,
+  calculateRewardPoolV2Apr,
+  getRewardPoolV2Apy,
+  getRewardPoolV2TrailingApy,
+  getRewardPoolV2AprHistory,
+};
@@ -0,0 +1,345 @@
+/*
+Gas benchmarks of the batch entry points of the pools on the hardhat network.
+
+Every batch entry point loops over its items without a bound, so a batch that is too large does not fit in a block.
+For every batch size the items are set up from a snapshot of freshly deployed pools, the gas limit of the batch
+transaction is estimated, the transaction is sent and its gas is recorded, then the snapshot is reverted. A size that fails (usually by exceeding the block gas limit of
+the hardhat network) is recorded and larger sizes of the entry point are skipped.
+
+Gas limits are fitted by least squares to `base + perItem * size` (a batch needs more gas than it uses, as refunds of
+cleared storage are only paid back at the end), and the maximum safe batch size for a block gas limit is the
+largest size whose predicted gas plus the largest fit error is within `margin` of the limit. Items are set up in the
+worst case the scripts meet: stakes with rewards to withdraw and forced migrations of distinct accounts that hold
+nothing in the target pool yet.
+
+The JSON report is read back by `readBenchmarkReport` and `maxBatchSizeFromReport`, which keepers and migration
+scripts use to size their batches.
+*/
+
+const fs = require("fs");
+const { MaxUint256, dataSlice, getAddress, id, parseEther } = require("ethers");
+
+const DAY = 86400;
+const ITEM_AMOUNT = parseEther("100");
+// Items are set up by batch calls of at most this size
+const SETUP_BATCH_SIZE = 100;
+
+const POOL_KEYS = { RewardPool: "rewardPool", RewardPoolV2: "rewardPoolV2", RewardPoolV3: "rewardPoolV3" };
+
+const DEFAULT_SIZES = [1, 10, 25, 50, 100, 200];
+const DEFAULT_GAS_LIMITS = [10000000, 30000000];
+const DEFAULT_MARGIN = 0.8;
+
+const range = (start, length) => Array.from({ length }, (_, i) => start + BigInt(i));
+
+const accountsOf = (size) =>
+  Array.from({ length: size }, (_, i) => getAddress(dataSlice(id(`batch-benchmark:${i}`), 12)));
+
+const shiftTime = async (network, seconds) => {
+  await network.provider.send("evm_increaseTime", [seconds]);
+  await network.provider.send("evm_mine");
+};
+
+const send = async (txPromise) => await (await txPromise).wait();
+
+// Stakes `size` RewardPool stakes of the owner with rewards of two distributions to withdraw
+const stakeRewardPool = async ({ network, rewardPool }, size) => {
+  const firstStakeId = (await rewardPool.lastStakeId()) + 1n;
+  for (let i = 0; i < size; i++) await send(rewardPool.stake(ITEM_AMOUNT));
+  for (let i = 0; i < 2; i++) {
+    await shiftTime(network, DAY);
+    await send(rewardPool.distributeReward(ITEM_AMOUNT));
+  }
+  return range(firstStakeId, size);
+};
+
+const inBatches = async (items, callback) => {
+  for (let i = 0; i < items.length; i += SETUP_BATCH_SIZE) await callback(items.slice(i, i + SETUP_BATCH_SIZE));
+};
+
+/**
+ * Benchmarked entry points: `setup(context, size)` prepares the items and returns the arguments of the batch call.
+ */
+const BATCH_BENCHMARKS = {
+  "RewardPoolV3.unstake": {
+    item: "stake",
+    setup: async ({ network, owner, rewardPoolV3 }, size) => {
+      const firstStakeId = await rewardPoolV3.nextStakeId();
+      for (let i = 0; i < size; i++) await send(rewardPoolV3.stakeFor(owner.address, ITEM_AMOUNT));
+      await shiftTime(network, DAY);
+      return [owner.address, range(firstStakeId, size)];
+    },
+  },
+  "RewardPoolV2.batchWithdrawTo": {
+    item: "withdrawal request",
+    setup: async ({ network, owner, rewardPoolV2 }, size) => {
+      await send(rewardPoolV2.depositFor(owner.address, ITEM_AMOUNT * BigInt(size)));
+      const firstRequestId = await rewardPoolV2.nextWithdrawalRequestId();
+      for (let i = 0; i < size; i++) await send(rewardPoolV2.requestWithdrawal(ITEM_AMOUNT));
+      await shiftTime(network, DAY);
+      return [owner.address, range(firstRequestId, size)];
+    },
+  },
+  "RewardPoolV2.forceMigrateToV3": {
+    item: "account",
+    setup: async ({ rewardPoolV2 }, size) => {
+      const accounts = accountsOf(size);
+      for (const account of accounts) await send(rewardPoolV2.depositFor(account, ITEM_AMOUNT));
+      await send(rewardPoolV2.stop());
+      return [accounts];
+    },
+  },
+  "RewardPool.batchRequestUnstake": {
+    item: "stake",
+    setup: async (context, size) => [await stakeRewardPool(context, size)],
+  },
+  "RewardPool.batchUnstake": {
+    item: "stake",
+    setup: async (context, size) => {
+      const stakeIds = await stakeRewardPool(context, size);
+      await inBatches(stakeIds, (batch) => send(context.rewardPool.batchRequestUnstake(batch)));
+      await shiftTime(context.network, DAY);
+      return [stakeIds];
+    },
+  },
+  "RewardPool.batchWithdrawReward": {
+    item: "stake",
+    setup: async (context, size) => [await stakeRewardPool(context, size)],
+  },
+  "RewardPool.migrateToV2": {
+    item: "stake",
+    setup: async (context, size) => [await stakeRewardPool(context, size)],
+  },
+  "RewardPool.forceMigrateToV2": {
+    item: "account",
+    setup: async ({ rewardPool }, size) => {
+      const totalAmount = ITEM_AMOUNT * BigInt(size);
+      await send(rewardPool.stake(totalAmount));
+      await send(rewardPool.stop());
+      return [accountsOf(size), Array(size).fill(ITEM_AMOUNT), totalAmount];
+    },
+  },
+};
+
+const deployPools = async ({ ethers, upgrades }) => {
+  const [owner] = await ethers.getSigners();
+  const Token = await ethers.getContractFactory("TestERC20");
+  const azur = await Token.deploy("AZUR", "AZUR", 10n ** 40n);
+  const usdt = await Token.deploy("Tether USD", "USDT", 10n ** 40n);
+  const [azurAddress, usdtAddress] = await Promise.all([azur.getAddress(), usdt.getAddress()]);
+
+  const rewardPool = await upgrades.deployProxy(await ethers.getContractFactory("RewardPool"), [azurAddress, DAY]);
+  const rewardPoolV2 = await upgrades.deployProxy(await ethers.getContractFactory("RewardPoolV2"), [
+    azurAddress,
+    "Staked $AZUR",
+    "stAZUR",
+    DAY,
+  ]);
+  const rewardPoolV3 = await upgrades.deployProxy(await ethers.getContractFactory("RewardPoolV3"), [
+    azurAddress,
+    usdtAddress,
+    DAY,
+  ]);
+  const [rewardPoolV2Address, rewardPoolV3Address] = await Promise.all([
+    rewardPoolV2.getAddress(),
+    rewardPoolV3.getAddress(),
+  ]);
+
+  await send(rewardPool.changeRewardPoolV2(rewardPoolV2Address));
+  await send(rewardPool.changeMaintainer(owner.address));
+  await send(rewardPoolV2.changeRewardPoolV3(rewardPoolV3Address));
+  await send(rewardPoolV2.changeMaintainer(owner.address));
+  for (const pool of [rewardPool, rewardPoolV2, rewardPoolV3]) {
+    await send(azur.approve(await pool.getAddress(), MaxUint256));
+  }
+
+  return { owner, rewardPool, rewardPoolV2, rewardPoolV3 };
+};
+
+/**
+ * Fits `gasLimit = base + perItem * size` by least squares.
+ * @return `{ base, perItem, r2, maxError }` or null if fewer than two sizes were measured.
+ */
+const fitCostModel = (samples) => {
+  const points = samples
+    .filter((sample) => sample.error === undefined)
+    .map((sample) => ({ size: sample.size, gas: sample.gasLimit }));
+  if (new Set(points.map((point) => point.size)).size < 2) return null;
+
+  const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+  const meanSize = mean(points.map((point) => point.size));
+  const meanGas = mean(points.map((point) => point.gas));
+  const covariance = mean(points.map((point) => (point.size - meanSize) * (point.gas - meanGas)));
+  const variance = mean(points.map((point) => (point.size - meanSize) ** 2));
+
+  // Errors are of the rounded model, so it covers every sample within `maxError`
+  const perItem = Math.round(covariance / variance);
+  const base = Math.round(meanGas - perItem * meanSize);
+  const errors = points.map((point) => point.gas - (base + perItem * point.size));
+  const totalSquares = points.reduce((total, point) => total + (point.gas - meanGas) ** 2, 0);
+  const residualSquares = errors.reduce((total, error) => total + error ** 2, 0);
+
+  return {
+    base,
+    perItem,
+    r2: totalSquares === 0 ? 1 : 1 - residualSquares / totalSquares,
+    maxError: Math.max(...errors.map(Math.abs)),
+  };
+};
+
+/**
+ * The largest batch size whose predicted gas plus the largest fit error is within `margin` of `gasLimit`.
+ * @return The batch size, 0 if not even a single item fits.
+ */
+const maxBatchSize = (model, gasLimit, margin = DEFAULT_MARGIN) => {
+  const budget = Math.floor(gasLimit * margin) - model.base - model.maxError;
+  return budget < model.perItem ? 0 : Math.floor(budget / model.perItem);
+};
+
+/**
+ * Measures the gas of batch entry points across batch sizes on a fresh deployment on the hardhat network.
+ * @param hre The Hardhat runtime environment.
+ * @param sizes Batch sizes to measure.
+ * @param gasLimits Block gas limits to report the maximum safe batch sizes for.
+ * @param margin Share of a gas limit a batch may use.
+ * @param entries Names of `BATCH_BENCHMARKS` to run, all by default.
+ * @param log Progress logger.
+ * @return `{ network, generatedAt, sizes, margin, gasLimits, entries }`, every entry has its gas `samples`, cost
+ * `model` and `maxBatchSize` by gas limit.
+ */
+const runBatchBenchmarks = async (
+  hre,
+  {
+    sizes = DEFAULT_SIZES,
+    gasLimits = DEFAULT_GAS_LIMITS,
+    margin = DEFAULT_MARGIN,
+    entries = Object.keys(BATCH_BENCHMARKS),
+    log = () => {},
+  } = {},
+) => {
+  const { network } = hre;
+  if (network.name !== "hardhat") throw new Error(`Benchmarks need the hardhat network, not ${network.name}`);
+  const unknown = entries.filter((name) => BATCH_BENCHMARKS[name] === undefined);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown entry points: ${unknown.join(", ")} (known: ${Object.keys(BATCH_BENCHMARKS).join(", ")})`);
+  }
+  if (!(margin > 0 && margin <= 1)) throw new Error(`The margin ${margin} is not in (0, 1]`);
+  sizes = [...new Set(sizes)].sort((a, b) => a - b);
+  if (sizes.length < 2 || sizes[0] < 1) throw new Error("At least two positive batch sizes are needed");
+
+  const context = { network, ...(await deployPools(hre)) };
+  const report = {
+    network: network.name,
+    generatedAt: new Date().toISOString(),
+    sizes,
+    margin,
+    gasLimits,
+    entries: [],
+  };
+
+  for (const name of entries) {
+    const [contract, method] = name.split(".");
+    const samples = [];
+    for (const size of sizes) {
+      const snapshot = await network.provider.send("evm_snapshot");
+      try {
+        const args = await BATCH_BENCHMARKS[name].setup(context, size);
+        const pool = context[POOL_KEYS[contract]];
+        const gasLimit = await pool[method].estimateGas(...args);
+        const receipt = await send(pool[method](...args, { gasLimit }));
+        samples.push({ size, gasLimit: Number(gasLimit), gasUsed: Number(receipt.gasUsed) });
+        log(`${name}: ${size} items, gas limit ${gasLimit}, used ${receipt.gasUsed}`);
+      } catch (error) {
+        samples.push({ size, error: error.shortMessage ?? error.message });
+        log(`${name}: ${size} items failed: ${error.shortMessage ?? error.message}`);
+      } finally {
+        await network.provider.send("evm_revert", [snapshot]);
+      }
+      if (samples.at(-1).error !== undefined) break;
+    }
+
+    const model = fitCostModel(samples);
+    report.entries.push({
+      name,
+      contract,
+      method,
+      item: BATCH_BENCHMARKS[name].item,
+      samples,
+      model,
+      maxBatchSize:
+        model === null
+          ? null
+          : Object.fromEntries(gasLimits.map((gasLimit) => [gasLimit, maxBatchSize(model, gasLimit, margin)])),
+    });
+  }
+  return report;
+};
+
+/**
+ * Renders a benchmark report as Markdown tables.
+ */
+const formatBenchmarkMarkdown = (report) => {
+  const lines = [
+    "# Batch gas benchmarks",
+    "",
+    `Network ${report.network}, generated at ${report.generatedAt}. Safe batch sizes use ${report.margin * 100}% of a gas limit.`,
+    "",
+    `| Entry point | Item | Gas per item | Base gas | r² | ${report.gasLimits.map((limit) => `Max batch @ ${limit}`).join(" | ")} |`,
+    `|---|---|---:|---:|---:|${report.gasLimits.map(() => "---:|").join("")}`,
+  ];
+  for (const entry of report.entries) {
+    const { model } = entry;
+    const cells = model === null ? ["-", "-", "-"] : [model.perItem, model.base, model.r2.toFixed(6)];
+    const limits = report.gasLimits.map((limit) => (entry.maxBatchSize === null ? "-" : entry.maxBatchSize[limit]));
+    lines.push(`| \`${entry.name}\` | ${entry.item} | ${[...cells, ...limits].join(" | ")} |`);
+  }
+
+  lines.push(
+    "",
+    "## Gas limits of the samples",
+    "",
+    `| Entry point | ${report.sizes.join(" | ")} |`,
+    `|---|${report.sizes.map(() => "---:|").join("")}`,
+  );
+  for (const entry of report.entries) {
+    const cells = report.sizes.map((size) => {
+      const sample = entry.samples.find((sample) => sample.size === size);
+      if (sample === undefined) return "-";
+      return sample.error === undefined ? `${sample.gasLimit} (${sample.gasUsed} used)` : "failed";
+    });
+    lines.push(`| \`${entry.name}\` | ${cells.join(" | ")} |`);
+  }
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Reads a JSON report written by `bench:batches`.
+ */
+const readBenchmarkReport = (reportPath) => JSON.parse(fs.readFileSync(reportPath));
+
+/**
+ * The maximum safe batch size of an entry point from a benchmark report.
+ * @param report The benchmark report.
+ * @param name The entry point, e.g. `RewardPool.forceMigrateToV2`.
+ * @param gasLimit The gas limit of a batch transaction, sizes of limits not in the report are computed by its model.
+ */
+const maxBatchSizeFromReport = (report, name, gasLimit) => {
+  const entry = report.entries.find((entry) => entry.name === name);
+  if (entry === undefined || entry.model === null) throw new Error(`The benchmark report has no model of ${name}`);
+  const size = entry.maxBatchSize[gasLimit] ?? maxBatchSize(entry.model, gasLimit, report.margin);
+  if (size === 0) throw new Error(`A single item of ${name} does not fit ${gasLimit} gas`);
+  return size;
+};
+
+module.exports = {
+  BATCH_BENCHMARKS,
+  DEFAULT_SIZES,
+  DEFAULT_GAS_LIMITS,
+  DEFAULT_MARGIN,
+  fitCostModel,
+  maxBatchSize,
+  runBatchBenchmarks,
+  formatBenchmarkMarkdown,
+  readBenchmarkReport,
+  maxBatchSizeFromReport,
+};
@@ -0,0 +1,167 @@
+const { isAddress, getAddress, ZeroAddress } = require("ethers");
+
+/** RewardPool.MAXUNSTAKEPERIOD */
+const MAX_UNSTAKE_PERIOD = 30 * 24 * 60 * 60;
+/** RewardPoolV2 and RewardPoolV3 incentive duration bounds */
+const MIN_INCENTIVE_DURATION = 1;
+const MAX_INCENTIVE_DURATION = 94608000; // 3 years
+/** RewardPoolV3 lock tier multiplier bounds in basis points */
+const MULTIPLIER_BASE = 10000; // 1x
+const MAX_MULTIPLIER = 100000; // 10x
+/** RewardPoolV3 lock tier lock period bound */
+const MAX_LOCK_PERIOD = 126144000; // 4 years
+const MAX_UINT32 = 2 ** 32 - 1;
+const MAX_UINT128 = 2n ** 128n - 1n;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * An address that is checksummed (or all lower case), non-zero and, if `hasCode`, has code on the network.
+ */
+const addressValue = ({ hasCode = true, ...options }) => ({
+  ...options,
+  parse: async (raw, provider) => {
+    if (!isAddress(raw)) {
+      throw new Error(/^0x[0-9a-fA-F]{40}$/.test(raw) ? `${raw} has an invalid checksum` : `${raw} is not an address`);
+    }
+    const address = getAddress(raw);
+    if (address === ZeroAddress) throw new Error("is the zero address");
+    if (hasCode && (await provider.getCode(address)) === "0x") throw new Error(`${address} has no code`);
+    return address;
+  },
+});
+
+/**
+ * A non-negative integer within [min, max].
+ */
+const integerValue = ({ min = 0, max = Number.MAX_SAFE_INTEGER, ...options }) => ({
+  ...options,
+  parse: (raw) => {
+    if (!/^\d+$/.test(String(raw).trim())) throw new Error(`${raw} is not a non-negative integer`);
+    const value = Number(raw);
+    if (value < min || value > max) throw new Error(`${value} is out of bounds [${min}, ${max}]`);
+    return value;
+  },
+});
+
+/**
+ * A RewardPoolV3 lock tier multiplier in basis points within [MULTIPLIER_BASE, MAX_MULTIPLIER], 0 disables the tier.
+ */
+const multiplierValue = (options) => ({
+  ...options,
+  parse: (raw) => {
+    const value = integerValue({}).parse(raw);
+    if (value !== 0 && (value < MULTIPLIER_BASE || value > MAX_MULTIPLIER)) {
+      throw new Error(`${value} is out of bounds [${MULTIPLIER_BASE}, ${MAX_MULTIPLIER}] and is not 0`);
+    }
+    return value;
+  },
+});
+
+/**
+ * A non-negative integer token amount in base units not greater than `max`, parsed as a bigint.
+ */
+const amountValue = ({ max, ...options }) => ({
+  ...options,
+  parse: (raw) => {
+    if (!/^\d+$/.test(String(raw).trim())) throw new Error(`${raw} is not a non-negative integer`);
+    const value = BigInt(String(raw).trim());
+    if (max !== undefined && value > max) throw new Error(`${value} is greater than ${max}`);
+    return value;
+  },
+});
+
+/**
+ * A unix timestamp in seconds or a date string with a time zone (e.g. 2025-01-31T12:00:00Z), parsed as a bigint.
+ */
+const timestampValue = (options) => ({
+  ...options,
+  parse: (raw) => {
+    const value = String(raw).trim();
+    if (/^\d+$/.test(value)) return BigInt(value);
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`${raw} is not a unix timestamp or a date`);
+    return BigInt(Math.floor(time / 1000));
+  },
+});
+
+/**
+ * A non-empty string.
+ */
+const stringValue = (options) => ({
+  ...options,
+  parse: (raw) => {
+    if (String(raw).trim() === "") throw new Error("is empty");
+    return String(raw);
+  },
+});
+
+/**
+ * A check that the values of the keys are different addresses.
+ */
+const distinctAddresses = (keys, problem) => (config) => {
+  const addresses = keys.map((key) => config[key]);
+  return new Set(addresses).size === addresses.length ? undefined : problem;
+};
+
+const describeSource = ({ param, env }) => (env === undefined ? param : `${param} (${env} env)`);
+
+/**
+ * Resolves and validates config values, then runs the cross-value checks. A check is a function of the config
+ * returning a problem description or undefined, it runs only if all values are valid.
+ * Throws a ConfigError listing all problems at once.
+ * @param values {[key]: value description}: `value` of the task param, `param` name, `env` variable fallback,
+ * `optional` and `missing` problem to report instead of the default one
+ * @returns {[key]: parsed value}, optional values that are not set are undefined
+ */
+const loadConfig = async (provider, values, checks = []) => {
+  const config = {};
+  const problems = [];
+  for (const [key, options] of Object.entries(values)) {
+    let raw = options.value;
+    if ((raw === undefined || raw === "") && options.env !== undefined) raw = process.env[options.env];
+    if (raw === undefined || raw === "") {
+      if (!options.optional) problems.push(options.missing ?? `${describeSource(options)} is not set`);
+      continue;
+    }
+    try {
+      config[key] = await options.parse(raw, provider);
+    } catch (error) {
+      problems.push(`${describeSource(options)}: ${error.message}`);
+    }
+  }
+  if (problems.length === 0) {
+    for (const check of checks) {
+      const problem = check(config);
+      if (problem !== undefined) problems.push(problem);
+    }
+  }
+  if (problems.length > 0) throw new ConfigError(problems);
+  return config;
+};
+
+module.exports = {
+  MAX_UNSTAKE_PERIOD,
+  MIN_INCENTIVE_DURATION,
+  MAX_INCENTIVE_DURATION,
+  MULTIPLIER_BASE,
+  MAX_MULTIPLIER,
+  MAX_LOCK_PERIOD,
+  MAX_UINT32,
+  MAX_UINT128,
+  ConfigError,
+  addressValue,
+  integerValue,
+  multiplierValue,
+  amountValue,
+  timestampValue,
+  stringValue,
+  distinctAddresses,
+  loadConfig,
+};
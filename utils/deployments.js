@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Returns the path of the deployments manifest of a network.
+ */
+const getDeploymentsPath = (dir, network) => path.join(dir, `${network}.json`);
+
+/**
+ * Reads the deployments manifest of a network, an empty manifest if it does not exist yet.
+ * Manifest format: {network, chainId, contracts: {[contract]: deployment}}.
+ */
+const readDeployments = (dir, network) => {
+  const manifestPath = getDeploymentsPath(dir, network);
+  if (!fs.existsSync(manifestPath)) return { network, chainId: undefined, contracts: {} };
+  return JSON.parse(fs.readFileSync(manifestPath));
+};
+
+const writeDeployments = (dir, manifest) => {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(getDeploymentsPath(dir, manifest.network), JSON.stringify(manifest, null, 2) + "\n");
+};
+
+/**
+ * Returns the recorded deployment of a contract on a network or undefined.
+ */
+const getDeployment = (dir, network, contract) => readDeployments(dir, network).contracts[contract];
+
+const describeTransaction = async (tx, receipt) => {
+  receipt ??= await tx.wait();
+  return { from: receipt.from, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+};
+
+/**
+ * Records a freshly deployed proxy. A previous deployment of the same contract on the network is replaced,
+ * the new deployment starts its own implementation history.
+ * @param pool the contract returned by `upgrades.deployProxy`
+ * @param initializerArgs the args the proxy was initialized with
+ * @param receipt the receipt of the proxy deployment if it was replaced (awaited from `pool` if not set)
+ */
+const recordDeployment = async (dir, { network, chainId, contract, pool, initializerArgs, upgrades, receipt }) => {
+  const proxy = await pool.getAddress();
+  const {
+    from: deployer,
+    transactionHash,
+    blockNumber,
+  } = await describeTransaction(pool.deploymentTransaction(), receipt);
+  const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+
+  const manifest = readDeployments(dir, network);
+  manifest.chainId = chainId;
+  manifest.contracts[contract] = {
+    proxy,
+    deployer,
+    initializerArgs: initializerArgs.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+    transactionHash,
+    blockNumber,
+    implementations: [{ address: implementation, transactionHash, blockNumber }],
+  };
+  writeDeployments(dir, manifest);
+  return manifest.contracts[contract];
+};
+
+/**
+ * Appends the new implementation of an upgraded proxy to its implementation history.
+ * A proxy deployed before the manifest existed gets a record of its upgrades only.
+ * @param pool the contract returned by `upgrades.upgradeProxy`
+ * @param receipt the receipt of the upgrade if it was replaced (awaited from `pool` if not set)
+ */
+const recordUpgrade = async (dir, { network, chainId, contract, pool, upgrades, receipt }) => {
+  const manifest = readDeployments(dir, network);
+  const proxy = await pool.getAddress();
+  const deployment = manifest.contracts[contract] ?? { proxy, implementations: [] };
+  if (deployment.proxy !== proxy)
+    throw new Error(
+      `${contract} is recorded in ${getDeploymentsPath(dir, network)} at ${deployment.proxy}, not ${proxy}`,
+    );
+
+  const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+  // Upgrading to the same implementation keeps the history unchanged
+  if (deployment.implementations.at(-1)?.address === implementation) return deployment;
+
+  const { transactionHash, blockNumber } = await describeTransaction(pool.deployTransaction, receipt);
+  deployment.implementations.push({ address: implementation, transactionHash, blockNumber });
+  manifest.chainId = chainId;
+  manifest.contracts[contract] = deployment;
+  writeDeployments(dir, manifest);
+  return deployment;
+};
+
+module.exports = {
+  getDeploymentsPath,
+  readDeployments,
+  getDeployment,
+  recordDeployment,
+  recordUpgrade,
+};
@@ -0,0 +1,31 @@
+/**
+ * Decodes all events with the given name emitted by `contract` in a transaction receipt.
+ * Logs of other contracts (e.g. token Transfer/Approval) are skipped.
+ * @param contract An ethers v6 contract whose interface and address are used for decoding.
+ * @param receipt The transaction receipt.
+ * @param eventName The name of the event to decode.
+ * @return Arguments of the matching events in the order they were emitted.
+ */
+const decodeEvents = (contract, receipt, eventName) => {
+  const address = contract.target.toLowerCase();
+  return receipt.logs
+    .filter((log) => log.address.toLowerCase() === address)
+    .map((log) => contract.interface.parseLog(log))
+    .filter((event) => event !== null && event.name === eventName)
+    .map((event) => event.args);
+};
+
+/**
+ * Decodes the first event with the given name emitted by `contract` in a transaction receipt.
+ * Throws if the transaction did not emit such an event.
+ */
+const decodeEvent = (contract, receipt, eventName) => {
+  const events = decodeEvents(contract, receipt, eventName);
+  if (events.length === 0) throw new Error(`No ${eventName} event in transaction ${receipt.hash}`);
+  return events[0];
+};
+
+module.exports = {
+  decodeEvent,
+  decodeEvents,
+};
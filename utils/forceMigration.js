@@ -0,0 +1,321 @@
+/*
+Drivers of the forced migrations: RewardPool (V1) -> RewardPoolV2 and RewardPoolV2 -> RewardPoolV3.
+
+Wallets from `active-stakes.csv` are migrated to RewardPoolV2 by `forceMigrateToV2` in batches. Every sent batch is
+recorded in a checkpoint file before its transaction is awaited, so an interrupted migration is resumed from the first
+batch that is not confirmed: a pending transaction is awaited if it is still known to the node and resent only if it
+was dropped or reverted. Replacements sent by `waitForTransaction` update the checkpoint, and a batch whose nonce was
+used by an unknown transaction is never resent.
+
+RewardPoolV2 holders are enumerated from `Transfer` events and migrated to RewardPoolV3 by `forceMigrateToV3`, which
+moves whole balances. It needs no checkpoint: migrated holders have no balance, so a rerun only picks the remaining
+ones.
+*/
+
+const fs = require("fs");
+const { id } = require("ethers");
+const { parse } = require("csv-parse/sync");
+const { decodeEvents } = require("./events");
+const { connectRewardPoolV2 } = require("./rewardPoolV2");
+const { waitForTransaction } = require("./transactions");
+
+const ONE = 10n ** 18n;
+
+/**
+ * Reads `active-stakes.csv` with `wallet,amount` columns.
+ */
+const readActiveStakesCsv = (csvPath) =>
+  parse(fs.readFileSync(csvPath), { skip_records_with_error: true, columns: true, trim: true }).map((row) => ({
+    wallet: row.wallet,
+    amount: BigInt(row.amount),
+  }));
+
+const splitIntoBatches = (rows, batchSize) => {
+  const batches = [];
+  for (let from = 0; from < rows.length; from += batchSize) {
+    const batchRows = rows.slice(from, from + batchSize);
+    batches.push({
+      index: batches.length,
+      from,
+      to: from + batchRows.length,
+      wallets: batchRows.map((row) => row.wallet),
+      amounts: batchRows.map((row) => row.amount),
+      totalAmount: batchRows.reduce((total, row) => total + row.amount, 0n),
+    });
+  }
+  return batches;
+};
+
+/**
+ * Estimates the largest batch size that fits `maxGas` by extrapolating gas estimates of `forceMigrateToV2` for a
+ * single wallet and for a probe batch.
+ * @param rewardPool An ethers v6 RewardPool contract connected to the maintainer.
+ */
+const estimateBatchSize = async (rewardPool, rows, maxGas, probeSize = 10) => {
+  const estimate = async (size) => {
+    const [batch] = splitIntoBatches(rows.slice(0, size), size);
+    return await rewardPool.forceMigrateToV2.estimateGas(batch.wallets, batch.amounts, batch.totalAmount);
+  };
+
+  probeSize = Math.min(probeSize, rows.length);
+  if (probeSize < 2) return rows.length;
+
+  const gasOfOne = await estimate(1);
+  if (gasOfOne > BigInt(maxGas))
+    throw new Error(`A single wallet migration needs ${gasOfOne} gas, more than ${maxGas}`);
+
+  const gasPerWallet = ((await estimate(probeSize)) - gasOfOne) / BigInt(probeSize - 1);
+  const batchSize = Number((BigInt(maxGas) - gasOfOne) / gasPerWallet) + 1;
+
+  return Math.min(batchSize, rows.length);
+};
+
+const loadCheckpoint = (checkpointPath) =>
+  checkpointPath !== undefined && fs.existsSync(checkpointPath) ? JSON.parse(fs.readFileSync(checkpointPath)) : null;
+
+const saveCheckpoint = (checkpointPath, checkpoint) => {
+  if (checkpointPath === undefined) return;
+  fs.writeFileSync(checkpointPath + ".tmp", JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(checkpointPath + ".tmp", checkpointPath);
+};
+
+const hashRows = (rows) => id(rows.map((row) => `${row.wallet.toLowerCase()},${row.amount}`).join("\n"));
+
+/**
+ * Resolves a batch sent before the interruption.
+ * @return The receipt if the batch is confirmed, `null` if it has to be resent.
+ */
+const resolvePendingBatch = async (provider, batch, from) => {
+  const transaction = await provider.getTransaction(batch.transactionHash);
+  if (transaction === null) {
+    if (batch.nonce !== undefined && (await provider.getTransactionCount(from, "latest")) > batch.nonce) {
+      throw new Error(
+        `Nonce ${batch.nonce} of the pending batch ${batch.transactionHash} was used by another transaction, ` +
+          "check the batch on chain and update the checkpoint",
+      );
+    }
+    return null;
+  }
+  const receipt = await transaction.wait().catch(() => null);
+  return receipt !== null && receipt.status === 1 ? receipt : null;
+};
+
+/**
+ * Migrates wallets to RewardPoolV2 in batches, resuming from the checkpoint file.
+ * @param rewardPool An ethers v6 RewardPool contract connected to the maintainer.
+ * @param rows Rows of `active-stakes.csv`: `[{ wallet, amount }]`.
+ * @param batchSize The number of wallets per `forceMigrateToV2` call (ignored when resuming).
+ * @param checkpointPath The JSON file recording sent batches (not recorded if not set).
+ * @param dryRun If set, the remaining batches are only checked by `staticCall` and gas estimation.
+ * @param waitOptions `waitForTransaction` options of the batches.
+ * @param log Progress logger.
+ * @return The checkpoint: `{ rewardPool, rowsHash, batchSize, batches: [{ index, from, to, totalAmount,
+ * transactionHash, nonce, status, blockNumber, gasUsed }] }`.
+ */
+const forceMigrateToV2 = async (
+  rewardPool,
+  rows,
+  { batchSize, checkpointPath, dryRun = false, waitOptions = {}, log = () => {} } = {},
+) => {
+  const maintainer = rewardPool.runner;
+  const provider = maintainer.provider;
+  const rewardPoolAddress = await rewardPool.getAddress();
+  const rowsHash = hashRows(rows);
+
+  let checkpoint = loadCheckpoint(checkpointPath);
+  if (checkpoint !== null) {
+    if (checkpoint.rewardPool !== rewardPoolAddress || checkpoint.rowsHash !== rowsHash) {
+      throw new Error(`Checkpoint ${checkpointPath} belongs to another pool or CSV, remove it to start over`);
+    }
+    log(`Resuming from checkpoint with batch size ${checkpoint.batchSize}`);
+  } else {
+    if (!(batchSize > 0)) throw new Error("Batch size must be a positive number");
+    checkpoint = { rewardPool: rewardPoolAddress, rowsHash, batchSize, batches: [] };
+  }
+
+  for (const batch of splitIntoBatches(rows, checkpoint.batchSize)) {
+    let record = checkpoint.batches[batch.index];
+    const title = `Batch ${batch.index + 1} (wallets ${batch.from + 1}-${batch.to})`;
+    if (record?.status === "done") continue;
+
+    if (record?.status === "pending" && !dryRun) {
+      const receipt = await resolvePendingBatch(provider, record, await maintainer.getAddress());
+      if (receipt !== null) {
+        Object.assign(record, {
+          status: "done",
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+        });
+        saveCheckpoint(checkpointPath, checkpoint);
+        log(`${title} confirmed: ${record.transactionHash}`);
+        continue;
+      }
+      log(`${title} transaction ${record.transactionHash} was dropped or reverted, resending`);
+    }
+
+    const args = [batch.wallets, batch.amounts, batch.totalAmount];
+    if (dryRun) {
+      await rewardPool.forceMigrateToV2.staticCall(...args);
+      const gas = await rewardPool.forceMigrateToV2.estimateGas(...args);
+      log(`${title} dry run succeeded, total amount ${batch.totalAmount}, gas ${gas}`);
+      continue;
+    }
+
+    const tx = await rewardPool.forceMigrateToV2(...args);
+    record = {
+      index: batch.index,
+      from: batch.from,
+      to: batch.to,
+      totalAmount: batch.totalAmount.toString(),
+      transactionHash: tx.hash,
+      nonce: tx.nonce,
+      status: "pending",
+    };
+    checkpoint.batches[batch.index] = record;
+    saveCheckpoint(checkpointPath, checkpoint);
+
+    const receipt = await waitForTransaction(tx, {
+      signer: maintainer,
+      ...waitOptions,
+      description: title,
+      log,
+      onResend: (replacement) => {
+        record.transactionHash = replacement.hash;
+        saveCheckpoint(checkpointPath, checkpoint);
+      },
+    });
+    Object.assign(record, {
+      transactionHash: receipt.hash,
+      status: "done",
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+    });
+    saveCheckpoint(checkpointPath, checkpoint);
+    log(`${title} migrated, total amount ${batch.totalAmount}`);
+  }
+
+  return checkpoint;
+};
+
+/**
+ * Reconciles RewardPoolV2 balances with migrated CSV amounts. stAZUR minted to a wallet by the migration batches must
+ * equal its CSV amounts converted at the exchange rate of the batch block, and its current balance must not be lower.
+ * @param rewardPool An ethers v6 RewardPool contract.
+ * @param rows Rows of `active-stakes.csv`.
+ * @param checkpoint The checkpoint returned by `forceMigrateToV2`.
+ * @return Discrepancies: `[{ wallet, expected, minted, balance }]`.
+ */
+const reconcileForceMigration = async (rewardPool, rows, checkpoint) => {
+  const provider = rewardPool.runner.provider ?? rewardPool.runner;
+  const { pool: rewardPoolV2 } = connectRewardPoolV2(await rewardPool.rewardPoolV2(), provider);
+
+  const wallets = new Map();
+  const getWallet = (wallet) => {
+    const key = wallet.toLowerCase();
+    if (!wallets.has(key)) wallets.set(key, { wallet, expected: 0n, minted: 0n });
+    return wallets.get(key);
+  };
+
+  for (const batch of splitIntoBatches(rows, checkpoint.batchSize)) {
+    const record = checkpoint.batches[batch.index];
+    if (record?.status !== "done") {
+      batch.wallets.forEach((wallet, i) => (getWallet(wallet).expected += batch.amounts[i]));
+      continue;
+    }
+
+    const receipt = await provider.getTransactionReceipt(record.transactionHash);
+    const exchangeRate = await rewardPoolV2.exchangeRate({ blockTag: receipt.blockNumber });
+    batch.wallets.forEach((wallet, i) => (getWallet(wallet).expected += (batch.amounts[i] * ONE) / exchangeRate));
+    for (const { from, to, value } of decodeEvents(rewardPoolV2, receipt, "Transfer")) {
+      if (BigInt(from) === 0n) getWallet(to).minted += value;
+    }
+  }
+
+  const discrepancies = [];
+  for (const wallet of wallets.values()) {
+    const balance = await rewardPoolV2.balanceOf(wallet.wallet);
+    if (wallet.minted !== wallet.expected || balance < wallet.expected) discrepancies.push({ ...wallet, balance });
+  }
+  return discrepancies;
+};
+
+/**
+ * Enumerates RewardPoolV2 holders from `Transfer` events.
+ * @param rewardPoolV2 An ethers v6 RewardPoolV2 contract.
+ * @param fromBlock The first block to fetch events from (the pool deployment block).
+ * @param blockTag The block to read balances at.
+ * @return Holders with nonzero balances: `[{ account, balance }]`.
+ */
+const collectRewardPoolV2Holders = async (rewardPoolV2, { fromBlock = 0, blockTag = "latest" } = {}) => {
+  const provider = rewardPoolV2.runner.provider ?? rewardPoolV2.runner;
+  const { number: blockNumber } = await provider.getBlock(blockTag);
+
+  const events = await rewardPoolV2.queryFilter(rewardPoolV2.filters.Transfer, fromBlock, blockNumber);
+  const accounts = [...new Set(events.map((event) => event.args.to))].filter((account) => BigInt(account) !== 0n);
+
+  const holders = [];
+  for (const account of accounts) {
+    const balance = await rewardPoolV2.balanceOf(account, { blockTag: blockNumber });
+    if (balance > 0n) holders.push({ account, balance });
+  }
+  return holders;
+};
+
+/**
+ * Migrates RewardPoolV2 holders to RewardPoolV3 in batches.
+ * @param rewardPoolV2 An ethers v6 RewardPoolV2 contract connected to the maintainer.
+ * @param accounts Holders to migrate.
+ * @param batchSize The number of holders per `forceMigrateToV3` call.
+ * @param dryRun If set, the batches are only checked by `staticCall` and gas estimation.
+ * @param waitOptions `waitForTransaction` options of the batches.
+ * @param log Progress logger.
+ * @return Migrated batches: `[{ from, to, transactionHash, stakeAmount }]` (empty on a dry run).
+ */
+const forceMigrateToV3 = async (
+  rewardPoolV2,
+  accounts,
+  { batchSize, dryRun = false, waitOptions = {}, log = () => {} } = {},
+) => {
+  if (!(batchSize > 0)) throw new Error("Batch size must be a positive number");
+
+  const batches = [];
+  for (let from = 0; from < accounts.length; from += batchSize) {
+    const batchAccounts = accounts.slice(from, from + batchSize);
+    const to = from + batchAccounts.length;
+    const title = `Batch ${from / batchSize + 1} (holders ${from + 1}-${to})`;
+
+    if (dryRun) {
+      await rewardPoolV2.forceMigrateToV3.staticCall(batchAccounts);
+      const gas = await rewardPoolV2.forceMigrateToV3.estimateGas(batchAccounts);
+      log(`${title} dry run succeeded, gas ${gas}`);
+      continue;
+    }
+
+    const tx = await rewardPoolV2.forceMigrateToV3(batchAccounts);
+    const receipt = await waitForTransaction(tx, {
+      signer: rewardPoolV2.runner,
+      ...waitOptions,
+      description: title,
+      log,
+    });
+
+    const stakeAmount = decodeEvents(rewardPoolV2, receipt, "Migrated").reduce(
+      (total, event) => total + event.stakeAmount,
+      0n,
+    );
+    batches.push({ from, to, transactionHash: receipt.hash, stakeAmount });
+    log(`${title} migrated, stake amount ${stakeAmount}`);
+  }
+
+  return batches;
+};
+
+module.exports = {
+  readActiveStakesCsv,
+  splitIntoBatches,
+  estimateBatchSize,
+  forceMigrateToV2,
+  reconcileForceMigration,
+  collectRewardPoolV2Holders,
+  forceMigrateToV3,
+};
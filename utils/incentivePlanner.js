@@ -0,0 +1,178 @@
+/*
+Planning of `updateStakingIncentive(extraReward, incentiveDuration)` calls of RewardPoolV2 and RewardPoolV3.
+
+Both pools roll the reward remaining at the time of the update into the new program:
+  rewardRate = (remainingReward + extraReward) * 1e18 / incentiveDuration
+  incentiveEndsAt = block.timestamp + incentiveDuration
+The planner mirrors this with the off-chain models, so planned values are exact if the update is executed at
+`executedAt` and nothing else changes the incentive before. APR is estimated for the current total stake (the
+underlying value of stAZUR for RewardPoolV2).
+*/
+
+const { Contract, formatUnits, parseUnits } = require("ethers");
+const { MIN_INCENTIVE_DURATION, MAX_INCENTIVE_DURATION } = require("./config");
+const { SECONDS_PER_YEAR, calculateRewardPoolV3Apr } = require("./analytics");
+const { connectRewardPoolV2 } = require("./rewardPoolV2");
+const { connectRewardPoolV3 } = require("./rewardPoolV3");
+const rewardPoolV2Model = require("./rewardPoolV2Model");
+const rewardPoolV3Model = require("./rewardPoolV3Model");
+
+const ONE = 10n ** 18n;
+
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+const ceilDiv = (a, b) => (a + b - 1n) / b;
+
+/**
+ * Reads the incentive state of a pool.
+ * @param address The pool proxy address.
+ * @param version Pool version: "v2" or "v3".
+ * @param prices V3 token prices in the same quote currency: `{ stakingTokenPrice, rewardTokenPrice = 1 }`.
+ * @return `{ version, blockNumber, timestamp, rewardRate, incentiveEndsAt, staked, prices, decimals, model }` where
+ * `model` is the snapshot of the off-chain model of the pool.
+ */
+const readIncentiveState = async (address, version, runner, { prices = { stakingTokenPrice: 1 }, blockTag } = {}) => {
+  if (version === "v2") {
+    const { pool, snapshot } = connectRewardPoolV2(address, runner);
+    const model = await snapshot(blockTag);
+    const decimals = Number(await new Contract(await pool.underlying(), ERC20_DECIMALS_ABI, runner).decimals());
+    const staked = (model.totalSupply * rewardPoolV2Model.exchangeRate(model, model.timestamp)) / ONE;
+    return {
+      version,
+      blockNumber: model.blockNumber,
+      timestamp: model.timestamp,
+      rewardRate: model.rewardRate,
+      incentiveEndsAt: model.incentiveEndsAt,
+      staked,
+      prices: { stakingTokenPrice: 1, rewardTokenPrice: 1 },
+      decimals: { stakingDecimals: decimals, rewardDecimals: decimals },
+      model,
+    };
+  }
+
+  const { pool, snapshot } = connectRewardPoolV3(address, runner);
+  const model = await snapshot([], blockTag);
+  const [stakingDecimals, rewardDecimals] = await Promise.all(
+    [await pool.stakingToken(), await pool.rewardToken()].map(async (token) =>
+      Number(await new Contract(token, ERC20_DECIMALS_ABI, runner).decimals()),
+    ),
+  );
+  return {
+    version,
+    blockNumber: model.blockNumber,
+    timestamp: model.timestamp,
+    rewardRate: model.rewardRate,
+    incentiveEndsAt: model.incentiveEndsAt,
+    // APR of a stake with no boost
+    staked: model.totalWeightedStake,
+    prices,
+    decimals: { stakingDecimals, rewardDecimals },
+    model,
+  };
+};
+
+/**
+ * Returns the reward of the current program remaining at `timestamp`, mirrors `_remainingReward()`.
+ */
+const remainingRewardAt = (state, timestamp) =>
+  state.version === "v2"
+    ? rewardPoolV2Model.remainingReward(state.model, timestamp)
+    : rewardPoolV3Model.remainingReward(state.model, timestamp);
+
+/**
+ * Returns APR of stakers for a reward rate as a fraction or `null` if nothing is staked.
+ */
+const aprOf = (state, rewardRate) => calculateRewardPoolV3Apr(rewardRate, state.staked, state.prices, state.decimals);
+
+/**
+ * Returns the lowest reward rate giving at least `apr` (a fraction) to stakers.
+ */
+const rewardRateForApr = (state, apr) => {
+  if (state.staked === 0n) throw new Error("Nothing is staked, APR is undefined");
+  const { stakingTokenPrice, rewardTokenPrice = 1 } = state.prices;
+  const { stakingDecimals, rewardDecimals } = state.decimals;
+  const annualRewardValue =
+    (apr * Number(formatUnits(state.staked, stakingDecimals)) * stakingTokenPrice) / rewardTokenPrice;
+  const annualReward = parseUnits(annualRewardValue.toFixed(rewardDecimals), rewardDecimals);
+  return ceilDiv(annualReward * ONE, SECONDS_PER_YEAR);
+};
+
+const checkDuration = (duration) => {
+  if (duration < BigInt(MIN_INCENTIVE_DURATION) || duration > BigInt(MAX_INCENTIVE_DURATION)) {
+    throw new Error(
+      `Incentive duration ${duration} is out of bounds [${MIN_INCENTIVE_DURATION}, ${MAX_INCENTIVE_DURATION}]`,
+    );
+  }
+};
+
+/**
+ * Plans an incentive update. Two of the extra reward, the target rate (`rewardRate` or `apr`) and the duration
+ * (`duration` or `endsAt`) determine the third one:
+ * - the extra reward and the duration give the resulting rate;
+ * - the target rate and the duration give the lowest extra reward reaching it (zero if the remaining reward alone
+ *   exceeds it);
+ * - the extra reward and the target rate give the longest duration keeping it. Without a target rate the current
+ *   rate is kept.
+ * @param state The state of `readIncentiveState`.
+ * @param executedAt The expected time of the update.
+ * @return `{ extraReward, duration, executedAt, before: { rewardRate, incentiveEndsAt, remainingReward, apr },
+ * after: { reward, rewardRate, incentiveEndsAt, apr } }`.
+ */
+const planIncentive = (state, { extraReward, rewardRate, apr, duration, endsAt, executedAt = state.timestamp }) => {
+  executedAt = BigInt(executedAt);
+  if (duration !== undefined && endsAt !== undefined) throw new Error("Set either the duration or the end time");
+  if (rewardRate !== undefined && apr !== undefined) throw new Error("Set either the reward rate or APR");
+  if (endsAt !== undefined) duration = BigInt(endsAt) - executedAt;
+  if (duration !== undefined) duration = BigInt(duration);
+  if (extraReward !== undefined) extraReward = BigInt(extraReward);
+  if (apr !== undefined) rewardRate = rewardRateForApr(state, apr);
+
+  const remainingReward = remainingRewardAt(state, executedAt);
+  if (extraReward === undefined) {
+    if (rewardRate === undefined || duration === undefined) {
+      throw new Error("Set the target rate (or APR) and the duration (or end time) to plan the extra reward");
+    }
+    checkDuration(duration);
+    const reward = ceilDiv(rewardRate * duration, ONE);
+    extraReward = reward > remainingReward ? reward - remainingReward : 0n;
+  } else if (duration === undefined) {
+    if (rewardRate === undefined) {
+      if (executedAt >= state.incentiveEndsAt) throw new Error("There is no active incentive to keep the rate of");
+      rewardRate = state.rewardRate;
+    }
+    if (rewardRate === 0n) throw new Error("The target rate is zero");
+    duration = ((remainingReward + extraReward) * ONE) / rewardRate;
+  } else if (rewardRate !== undefined) {
+    throw new Error("Set two of the extra reward, the target rate (or APR) and the duration (or end time)");
+  }
+  checkDuration(duration);
+
+  const reward = remainingReward + extraReward;
+  if (reward === 0n) throw new Error("The incentive has no reward");
+  const newRewardRate = (reward * ONE) / duration;
+  const isActive = executedAt < state.incentiveEndsAt;
+  return {
+    extraReward,
+    duration,
+    executedAt,
+    before: {
+      rewardRate: state.rewardRate,
+      incentiveEndsAt: state.incentiveEndsAt,
+      remainingReward,
+      apr: aprOf(state, isActive ? state.rewardRate : 0n),
+    },
+    after: {
+      reward,
+      rewardRate: newRewardRate,
+      incentiveEndsAt: executedAt + duration,
+      apr: aprOf(state, newRewardRate),
+    },
+  };
+};
+
+module.exports = {
+  readIncentiveState,
+  remainingRewardAt,
+  rewardRateForApr,
+  planIncentive,
+};
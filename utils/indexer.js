@@ -0,0 +1,359 @@
+/*
+Local event indexer of RewardPool, RewardPoolV2 and RewardPoolV3.
+
+The indexer stores decoded pool events in a JSON file together with checkpoints (hashes of the last synced blocks).
+On every sync the newest checkpoint that is still on the canonical chain is found and the events indexed after it
+are dropped, so reorganizations are handled transparently. Staker positions are materialized from the stored events.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { Interface } = require("ethers");
+const { REWARD_POOL_ABI } = require("./rewardPool");
+const { REWARD_POOL_V2_ABI } = require("./rewardPoolV2");
+const { REWARD_POOL_V3_ABI, MULTIPLIER_BASE } = require("./rewardPoolV3");
+
+const STORE_VERSION = 1;
+const MAX_CHECKPOINTS = 64;
+
+const INTERFACES = {
+  rewardPool: new Interface(REWARD_POOL_ABI),
+  rewardPoolV2: new Interface(REWARD_POOL_V2_ABI),
+  rewardPoolV3: new Interface(REWARD_POOL_V3_ABI),
+};
+
+const serialize = (value) => {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serialize);
+  return value;
+};
+
+const toArgs = (fragment, args) => {
+  const result = {};
+  fragment.inputs.forEach((input, i) => (result[input.name] = serialize(args[i])));
+  return result;
+};
+
+const createEmptyStore = (fromBlock) => ({
+  version: STORE_VERSION,
+  fromBlock,
+  checkpoints: [],
+  events: [],
+});
+
+/**
+ * Creates an indexer.
+ * @param provider An ethers v6 provider.
+ * @param addresses Pool addresses to index: `{ rewardPool, rewardPoolV2, rewardPoolV3 }` (each is optional).
+ * @param fromBlock The first block to index (the earliest pool deployment block).
+ * @param storePath The JSON file to persist the index to (in-memory if not set).
+ * @param confirmations The number of blocks to stay behind the chain head.
+ * @param batchSize The maximum number of blocks requested in one `eth_getLogs` call.
+ */
+const createIndexer = ({ provider, addresses, fromBlock = 0, storePath, confirmations = 0, batchSize = 2000 }) => {
+  const pools = Object.entries(addresses)
+    .filter(([, address]) => address)
+    .map(([name, address]) => ({
+      name,
+      address: address.toLowerCase(),
+      iface: INTERFACES[name],
+    }));
+  if (pools.some((pool) => pool.iface === undefined)) throw new Error("Unknown pool name in indexer addresses");
+
+  let store =
+    storePath !== undefined && fs.existsSync(storePath)
+      ? JSON.parse(fs.readFileSync(storePath))
+      : createEmptyStore(fromBlock);
+  if (store.version !== STORE_VERSION || store.fromBlock !== fromBlock) store = createEmptyStore(fromBlock);
+
+  const save = () => {
+    if (storePath === undefined) return;
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(storePath + ".tmp", JSON.stringify(store));
+    fs.renameSync(storePath + ".tmp", storePath);
+  };
+
+  const lastIndexedBlock = () =>
+    store.checkpoints.length > 0 ? store.checkpoints[store.checkpoints.length - 1].blockNumber : fromBlock - 1;
+
+  /**
+   * Drops events of blocks that are not on the canonical chain anymore.
+   * @return The last block that is safely indexed.
+   */
+  const rewind = async () => {
+    while (store.checkpoints.length > 0) {
+      const checkpoint = store.checkpoints[store.checkpoints.length - 1];
+      const block = await provider.getBlock(checkpoint.blockNumber);
+      if (block !== null && block.hash === checkpoint.blockHash) break;
+      store.checkpoints.pop();
+    }
+
+    const lastBlock = lastIndexedBlock();
+    const numEvents = store.events.length;
+    store.events = store.events.filter((event) => event.blockNumber <= lastBlock);
+    if (store.events.length !== numEvents) save();
+
+    return lastBlock;
+  };
+
+  const decodeLog = (log) => {
+    const pool = pools.find((pool) => pool.address === log.address.toLowerCase());
+    const event = pool.iface.parseLog(log);
+    if (event === null) return null;
+    return {
+      pool: pool.name,
+      name: event.name,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      transactionHash: log.transactionHash,
+      args: toArgs(event.fragment, event.args),
+    };
+  };
+
+  /**
+   * Indexes new blocks up to `toBlock` (defaults to the chain head minus confirmations).
+   * @return The range of indexed blocks and the number of new events.
+   */
+  const sync = async (toBlock) => {
+    const lastBlock = await rewind();
+    if (toBlock === undefined) toBlock = (await provider.getBlockNumber()) - confirmations;
+
+    let numEvents = 0;
+    for (let start = lastBlock + 1; start <= toBlock; start += batchSize) {
+      const end = Math.min(start + batchSize - 1, toBlock);
+      const logs = await provider.getLogs({
+        address: pools.map((pool) => pool.address),
+        fromBlock: start,
+        toBlock: end,
+      });
+      const events = logs.map(decodeLog).filter((event) => event !== null);
+      events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+      const block = await provider.getBlock(end);
+      store.events.push(...events);
+      store.checkpoints.push({ blockNumber: end, blockHash: block.hash });
+      store.checkpoints = store.checkpoints.slice(-MAX_CHECKPOINTS);
+      numEvents += events.length;
+      save();
+    }
+
+    return {
+      fromBlock: lastBlock + 1,
+      toBlock: Math.max(lastBlock, toBlock),
+      numEvents,
+    };
+  };
+
+  /**
+   * Materializes positions of all stakers from the indexed events.
+   */
+  const materialize = () => {
+    const v1Stakes = new Map();
+    const v2Balances = new Map();
+    const v2Requests = new Map();
+    const v3Stakes = new Map();
+    const migrationsToV2 = [];
+    const migrationsToV3 = [];
+    const forceMigrationsToV2 = new Map();
+    const mintsByTransaction = new Map();
+
+    const addBalance = (account, value) => {
+      account = account.toLowerCase();
+      v2Balances.set(account, (v2Balances.get(account) ?? 0n) + value);
+    };
+
+    for (const { pool, name, args, blockNumber, transactionHash } of store.events) {
+      if (pool === "rewardPool") {
+        if (name === "Staked") {
+          v1Stakes.set(args.stakeId, {
+            stakeId: BigInt(args.stakeId),
+            owner: args.staker,
+            amount: BigInt(args.amount),
+            status: "staked",
+          });
+        } else if (name === "UnstakeRequested") {
+          Object.assign(v1Stakes.get(args.stakeId), {
+            status: "unstakeRequested",
+            unlockAt: BigInt(args.time),
+          });
+        } else if (name === "Unstaked") {
+          v1Stakes.get(args.stakeId).status = "unstaked";
+        } else if (name === "StakesMigrated") {
+          let amount = 0n;
+          for (const stakeId of args.stakeIds) {
+            const stake = v1Stakes.get(stakeId);
+            stake.status = "migrated";
+            amount += stake.amount;
+          }
+          migrationsToV2.push({
+            account: args.account,
+            stakeIds: args.stakeIds.map(BigInt),
+            amount,
+            transactionHash,
+          });
+        } else if (name === "AllStakesMigrated") {
+          // Force migration deposits to RewardPoolV2 for every listed stake owner in the same transaction
+          for (const { account, amount } of mintsByTransaction.get(transactionHash) ?? []) {
+            forceMigrationsToV2.set(account, (forceMigrationsToV2.get(account) ?? 0n) + amount);
+          }
+        }
+      } else if (pool === "rewardPoolV2") {
+        if (name === "Transfer") {
+          if (BigInt(args.from) !== 0n) addBalance(args.from, -BigInt(args.value));
+          if (BigInt(args.to) !== 0n) addBalance(args.to, BigInt(args.value));
+          if (BigInt(args.from) === 0n) {
+            const mints = mintsByTransaction.get(transactionHash) ?? [];
+            mints.push({
+              account: args.to.toLowerCase(),
+              amount: BigInt(args.value),
+            });
+            mintsByTransaction.set(transactionHash, mints);
+          }
+        } else if (name === "WithdrawalRequested") {
+          v2Requests.set(args.requestId, {
+            requestId: BigInt(args.requestId),
+            requester: args.requester,
+            redeemAmount: BigInt(args.redeemAmount),
+            withdrawalAmount: BigInt(args.withdrawalAmount),
+            withdrawAfter: BigInt(args.withdrawAfter),
+            isProcessed: false,
+          });
+        } else if (name === "WithdrawalRequestProcessed") {
+          Object.assign(v2Requests.get(args.requestId), {
+            isProcessed: true,
+            to: args.to,
+          });
+        } else if (name === "Migrated") {
+          migrationsToV3.push({
+            account: args.account,
+            redeemAmount: BigInt(args.redeemAmount),
+            stakeAmount: BigInt(args.stakeAmount),
+            blockNumber,
+            transactionHash,
+          });
+        }
+      } else if (pool === "rewardPoolV3") {
+        if (name === "Staked") {
+          v3Stakes.set(args.stakeId, {
+            stakeId: BigInt(args.stakeId),
+            owner: args.account,
+            amount: BigInt(args.amount),
+            withdrawAfter: BigInt(args.withdrawAfter),
+            // Lock tiers emit `LockTierApplied` after `Staked`
+            multiplier: MULTIPLIER_BASE,
+            isUnstaked: false,
+          });
+        } else if (name === "LockTierApplied") {
+          const stake = v3Stakes.get(args.stakeId);
+          stake.withdrawAfter = BigInt(args.withdrawAfter);
+          stake.multiplier = BigInt(args.multiplier);
+        } else if (name === "Unstaked") {
+          // Partial unstakes leave the remainder in the stake
+          const stake = v3Stakes.get(args.stakeId);
+          stake.amount -= BigInt(args.amount);
+          stake.isUnstaked = stake.amount === 0n;
+        } else if (name === "StakeSplit") {
+          const stake = v3Stakes.get(args.stakeId);
+          stake.amount -= BigInt(args.amount);
+          v3Stakes.set(args.newStakeId, { ...stake, stakeId: BigInt(args.newStakeId), amount: BigInt(args.amount) });
+        }
+      }
+    }
+
+    return {
+      v1Stakes,
+      v2Balances,
+      v2Requests,
+      v3Stakes,
+      migrationsToV2,
+      migrationsToV3,
+      forceMigrationsToV2,
+    };
+  };
+
+  const isOwnedBy = (owner) => (item) => item.toLowerCase() === owner.toLowerCase();
+
+  /**
+   * Returns active stakes of `owner` in RewardPool (not requested to unstake) and RewardPoolV3.
+   */
+  const stakesOf = (owner) => {
+    const { v1Stakes, v3Stakes, forceMigrationsToV2 } = materialize();
+    const isOwner = isOwnedBy(owner);
+    return {
+      rewardPool: forceMigrationsToV2.has(owner.toLowerCase())
+        ? []
+        : [...v1Stakes.values()].filter((stake) => isOwner(stake.owner) && stake.status === "staked"),
+      rewardPoolV3: [...v3Stakes.values()].filter((stake) => isOwner(stake.owner) && !stake.isUnstaked),
+    };
+  };
+
+  /**
+   * Returns unlock times of RewardPool unstake requests and RewardPoolV3 stakes of `owner`.
+   */
+  const unlockTimesOf = (owner) => {
+    const { v1Stakes, v3Stakes } = materialize();
+    const isOwner = isOwnedBy(owner);
+    return [
+      ...[...v1Stakes.values()]
+        .filter((stake) => isOwner(stake.owner) && stake.status === "unstakeRequested")
+        .map((stake) => ({
+          pool: "rewardPool",
+          stakeId: stake.stakeId,
+          amount: stake.amount,
+          unlockAt: stake.unlockAt,
+        })),
+      ...[...v3Stakes.values()]
+        .filter((stake) => isOwner(stake.owner) && !stake.isUnstaked)
+        .map((stake) => ({
+          pool: "rewardPoolV3",
+          stakeId: stake.stakeId,
+          amount: stake.amount,
+          unlockAt: stake.withdrawAfter,
+        })),
+    ].sort((a, b) => (a.unlockAt < b.unlockAt ? -1 : a.unlockAt > b.unlockAt ? 1 : 0));
+  };
+
+  /**
+   * Returns not processed RewardPoolV2 withdrawal requests (of `requester` if set).
+   */
+  const pendingWithdrawalRequests = (requester) => {
+    const { v2Requests } = materialize();
+    return [...v2Requests.values()].filter(
+      (request) => !request.isProcessed && (requester === undefined || isOwnedBy(requester)(request.requester)),
+    );
+  };
+
+  /**
+   * Returns the migration status of `account` through all pool versions.
+   */
+  const migrationStatusOf = (account) => {
+    const { v1Stakes, v2Balances, migrationsToV2, migrationsToV3, forceMigrationsToV2 } = materialize();
+    const isAccount = isOwnedBy(account);
+    const forceMigratedAmount = forceMigrationsToV2.get(account.toLowerCase()) ?? 0n;
+    const remainingStakes = [...v1Stakes.values()].filter(
+      (stake) => isAccount(stake.owner) && stake.status === "staked",
+    );
+    return {
+      rewardPoolStakes: forceMigratedAmount > 0n ? [] : remainingStakes.map((stake) => stake.stakeId),
+      forceMigratedToV2: forceMigratedAmount,
+      migrationsToV2: migrationsToV2.filter((migration) => isAccount(migration.account)),
+      rewardPoolV2Balance: v2Balances.get(account.toLowerCase()) ?? 0n,
+      migrationsToV3: migrationsToV3.filter((migration) => isAccount(migration.account)),
+    };
+  };
+
+  return {
+    sync,
+    materialize,
+    stakesOf,
+    unlockTimesOf,
+    pendingWithdrawalRequests,
+    migrationStatusOf,
+    lastIndexedBlock,
+    events: () => store.events,
+  };
+};
+
+module.exports = {
+  createIndexer,
+};
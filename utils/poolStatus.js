@@ -0,0 +1,217 @@
+/*
+Health overview of RewardPool, RewardPoolV2 and RewardPoolV3 deployments.
+
+A status is a flat object of the pool state read at one block, including the values derived by the off-chain models
+(the remaining reward of the incentive program and the underlying value of stAZUR). Fields a pool version does not
+have are null, so statuses of different versions are printed side by side.
+*/
+
+const { Contract, dataSlice, formatUnits, getAddress, ZeroAddress } = require("ethers");
+const { connectRewardPool } = require("./rewardPool");
+const { connectRewardPoolV2 } = require("./rewardPoolV2");
+const { connectRewardPoolV3 } = require("./rewardPoolV3");
+const rewardPoolV2Model = require("./rewardPoolV2Model");
+const rewardPoolV3Model = require("./rewardPoolV3Model");
+
+const ONE = 10n ** 18n;
+
+// EIP-1967 proxy slots
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+/** Status fields in print order: `[name, kind]`, the kind selects the formatting */
+const STATUS_FIELDS = [
+  ["address", "address"],
+  ["implementation", "address"],
+  ["proxyAdmin", "address"],
+  ["owner", "address"],
+  ["maintainer", "address"],
+  ["stakingToken", "address"],
+  ["rewardToken", "address"],
+  ["isContractStopped", "flag"],
+  ["isStakingProhibited", "flag"],
+  ["totalStaked", "stakingAmount"],
+  ["totalWeightedStake", "stakingAmount"],
+  ["totalSupply", "stakingAmount"],
+  ["exchangeRate", "rate"],
+  ["rewardRate", "rewardRate"],
+  ["incentiveStartedAt", "time"],
+  ["incentiveEndsAt", "time"],
+  ["incentiveTimeLeft", "duration"],
+  ["remainingReward", "rewardAmount"],
+  ["unstakePeriod", "duration"],
+  ["totalRequestedAmount", "stakingAmount"],
+  ["lastDistributionId", "number"],
+  ["rewardPoolV2", "address"],
+  ["rewardPoolV3", "address"],
+];
+
+const getDecimals = async (token, runner) => Number(await new Contract(token, ERC20_DECIMALS_ABI, runner).decimals());
+
+const readSlotAddress = async (provider, address, slot, blockTag) => {
+  const value = getAddress(dataSlice(await provider.getStorage(address, slot, blockTag), 12));
+  return value === ZeroAddress ? null : value;
+};
+
+const readV1 = async (address, runner, blockTag) => {
+  const { pool } = connectRewardPool(address, runner);
+  const overrides = { blockTag };
+  const [owner, maintainer, token, stopped, prohibited, totalStaked, unstakePeriod, lastDistributionId, rewardPoolV2] =
+    await Promise.all([
+      pool.owner(overrides),
+      pool.maintainer(overrides),
+      pool.token(overrides),
+      pool.isContractStopped(overrides),
+      pool.isStakingProhibited(overrides),
+      pool.totalStaked(overrides),
+      pool.unstakePeriod(overrides),
+      pool.lastDistributionId(overrides),
+      pool.rewardPoolV2(overrides),
+    ]);
+  return {
+    owner,
+    maintainer,
+    stakingToken: token,
+    rewardToken: token,
+    isContractStopped: stopped,
+    isStakingProhibited: prohibited,
+    totalStaked,
+    unstakePeriod,
+    lastDistributionId: BigInt(lastDistributionId),
+    rewardPoolV2: rewardPoolV2 === ZeroAddress ? null : rewardPoolV2,
+  };
+};
+
+const readV2 = async (address, runner, blockTag, timestamp) => {
+  const { pool, snapshot, rewardPoolV3 } = connectRewardPoolV2(address, runner);
+  const overrides = { blockTag };
+  const [state, owner, maintainer, underlying, stopped, incentiveStartedAt, withdrawalDelay, requested, target] =
+    await Promise.all([
+      snapshot(blockTag),
+      pool.owner(overrides),
+      pool.maintainer(overrides),
+      pool.underlying(overrides),
+      pool.isContractStopped(overrides),
+      pool.incentiveStartedAt(overrides),
+      pool.withdrawalDelay(overrides),
+      pool.totalRequestedAmount(overrides),
+      rewardPoolV3(blockTag),
+    ]);
+  const exchangeRate = rewardPoolV2Model.exchangeRate(state, timestamp);
+  return {
+    owner,
+    maintainer,
+    stakingToken: underlying,
+    rewardToken: underlying,
+    isContractStopped: stopped,
+    totalStaked: (state.totalSupply * exchangeRate) / ONE,
+    totalSupply: state.totalSupply,
+    exchangeRate,
+    rewardRate: state.rewardRate,
+    incentiveStartedAt,
+    incentiveEndsAt: state.incentiveEndsAt,
+    remainingReward: rewardPoolV2Model.remainingReward(state, timestamp),
+    unstakePeriod: withdrawalDelay,
+    totalRequestedAmount: requested,
+    rewardPoolV3: target === ZeroAddress ? null : target,
+  };
+};
+
+const readV3 = async (address, runner, blockTag, timestamp) => {
+  const { pool, snapshot } = connectRewardPoolV3(address, runner);
+  const overrides = { blockTag };
+  const [state, owner, stakingToken, rewardToken, unstakePeriod] = await Promise.all([
+    snapshot([], blockTag),
+    pool.owner(overrides),
+    pool.stakingToken(overrides),
+    pool.rewardToken(overrides),
+    pool.unstakePeriod(overrides),
+  ]);
+  return {
+    owner,
+    stakingToken,
+    rewardToken,
+    totalStaked: state.totalStaked,
+    totalWeightedStake: state.totalWeightedStake,
+    rewardRate: state.rewardRate,
+    incentiveEndsAt: state.incentiveEndsAt,
+    remainingReward: rewardPoolV3Model.remainingReward(state, timestamp),
+    unstakePeriod,
+  };
+};
+
+/**
+ * Reads the status of a pool proxy.
+ * @param version Pool version: "v1", "v2" or "v3".
+ * @param address The pool proxy address.
+ * @param runner An ethers v6 signer or provider.
+ * @param blockTag The block to read the status at.
+ * @return `{ version, blockNumber, timestamp, stakingDecimals, rewardDecimals, ...fields }` with the fields of
+ * `STATUS_FIELDS`, amounts and timestamps are bigints.
+ */
+const getPoolStatus = async (version, address, runner, blockTag = "latest") => {
+  const provider = runner.provider ?? runner;
+  const block = await provider.getBlock(blockTag);
+  const timestamp = BigInt(block.timestamp);
+
+  const read = { v1: readV1, v2: readV2, v3: readV3 }[version];
+  if (read === undefined) throw new Error(`Unknown pool version "${version}", expected v1, v2 or v3`);
+  const [fields, implementation, proxyAdmin] = await Promise.all([
+    read(address, runner, block.number, timestamp),
+    readSlotAddress(provider, address, IMPLEMENTATION_SLOT, block.number),
+    readSlotAddress(provider, address, ADMIN_SLOT, block.number),
+  ]);
+  const [stakingDecimals, rewardDecimals] = await Promise.all([
+    getDecimals(fields.stakingToken, runner),
+    getDecimals(fields.rewardToken, runner),
+  ]);
+
+  const status = Object.fromEntries(STATUS_FIELDS.map(([name]) => [name, null]));
+  Object.assign(status, { address: getAddress(address), implementation, proxyAdmin }, fields);
+  if (status.incentiveEndsAt !== null) {
+    status.incentiveTimeLeft = status.incentiveEndsAt > timestamp ? status.incentiveEndsAt - timestamp : 0n;
+  }
+  return { version, blockNumber: block.number, timestamp, stakingDecimals, rewardDecimals, ...status };
+};
+
+const formatDuration = (seconds) => {
+  const days = seconds / 86400n;
+  const time = new Date(Number(seconds % 86400n) * 1000).toISOString().slice(11, 19);
+  return days > 0n ? `${days}d ${time}` : time;
+};
+
+/**
+ * Formats the status fields for a table: amounts in whole tokens, timestamps as ISO dates, durations as
+ * `[days]d hh:mm:ss`.
+ * @return `{ [field]: string }`, `"-"` for the fields the pool does not have.
+ */
+const formatPoolStatus = (status) => {
+  const format = (kind, value) => {
+    if (value === null) return "-";
+    switch (kind) {
+      case "stakingAmount":
+        return formatUnits(value, status.stakingDecimals);
+      case "rewardAmount":
+        return formatUnits(value, status.rewardDecimals);
+      case "rewardRate":
+        return `${formatUnits(value, status.rewardDecimals + 18)} / s`;
+      case "rate":
+        return formatUnits(value, 18);
+      case "time":
+        return value === 0n ? "never" : new Date(Number(value) * 1000).toISOString();
+      case "duration":
+        return formatDuration(BigInt(value));
+      default:
+        return String(value);
+    }
+  };
+  return Object.fromEntries(STATUS_FIELDS.map(([name, kind]) => [name, format(kind, status[name])]));
+};
+
+module.exports = {
+  STATUS_FIELDS,
+  getPoolStatus,
+  formatPoolStatus,
+};
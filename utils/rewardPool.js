@@ -0,0 +1,46 @@
+const { Contract } = require("ethers");
+
+const REWARD_POOL_ABI = [
+  "function token() view returns (address)",
+  "function distributions(uint32 distributionId) view returns (uint256 rewardPerPower, uint96 rewardForPartialPower, uint64 time, uint96 reward, uint160 powerXTimeDelta, uint96 stakedIn)",
+  "function stakes(uint256 stakeId) view returns (address owner, uint96 amount, uint96 withdrawnReward, uint64 time, uint32 firstDistributionId)",
+  "function unstakes(uint256 stakeId) view returns (address owner, uint96 amount, uint64 time)",
+  "function lastStakeId() view returns (uint256)",
+  "function lastDistributionId() view returns (uint32)",
+  "function totalStaked() view returns (uint96)",
+  "function rewardPerPower() view returns (uint256)",
+  "function unstakePeriod() view returns (uint256)",
+  "function rewardPoolV2() view returns (address)",
+  "function isStakingProhibited() view returns (bool)",
+  "function isContractStopped() view returns (bool)",
+  "function maintainer() view returns (address)",
+  "function owner() view returns (address)",
+  "function rewardOf(uint256 stakeId) view returns (uint96)",
+  "event AllStakesMigrated(address rewardPoolV2)",
+  "event MaintainerChanged(address maintainer)",
+  "event RewardPoolV2Changed(address newRewardPoolV2)",
+  "event StakingStatusChanged(bool isStakingProhibited)",
+  "event Stopped()",
+  "event Staked(uint256 indexed stakeId, address indexed staker, uint256 amount)",
+  "event RewardWithdrawn(uint256 indexed stakeId, uint256 reward)",
+  "event StakesMigrated(address indexed account, address indexed rewardPoolV2, uint256[] stakeIds)",
+  "event UnstakeRequested(uint256 indexed stakeId, address indexed staker, uint256 amount, uint256 time)",
+  "event Unstaked(uint256 indexed stakeId, address indexed staker, uint256 amount)",
+  "event UnstakePeriodChanged(uint256 newUnstakePeriod)",
+  "event RewardDistributed(uint256 reward)",
+];
+
+/**
+ * Connects to a legacy RewardPool (V1) deployment.
+ * @param address The RewardPool proxy address.
+ * @param runner An ethers v6 signer or provider.
+ */
+const connectRewardPool = (address, runner) => {
+  const pool = new Contract(address, REWARD_POOL_ABI, runner);
+  return { pool };
+};
+
+module.exports = {
+  REWARD_POOL_ABI,
+  connectRewardPool,
+};
@@ -0,0 +1,257 @@
+/*
+Replayer of the legacy RewardPool (V1) reward accounting.
+
+It consumes the pool events in emission order and re-executes the contract's reward logic, keeping the history
+of every distribution and stake. This allows to split the reward of a stake into the partial power part (earned
+at its first distribution) and the full power parts (earned at every subsequent distribution), and to evaluate
+`rewardOf(stakeId)` as it was right after any past distribution.
+*/
+
+const MAGNITUDE = (1n << 128n) - 1n;
+
+const EVENT_NAMES = [
+  "Staked",
+  "RewardDistributed",
+  "RewardWithdrawn",
+  "UnstakeRequested",
+  "StakesMigrated",
+  "Unstaked",
+];
+
+/**
+ * Fetches the events consumed by the replayer in emission order, together with their block timestamps.
+ * @param rewardPool An ethers v6 RewardPool contract.
+ * @param fromBlock The first block to fetch events from (the pool deployment block).
+ * @param toBlock The last block to fetch events from.
+ */
+const fetchRewardPoolEvents = async (rewardPool, fromBlock = 0, toBlock = "latest") => {
+  const provider = rewardPool.runner.provider ?? rewardPool.runner;
+
+  let logs = [];
+  for (const eventName of EVENT_NAMES) {
+    logs = logs.concat(await rewardPool.queryFilter(rewardPool.filters[eventName], fromBlock, toBlock));
+  }
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const timestamps = new Map();
+  const events = [];
+  for (const log of logs) {
+    if (!timestamps.has(log.blockNumber)) {
+      timestamps.set(log.blockNumber, BigInt((await provider.getBlock(log.blockNumber)).timestamp));
+    }
+    events.push({
+      name: log.eventName,
+      args: log.args,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      timestamp: timestamps.get(log.blockNumber),
+    });
+  }
+  return events;
+};
+
+/**
+ * Replays RewardPool events.
+ * @param events Events in emission order as returned by `fetchRewardPoolEvents`.
+ * @param initializedAt The pool initialization timestamp (`distributions(0).time`).
+ */
+const replayRewardPool = (events, initializedAt) => {
+  const distributions = [
+    {
+      distributionId: 0,
+      rewardPerPower: 0n,
+      rewardForPartialPower: 0n,
+      time: BigInt(initializedAt),
+      reward: 0n,
+      powerXTimeDelta: 0n,
+      stakedIn: 0n,
+    },
+  ];
+  const stakes = new Map();
+  const mismatches = [];
+
+  let lastDistributionId = 0;
+  let totalStaked = 0n;
+  let rewardPerPower = 0n;
+
+  const getDistribution = (distributionId) => {
+    while (distributions.length <= distributionId) {
+      distributions.push({
+        distributionId: distributions.length,
+        rewardPerPower: 0n,
+        rewardForPartialPower: 0n,
+        time: 0n,
+        reward: 0n,
+        powerXTimeDelta: 0n,
+        stakedIn: 0n,
+      });
+    }
+    return distributions[distributionId];
+  };
+
+  const getStake = (stakeId) => {
+    const stake = stakes.get(BigInt(stakeId));
+    if (stake === undefined) throw new Error(`Stake ${stakeId} is not found in replayed events`);
+    return stake;
+  };
+
+  const removeStake = (stake) => {
+    const distributionId = lastDistributionId + 1;
+    totalStaked -= stake.amount;
+    if (stake.firstDistributionId === distributionId) {
+      const distribution = getDistribution(distributionId);
+      distribution.stakedIn -= stake.amount;
+      distribution.powerXTimeDelta -= (stake.time - getDistribution(distributionId - 1).time) * stake.amount;
+    }
+    stake.removedAfterDistributionId = lastDistributionId;
+  };
+
+  // Mirrors `_accumulatedRewardOf` with `rewardPerPower` taken at the given distribution
+  const accumulatedRewardOf = (stake, distributionId) => {
+    const firstDistribution = distributions[stake.firstDistributionId];
+    if (distributionId < stake.firstDistributionId) return 0n;
+
+    const fullReward =
+      (stake.amount * (distributions[distributionId].rewardPerPower - firstDistribution.rewardPerPower)) / MAGNITUDE;
+    return fullReward + partialRewardOf(stake);
+  };
+
+  const partialRewardOf = (stake) => {
+    const firstDistribution = distributions[stake.firstDistributionId];
+    const previousTimestamp = distributions[stake.firstDistributionId - 1].time;
+    const maxTotalPowerXTime = firstDistribution.stakedIn * (firstDistribution.time - previousTimestamp);
+    const realTotalPowerXTime = maxTotalPowerXTime - firstDistribution.powerXTimeDelta;
+    const stakePowerXTime = stake.amount * (firstDistribution.time - stake.time);
+
+    if (realTotalPowerXTime === 0n) return 0n;
+    return (firstDistribution.rewardForPartialPower * stakePowerXTime) / realTotalPowerXTime;
+  };
+
+  /**
+   * Evaluates `rewardOf(stakeId)` as it was right after the given distribution (defaults to the current state).
+   */
+  const rewardOf = (stakeId, distributionId) => {
+    const stake = stakes.get(BigInt(stakeId));
+    if (stake === undefined) return 0n;
+
+    const removedAfter = stake.removedAfterDistributionId;
+    if (distributionId === undefined) {
+      if (removedAfter !== undefined) return 0n;
+      return accumulatedRewardOf(stake, lastDistributionId) - stake.withdrawnReward;
+    }
+
+    if (distributionId < stake.firstDistributionId || distributionId > lastDistributionId) return 0n;
+    if (removedAfter !== undefined && removedAfter < distributionId) return 0n;
+
+    const withdrawnReward = stake.withdrawals
+      .filter((withdrawal) => withdrawal.afterDistributionId < distributionId)
+      .reduce((total, withdrawal) => total + withdrawal.reward, 0n);
+    return accumulatedRewardOf(stake, distributionId) - withdrawnReward;
+  };
+
+  /**
+   * Splits the total reward of a stake by distributions.
+   * @return List of `{ distributionId, power, partialReward, fullReward }`, one per distribution the stake took part in.
+   */
+  const rewardBreakdownOf = (stakeId) => {
+    const stake = getStake(stakeId);
+    const lastId = stake.removedAfterDistributionId ?? lastDistributionId;
+
+    const breakdown = [];
+    let previousFullReward = 0n;
+    for (let distributionId = stake.firstDistributionId; distributionId <= lastId; ++distributionId) {
+      const fullReward = accumulatedRewardOf(stake, distributionId) - partialRewardOf(stake);
+      const isFirst = distributionId === stake.firstDistributionId;
+      breakdown.push({
+        distributionId,
+        power: isFirst ? "partial" : "full",
+        partialReward: isFirst ? partialRewardOf(stake) : 0n,
+        fullReward: fullReward - previousFullReward,
+      });
+      previousFullReward = fullReward;
+    }
+    return breakdown;
+  };
+
+  const handlers = {
+    Staked: ({ stakeId, staker, amount }, timestamp) => {
+      const distributionId = lastDistributionId + 1;
+      amount = BigInt(amount);
+
+      totalStaked += amount;
+      stakes.set(BigInt(stakeId), {
+        stakeId: BigInt(stakeId),
+        owner: staker,
+        amount,
+        time: timestamp,
+        firstDistributionId: distributionId,
+        withdrawnReward: 0n,
+        withdrawals: [],
+      });
+
+      const distribution = getDistribution(distributionId);
+      distribution.stakedIn += amount;
+      distribution.powerXTimeDelta += (timestamp - getDistribution(distributionId - 1).time) * amount;
+    },
+    RewardDistributed: ({ reward }, timestamp) => {
+      const distributionId = ++lastDistributionId;
+      const distribution = getDistribution(distributionId);
+      const stakedIn = distribution.stakedIn;
+      reward = BigInt(reward);
+
+      const fullPower = totalStaked - stakedIn;
+      let partialPower = 0n;
+      if (stakedIn > 0n) {
+        const maxTotalPowerXTime = stakedIn * (timestamp - distributions[distributionId - 1].time);
+        partialPower = (stakedIn * (maxTotalPowerXTime - distribution.powerXTimeDelta)) / maxTotalPowerXTime;
+      }
+
+      const rewardForFullPower = (reward * fullPower) / (fullPower + partialPower);
+      if (fullPower > 0n) rewardPerPower += (MAGNITUDE * rewardForFullPower) / fullPower;
+
+      Object.assign(distribution, {
+        time: timestamp,
+        reward,
+        rewardPerPower,
+        rewardForPartialPower: reward - rewardForFullPower,
+        fullPower,
+        partialPower,
+      });
+    },
+    RewardWithdrawn: ({ stakeId, reward }, timestamp, event) => {
+      const stake = getStake(stakeId);
+      const expected = rewardOf(stakeId);
+      if (expected !== BigInt(reward)) {
+        mismatches.push({ stakeId: stake.stakeId, transactionHash: event.transactionHash, expected, actual: reward });
+      }
+      stake.withdrawnReward += BigInt(reward);
+      stake.withdrawals.push({ afterDistributionId: lastDistributionId, reward: BigInt(reward), timestamp });
+    },
+    UnstakeRequested: ({ stakeId }) => removeStake(getStake(stakeId)),
+    StakesMigrated: ({ stakeIds }) => {
+      for (const stakeId of stakeIds) removeStake(getStake(stakeId));
+    },
+    Unstaked: ({ stakeId }, timestamp) => {
+      getStake(stakeId).unstakedAt = timestamp;
+    },
+  };
+
+  for (const event of events) {
+    const handler = handlers[event.name];
+    if (handler !== undefined) handler(event.args, BigInt(event.timestamp), event);
+  }
+
+  return {
+    distributions: distributions.slice(0, lastDistributionId + 1),
+    stakes,
+    totalStaked,
+    mismatches,
+    rewardOf,
+    rewardBreakdownOf,
+  };
+};
+
+module.exports = {
+  fetchRewardPoolEvents,
+  replayRewardPool,
+};
@@ -0,0 +1,94 @@
+const { Contract, dataSlice, getAddress, toBigInt } = require("ethers");
+
+const REWARD_POOL_V2_ABI = [
+  "function underlying() view returns (address)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function withdrawalRequests(uint256 requestId) view returns (uint128 value, address requester, uint32 withdrawAfter)",
+  "function nextWithdrawalRequestId() view returns (uint256)",
+  "function totalRequestedAmount() view returns (uint128)",
+  "function withdrawalDelay() view returns (uint32)",
+  "function incentiveEndsAt() view returns (uint32)",
+  "function incentiveStartedAt() view returns (uint32)",
+  "function reward() view returns (uint128)",
+  "function rewardRate() view returns (uint256)",
+  "function exchangeRate() view returns (uint128)",
+  "function calculateWithdrawalAmount(uint256 redeemAmount) view returns (uint128)",
+  "function underlyingBalanceOf(address account) view returns (uint256)",
+  "function depositFor(address account, uint256 amount) returns (bool)",
+  "function requestWithdrawal(uint128 redeemAmount) returns (uint256 requestId)",
+  "function withdrawTo(address account, uint256 requestId) returns (bool)",
+  "function batchWithdrawTo(address account, uint256[] requestIds)",
+  "function migrateToV3(uint256 redeemAmount)",
+  "function isContractStopped() view returns (bool)",
+  "function maintainer() view returns (address)",
+  "function owner() view returns (address)",
+  "function forceMigrateToV3(address[] accounts)",
+  "event MaintainerChanged(address maintainer)",
+  "event Migrated(address account, address rewardPoolV3, uint256 redeemAmount, uint256 stakeAmount)",
+  "event RewardPoolV3Changed(address newRewardPoolV3)",
+  "event StakingIncentiveUpdated(uint128 reward, uint32 incentiveEndsAt)",
+  "event Stopped()",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event WithdrawalDelayChanged(uint256 newWithdrawalDelay)",
+  "event WithdrawalRequested(address indexed requester, uint256 indexed requestId, uint128 redeemAmount, uint128 withdrawalAmount, uint32 withdrawAfter)",
+  "event WithdrawalRequestProcessed(uint256 indexed requestId, address indexed to)",
+];
+
+// Storage slots of the packed internal `_updatedAt` (bytes 24..27) and `_exchangeRate` (bytes 0..15)
+const UPDATED_AT_SLOT = 2;
+const EXCHANGE_RATE_SLOT = 3;
+// Storage slot of the internal `rewardPoolV3` (bytes 0..19), it has no getter
+const REWARD_POOL_V3_SLOT = 5;
+
+/**
+ * Connects to a RewardPoolV2 (stAZUR) deployment.
+ * @param address The RewardPoolV2 proxy address.
+ * @param runner An ethers v6 signer or provider.
+ */
+const connectRewardPoolV2 = (address, runner) => {
+  const pool = new Contract(address, REWARD_POOL_V2_ABI, runner);
+
+  /**
+   * Reads the state consumed by the off-chain exchange rate model (see rewardPoolV2Model.js).
+   * @param blockTag The block to read the state at.
+   */
+  const snapshot = async (blockTag = "latest") => {
+    const provider = runner.provider ?? runner;
+    const block = await provider.getBlock(blockTag);
+    const overrides = { blockTag: block.number };
+
+    const [totalSupply, rewardRate, incentiveEndsAt, updatedAtSlot, exchangeRateSlot] = await Promise.all([
+      pool.totalSupply(overrides),
+      pool.rewardRate(overrides),
+      pool.incentiveEndsAt(overrides),
+      provider.getStorage(address, UPDATED_AT_SLOT, block.number),
+      provider.getStorage(address, EXCHANGE_RATE_SLOT, block.number),
+    ]);
+
+    return {
+      blockNumber: block.number,
+      timestamp: BigInt(block.timestamp),
+      totalSupply,
+      rewardRate,
+      incentiveEndsAt,
+      updatedAt: (toBigInt(updatedAtSlot) >> 192n) & 0xffffffffn,
+      storedExchangeRate: toBigInt(exchangeRateSlot) & ((1n << 128n) - 1n),
+    };
+  };
+
+  /**
+   * Reads the RewardPoolV3 the stakes are migrated to (the zero address if it is not set).
+   */
+  const rewardPoolV3 = async (blockTag = "latest") => {
+    const provider = runner.provider ?? runner;
+    return getAddress(dataSlice(await provider.getStorage(address, REWARD_POOL_V3_SLOT, blockTag), 12));
+  };
+
+  return { pool, snapshot, rewardPoolV3 };
+};
+
+module.exports = {
+  REWARD_POOL_V2_ABI,
+  connectRewardPoolV2,
+};
@@ -0,0 +1,82 @@
+/*
+Off-chain model of RewardPoolV2 (stAZUR) exchange rate accounting.
+
+All functions are pure and operate on BigInt values of a state snapshot:
+  { totalSupply, rewardRate, incentiveEndsAt, updatedAt, storedExchangeRate }
+where `updatedAt` and `storedExchangeRate` are the internal `_updatedAt` and `_exchangeRate`.
+Results are bit-exact with the contract's view functions (including FixedMath rounding) evaluated
+at `timestamp` as long as no transaction changes the pool state in between.
+*/
+
+const ONE = 10n ** 18n;
+const UINT128_MASK = (1n << 128n) - 1n;
+
+// FixedMath.mul
+const mul = (self, other) => (self * other) / ONE;
+
+/**
+ * Mirrors `_lastIncentiveTimestamp()`.
+ */
+const lastIncentiveTimestamp = (state, timestamp) => {
+  timestamp = BigInt(timestamp);
+  return timestamp < state.incentiveEndsAt ? timestamp : state.incentiveEndsAt;
+};
+
+/**
+ * Mirrors `exchangeRate()`.
+ */
+const exchangeRate = (state, timestamp) => {
+  const previousExchangeRate = state.storedExchangeRate > 0n ? state.storedExchangeRate : ONE;
+  if (state.totalSupply === 0n) return previousExchangeRate;
+
+  return (
+    (previousExchangeRate +
+      (state.rewardRate * (lastIncentiveTimestamp(state, timestamp) - state.updatedAt)) / state.totalSupply) &
+    UINT128_MASK
+  );
+};
+
+/**
+ * Mirrors `calculateWithdrawalAmount(redeemAmount)`: the amount of underlying tokens `redeemAmount` of stAZUR
+ * is worth at `timestamp`.
+ */
+const calculateWithdrawalAmount = (state, redeemAmount, timestamp) => {
+  return mul(BigInt(redeemAmount), exchangeRate(state, timestamp)) & UINT128_MASK;
+};
+
+/**
+ * Mirrors `_remainingReward()`.
+ */
+const remainingReward = (state, timestamp) => {
+  return mul(state.rewardRate, state.incentiveEndsAt - lastIncentiveTimestamp(state, timestamp)) & UINT128_MASK;
+};
+
+/**
+ * Samples the exchange rate produced by the current incentive program.
+ * @param state The pool state snapshot.
+ * @param from The first timestamp of the curve.
+ * @param to The last timestamp of the curve (defaults to the end of the incentive program).
+ * @param step The interval between samples in seconds.
+ * @return List of `{ timestamp, exchangeRate }` points, always including `to`.
+ */
+const exchangeRateCurve = (state, from, to = state.incentiveEndsAt, step = 86400n) => {
+  from = BigInt(from);
+  to = BigInt(to);
+  step = BigInt(step);
+  if (step <= 0n) throw new Error("Curve step must be positive");
+
+  const curve = [];
+  for (let timestamp = from; timestamp < to; timestamp += step) {
+    curve.push({ timestamp, exchangeRate: exchangeRate(state, timestamp) });
+  }
+  curve.push({ timestamp: to, exchangeRate: exchangeRate(state, to) });
+  return curve;
+};
+
+module.exports = {
+  lastIncentiveTimestamp,
+  exchangeRate,
+  calculateWithdrawalAmount,
+  remainingReward,
+  exchangeRateCurve,
+};
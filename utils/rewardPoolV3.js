@@ -0,0 +1,261 @@
+const { AbiCoder, Contract, keccak256 } = require("ethers");
+const { decodeEvent, decodeEvents } = require("./events");
+
+const REWARD_POOL_V3_ABI = [
+  "function stakingToken() view returns (address)",
+  "function rewardToken() view returns (address)",
+  "function totalStaked() view returns (uint96)",
+  "function updatedAt() view returns (uint32)",
+  "function incentiveEndsAt() view returns (uint32)",
+  "function unstakePeriod() view returns (uint32)",
+  "function rewardRate() view returns (uint256)",
+  "function rewardPerTokenStored() view returns (uint96)",
+  "function nextStakeId() view returns (uint64)",
+  "function owner() view returns (address)",
+  "function stakes(uint256 stakeId) view returns (uint96 amount, uint32 withdrawAfter, uint32 multiplier)",
+  "function lockTiers(uint8 tierId) view returns (uint32 lockPeriod, uint32 multiplier)",
+  "function stakedBy(address account) view returns (uint256)",
+  "function totalWeightedStake() view returns (uint256)",
+  "function weightedStakeOf(address account) view returns (uint256)",
+  "function userRewardPerTokenPaid(address account) view returns (uint256)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function rewardPerToken() view returns (uint256)",
+  "function earnedReward(address account) view returns (uint256)",
+  "function stakeFor(address account, uint96 amount)",
+  "function stakeForWithLockTier(address account, uint96 amount, uint8 tierId)",
+  "function claimReward(address account)",
+  "function unstake(address to, uint256[] stakeIds)",
+  "function unstakePartially(address to, uint256 stakeId, uint96 amount)",
+  "function splitStake(uint256 stakeId, uint96[] amounts) returns (uint256[] newStakeIds)",
+  "function relock(uint256 stakeId, uint8 tierId)",
+  "function changeLockTier(uint8 tierId, uint32 lockPeriod, uint32 multiplier)",
+  "event LockTierApplied(uint256 indexed stakeId, uint8 indexed tierId, uint32 multiplier, uint32 withdrawAfter)",
+  "event LockTierChanged(uint8 indexed tierId, uint32 lockPeriod, uint32 multiplier)",
+  "event RewardClaimed(address indexed account, uint256 amount)",
+  "event Staked(uint256 indexed stakeId, address indexed account, uint96 amount, uint32 withdrawAfter)",
+  "event StakeSplit(uint256 indexed stakeId, uint256 indexed newStakeId, uint96 amount)",
+  "event StakingIncentiveUpdated(uint256 reward, uint32 incentiveEndsAt)",
+  "event Unstaked(uint256 indexed stakeId, uint256 amount)",
+  "event UnstakePeriodChanged(uint256 newUnstakePeriod)",
+  "error InsufficientStake(uint256 stakeId, uint96 stakeAmount)",
+  "error InvalidIncentiveDuration(uint256 min, uint256 max)",
+  "error InvalidLockPeriod(uint256 max)",
+  "error InvalidLockTier(uint8 tierId)",
+  "error InvalidMultiplier(uint256 min, uint256 max)",
+  "error InvalidReceiver(address account)",
+  "error LockTierDowngrade(uint256 stakeId, uint32 multiplier)",
+  "error NoAvailableBalance(address token)",
+  "error NoReward()",
+  "error NoUnclaimedReward(address account)",
+  "error NonTransferableToken()",
+  "error OnlyStakeOwner(uint256 stakeId, address owner)",
+  "error SameStakingAndRewardToken()",
+  "error StakeLocked(uint256 stakeId, uint256 secondsBeforeUnstake)",
+  "error ZeroAmount()",
+  "error ERC721NonexistentToken(uint256 tokenId)",
+];
+
+// Storage slot of the internal `_rewards` mapping
+const REWARDS_SLOT = 7;
+
+// Reward multipliers are in basis points, stakes made before lock tiers have no multiplier stored
+const MULTIPLIER_BASE = 10000n;
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+];
+
+/**
+ * Connects to a RewardPoolV3 (pAZUR) deployment.
+ * @param address The RewardPoolV3 proxy address.
+ * @param runner An ethers v6 signer (for transactions) or provider (for reads only).
+ */
+const connectRewardPoolV3 = (address, runner) => {
+  const pool = new Contract(address, REWARD_POOL_V3_ABI, runner);
+
+  const getSignerAddress = async () => {
+    if (typeof runner.getAddress !== "function") throw new Error("RewardPoolV3: a signer is required");
+    return await runner.getAddress();
+  };
+
+  const ensureAllowance = async (amount) => {
+    const token = new Contract(await pool.stakingToken(), ERC20_ABI, runner);
+    const allowance = await token.allowance(await getSignerAddress(), address);
+    if (allowance < amount) {
+      const tx = await token.approve(address, amount);
+      await tx.wait();
+    }
+  };
+
+  /**
+   * Stakes `amount` of staking tokens on behalf of `account`, approving them first if needed.
+   * @param tierId The lock tier of the stake, the stake is locked for the unstake period with no boost if omitted.
+   * @return The decoded `Staked` event, the multiplier of the stake and the transaction receipt.
+   */
+  const stakeFor = async (account, amount, tierId) => {
+    await ensureAllowance(amount);
+    const tx =
+      tierId === undefined ? pool.stakeFor(account, amount) : pool.stakeForWithLockTier(account, amount, tierId);
+    const receipt = await (await tx).wait();
+    const { stakeId, withdrawAfter } = decodeEvent(pool, receipt, "Staked");
+    const multiplier =
+      tierId === undefined ? MULTIPLIER_BASE : decodeEvent(pool, receipt, "LockTierApplied").multiplier;
+    return { stakeId, account, amount, withdrawAfter, multiplier, receipt };
+  };
+
+  /**
+   * Moves a stake of the signer to the lock tier `tierId`.
+   * @return The decoded `LockTierApplied` event and the transaction receipt.
+   */
+  const relock = async (stakeId, tierId) => {
+    const receipt = await (await pool.relock(stakeId, tierId)).wait();
+    const { multiplier, withdrawAfter } = decodeEvent(pool, receipt, "LockTierApplied");
+    return { stakeId, tierId, multiplier, withdrawAfter, receipt };
+  };
+
+  /**
+   * Withdraws unlocked stakes of the signer to `to`.
+   * @return The decoded `Unstaked` events, total unstaked amount and the transaction receipt.
+   */
+  const unstake = async (to, stakeIds) => {
+    const receipt = await (await pool.unstake(to, stakeIds)).wait();
+    const unstakes = decodeEvents(pool, receipt, "Unstaked").map(({ stakeId, amount }) => ({ stakeId, amount }));
+    const amount = unstakes.reduce((total, unstake) => total + unstake.amount, 0n);
+    return { unstakes, amount, receipt };
+  };
+
+  /**
+   * Withdraws `amount` of an unlocked stake of the signer to `to`, the stake keeps the remainder.
+   * @return The decoded `Unstaked` event, the amount left in the stake and the transaction receipt.
+   */
+  const unstakePartially = async (to, stakeId, amount) => {
+    const receipt = await (await pool.unstakePartially(to, stakeId, amount)).wait();
+    const { amount: unstaked } = decodeEvent(pool, receipt, "Unstaked");
+    const { amount: remainder } = await pool.stakes(stakeId, { blockTag: receipt.blockNumber });
+    return { stakeId, amount: unstaked, remainder, receipt };
+  };
+
+  /**
+   * Splits new stakes of `amounts` off a stake of the signer.
+   * @return The new stakes decoded from `StakeSplit` events, the amount left in the stake and the transaction receipt.
+   */
+  const splitStake = async (stakeId, amounts) => {
+    const receipt = await (await pool.splitStake(stakeId, amounts)).wait();
+    const newStakes = decodeEvents(pool, receipt, "StakeSplit").map(({ newStakeId, amount }) => ({
+      stakeId: newStakeId,
+      amount,
+    }));
+    const { amount: remainder } = await pool.stakes(stakeId, { blockTag: receipt.blockNumber });
+    return { stakeId, newStakes, remainder, receipt };
+  };
+
+  /**
+   * Claims accumulated reward of `account`.
+   * @return The decoded `RewardClaimed` event and the transaction receipt.
+   */
+  const claimReward = async (account) => {
+    const receipt = await (await pool.claimReward(account)).wait();
+    const { amount } = decodeEvent(pool, receipt, "RewardClaimed");
+    return { account, amount, receipt };
+  };
+
+  const earnedReward = async (account) => await pool.earnedReward(account);
+
+  const stakes = async (stakeId) => {
+    const { amount, withdrawAfter, multiplier } = await pool.stakes(stakeId);
+    return { amount, withdrawAfter, multiplier: multiplier === 0n ? MULTIPLIER_BASE : multiplier };
+  };
+
+  /**
+   * Reads a lock tier, `null` if the tier is disabled.
+   */
+  const lockTier = async (tierId) => {
+    const { lockPeriod, multiplier } = await pool.lockTiers(tierId);
+    return multiplier === 0n ? null : { tierId, lockPeriod, multiplier };
+  };
+
+  /**
+   * Reads the parameters of the current (or the last finished) incentive program.
+   */
+  const incentive = async () => {
+    const [rewardRate, updatedAt, incentiveEndsAt, rewardPerToken, totalStaked, totalWeightedStake] = await Promise.all(
+      [
+        pool.rewardRate(),
+        pool.updatedAt(),
+        pool.incentiveEndsAt(),
+        pool.rewardPerToken(),
+        pool.totalStaked(),
+        pool.totalWeightedStake(),
+      ],
+    );
+    return { rewardRate, updatedAt, incentiveEndsAt, rewardPerToken, totalStaked, totalWeightedStake };
+  };
+
+  /**
+   * Reads the state consumed by the off-chain reward model (see rewardPoolV3Model.js).
+   * @param accounts The accounts to include into the snapshot.
+   * @param blockTag The block to read the state at.
+   */
+  const snapshot = async (accounts = [], blockTag = "latest") => {
+    const provider = runner.provider ?? runner;
+    const block = await provider.getBlock(blockTag);
+    const overrides = { blockTag: block.number };
+
+    const [totalStaked, totalWeightedStake, rewardRate, updatedAt, incentiveEndsAt, rewardPerTokenStored] =
+      await Promise.all([
+        pool.totalStaked(overrides),
+        pool.totalWeightedStake(overrides),
+        pool.rewardRate(overrides),
+        pool.updatedAt(overrides),
+        pool.incentiveEndsAt(overrides),
+        pool.rewardPerTokenStored(overrides),
+      ]);
+
+    const accountStates = {};
+    for (const account of accounts) {
+      const rewardsSlot = keccak256(AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [account, REWARDS_SLOT]));
+      const [stakedBy, weightedStake, userRewardPerTokenPaid, rewards] = await Promise.all([
+        pool.stakedBy(account, overrides),
+        pool.weightedStakeOf(account, overrides),
+        pool.userRewardPerTokenPaid(account, overrides),
+        provider.getStorage(address, rewardsSlot, block.number),
+      ]);
+      accountStates[account] = { stakedBy, weightedStake, userRewardPerTokenPaid, rewards: BigInt(rewards) };
+    }
+
+    return {
+      blockNumber: block.number,
+      timestamp: BigInt(block.timestamp),
+      totalStaked,
+      totalWeightedStake,
+      rewardRate,
+      updatedAt,
+      incentiveEndsAt,
+      rewardPerTokenStored,
+      accounts: accountStates,
+    };
+  };
+
+  return {
+    pool,
+    stakeFor,
+    unstake,
+    unstakePartially,
+    splitStake,
+    relock,
+    claimReward,
+    earnedReward,
+    stakes,
+    lockTier,
+    incentive,
+    snapshot,
+  };
+};
+
+module.exports = {
+  REWARD_POOL_V3_ABI,
+  MULTIPLIER_BASE,
+  connectRewardPoolV3,
+};
@@ -0,0 +1,60 @@
+/*
+Off-chain model of RewardPoolV3 reward accounting.
+
+All functions are pure and operate on BigInt values of a state snapshot:
+  { totalStaked, totalWeightedStake, rewardRate, updatedAt, incentiveEndsAt, rewardPerTokenStored }
+and, for account-specific values, on an account snapshot:
+  { stakedBy, weightedStake, userRewardPerTokenPaid, rewards }
+Rewards accrue on the weighted stake: stake amounts boosted by the multipliers of their lock tiers.
+Results are bit-exact with the contract's view functions evaluated at `timestamp`
+as long as no transaction changes the pool state in between.
+*/
+
+const ONE = 10n ** 18n;
+
+/**
+ * Mirrors `_lastTimeRewardApplicable()`.
+ */
+const lastTimeRewardApplicable = (state, timestamp) => {
+  timestamp = BigInt(timestamp);
+  return timestamp < state.incentiveEndsAt ? timestamp : state.incentiveEndsAt;
+};
+
+/**
+ * Mirrors `rewardPerToken()`.
+ */
+const rewardPerToken = (state, timestamp) => {
+  if (state.totalWeightedStake === 0n) return state.rewardPerTokenStored;
+  return (
+    state.rewardPerTokenStored +
+    (state.rewardRate * (lastTimeRewardApplicable(state, timestamp) - state.updatedAt)) / state.totalWeightedStake
+  );
+};
+
+/**
+ * Mirrors `_remainingReward()`.
+ */
+const remainingReward = (state, timestamp) => {
+  timestamp = BigInt(timestamp);
+  return (state.rewardRate * (state.incentiveEndsAt > timestamp ? state.incentiveEndsAt - timestamp : 0n)) / ONE;
+};
+
+/**
+ * Mirrors `earnedReward(account)`.
+ * @param state The pool state snapshot.
+ * @param account The account snapshot.
+ * @param timestamp The moment to calculate the reward at.
+ */
+const earnedReward = (state, account, timestamp) => {
+  return (
+    (account.weightedStake * (rewardPerToken(state, timestamp) - account.userRewardPerTokenPaid)) / ONE +
+    account.rewards
+  );
+};
+
+module.exports = {
+  lastTimeRewardApplicable,
+  rewardPerToken,
+  remainingReward,
+  earnedReward,
+};
@@ -0,0 +1,218 @@
+/*
+Safe Transaction Builder batches of owner calls.
+
+Pools owned by a Safe multisig are administered by batch files imported into the Safe Transaction Builder app instead
+of transactions sent by a hot key. A batch transaction stores the called method with its inputs as strings, so the
+Safe owners review the same decoded call that is executed. The batch checksum is calculated as the app does, the app
+warns about batches modified after they were written.
+*/
+
+const fs = require("fs");
+const { Interface, FunctionFragment, getAddress, id } = require("ethers");
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+/** Human-readable ABIs of the contracts besides the pools the batches call */
+const ERC20_ABI = ["function approve(address spender, uint256 amount) returns (bool)"];
+const PROXY_ADMIN_ABI = [
+  "function upgradeAndCall(address proxy, address implementation, bytes data) payable",
+  "function upgrade(address proxy, address implementation)",
+  "function owner() view returns (address)",
+];
+
+// The Transaction Builder serialization: objects with sorted keys, undefined values as null
+const serialize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(serialize).join(",")}]`;
+  if (typeof value === "object" && value !== null) {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys.map((key) => `${serialize(value[key])},`).join("")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Returns the Transaction Builder checksum of a batch: the hash of the batch without its name and checksum.
+ */
+const calculateChecksum = (batch) => {
+  const meta = { ...batch.meta, name: null };
+  delete meta.checksum;
+  return id(serialize({ ...batch, meta }));
+};
+
+const formatInputValue = (value) => {
+  if (Array.isArray(value)) return JSON.stringify(value.map(formatInputValue));
+  return typeof value === "bigint" || typeof value === "boolean" ? value.toString() : value;
+};
+
+const parseInputValue = (type, value) => {
+  if (type.endsWith("]")) return JSON.parse(value).map((item) => parseInputValue(type.replace(/\[\d*\]$/, ""), item));
+  return type === "bool" ? value === "true" : value;
+};
+
+/**
+ * Converts an owner call to a batch transaction.
+ * @param contract An ethers v6 contract.
+ * @param method The name of the called method.
+ * @param args The method args.
+ */
+const toBatchTransaction = async ({ contract, method, args, value = 0n }) => {
+  const fragment = contract.interface.getFunction(method);
+  return {
+    to: await contract.getAddress(),
+    value: value.toString(),
+    data: null,
+    contractMethod: {
+      inputs: fragment.inputs.map(({ name, type }) => ({ internalType: type, name, type })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues: Object.fromEntries(
+      fragment.inputs.map((input, i) => [input.name, formatInputValue(args[i])]),
+    ),
+  };
+};
+
+/**
+ * Appends owner calls to the batch file, creating it if it does not exist.
+ * @param chainId The chain of the Safe.
+ * @param safe The Safe address the batch is executed by.
+ * @param calls `[{ contract, method, args, description }]` executed in order.
+ * @param name The batch name for a new file.
+ * @return The written batch.
+ */
+const appendToSafeBatch = async (filePath, { chainId, safe, calls, name = "RewardPool owner calls" }) => {
+  const transactions = [];
+  for (const call of calls) transactions.push(await toBatchTransaction(call));
+  const descriptions = calls.map((call) => call.description);
+
+  let batch;
+  if (fs.existsSync(filePath)) {
+    batch = JSON.parse(fs.readFileSync(filePath));
+    if (batch.chainId !== String(chainId) || getAddress(batch.meta.createdFromSafeAddress) !== getAddress(safe)) {
+      throw new Error(
+        `${filePath} is a batch of Safe ${batch.meta.createdFromSafeAddress} on chain ${batch.chainId}, ` +
+          `not of Safe ${safe} on chain ${chainId}`,
+      );
+    }
+    batch.meta.description = [batch.meta.description, ...descriptions].join("; ");
+    batch.transactions.push(...transactions);
+  } else {
+    batch = {
+      version: "1.0",
+      chainId: String(chainId),
+      createdAt: 0,
+      meta: {
+        name,
+        description: descriptions.join("; "),
+        txBuilderVersion: TX_BUILDER_VERSION,
+        createdFromSafeAddress: getAddress(safe),
+        createdFromOwnerAddress: "",
+      },
+      transactions,
+    };
+  }
+  batch.createdAt = Date.now();
+  batch.meta.checksum = calculateChecksum(batch);
+
+  fs.writeFileSync(filePath, JSON.stringify(batch, null, 2) + "\n");
+  return batch;
+};
+
+const decodeTransaction = (tx, interfaces) => {
+  if (tx.contractMethod) {
+    const fragment = FunctionFragment.from({
+      type: "function",
+      name: tx.contractMethod.name,
+      inputs: tx.contractMethod.inputs,
+      stateMutability: tx.contractMethod.payable ? "payable" : "nonpayable",
+    });
+    const values = fragment.inputs.map((input) =>
+      parseInputValue(input.type, tx.contractInputsValues?.[input.name] ?? ""),
+    );
+    const data = new Interface([fragment]).encodeFunctionData(fragment, values);
+    const problem =
+      tx.data && tx.data !== "0x" && tx.data.toLowerCase() !== data
+        ? "the data does not match the method inputs"
+        : undefined;
+    return { method: fragment.name, args: fragment.inputs.map((input, i) => [input, values[i]]), data, problem };
+  }
+
+  const data = tx.data ?? "0x";
+  for (const iface of interfaces) {
+    const parsed = iface.parseTransaction({ data, value: tx.value });
+    if (parsed !== null) {
+      return { method: parsed.name, args: parsed.fragment.inputs.map((input, i) => [input, parsed.args[i]]), data };
+    }
+  }
+  return { method: undefined, args: [], data, problem: data === "0x" ? undefined : "unknown method" };
+};
+
+/**
+ * Decodes the transactions of a batch. Raw data is decoded by the interface of the called contract if it is known,
+ * then by the first matching one of the ERC20, ProxyAdmin and other interfaces.
+ * @param contracts `{ [lower case address]: Interface }` of known contracts.
+ * @param interfaces Other ethers v6 Interfaces.
+ * @return `{ name, description, chainId, safe, checksum: "valid" | "invalid" | "missing", transactions: [{ to, value,
+ * method, args: [[ParamType, value]], data, problem }] }`.
+ */
+const decodeSafeBatch = (batch, { contracts = {}, interfaces = [] } = {}) => {
+  const common = [new Interface(ERC20_ABI), new Interface(PROXY_ADMIN_ABI), ...interfaces];
+  return {
+    name: batch.meta?.name,
+    description: batch.meta?.description,
+    chainId: batch.chainId,
+    safe: batch.meta?.createdFromSafeAddress,
+    checksum:
+      batch.meta?.checksum === undefined
+        ? "missing"
+        : batch.meta.checksum === calculateChecksum(batch)
+          ? "valid"
+          : "invalid",
+    transactions: batch.transactions.map((tx) => {
+      const known = contracts[String(tx.to).toLowerCase()];
+      return {
+        to: tx.to,
+        value: BigInt(tx.value ?? 0),
+        ...decodeTransaction(tx, known === undefined ? common : [known, ...common]),
+      };
+    }),
+  };
+};
+
+/**
+ * Formats a decoded batch for review, one transaction per line.
+ * @param labels `{ [lower case address]: name }` of known contracts.
+ */
+const formatSafeBatch = (decoded, labels = {}) => {
+  const label = (address) => {
+    const name = labels[String(address).toLowerCase()];
+    return name === undefined ? address : `${address} (${name})`;
+  };
+  const formatValue = (input, value) => {
+    if (Array.isArray(value))
+      return `[${value.map((item) => formatValue(input.arrayChildren ?? input, item)).join(", ")}]`;
+    return input.type === "address" ? label(value) : String(value);
+  };
+
+  const lines = [`Safe ${decoded.safe} on chain ${decoded.chainId}, checksum ${decoded.checksum}`];
+  decoded.transactions.forEach((tx, i) => {
+    const call =
+      tx.method === undefined
+        ? `data ${tx.data}`
+        : `${tx.method}(${tx.args.map(([input, value]) => `${input.name}: ${formatValue(input, value)}`).join(", ")})`;
+    const value = tx.value > 0n ? `, value ${tx.value}` : "";
+    const problem = tx.problem === undefined ? "" : `  <- ${tx.problem}`;
+    lines.push(`${i + 1}. ${label(tx.to)} ${call}${value}${problem}`);
+  });
+  return lines.join("\n");
+};
+
+module.exports = {
+  ERC20_ABI,
+  PROXY_ADMIN_ABI,
+  calculateChecksum,
+  toBatchTransaction,
+  appendToSafeBatch,
+  decodeSafeBatch,
+  formatSafeBatch,
+};
@@ -0,0 +1,423 @@
+/*
+Agent-based simulation of RewardPoolV3 (or RewardPoolV2) incentive programs on the hardhat network.
+
+A fresh pool is deployed and driven by simulated stakers for `days` days, one step per day: the block timestamp is
+moved with `evm_setNextBlockTimestamp`, scheduled incentive updates are sent by the owner, then every staker acts in a
+random order following its behaviour profile. The randomness is seeded, so a config always produces the same run.
+
+Profile fields (amounts in whole tokens, periods in days):
+  weight             relative share of stakers following the profile
+  stake              [min, max] size of a stake
+  joinDays           [min, max] day of the first stake
+  topUpProbability   daily probability of one more stake after joining
+  claimEveryDays     RewardPoolV3 reward claim period (null: never, unclaimed rewards are counted at the end)
+  unstakeAfterDays   days after which a stake is unstaked (RewardPoolV2: its withdrawal is requested), null: held
+Incentive fields: `{ day, reward, duration }` (reward in whole tokens, duration in days).
+
+Rewards are compared with the ideal split of the emitted reward pro rata to the staked principal over time (for
+RewardPoolV2 the exchange rate also compounds rewards, so it deviates by design). The reward emitted while nothing is
+staked is never distributed and stays in the pool with the rounding dust. APRs are of the staked principal with both
+tokens priced equally.
+*/
+
+const { MaxUint256, dataSlice, getAddress, id, parseEther } = require("ethers");
+const { decodeEvent } = require("./events");
+const { checkSolvency } = require("./solvency");
+
+const DAY = 86400;
+const ONE = 10n ** 18n;
+const SECONDS_PER_YEAR = 31536000;
+
+const DEFAULT_PROFILE = {
+  weight: 1,
+  stake: [100, 1000],
+  joinDays: [0, 0],
+  topUpProbability: 0,
+  claimEveryDays: null,
+  unstakeAfterDays: null,
+};
+
+const DEFAULT_SIMULATION = {
+  pool: "v3",
+  seed: 1,
+  stakers: 200,
+  days: 90,
+  unstakePeriod: 7 * DAY,
+  profiles: [
+    { name: "holder", weight: 6, stake: [100, 10000], joinDays: [0, 10], claimEveryDays: 30 },
+    {
+      name: "farmer",
+      weight: 3,
+      stake: [1000, 20000],
+      joinDays: [0, 60],
+      topUpProbability: 0.05,
+      claimEveryDays: 3,
+      unstakeAfterDays: 14,
+    },
+    { name: "whale", weight: 1, stake: [100000, 500000], joinDays: [20, 40], claimEveryDays: 7, unstakeAfterDays: 30 },
+  ],
+  incentives: [
+    { day: 0, reward: 50000, duration: 30 },
+    { day: 30, reward: 50000, duration: 30 },
+    { day: 60, reward: 100000, duration: 30 },
+  ],
+};
+
+/**
+ * Returns a deterministic pseudo-random generator (mulberry32) of numbers in [0, 1).
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const integer = (min, max) => min + Math.floor((max - min + 1) * next());
+  const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = integer(0, i);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  };
+  return { next, integer, shuffle };
+};
+
+/**
+ * Merges a simulation config with the defaults and validates it.
+ */
+const resolveSimulationConfig = (config = {}) => {
+  const resolved = { ...DEFAULT_SIMULATION, ...config };
+  resolved.profiles = resolved.profiles.map((profile, i) => ({ name: `profile${i}`, ...DEFAULT_PROFILE, ...profile }));
+
+  const problems = [];
+  if (resolved.pool !== "v2" && resolved.pool !== "v3") problems.push(`pool ${resolved.pool} is not v2 or v3`);
+  if (!(resolved.stakers >= 1)) problems.push("stakers must be at least 1");
+  if (!(resolved.days >= 1)) problems.push("days must be at least 1");
+  for (const profile of resolved.profiles) {
+    if (!(profile.stake[0] >= 1 && profile.stake[1] >= profile.stake[0])) {
+      problems.push(`profile ${profile.name}: stake must be [min, max] with 1 <= min <= max`);
+    }
+    if (!(profile.joinDays[0] >= 0 && profile.joinDays[1] >= profile.joinDays[0])) {
+      problems.push(`profile ${profile.name}: joinDays must be [min, max] with 0 <= min <= max`);
+    }
+  }
+  for (const incentive of resolved.incentives) {
+    if (!(incentive.duration > 0 && incentive.reward >= 0)) {
+      problems.push(`incentive of day ${incentive.day}: duration must be positive and reward non-negative`);
+    }
+  }
+  if (problems.length > 0) throw new Error(`Invalid simulation config:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+  return resolved;
+};
+
+const pickProfile = (profiles, random) => {
+  const total = profiles.reduce((sum, profile) => sum + profile.weight, 0);
+  let value = random.next() * total;
+  for (const profile of profiles) {
+    value -= profile.weight;
+    if (value < 0) return profile;
+  }
+  return profiles[profiles.length - 1];
+};
+
+// Gini coefficient of non-negative values: 0 if all are equal
+const gini = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  if (sum === 0) return 0;
+  const weighted = sorted.reduce((total, value, i) => total + (2 * (i + 1) - sorted.length - 1) * value, 0);
+  return weighted / (sorted.length * sum);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length === 0 ? null : sorted[Math.floor((sorted.length - 1) / 2)];
+};
+
+/**
+ * Runs a simulation on the hardhat network.
+ * @param config The simulation config, see `DEFAULT_SIMULATION`.
+ * @param log Progress logger.
+ * @return `{ config, pool, startTime, endTime, accounts, profiles, fairness, dust, gas, totals }`, amounts in base
+ * units.
+ */
+const runSimulation = async (hre, config = {}, { log = () => {} } = {}) => {
+  const { ethers, upgrades, network } = hre;
+  if (network.name !== "hardhat") throw new Error(`The simulation needs the hardhat network, not ${network.name}`);
+  config = resolveSimulationConfig(config);
+  const random = createRandom(config.seed);
+  const isV3 = config.pool === "v3";
+
+  // Deployment
+  const [owner] = await ethers.getSigners();
+  const Token = await ethers.getContractFactory("TestERC20");
+  const supply = 10n ** 40n;
+  const stakingToken = await Token.deploy("AZUR", "AZUR", supply);
+  const rewardToken = isV3 ? await Token.deploy("Tether USD", "USDT", supply) : stakingToken;
+  const [stakingTokenAddress, rewardTokenAddress] = await Promise.all([
+    stakingToken.getAddress(),
+    rewardToken.getAddress(),
+  ]);
+  const pool = isV3
+    ? await upgrades.deployProxy(await ethers.getContractFactory("RewardPoolV3"), [
+        stakingTokenAddress,
+        rewardTokenAddress,
+        config.unstakePeriod,
+      ])
+    : await upgrades.deployProxy(await ethers.getContractFactory("RewardPoolV2"), [
+        stakingTokenAddress,
+        "Staked $AZUR",
+        "stAZUR",
+        config.unstakePeriod,
+      ]);
+  const poolAddress = await pool.getAddress();
+  await (await rewardToken.approve(poolAddress, MaxUint256)).wait();
+
+  // Stakers
+  const agents = [];
+  for (let i = 0; i < config.stakers; i++) {
+    const profile = pickProfile(config.profiles, random);
+    const address = getAddress(dataSlice(id(`simulation:${config.seed}:${i}`), 12));
+    await network.provider.send("hardhat_setBalance", [address, "0x56bc75e2d63100000"]);
+    const signer = await ethers.getImpersonatedSigner(address);
+    const budget = parseEther(String(profile.stake[1])) * BigInt(config.days + 1);
+    await (await stakingToken.transfer(address, budget)).wait();
+    await (await stakingToken.connect(signer).approve(poolAddress, MaxUint256)).wait();
+    agents.push({
+      address,
+      signer,
+      profile,
+      joinDay: random.integer(profile.joinDays[0], profile.joinDays[1]),
+      lastClaimDay: null,
+      stakes: [],
+      requests: [],
+      staked: 0n,
+      shares: 0n,
+      deposited: 0n,
+      withdrawn: 0n,
+      claimed: 0n,
+      stakeSeconds: 0n,
+      idealScaled: 0n,
+      gasUsed: 0n,
+      transactions: 0,
+    });
+  }
+
+  // Ideal pro rata split of the emitted reward, accrued before every state change
+  const incentive = { rewardRate: 0n, endsAt: 0 };
+  let totalStaked = 0n;
+  let undistributedScaled = 0n;
+  let lastTime = (await ethers.provider.getBlock("latest")).timestamp;
+  const accrue = (time) => {
+    const end = Math.min(time, incentive.endsAt);
+    const emitted = end > lastTime ? incentive.rewardRate * BigInt(end - lastTime) : 0n;
+    if (totalStaked === 0n) undistributedScaled += emitted;
+    for (const agent of agents) {
+      if (agent.staked === 0n) continue;
+      if (emitted > 0n) agent.idealScaled += (emitted * agent.staked) / totalStaked;
+      agent.stakeSeconds += agent.staked * BigInt(time - lastTime);
+    }
+    lastTime = time;
+  };
+
+  const gas = {};
+  const send = async (signer, method, args, agent) => {
+    const receipt = await (await pool.connect(signer)[method](...args)).wait();
+    gas[method] ??= { count: 0, total: 0n };
+    gas[method].count++;
+    gas[method].total += receipt.gasUsed;
+    if (agent !== undefined) {
+      agent.gasUsed += receipt.gasUsed;
+      agent.transactions++;
+    }
+    accrue((await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
+    return receipt;
+  };
+
+  const stake = async (agent, day) => {
+    const [min, max] = agent.profile.stake;
+    const amount = parseEther(String(random.integer(min, max)));
+    if (isV3) {
+      const receipt = await send(agent.signer, "stakeFor", [agent.address, amount], agent);
+      const { stakeId, withdrawAfter } = decodeEvent(pool, receipt, "Staked");
+      agent.stakes.push({ stakeId, amount, day, withdrawAfter: Number(withdrawAfter) });
+    } else {
+      await send(agent.signer, "depositFor", [agent.address, amount], agent);
+      const shares = (await pool.balanceOf(agent.address)) - agent.shares;
+      agent.shares += shares;
+      agent.stakes.push({ amount, shares, day });
+    }
+    agent.staked += amount;
+    agent.deposited += amount;
+    totalStaked += amount;
+  };
+
+  const unstake = async (agent, stake_) => {
+    if (isV3) {
+      await send(agent.signer, "unstake", [agent.address, [stake_.stakeId]], agent);
+      agent.withdrawn += stake_.amount;
+    } else {
+      const receipt = await send(agent.signer, "requestWithdrawal", [stake_.shares], agent);
+      const { requestId, withdrawalAmount, withdrawAfter } = decodeEvent(pool, receipt, "WithdrawalRequested");
+      agent.shares -= stake_.shares;
+      agent.requests.push({ requestId, amount: withdrawalAmount, withdrawAfter: Number(withdrawAfter) });
+    }
+    agent.stakes.splice(agent.stakes.indexOf(stake_), 1);
+    agent.staked -= stake_.amount;
+    totalStaked -= stake_.amount;
+  };
+
+  const claim = async (agent, day) => {
+    agent.lastClaimDay = day;
+    if ((await pool.earnedReward(agent.address)) === 0n) return;
+    const receipt = await send(agent.signer, "claimReward", [agent.address], agent);
+    agent.claimed += decodeEvent(pool, receipt, "RewardClaimed").amount;
+  };
+
+  // Simulation steps
+  const startTime = lastTime + 1;
+  let funded = 0n;
+  for (let day = 0; day < config.days; day++) {
+    const dayStart = startTime + day * DAY;
+    if (dayStart > lastTime) await network.provider.send("evm_setNextBlockTimestamp", [dayStart]);
+    const now = () => Math.max(dayStart, lastTime + 1);
+
+    for (const { reward, duration } of config.incentives.filter((incentive) => incentive.day === day)) {
+      await send(owner, "updateStakingIncentive", [parseEther(String(reward)), duration * DAY]);
+      incentive.rewardRate = await pool.rewardRate();
+      incentive.endsAt = Number(await pool.incentiveEndsAt());
+      funded += parseEther(String(reward));
+    }
+
+    for (const agent of random.shuffle(agents)) {
+      const { profile } = agent;
+      if (day === agent.joinDay || (day > agent.joinDay && random.next() < profile.topUpProbability)) {
+        await stake(agent, day);
+      }
+      for (const request of [...agent.requests]) {
+        if (request.withdrawAfter > now()) continue;
+        await send(agent.signer, "withdrawTo", [agent.address, request.requestId], agent);
+        agent.withdrawn += request.amount;
+        agent.requests.splice(agent.requests.indexOf(request), 1);
+      }
+      if (profile.unstakeAfterDays !== null) {
+        for (const stake_ of [...agent.stakes]) {
+          if (day - stake_.day < profile.unstakeAfterDays) continue;
+          if (isV3 && stake_.withdrawAfter > now()) continue;
+          await unstake(agent, stake_);
+        }
+      }
+      if (isV3 && profile.claimEveryDays !== null && day >= agent.joinDay) {
+        if (agent.lastClaimDay === null || day - agent.lastClaimDay >= profile.claimEveryDays) {
+          await claim(agent, day);
+        }
+      }
+    }
+    if (day % 10 === 0) log(`Day ${day}: ${agents.reduce((sum, a) => sum + a.transactions, 0)} staker transactions`);
+  }
+
+  // Settlement at the end of the last day: unclaimed RewardPoolV3 rewards and RewardPoolV2 stakes are valued at once
+  const endTime = Math.max(startTime + config.days * DAY, lastTime + 1);
+  await network.provider.send("evm_mine", [endTime]);
+  accrue(endTime);
+
+  const accounts = [];
+  for (const agent of agents) {
+    let reward = agent.claimed;
+    if (isV3) {
+      reward += await pool.earnedReward(agent.address);
+    } else {
+      const value = await pool.underlyingBalanceOf(agent.address);
+      const requested = agent.requests.reduce((sum, request) => sum + request.amount, 0n);
+      reward = agent.withdrawn + value + requested - agent.deposited;
+    }
+    const stakeYears = Number(agent.stakeSeconds) / SECONDS_PER_YEAR;
+    accounts.push({
+      account: agent.address,
+      profile: agent.profile.name,
+      deposited: agent.deposited,
+      stakeTokenDays: agent.stakeSeconds / ONE / BigInt(DAY),
+      reward,
+      idealReward: agent.idealScaled / ONE,
+      apr: stakeYears > 0 ? Number(reward) / stakeYears : null,
+      gasUsed: agent.gasUsed,
+      transactions: agent.transactions,
+    });
+  }
+
+  const staking = accounts.filter((account) => account.apr !== null);
+  const deviations = staking.map((account) => {
+    const deviation = account.reward - account.idealReward;
+    return { deviation: deviation < 0n ? -deviation : deviation, ideal: account.idealReward };
+  });
+  const maxDeviation = deviations.reduce((max, { deviation }) => (deviation > max ? deviation : max), 0n);
+  const fairness = {
+    aprMin: staking.length === 0 ? null : Math.min(...staking.map((account) => account.apr)),
+    aprMedian: median(staking.map((account) => account.apr)),
+    aprMax: staking.length === 0 ? null : Math.max(...staking.map((account) => account.apr)),
+    gini: gini(staking.map((account) => account.apr)),
+    maxDeviation,
+    maxRelativeDeviation: Math.max(
+      0,
+      ...deviations.filter(({ ideal }) => ideal > 0n).map(({ deviation, ideal }) => Number(deviation) / Number(ideal)),
+    ),
+  };
+
+  const solvency = await checkSolvency(config.pool, poolAddress, ethers.provider);
+  const rewardReport = solvency.tokens[solvency.tokens.length - 1];
+  const undistributed = undistributedScaled / ONE;
+  const dust = {
+    surplus: rewardReport.surplus,
+    undistributed,
+    rounding: rewardReport.surplus - undistributed,
+    stakingTokenSurplus: isV3 ? solvency.tokens[0].surplus : 0n,
+    remainingReward: rewardReport.obligations.remainingReward,
+  };
+
+  const profiles = config.profiles.map(({ name }) => {
+    const members = accounts.filter((account) => account.profile === name);
+    return {
+      profile: name,
+      stakers: members.length,
+      deposited: members.reduce((sum, account) => sum + account.deposited, 0n),
+      reward: members.reduce((sum, account) => sum + account.reward, 0n),
+      aprMedian: median(members.filter((account) => account.apr !== null).map((account) => account.apr)),
+      gasUsed: members.reduce((sum, account) => sum + account.gasUsed, 0n),
+    };
+  });
+
+  return {
+    config,
+    pool: { version: config.pool, address: poolAddress },
+    startTime,
+    endTime,
+    accounts,
+    profiles,
+    fairness,
+    dust,
+    gas: Object.fromEntries(
+      Object.entries(gas).map(([method, { count, total }]) => [
+        method,
+        { count, total, average: total / BigInt(count) },
+      ]),
+    ),
+    totals: {
+      funded,
+      distributed: accounts.reduce((sum, account) => sum + account.reward, 0n),
+      transactions: Object.values(gas).reduce((sum, { count }) => sum + count, 0),
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_SIMULATION,
+  createRandom,
+  resolveSimulationConfig,
+  runSimulation,
+};
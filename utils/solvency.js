@@ -0,0 +1,206 @@
+/*
+Solvency checks of RewardPool, RewardPoolV2 and RewardPoolV3: the token balances of a pool must cover what the pool
+owes to its stakers. A deficit means accounting drift (or a loss of funds) and is reported before stakers hit it.
+
+Obligations per pool version:
+- RewardPool (V1): active stakes (`totalStaked`), their unclaimed rewards (`rewardOf`) and requested unstakes not
+  withdrawn yet. The forced migration to RewardPoolV2 runs in batches of wallets and leaves the stakes in RewardPool,
+  so the stakes and rewards of wallets deposited to RewardPoolV2 by `forceMigrateToV2` are owed by RewardPoolV2 and
+  only the stakes of wallets not migrated yet remain.
+- RewardPoolV2: the underlying value of stAZUR (`calculateWithdrawalAmount(totalSupply)`), requested withdrawals
+  (`totalRequestedAmount`) and the remaining reward of the incentive program, as `recover` counts them.
+- RewardPoolV3: staked tokens (`totalStaked`) in the staking token; unclaimed rewards of all stakers (`earnedReward`)
+  and the remaining reward of the incentive program in the reward token.
+Stakers are enumerated from events, so `fromBlock` must not be later than the pool deployment. All reads are pinned
+to one block.
+*/
+
+const { Contract, Interface } = require("ethers");
+const { collectActiveStakes } = require("./activeStakes");
+const { connectRewardPool } = require("./rewardPool");
+const { connectRewardPoolV2 } = require("./rewardPoolV2");
+const { connectRewardPoolV3 } = require("./rewardPoolV3");
+const rewardPoolV2Model = require("./rewardPoolV2Model");
+const rewardPoolV3Model = require("./rewardPoolV3Model");
+
+const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+const TRANSFER_INTERFACE = new Interface(["event Transfer(address indexed from, address indexed to, uint256 value)"]);
+
+/**
+ * Compares the pool balance of a token with the obligations in it.
+ * @param obligations `{ [name]: amount }`.
+ * @return `{ token, symbol, decimals, balance, obligations, required, surplus, isSolvent }`, `surplus` is negative on
+ * a deficit.
+ */
+const checkToken = async (address, token, obligations, runner, blockNumber) => {
+  const contract = new Contract(token, ERC20_ABI, runner);
+  const [balance, symbol, decimals] = await Promise.all([
+    contract.balanceOf(address, { blockTag: blockNumber }),
+    contract.symbol().catch(() => token),
+    contract.decimals().then(Number),
+  ]);
+  const required = Object.values(obligations).reduce((sum, amount) => sum + amount, 0n);
+  return {
+    token,
+    symbol,
+    decimals,
+    balance,
+    obligations,
+    required,
+    surplus: balance - required,
+    isSolvent: balance >= required,
+  };
+};
+
+/**
+ * Collects wallets migrated by `forceMigrateToV2`: every batch mints stAZUR to its wallets in the transaction of its
+ * `AllStakesMigrated` event. Receipts are read instead of the calldata, so batches sent through a multisig are found.
+ * @return A set of lowercase wallet addresses.
+ */
+const collectForceMigratedWallets = async (pool, runner, fromBlock, blockNumber) => {
+  const provider = runner.provider ?? runner;
+  const wallets = new Set();
+  for (const event of await pool.queryFilter(pool.filters.AllStakesMigrated, fromBlock, blockNumber)) {
+    const rewardPoolV2 = event.args.rewardPoolV2.toLowerCase();
+    const { logs } = await provider.getTransactionReceipt(event.transactionHash);
+    for (const log of logs) {
+      if (log.address.toLowerCase() !== rewardPoolV2) continue;
+      const parsed = TRANSFER_INTERFACE.parseLog(log);
+      if (parsed !== null && BigInt(parsed.args.from) === 0n) wallets.add(parsed.args.to.toLowerCase());
+    }
+  }
+  return wallets;
+};
+
+const checkRewardPool = async (address, runner, { fromBlock, blockNumber }) => {
+  const { pool } = connectRewardPool(address, runner);
+  const overrides = { blockTag: blockNumber };
+
+  const { wallets } = await collectActiveStakes(pool, { fromBlock, blockTag: blockNumber, includeRewards: true });
+  const migrated = await collectForceMigratedWallets(pool, runner, fromBlock, blockNumber);
+  let totalStaked = 0n;
+  let unclaimedReward = 0n;
+  for (const { wallet, staked, reward } of wallets) {
+    if (migrated.has(wallet.toLowerCase())) continue;
+    totalStaked += staked;
+    unclaimedReward += reward;
+  }
+
+  // Unstakes requested and not withdrawn yet
+  const unstaked = new Set(
+    (await pool.queryFilter(pool.filters.Unstaked, fromBlock, blockNumber)).map((event) => event.args.stakeId),
+  );
+  let requestedUnstakes = 0n;
+  for (const event of await pool.queryFilter(pool.filters.UnstakeRequested, fromBlock, blockNumber)) {
+    if (unstaked.has(event.args.stakeId)) continue;
+    requestedUnstakes += (await pool.unstakes(event.args.stakeId, overrides)).amount;
+  }
+
+  const obligations = { totalStaked, unclaimedReward, requestedUnstakes };
+  return [await checkToken(address, await pool.token(overrides), obligations, runner, blockNumber)];
+};
+
+const checkRewardPoolV2 = async (address, runner, { blockNumber }) => {
+  const { pool, snapshot } = connectRewardPoolV2(address, runner);
+  const overrides = { blockTag: blockNumber };
+
+  const [state, totalRequestedAmount, underlying] = await Promise.all([
+    snapshot(blockNumber),
+    pool.totalRequestedAmount(overrides),
+    pool.underlying(overrides),
+  ]);
+  const obligations = {
+    stakedValue: rewardPoolV2Model.calculateWithdrawalAmount(state, state.totalSupply, state.timestamp),
+    totalRequestedAmount,
+    remainingReward: rewardPoolV2Model.remainingReward(state, state.timestamp),
+  };
+  return [await checkToken(address, underlying, obligations, runner, blockNumber)];
+};
+
+const checkRewardPoolV3 = async (address, runner, { fromBlock, blockNumber }) => {
+  const { pool, snapshot } = connectRewardPoolV3(address, runner);
+  const overrides = { blockTag: blockNumber };
+
+  const events = await pool.queryFilter(pool.filters.Staked, fromBlock, blockNumber);
+  // Stakes split off other stakes have the same owners
+  const splits = await pool.queryFilter(pool.filters.StakeSplit, fromBlock, blockNumber);
+  const nextStakeId = await pool.nextStakeId(overrides);
+  if (BigInt(events.length + splits.length) !== nextStakeId) {
+    throw new Error(
+      `Found ${events.length} Staked and ${splits.length} StakeSplit events but nextStakeId is ${nextStakeId}, ` +
+        "check fromBlock",
+    );
+  }
+  const accounts = [...new Set(events.map((event) => event.args.account))];
+
+  const [state, stakingToken, rewardToken] = await Promise.all([
+    snapshot([], blockNumber),
+    pool.stakingToken(overrides),
+    pool.rewardToken(overrides),
+  ]);
+  let unclaimedReward = 0n;
+  for (const account of accounts) unclaimedReward += await pool.earnedReward(account, overrides);
+
+  return [
+    await checkToken(address, stakingToken, { totalStaked: state.totalStaked }, runner, blockNumber),
+    await checkToken(
+      address,
+      rewardToken,
+      { unclaimedReward, remainingReward: rewardPoolV3Model.remainingReward(state, state.timestamp) },
+      runner,
+      blockNumber,
+    ),
+  ];
+};
+
+/**
+ * Checks that the token balances of a pool cover its obligations.
+ * @param version Pool version: "v1", "v2" or "v3".
+ * @param address The pool proxy address.
+ * @param runner An ethers v6 signer or provider.
+ * @param fromBlock The first block to enumerate stakers from (the pool deployment block).
+ * @param blockTag The block to check at.
+ * @return `{ version, address, blockNumber, isSolvent, tokens }` with the token reports: `{ token, symbol, decimals,
+ * balance, obligations, required, surplus, isSolvent }`.
+ */
+const checkSolvency = async (version, address, runner, { fromBlock = 0, blockTag = "latest" } = {}) => {
+  const check = { v1: checkRewardPool, v2: checkRewardPoolV2, v3: checkRewardPoolV3 }[version];
+  if (check === undefined) throw new Error(`Unknown pool version "${version}", expected v1, v2 or v3`);
+
+  const provider = runner.provider ?? runner;
+  const { number: blockNumber } = await provider.getBlock(blockTag);
+  const tokens = await check(address, runner, { fromBlock, blockNumber });
+  return { version, address, blockNumber, isSolvent: tokens.every((token) => token.isSolvent), tokens };
+};
+
+/**
+ * Runs checks every `interval` milliseconds until one of them finds a violation or `rounds` checks are done.
+ * Errors of a round (e.g. of the RPC) are passed to `onError` and the check runs again after the interval.
+ * @param check An async function returning reports of `checkSolvency`.
+ * @param onReports Called with the reports of every round.
+ * @return The reports of the last round.
+ */
+const watchSolvency = async (check, { interval = 60000, rounds = Infinity, onReports = () => {}, onError }) => {
+  let reports = [];
+  for (let round = 1; round <= rounds; round++) {
+    try {
+      reports = await check();
+      onReports(reports);
+      if (reports.some((report) => !report.isSolvent)) return reports;
+    } catch (error) {
+      if (onError === undefined) throw error;
+      onError(error);
+    }
+    if (round < rounds) await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+  return reports;
+};
+
+module.exports = {
+  checkSolvency,
+  watchSolvency,
+};
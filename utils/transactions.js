@@ -0,0 +1,165 @@
+/*
+Waiting for transactions sent by the tasks.
+
+`waitForTransaction` polls the receipts of a transaction and of its replacements until one of them is mined and has
+the requested number of confirmations. If the transaction is dropped from the mempool it is resent as is, and if it is
+not mined for `bumpAfter` milliseconds it is resent with the same nonce and fees bumped by `gasBumpPercent`.
+Resending needs the signer of the transaction. A receipt that disappears while waiting for confirmations (a reorg)
+is awaited again.
+*/
+
+const DEFAULT_WAIT_OPTIONS = {
+  confirmations: 1,
+  pollingInterval: 4000,
+  bumpAfter: 3 * 60 * 1000,
+  gasBumpPercent: 20,
+  maxBumps: 3,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const max = (value, other) => (other != null && other > value ? other : value);
+
+const bumpFee = (fee, percent) => (fee * BigInt(100 + percent) + 99n) / 100n;
+
+/**
+ * Returns fee overrides for the replacement of a transaction: its fees bumped by `percent`, but not lower than
+ * the current network fees.
+ */
+const getBumpedFees = async (provider, tx, percent) => {
+  const feeData = await provider.getFeeData();
+  if (tx.maxFeePerGas == null) return { gasPrice: max(bumpFee(tx.gasPrice, percent), feeData.gasPrice) };
+
+  const maxPriorityFeePerGas = max(bumpFee(tx.maxPriorityFeePerGas, percent), feeData.maxPriorityFeePerGas);
+  const maxFeePerGas = max(max(bumpFee(tx.maxFeePerGas, percent), feeData.maxFeePerGas), maxPriorityFeePerGas);
+  return { maxFeePerGas, maxPriorityFeePerGas };
+};
+
+const resend = (signer, tx, fees) =>
+  signer.sendTransaction({
+    type: tx.type,
+    chainId: tx.chainId,
+    nonce: tx.nonce,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gasLimit: tx.gasLimit,
+    ...(tx.maxFeePerGas == null
+      ? { gasPrice: tx.gasPrice }
+      : { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }),
+    ...fees,
+  });
+
+const findReceipt = async (provider, txs) => {
+  for (const tx of txs) {
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (receipt !== null) return receipt;
+  }
+  return null;
+};
+
+const isPending = async (provider, txs) => {
+  for (const tx of txs) {
+    if ((await provider.getTransaction(tx.hash)) !== null) return true;
+  }
+  return false;
+};
+
+/**
+ * Waits until the block of the receipt has `confirmations` blocks including it.
+ * @return The receipt or `null` if it was reorged out.
+ */
+const waitForConfirmations = async (provider, receipt, confirmations, pollingInterval) => {
+  for (;;) {
+    const current = await provider.getTransactionReceipt(receipt.hash);
+    if (current === null || current.blockHash !== receipt.blockHash) return null;
+    if ((await provider.getBlockNumber()) - current.blockNumber + 1 >= confirmations) return current;
+    await sleep(pollingInterval);
+  }
+};
+
+/**
+ * Waits for a sent transaction, resending it if it is dropped or stuck.
+ * @param tx An ethers v6 TransactionResponse.
+ * @param signer The signer of the transaction to resend it with (the transaction is never resent if not set).
+ * @param confirmations The number of blocks including the transaction block to wait for.
+ * @param pollingInterval Milliseconds between receipt checks.
+ * @param bumpAfter Milliseconds to wait for a pending transaction before bumping its fees.
+ * @param gasBumpPercent Fee increase of a replacement transaction.
+ * @param maxBumps The maximum number of fee bumps.
+ * @param description Transaction name for the log.
+ * @param log Progress logger.
+ * @param onResend Called with the replacement TransactionResponse before it is awaited.
+ * @return The receipt of the mined transaction, which may be a replacement of `tx`.
+ */
+const waitForTransaction = async (tx, options = {}) => {
+  const {
+    signer,
+    confirmations,
+    pollingInterval,
+    bumpAfter,
+    gasBumpPercent,
+    maxBumps,
+    description = "Transaction",
+    log = () => {},
+    onResend = () => {},
+  } = { ...DEFAULT_WAIT_OPTIONS, ...options };
+  const provider = tx.provider;
+
+  const sent = [tx];
+  let latest = tx;
+  let bumps = 0;
+  let waitingSince = Date.now();
+  const replace = async (fees, reason) => {
+    const previous = latest;
+    latest = await resend(signer, previous, fees);
+    sent.push(latest);
+    waitingSince = Date.now();
+    log(`${description} ${previous.hash} ${reason}: ${latest.hash}`);
+    await onResend(latest);
+  };
+
+  log(`${description} sent: ${tx.hash}`);
+  for (;;) {
+    const receipt = await findReceipt(provider, sent);
+    if (receipt !== null) {
+      const confirmed = await waitForConfirmations(provider, receipt, confirmations, pollingInterval);
+      if (confirmed === null) {
+        log(`${description} ${receipt.hash} was reorged out, waiting again`);
+        waitingSince = Date.now();
+        continue;
+      }
+      if (confirmed.status !== 1) {
+        log(`${description} reverted: ${confirmed.hash}, block ${confirmed.blockNumber}`);
+        throw new Error(`${description} ${confirmed.hash} reverted`);
+      }
+      log(`${description} confirmed: ${confirmed.hash}, block ${confirmed.blockNumber}, gas used ${confirmed.gasUsed}`);
+      return confirmed;
+    }
+
+    if ((await provider.getTransactionCount(tx.from, "latest")) > tx.nonce) {
+      // One of the sent transactions may have been mined since the receipt check
+      if ((await findReceipt(provider, sent)) !== null) continue;
+      throw new Error(`${description} nonce ${tx.nonce} was used by another transaction`);
+    }
+
+    if (!(await isPending(provider, sent))) {
+      if (signer === undefined) throw new Error(`${description} ${latest.hash} was dropped`);
+      await replace({}, "was dropped, resent");
+      continue;
+    }
+
+    if (signer !== undefined && bumps < maxBumps && Date.now() - waitingSince >= bumpAfter) {
+      bumps++;
+      await replace(await getBumpedFees(provider, latest, gasBumpPercent), `is stuck, resent with bumped fees`);
+      continue;
+    }
+    await sleep(pollingInterval);
+  }
+};
+
+module.exports = {
+  DEFAULT_WAIT_OPTIONS,
+  getBumpedFees,
+  waitForTransaction,
+};
@@ -0,0 +1,295 @@
+const { Manifest, getImplementationAddress } = require("@openzeppelin/upgrades-core");
+const { ZeroAddress } = require("ethers");
+
+/** Getters without arguments compared before and after the upgrade */
+const SNAPSHOT_GETTERS = {
+  RewardPool: [
+    "owner",
+    "token",
+    "lastStakeId",
+    "lastDistributionId",
+    "totalStaked",
+    "rewardPerPower",
+    "unstakePeriod",
+    "rewardPoolV2",
+    "isStakingProhibited",
+    "isContractStopped",
+    "maintainer",
+  ],
+  RewardPoolV2: [
+    "owner",
+    "name",
+    "symbol",
+    "underlying",
+    "totalSupply",
+    "exchangeRate",
+    "reward",
+    "rewardRate",
+    "incentiveStartedAt",
+    "incentiveEndsAt",
+    "withdrawalDelay",
+    "totalRequestedAmount",
+    "nextWithdrawalRequestId",
+    "isContractStopped",
+    "maintainer",
+  ],
+  RewardPoolV3: [
+    "owner",
+    "name",
+    "symbol",
+    "stakingToken",
+    "rewardToken",
+    "totalStaked",
+    "updatedAt",
+    "incentiveEndsAt",
+    "unstakePeriod",
+    "rewardRate",
+    "rewardPerTokenStored",
+    "rewardPerToken",
+    "nextStakeId",
+  ],
+};
+
+/**
+ * Returns up to `count` ids evenly spread over [first, end), including the first and the last ones.
+ */
+const sampleIds = (first, end, count) => {
+  const size = end - first;
+  if (size <= 0 || count <= 0) return [];
+  if (size <= count) return Array.from({ length: size }, (_, i) => first + i);
+  if (count === 1) return [first];
+  return [...new Set(Array.from({ length: count }, (_, i) => first + Math.round((i * (size - 1)) / (count - 1))))];
+};
+
+const toPlain = (value) => {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return [...value].map(toPlain);
+  return value;
+};
+
+const callGetter = async (pool, name, args, blockTag) => {
+  try {
+    return toPlain(await pool[name](...args, { blockTag }));
+  } catch (error) {
+    return { reverted: error.shortMessage ?? error.message };
+  }
+};
+
+/**
+ * Reads the getters of a pool and of sampled stakes, withdrawal requests and accounts at a block.
+ * Returns {[key]: value} with keys like `totalStaked` or `stakes(1)`, values are JSON-compatible.
+ * @param samples the number of stakes (or withdrawal requests) to read
+ * @param accounts extra accounts to read the balances of
+ */
+const snapshotPool = async (pool, contract, { blockTag = "latest", samples = 10, accounts = [] } = {}) => {
+  const snapshot = {};
+  const read = async (name, ...args) => {
+    snapshot[args.length === 0 ? name : `${name}(${args.join(",")})`] = await callGetter(pool, name, args, blockTag);
+  };
+
+  for (const name of SNAPSHOT_GETTERS[contract]) await read(name);
+  accounts = [...accounts];
+
+  if (contract === "RewardPool") {
+    for (const stakeId of sampleIds(1, Number(snapshot.lastStakeId) + 1, samples)) {
+      await read("stakes", stakeId);
+      await read("rewardOf", stakeId);
+    }
+  } else if (contract === "RewardPoolV2") {
+    for (const requestId of sampleIds(0, Number(snapshot.nextWithdrawalRequestId), samples)) {
+      await read("withdrawalRequests", requestId);
+      const [, requester] = snapshot[`withdrawalRequests(${requestId})`];
+      if (requester !== undefined && requester !== ZeroAddress) accounts.push(requester);
+    }
+    for (const account of new Set(accounts)) await read("balanceOf", account);
+  } else {
+    for (const stakeId of sampleIds(0, Number(snapshot.nextStakeId), samples)) {
+      await read("stakes", stakeId);
+      await read("ownerOf", stakeId);
+      const owner = snapshot[`ownerOf(${stakeId})`];
+      if (typeof owner === "string") accounts.push(owner);
+    }
+    for (const account of new Set(accounts)) {
+      await read("balanceOf", account);
+      await read("stakedBy", account);
+      await read("userRewardPerTokenPaid", account);
+      await read("earnedReward", account);
+    }
+  }
+  return snapshot;
+};
+
+/**
+ * Returns [{key, before, after}] of the snapshot values changed by the upgrade
+ * except the allowed ones. An allowed getter name covers all its calls: `stakes` allows `stakes(1)`.
+ */
+const diffSnapshots = (before, after, allowedChanges = []) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .filter((key) => !allowedChanges.includes(key) && !allowedChanges.includes(key.split("(")[0]))
+    .map((key) => ({ key, before: before[key], after: after[key] }));
+
+const layoutItems = (layout) => {
+  const describe = (namespace) => (item) => ({
+    namespace,
+    slot: item.slot,
+    offset: item.offset,
+    label: item.label,
+    // Structs and enums are qualified by the contract declaring them, which may be renamed
+    type: (layout.types?.[item.type]?.label ?? item.type).replace(/\b(struct|enum) \w+\./g, "$1 "),
+    contract: item.contract,
+  });
+  return [
+    ...layout.storage.map(describe(undefined)),
+    ...Object.entries(layout.namespaces ?? {}).flatMap(([namespace, items]) => items.map(describe(namespace))),
+  ];
+};
+
+/**
+ * Reads the storage layout of an implementation deployed by the upgrades plugin from the network manifest.
+ */
+const getManifestLayout = async (manifest, address) => {
+  const { impls } = await manifest.read();
+  const impl = Object.values(impls).find((impl) => impl.address === address || impl.allAddresses?.includes(address));
+  if (impl === undefined) throw new Error(`Implementation ${address} is not registered in the network manifest`);
+  return impl.layout;
+};
+
+/**
+ * Compares the storage layout of the current implementation of the proxy with the layout of the new one.
+ * The new implementation is deployed to the local hardhat network (a fork for live networks) by `prepareUpgrade`,
+ * which records its layout in the network manifest.
+ * Returns [{status, namespace, slot, offset, before, after}] sorted by position, where status is one of
+ * "unchanged", "changed", "added" or "removed" and `before`/`after` are {label, type, contract}.
+ */
+const getStorageLayoutDiff = async (hre, proxy, Factory) => {
+  const { upgrades, network } = hre;
+  if (network.name !== "hardhat") throw new Error(`The layout diff needs the hardhat network, not ${network.name}`);
+
+  const manifest = await Manifest.forNetwork(network.provider);
+  const currentLayout = await getManifestLayout(manifest, await getImplementationAddress(network.provider, proxy));
+  const layout = await getManifestLayout(manifest, await upgrades.prepareUpgrade(proxy, Factory));
+
+  const positions = new Map();
+  const position = (item) => `${item.namespace ?? ""}:${item.slot}:${item.offset}`;
+  for (const item of layoutItems(currentLayout)) positions.set(position(item), { ...item, before: item });
+  for (const item of layoutItems(layout))
+    positions.set(position(item), { ...positions.get(position(item)), ...item, after: item });
+
+  const describe = (item) => item && { label: item.label, type: item.type, contract: item.contract };
+  return [...positions.values()]
+    .map(({ namespace, slot, offset, before, after }) => ({
+      status:
+        before === undefined
+          ? "added"
+          : after === undefined
+            ? "removed"
+            : before.label === after.label && before.type === after.type
+              ? "unchanged"
+              : "changed",
+      namespace,
+      slot,
+      offset,
+      before: describe(before),
+      after: describe(after),
+    }))
+    .sort(
+      (a, b) =>
+        (a.namespace ?? "").localeCompare(b.namespace ?? "") ||
+        Number(BigInt(a.slot) - BigInt(b.slot)) ||
+        a.offset - b.offset,
+    );
+};
+
+/**
+ * Formats the storage layout diff as lines of changed variables, `+` added, `-` removed and `~` changed.
+ */
+const formatStorageLayoutDiff = (diff) => {
+  const variable = ({ label, type }) => `${label}: ${type}`;
+  const lines = diff
+    .filter((row) => row.status !== "unchanged")
+    .map((row) => {
+      const position = `${row.namespace ? `${row.namespace} ` : ""}slot ${row.slot} offset ${row.offset}`;
+      if (row.status === "added") return `+ ${position}  ${variable(row.after)}`;
+      if (row.status === "removed") return `- ${position}  ${variable(row.before)}`;
+      return `~ ${position}  ${variable(row.before)} -> ${variable(row.after)}`;
+    });
+  const numUnchanged = diff.length - lines.length;
+  return [...lines, `${numUnchanged} variables unchanged`].join("\n");
+};
+
+/**
+ * Upgrades the proxy on the local hardhat network (a fork for live networks) impersonating the proxy admin owner
+ * and snapshots the pool before and after the upgrade at the same block time. The local state is reverted.
+ * Returns {before, after}.
+ */
+const snapshotLocalUpgrade = async (hre, { contract, proxy, samples, accounts }) => {
+  const { ethers, upgrades, network } = hre;
+  if (network.name !== "hardhat") throw new Error(`The local upgrade needs the hardhat network, not ${network.name}`);
+
+  const admin = await ethers.getContractAt(
+    ["function owner() view returns (address)"],
+    await upgrades.erc1967.getAdminAddress(proxy),
+  );
+  const adminOwner = await admin.owner();
+  const pool = await ethers.getContractAt(contract, proxy);
+
+  const upgradeSnapshotId = await network.provider.send("evm_snapshot");
+  await network.provider.send("hardhat_setBalance", [adminOwner, ethers.toQuantity(ethers.parseEther("100"))]);
+  const signer = await ethers.getImpersonatedSigner(adminOwner);
+  const Factory = await ethers.getContractFactory(contract, signer);
+  await upgrades.upgradeProxy(proxy, Factory);
+  const upgradeBlock = await ethers.provider.getBlock("latest");
+  const after = await snapshotPool(pool, contract, { blockTag: upgradeBlock.number, samples, accounts });
+  await network.provider.send("evm_revert", [upgradeSnapshotId]);
+
+  // Time-dependent getters are read at the time of the upgrade block
+  const snapshotId = await network.provider.send("evm_snapshot");
+  await network.provider.send("evm_setNextBlockTimestamp", [upgradeBlock.timestamp]);
+  await network.provider.send("evm_mine");
+  const before = await snapshotPool(pool, contract, { blockTag: "latest", samples, accounts });
+  await network.provider.send("evm_revert", [snapshotId]);
+
+  return { before, after };
+};
+
+/**
+ * Runs the pre-upgrade checks of a pool proxy against the current contract source:
+ * `validateUpgrade`, the storage layout diff and the local upgrade with snapshot comparison.
+ * Throws if the upgrade is unsafe or changes snapshot values not listed in `allowedChanges`.
+ * Returns {storageLayoutDiff, changes}.
+ */
+const checkUpgrade = async (
+  hre,
+  { contract, proxy, samples = 10, accounts = [], allowedChanges = [], log = () => {} },
+) => {
+  const { ethers, upgrades } = hre;
+  const Factory = await ethers.getContractFactory(contract);
+
+  await upgrades.validateUpgrade(proxy, Factory);
+  log(`${contract} ${proxy}: validateUpgrade passed`);
+
+  const storageLayoutDiff = await getStorageLayoutDiff(hre, proxy, Factory);
+  log("Storage layout diff:\n" + formatStorageLayoutDiff(storageLayoutDiff));
+
+  const { before, after } = await snapshotLocalUpgrade(hre, { contract, proxy, samples, accounts });
+  const changes = diffSnapshots(before, after, allowedChanges);
+  log(`Compared ${Object.keys(before).length} getter values before and after the local upgrade`);
+  if (changes.length > 0) {
+    const lines = changes.map(
+      ({ key, before, after }) => `  ${key}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`,
+    );
+    throw new Error(`The upgrade changes ${changes.length} getter values:\n${lines.join("\n")}`);
+  }
+  return { storageLayoutDiff, changes };
+};
+
+module.exports = {
+  SNAPSHOT_GETTERS,
+  snapshotPool,
+  diffSnapshots,
+  getStorageLayoutDiff,
+  formatStorageLayoutDiff,
+  snapshotLocalUpgrade,
+  checkUpgrade,
+};
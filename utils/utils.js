@@ -1,25 +1,5 @@
 const { ethers } = require("hardhat");
-
-function getTimeout(chainId) {
-  let timeout;
-  switch (chainId) {
-    case "0x2a":
-      timeout = 8000;
-      break; // Kovan
-    case "0x4d":
-      timeout = 35000;
-      break; // Sokol
-    case "0x7a69":
-      timeout = 800;
-      break; // Hardhat
-    default:
-      timeout = 20000;
-  }
-
-  return () => {
-    return new Promise((resolve) => setTimeout(resolve, timeout));
-  };
-}
+const { decodeEvent, decodeEvents } = require("./events");
 
 function tokens(val) {
   return BigInt(val) * 10n ** 18n;
@@ -68,33 +48,37 @@ const deployRewardPoolV3 = async (azurAddress, usdtAddress, unstakePeriod) => {
 
 const makeStake = async (rewardPool, staker, amount) => {
   const tx = await rewardPool.connect(staker).stake(amount);
-  return await getStakeDetails(tx);
+  return await getStakeDetails(rewardPool, tx);
 };
 
-const makeStakeFor = async (rewardPool, staker, amount, recepient) => {
-  const tx = await rewardPool.connect(staker).stakeFor(recepient, amount);
-  return await getStakeDetails(tx);
+const makeStakeFor = async (rewardPool, staker, amount, recepient, tierId) => {
+  const pool = rewardPool.connect(staker);
+  const tx =
+    tierId === undefined
+      ? await pool.stakeFor(recepient, amount)
+      : await pool.stakeForWithLockTier(recepient, amount, tierId);
+  return await getStakeDetails(rewardPool, tx);
 };
 
-const getStakeDetails = async (tx) => {
-  const result = await tx.wait();
+const getStakeDetails = async (rewardPool, tx) => {
+  const e = decodeEvent(rewardPool, await tx.wait(), "Staked");
   return {
-    stakeId: result.logs[1].args.stakeId,
-    staker: result.logs[1].args.staker,
-    amount: result.logs[1].args.amount,
+    stakeId: e.stakeId,
+    staker: e.staker ?? e.account,
+    amount: e.amount,
+    withdrawAfter: e.withdrawAfter,
   };
 };
 
 const makeRequestUnstake = async (rewardPool, staker, stakeId) => {
-  await rewardPool.connect(staker).requestUnstake(stakeId);
-  return await getRequestUnstakeDetails(rewardPool);
+  const tx = await rewardPool.connect(staker).requestUnstake(stakeId);
+  return await getRequestUnstakeDetails(rewardPool, tx);
 };
 
-const getRequestUnstakeDetails = async (rewardPool) => {
-  let filter = rewardPool.filters.UnstakeRequested;
-  let filterReward = rewardPool.filters.RewardWithdrawn;
-  let e = (await rewardPool.queryFilter(filter, -1))[0].args;
-  let eReward = (await rewardPool.queryFilter(filterReward, -1))[0].args;
+const getRequestUnstakeDetails = async (rewardPool, tx) => {
+  const receipt = await tx.wait();
+  const e = decodeEvent(rewardPool, receipt, "UnstakeRequested");
+  const eReward = decodeEvent(rewardPool, receipt, "RewardWithdrawn");
   return {
     stakeId: e.stakeId,
     staker: e.staker,
@@ -104,17 +88,28 @@ const getRequestUnstakeDetails = async (rewardPool) => {
 };
 
 const makeMigrationToV2 = async (rewardPool, staker, stakeIds) => {
-  await rewardPool.connect(staker).migrateToV2(stakeIds);
+  const tx = await rewardPool.connect(staker).migrateToV2(stakeIds);
+  return await getMigrationToV2Details(rewardPool, tx);
+};
+
+const getMigrationToV2Details = async (rewardPool, tx) => {
+  const receipt = await tx.wait();
+  const e = decodeEvent(rewardPool, receipt, "StakesMigrated");
+  return {
+    account: e.account,
+    rewardPoolV2: e.rewardPoolV2,
+    stakeIds: [...e.stakeIds],
+    rewards: decodeEvents(rewardPool, receipt, "RewardWithdrawn").map((eReward) => eReward.reward),
+  };
 };
 
 const makeUnstake = async (rewardPool, staker, stakeId) => {
-  await rewardPool.connect(staker).unstake(stakeId);
-  return await getUnstakeDetails(rewardPool);
+  const tx = await rewardPool.connect(staker).unstake(stakeId);
+  return await getUnstakeDetails(rewardPool, tx);
 };
 
-const getUnstakeDetails = async (rewardPool) => {
-  let filter = rewardPool.filters.Unstaked;
-  let e = (await rewardPool.queryFilter(filter, -1))[0].args;
+const getUnstakeDetails = async (rewardPool, tx) => {
+  const e = decodeEvent(rewardPool, await tx.wait(), "Unstaked");
   return {
     stakeId: e.stakeId,
     staker: e.staker,
@@ -123,27 +118,24 @@ const getUnstakeDetails = async (rewardPool) => {
 };
 
 const makeDistributeReward = async (rewardPool, owner, reward) => {
-  await rewardPool.connect(owner).distributeReward(reward);
-  return await getDistributeRewardDetails(rewardPool);
+  const tx = await rewardPool.connect(owner).distributeReward(reward);
+  return await getDistributeRewardDetails(rewardPool, tx);
 };
 
-const getDistributeRewardDetails = async (rewardPool) => {
-  let filter = rewardPool.filters.RewardDistributed;
-  let e = (await rewardPool.queryFilter(filter, -1))[0].args;
+const getDistributeRewardDetails = async (rewardPool, tx) => {
+  const e = decodeEvent(rewardPool, await tx.wait(), "RewardDistributed");
   return {
     reward: e.reward,
-    fee: e.fee,
   };
 };
 
 const makeWithdrawReward = async (rewardPool, staker, stakeId) => {
-  await rewardPool.connect(staker).withdrawReward(stakeId);
-  return await getWithdrawRewardDetails(rewardPool);
+  const tx = await rewardPool.connect(staker).withdrawReward(stakeId);
+  return await getWithdrawRewardDetails(rewardPool, tx);
 };
 
-const getWithdrawRewardDetails = async (rewardPool) => {
-  let filter = rewardPool.filters.RewardWithdrawn;
-  let e = (await rewardPool.queryFilter(filter, -1))[0].args;
+const getWithdrawRewardDetails = async (rewardPool, tx) => {
+  const e = decodeEvent(rewardPool, await tx.wait(), "RewardWithdrawn");
   return {
     stakeId: e.stakeId,
     reward: e.reward,
@@ -151,18 +143,90 @@ const getWithdrawRewardDetails = async (rewardPool) => {
 };
 
 const makeChangeUnstakePeriod = async (rewardPool, owner, newUnstakePeriod) => {
-  await rewardPool.connect(owner).changeUnstakePeriod(newUnstakePeriod);
-  return await getChangeUnstakePeriodDetails(rewardPool);
+  const tx = await rewardPool.connect(owner).changeUnstakePeriod(newUnstakePeriod);
+  return await getChangeUnstakePeriodDetails(rewardPool, tx);
 };
 
-const getChangeUnstakePeriodDetails = async (rewardPool) => {
-  let filter = rewardPool.filters.UnstakePeriodChanged;
-  let e = (await rewardPool.queryFilter(filter, -1))[0].args;
+const getChangeUnstakePeriodDetails = async (rewardPool, tx) => {
+  const e = decodeEvent(rewardPool, await tx.wait(), "UnstakePeriodChanged");
   return {
     newUnstakePeriod: e.newUnstakePeriod,
   };
 };
 
+const makeRequestWithdrawal = async (rewardPoolV2, requester, redeemAmount) => {
+  const tx = await rewardPoolV2.connect(requester).requestWithdrawal(redeemAmount);
+  return await getRequestWithdrawalDetails(rewardPoolV2, tx);
+};
+
+const getRequestWithdrawalDetails = async (rewardPoolV2, tx) => {
+  const e = decodeEvent(rewardPoolV2, await tx.wait(), "WithdrawalRequested");
+  return {
+    requester: e.requester,
+    requestId: e.requestId,
+    redeemAmount: e.redeemAmount,
+    withdrawalAmount: e.withdrawalAmount,
+    withdrawAfter: e.withdrawAfter,
+  };
+};
+
+const makeMigrationToV3 = async (rewardPoolV2, account, redeemAmount) => {
+  const tx = await rewardPoolV2.connect(account).migrateToV3(redeemAmount);
+  return await getMigrationToV3Details(rewardPoolV2, tx);
+};
+
+const getMigrationToV3Details = async (rewardPoolV2, tx) => {
+  const e = decodeEvent(rewardPoolV2, await tx.wait(), "Migrated");
+  return {
+    account: e.account,
+    rewardPoolV3: e.rewardPoolV3,
+    redeemAmount: e.redeemAmount,
+    stakeAmount: e.stakeAmount,
+  };
+};
+
+const makeUnstakePartially = async (rewardPoolV3, staker, stakeId, amount, to = staker) => {
+  const tx = await rewardPoolV3.connect(staker).unstakePartially(to, stakeId, amount);
+  return await getUnstakePartiallyDetails(rewardPoolV3, tx);
+};
+
+const getUnstakePartiallyDetails = async (rewardPoolV3, tx) => {
+  const e = decodeEvent(rewardPoolV3, await tx.wait(), "Unstaked");
+  return {
+    stakeId: e.stakeId,
+    amount: e.amount,
+  };
+};
+
+const makeSplitStake = async (rewardPoolV3, staker, stakeId, amounts) => {
+  const tx = await rewardPoolV3.connect(staker).splitStake(stakeId, amounts);
+  return await getSplitStakeDetails(rewardPoolV3, tx);
+};
+
+const getSplitStakeDetails = async (rewardPoolV3, tx) => {
+  const events = decodeEvents(rewardPoolV3, await tx.wait(), "StakeSplit");
+  return events.map((e) => ({
+    stakeId: e.stakeId,
+    newStakeId: e.newStakeId,
+    amount: e.amount,
+  }));
+};
+
+const makeRelock = async (rewardPoolV3, staker, stakeId, tierId) => {
+  const tx = await rewardPoolV3.connect(staker).relock(stakeId, tierId);
+  return await getLockTierDetails(rewardPoolV3, tx);
+};
+
+const getLockTierDetails = async (rewardPoolV3, tx) => {
+  const e = decodeEvent(rewardPoolV3, await tx.wait(), "LockTierApplied");
+  return {
+    stakeId: e.stakeId,
+    tierId: e.tierId,
+    multiplier: e.multiplier,
+    withdrawAfter: e.withdrawAfter,
+  };
+};
+
 async function getTransactionTime(ethers, tx) {
   const receipt = await tx.wait();
   const block = await ethers.provider.getBlock(receipt.blockNumber);
@@ -171,7 +235,6 @@ async function getTransactionTime(ethers, tx) {
 
 module.exports = {
   tokens,
-  getTimeout,
   timeShift,
   timeShiftBy,
   makeStake,
@@ -190,5 +253,17 @@ module.exports = {
   makeChangeUnstakePeriod,
   getChangeUnstakePeriodDetails,
   makeMigrationToV2,
+  getMigrationToV2Details,
+  getDistributeRewardDetails,
+  makeRequestWithdrawal,
+  getRequestWithdrawalDetails,
+  makeMigrationToV3,
+  getMigrationToV3Details,
+  makeUnstakePartially,
+  getUnstakePartiallyDetails,
+  makeSplitStake,
+  getSplitStakeDetails,
+  makeRelock,
+  getLockTierDetails,
   getTransactionTime,
 };